@@ -1,6 +1,17 @@
-const { Pool } = require('pg');
+const { Pool, types, defaults } = require('pg');
 require('dotenv').config();
 
+// Timestamps are stored as UTC in TIMESTAMP (without time zone) columns. Read and write
+// them as UTC so the server's own time zone never shifts them; the salon's local time
+// is applied in the API (src/utils/time.js).
+const TIMESTAMP_OID = 1114;
+types.setTypeParser(TIMESTAMP_OID, value => (value === null ? null : new Date(`${value.replace(' ', 'T')}Z`)));
+defaults.parseInputDatesAsUTC = true;
+
+// DATE columns are salon-local calendar dates - keep them as "YYYY-MM-DD"
+const DATE_OID = 1082;
+types.setTypeParser(DATE_OID, value => value);
+
 // Create connection pool - Use DATABASE_URL if available, fallback to discrete vars
 const pool = new Pool(
   process.env.DATABASE_URL 
@@ -27,6 +38,13 @@ const pool = new Pool(
       }
 );
 
+// CURRENT_TIMESTAMP and NOW() must be UTC too for comparisons with stored timestamps
+pool.on('connect', (client) => {
+  client.query("SET TIME ZONE 'UTC'").catch(error => {
+    console.error('❌ Failed to set session time zone:', error.message);
+  });
+});
+
 // Test database connection
 const testConnection = async () => {
   try {
@@ -0,0 +1,44 @@
+require('dotenv').config();
+
+// Salon scheduling configuration - override any of these from .env
+
+// IANA time zone the salon operates in (North Canton, OH)
+const SALON_TIME_ZONE = process.env.SALON_TIME_ZONE || 'America/New_York';
+
+// Where appointments happen (calendar event location)
+const SALON_ADDRESS = process.env.SALON_ADDRESS || 'Salon Maverick, 611 N Main St, North Canton, OH 44720';
+
+// Working hours, closures and blocked time live in the database (scripts/schedule_schema.sql)
+
+module.exports = {
+  SALON_TIME_ZONE,
+  SALON_ADDRESS,
+  // Granularity of bookable start times
+  SLOT_INTERVAL_MINUTES: parseInt(process.env.SLOT_INTERVAL_MINUTES) || 30,
+  // How far ahead of now a booking must start
+  BOOKING_MIN_NOTICE_HOURS: parseInt(process.env.BOOKING_MIN_NOTICE_HOURS) || 24,
+  // How far into the future bookings are accepted
+  BOOKING_MAX_DAYS_AHEAD: parseInt(process.env.BOOKING_MAX_DAYS_AHEAD) || 90,
+  // Longest date range a single availability query may cover
+  AVAILABILITY_MAX_RANGE_DAYS: 31,
+  // Longest date range a daily report may cover
+  REPORT_MAX_RANGE_DAYS: 366,
+  // Notice required for a free change when a service has no cancellation_hours / reschedule_hours
+  DEFAULT_CHANGE_CUTOFF_HOURS: 24,
+  // Reschedules allowed per appointment before a new consultation is needed (policies.html).
+  // Fees are configured in the fee_rules table.
+  MAX_RESCHEDULES: 2,
+  // How long a waitlisted customer has to claim an offered slot
+  WAITLIST_OFFER_EXPIRES_MINUTES: parseInt(process.env.WAITLIST_OFFER_EXPIRES_MINUTES) || 120,
+  // Most follow-up appointments a recurring series may create, and how far ahead they may go
+  SERIES_MAX_OCCURRENCES: 12,
+  SERIES_MAX_DAYS_AHEAD: 365,
+  // Minutes before a confirmed appointment to remind the customer, e.g. "1440,120" (set to 0 to turn reminders off)
+  APPOINTMENT_REMINDER_OFFSETS_MINUTES: (process.env.APPOINTMENT_REMINDER_OFFSETS || '1440,120')
+    .split(',')
+    .map(value => parseInt(value))
+    .filter(minutes => minutes > 0),
+  // Window of the subscribable calendar feed - recent past (so cancellations reach subscribers) to the future
+  CALENDAR_FEED_PAST_DAYS: 30,
+  CALENDAR_FEED_DAYS_AHEAD: 365
+};
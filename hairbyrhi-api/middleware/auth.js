@@ -3,14 +3,86 @@
 
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
+const { recordAudit } = require('../src/utils/audit');
+const { getRolePermissions } = require('../src/utils/permissions');
+
+// Roles that must complete TOTP two-factor authentication (comma separated, e.g. "super_admin")
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
 
 /**
- * Middleware to verify JWT tokens and protect routes
+ * Whether a role is configured to require two-factor authentication
+ * @param {string} role - Admin role
+ * @returns {boolean}
+ */
+const isTwoFactorRequiredForRole = (role) => TWO_FACTOR_REQUIRED_ROLES.includes(role);
+
+/**
+ * Check whether a token was issued before the user's last password change
+ * @param {Object} decoded - Decoded JWT payload
+ * @param {Date|null} passwordChangedAt - admin_users.password_changed_at
+ * @returns {boolean} True if the token should no longer be honored
+ */
+const issuedBeforePasswordChange = (decoded, passwordChangedAt) => {
+    if (!passwordChangedAt || !decoded.iat) {
+        return false;
+    }
+    // iat has second precision
+    return decoded.iat < Math.floor(new Date(passwordChangedAt).getTime() / 1000);
+};
+
+/**
+ * Load a token's user along with the state of the session it belongs to
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {Promise<Object>} Query result (no rows if the user is missing or inactive)
+ */
+const loadTokenUser = (decoded) => pool.query(`
+    SELECT 
+        u.id, 
+        u.email, 
+        u.first_name, 
+        u.last_name, 
+        u.role, 
+        u.is_active,
+        u.password_changed_at,
+        u.totp_enabled,
+        s.id as session_id,
+        s.revoked_at as session_revoked_at
+    FROM admin_users u
+    LEFT JOIN admin_sessions s ON s.jti = $2 AND s.user_id = u.id
+    WHERE u.id = $1 AND u.is_active = true
+`, [decoded.id, decoded.jti || null]);
+
+/**
+ * Whether the row from loadTokenUser has a session that is still active
+ * @param {Object} row - Row from loadTokenUser
+ * @returns {boolean}
+ */
+const isSessionActive = (row) => !!row.session_id && !row.session_revoked_at;
+
+/**
+ * Record session activity - throttled to one write per minute per session
+ * @param {string} jti - JWT ID
  * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
  */
-const authenticateToken = async (req, res, next) => {
+const touchSession = async (jti, req) => {
+    await pool.query(`
+        UPDATE admin_sessions
+        SET last_seen_at = CURRENT_TIMESTAMP, ip_address = $2
+        WHERE jti = $1 AND last_seen_at < CURRENT_TIMESTAMP - interval '1 minute'
+    `, [jti, req.ip || req.connection.remoteAddress]);
+};
+
+/**
+ * Build JWT verification middleware
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPendingTwoFactor=false] - Accept tokens that have not completed
+ *   the second factor (only for the endpoints used to enroll in two-factor)
+ * @returns {Function} Express middleware function
+ */
+const createTokenAuthenticator = ({ allowPendingTwoFactor = false } = {}) => async (req, res, next) => {
     try {
         // Get token from Authorization header
         const authHeader = req.headers.authorization;
@@ -27,20 +99,17 @@ const authenticateToken = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Purpose-bound tokens (e.g. the two-factor login challenge) are not access tokens
+        if (decoded.purpose) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid access token',
+                code: 'INVALID_TOKEN'
+            });
+        }
+
         // Get fresh user data from database to ensure user is still active
-        const userQuery = `
-            SELECT 
-                id, 
-                email, 
-                first_name, 
-                last_name, 
-                role, 
-                is_active
-            FROM admin_users 
-            WHERE id = $1 AND is_active = true
-        `;
-
-        const userResult = await pool.query(userQuery, [decoded.id]);
+        const userResult = await loadTokenUser(decoded);
 
         if (userResult.rows.length === 0) {
             return res.status(401).json({
@@ -50,15 +119,48 @@ const authenticateToken = async (req, res, next) => {
             });
         }
 
+        if (!isSessionActive(userResult.rows[0])) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been signed out. Please sign in again.',
+                code: 'SESSION_REVOKED'
+            });
+        }
+
+        if (issuedBeforePasswordChange(decoded, userResult.rows[0].password_changed_at)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Password was changed. Please sign in again.',
+                code: 'TOKEN_REVOKED'
+            });
+        }
+
+        const user = userResult.rows[0];
+        const twoFactorRequired = user.totp_enabled || isTwoFactorRequiredForRole(user.role);
+
+        if (twoFactorRequired && !decoded.mfa && !allowPendingTwoFactor) {
+            return res.status(403).json({
+                success: false,
+                message: user.totp_enabled
+                    ? 'Two-factor verification is required'
+                    : 'Two-factor authentication must be set up for this account',
+                code: user.totp_enabled ? 'TWO_FACTOR_REQUIRED' : 'TWO_FACTOR_SETUP_REQUIRED'
+            });
+        }
+
         // Add user info to request object for use in protected routes
         req.user = {
-            id: userResult.rows[0].id,
-            email: userResult.rows[0].email,
-            firstName: userResult.rows[0].first_name,
-            lastName: userResult.rows[0].last_name,
-            role: userResult.rows[0].role,
-            fullName: `${userResult.rows[0].first_name} ${userResult.rows[0].last_name}`
+            id: user.id,
+            email: user.email,
+            firstName: user.first_name,
+            lastName: user.last_name,
+            role: user.role,
+            fullName: `${user.first_name} ${user.last_name}`,
+            twoFactorEnabled: !!user.totp_enabled
         };
+        req.tokenPayload = decoded;
+
+        await touchSession(decoded.jti, req);
 
         // Continue to the protected route
         next();
@@ -109,6 +211,20 @@ const authenticateToken = async (req, res, next) => {
     }
 };
 
+/**
+ * Middleware to verify JWT tokens and protect routes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticateToken = createTokenAuthenticator();
+
+/**
+ * Like authenticateToken, but accepts a token whose second factor is still pending
+ * so the user can enroll in two-factor authentication
+ */
+const authenticateTokenAllowPendingTwoFactor = createTokenAuthenticator({ allowPendingTwoFactor: true });
+
 /**
  * Middleware to require specific role(s) for access
  * @param {string|Array} requiredRoles - Single role or array of roles
@@ -141,6 +257,51 @@ const requireRole = (requiredRoles) => {
     };
 };
 
+/**
+ * Middleware to require named permission(s) granted to the user's role
+ * @param {string|Array} requiredPermissions - Single permission or array (all are required)
+ * @returns {Function} Express middleware function
+ */
+const requirePermission = (requiredPermissions) => {
+    const permissions = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
+
+    return async (req, res, next) => {
+        // Ensure user is authenticated first
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required',
+                code: 'AUTH_REQUIRED'
+            });
+        }
+
+        try {
+            const granted = await getRolePermissions(req.user.role);
+            req.user.permissions = [...granted];
+
+            const missing = permissions.filter(permission => !granted.has(permission));
+
+            if (missing.length > 0) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Access denied. Required permission: ${missing.join(', ')}`,
+                    code: 'INSUFFICIENT_PERMISSIONS'
+                });
+            }
+
+            next();
+
+        } catch (error) {
+            console.error('Error checking permissions:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Internal error while checking permissions',
+                code: 'AUTH_ERROR'
+            });
+        }
+    };
+};
+
 /**
  * Middleware to require super admin access
  */
@@ -169,21 +330,16 @@ const optionalAuth = async (req, res, next) => {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
         // Get user data
-        const userQuery = `
-            SELECT 
-                id, 
-                email, 
-                first_name, 
-                last_name, 
-                role, 
-                is_active
-            FROM admin_users 
-            WHERE id = $1 AND is_active = true
-        `;
-
-        const userResult = await pool.query(userQuery, [decoded.id]);
-
-        if (userResult.rows.length > 0) {
+        const userResult = await loadTokenUser(decoded);
+
+        const user = userResult.rows[0];
+        const tokenAccepted = user
+            && !decoded.purpose
+            && isSessionActive(user)
+            && !issuedBeforePasswordChange(decoded, user.password_changed_at)
+            && (decoded.mfa || !(user.totp_enabled || isTwoFactorRequiredForRole(user.role)));
+
+        if (tokenAccepted) {
             // Add user info to request
             req.user = {
                 id: userResult.rows[0].id,
@@ -205,14 +361,27 @@ const optionalAuth = async (req, res, next) => {
 
 /**
  * Middleware to log authentication events
+ * @param {string} event - Event name
+ * @param {Object} [options]
+ * @param {boolean} [options.persist=true] - Also write the event to audit_log
+ *   (off for high-volume access logging; mutations record their own entries)
  */
-const logAuthEvent = (event) => {
+const logAuthEvent = (event, { persist = true } = {}) => {
     return (req, res, next) => {
         const timestamp = new Date().toISOString();
         const userInfo = req.user ? `${req.user.email} (${req.user.role})` : 'anonymous';
         const ip = req.ip || req.connection.remoteAddress;
         
         console.log(`[${timestamp}] AUTH EVENT: ${event} - User: ${userInfo} - IP: ${ip} - Route: ${req.method} ${req.originalUrl}`);
+
+        if (persist) {
+            // Not awaited - recordAudit logs its own failures and shouldn't delay the request
+            recordAudit({
+                req,
+                action: event,
+                metadata: { route: `${req.method} ${req.originalUrl}` }
+            });
+        }
         
         next();
     };
@@ -220,20 +389,24 @@ const logAuthEvent = (event) => {
 
 /**
  * Helper function to generate a middleware stack for protected admin routes
- * @param {string} requiredRole - Required role ('admin', 'super_admin', or array)
+ * @param {string|Array|null} requiredRole - Required role ('admin', 'super_admin', or array);
+ *   null admits any signed-in staff role and leaves access to per-route requirePermission checks
  * @returns {Array} Array of middleware functions
  */
 const protectAdminRoute = (requiredRole = ['admin', 'super_admin']) => {
     return [
         authenticateToken,
-        requireRole(requiredRole),
-        logAuthEvent('admin_route_access')
+        ...(requiredRole ? [requireRole(requiredRole)] : []),
+        logAuthEvent('admin_route_access', { persist: false })
     ];
 };
 
 module.exports = {
     authenticateToken,
+    authenticateTokenAllowPendingTwoFactor,
+    isTwoFactorRequiredForRole,
     requireRole,
+    requirePermission,
     requireAdmin,
     requireSuperAdmin,
     optionalAuth,
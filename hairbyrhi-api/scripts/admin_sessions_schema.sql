@@ -0,0 +1,29 @@
+-- Server-side session tracking for admin JWTs
+-- Run after admin_users_schema.sql
+
+CREATE TABLE IF NOT EXISTS admin_sessions (
+    id SERIAL PRIMARY KEY,
+    jti VARCHAR(64) UNIQUE NOT NULL,
+    user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    user_agent TEXT,
+    ip_address VARCHAR(64),
+    remember_me BOOLEAN DEFAULT false,
+    mfa_completed BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_user_id ON admin_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_expires_at ON admin_sessions(expires_at);
+
+COMMENT ON TABLE admin_sessions IS 'One row per issued admin JWT, used to list and revoke sessions';
+COMMENT ON COLUMN admin_sessions.jti IS 'JWT ID (jti claim) of the session token';
+COMMENT ON COLUMN admin_sessions.user_agent IS 'User-Agent of the device that signed in';
+COMMENT ON COLUMN admin_sessions.ip_address IS 'IP address last seen for this session';
+COMMENT ON COLUMN admin_sessions.last_seen_at IS 'Last time the token was used (updated at most once a minute)';
+COMMENT ON COLUMN admin_sessions.expires_at IS 'When the current token for this session expires';
+COMMENT ON COLUMN admin_sessions.revoked_at IS 'When the session was revoked (if revoked)';
+COMMENT ON COLUMN admin_sessions.revoked_reason IS 'Why the session was revoked (logout, revoked_by_user, password_changed, account_deactivated)';
@@ -0,0 +1,27 @@
+-- Two-factor authentication (TOTP) for admin users
+-- Run after admin_users_schema.sql
+
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT false;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
+COMMENT ON COLUMN admin_users.totp_secret IS 'Base32 TOTP secret (set during enrollment, active once totp_enabled is true)';
+COMMENT ON COLUMN admin_users.totp_enabled IS 'Whether the user has completed TOTP enrollment';
+COMMENT ON COLUMN admin_users.totp_enabled_at IS 'When TOTP enrollment was completed';
+COMMENT ON COLUMN admin_users.totp_last_used_step IS 'Last accepted TOTP time step, used to reject replayed codes';
+
+-- Single-use recovery codes for when the authenticator device is unavailable
+CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(255) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_recovery_codes_user_id ON admin_recovery_codes(user_id);
+
+COMMENT ON TABLE admin_recovery_codes IS 'Single-use two-factor recovery codes for admin users';
+COMMENT ON COLUMN admin_recovery_codes.code_hash IS 'SHA-256 hash of the recovery code';
+COMMENT ON COLUMN admin_recovery_codes.used_at IS 'When the code was redeemed (if redeemed)';
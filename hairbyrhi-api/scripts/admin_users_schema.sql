@@ -42,14 +42,14 @@ COMMENT ON COLUMN admin_users.email IS 'Unique email address for login';
 COMMENT ON COLUMN admin_users.password_hash IS 'Bcrypt hashed password';
 COMMENT ON COLUMN admin_users.first_name IS 'Admin user first name';
 COMMENT ON COLUMN admin_users.last_name IS 'Admin user last name';
-COMMENT ON COLUMN admin_users.role IS 'User role (admin, super_admin, etc.)';
+COMMENT ON COLUMN admin_users.role IS 'User role (admin, super_admin, front_desk, assistant - see roles table)';
 COMMENT ON COLUMN admin_users.is_active IS 'Whether the user account is active';
 COMMENT ON COLUMN admin_users.failed_login_attempts IS 'Counter for failed login attempts';
 COMMENT ON COLUMN admin_users.locked_until IS 'Timestamp until which account is locked';
 COMMENT ON COLUMN admin_users.last_login_at IS 'Timestamp of last successful login';
 COMMENT ON COLUMN admin_users.password_changed_at IS 'Timestamp when password was last changed';
 
--- Create password reset tokens table for future use
+-- Create password reset tokens table
 CREATE TABLE IF NOT EXISTS password_reset_tokens (
     id SERIAL PRIMARY KEY,
     user_id INTEGER REFERENCES admin_users(id) ON DELETE CASCADE,
@@ -62,9 +62,10 @@ CREATE TABLE IF NOT EXISTS password_reset_tokens (
 -- Index for password reset tokens
 CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
 CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_expires_at ON password_reset_tokens(expires_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_password_reset_tokens_token_hash ON password_reset_tokens(token_hash);
 
 COMMENT ON TABLE password_reset_tokens IS 'Tokens for password reset functionality';
-COMMENT ON COLUMN password_reset_tokens.token_hash IS 'Hashed reset token';
+COMMENT ON COLUMN password_reset_tokens.token_hash IS 'SHA-256 hash of the reset token (raw token is only ever emailed)';
 COMMENT ON COLUMN password_reset_tokens.expires_at IS 'When the token expires';
 COMMENT ON COLUMN password_reset_tokens.used_at IS 'When the token was used (if used)';
 
@@ -0,0 +1,40 @@
+-- Customer self-service cancellation and rescheduling
+-- Run after reschedule_proposals_schema.sql
+
+ALTER TABLE appointments
+    ADD COLUMN IF NOT EXISTS manage_token_hash VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS reschedule_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS cancelled_by VARCHAR(20);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appointments_manage_token
+    ON appointments(manage_token_hash) WHERE manage_token_hash IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS appointment_changes (
+    id SERIAL PRIMARY KEY,
+    appointment_id INTEGER NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+    change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('cancelled', 'rescheduled')),
+    changed_by VARCHAR(20) NOT NULL CHECK (changed_by IN ('customer', 'admin')),
+    admin_user_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    previous_datetime TIMESTAMP NOT NULL,
+    new_datetime TIMESTAMP,
+    hours_notice NUMERIC(8, 2) NOT NULL,
+    cutoff_hours INTEGER NOT NULL,
+    within_fee_window BOOLEAN NOT NULL,
+    is_same_day BOOLEAN NOT NULL DEFAULT false,
+    reschedule_number INTEGER,
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_changes_appointment_id ON appointment_changes(appointment_id);
+
+COMMENT ON COLUMN appointments.manage_token_hash IS 'SHA-256 of the token in the customer''s manage-appointment link';
+COMMENT ON COLUMN appointments.reschedule_count IS 'Times the appointment has been moved (policy: max 2)';
+COMMENT ON COLUMN appointments.cancelled_by IS 'customer or admin';
+COMMENT ON TABLE appointment_changes IS 'Every cancellation and reschedule, with the notice given - the input to fee calculation';
+COMMENT ON COLUMN appointment_changes.hours_notice IS 'Hours between the change and the original start time';
+COMMENT ON COLUMN appointment_changes.cutoff_hours IS 'The service''s cancellation_hours or reschedule_hours at the time of the change';
+COMMENT ON COLUMN appointment_changes.within_fee_window IS 'True when less notice than cutoff_hours was given';
+COMMENT ON COLUMN appointment_changes.is_same_day IS 'Change made on the salon-local day of the appointment';
+COMMENT ON COLUMN appointment_changes.reschedule_number IS '1 for the first reschedule, 2 for the second';
@@ -0,0 +1,32 @@
+-- Appointment lifecycle: check-in, start, completion and outcome
+-- Run after appointment_series_schema.sql
+
+ALTER TABLE appointments
+    ADD COLUMN IF NOT EXISTS checked_in_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS actual_start_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS actual_end_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS charged_amount NUMERIC(10, 2),
+    ADD COLUMN IF NOT EXISTS outcome_notes TEXT,
+    ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS status_updated_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL;
+
+-- Replace any earlier status check with the full set of lifecycle states
+ALTER TABLE appointments DROP CONSTRAINT IF EXISTS appointments_status_check;
+ALTER TABLE appointments ADD CONSTRAINT appointments_status_check
+    CHECK (status IN ('scheduled', 'checked_in', 'in_progress', 'completed', 'no_show', 'cancelled'));
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'appointments_actual_times_check') THEN
+        ALTER TABLE appointments ADD CONSTRAINT appointments_actual_times_check
+            CHECK (actual_end_at IS NULL OR actual_start_at IS NULL OR actual_end_at >= actual_start_at);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_status_scheduled ON appointments(status, scheduled_datetime);
+
+COMMENT ON COLUMN appointments.status IS 'scheduled -> checked_in -> in_progress -> completed, or no_show / cancelled (see src/utils/appointmentLifecycle.js)';
+COMMENT ON COLUMN appointments.actual_start_at IS 'When the service actually began';
+COMMENT ON COLUMN appointments.actual_end_at IS 'When the service actually finished';
+COMMENT ON COLUMN appointments.charged_amount IS 'Final amount charged for the services at completion (fees are in fee_ledger)';
+COMMENT ON COLUMN appointments.status_updated_by IS 'Admin who made the last lifecycle change';
@@ -0,0 +1,29 @@
+-- Recurring appointment series
+-- Run after multi_service_schema.sql
+
+CREATE TABLE IF NOT EXISTS appointment_series (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id),
+    origin_appointment_id INTEGER NOT NULL REFERENCES appointments(id),
+    interval_weeks INTEGER NOT NULL CHECK (interval_weeks BETWEEN 1 AND 26),
+    occurrence_count INTEGER CHECK (occurrence_count >= 1),
+    end_date DATE,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+    created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (occurrence_count IS NOT NULL OR end_date IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appointment_series_origin ON appointment_series(origin_appointment_id);
+
+ALTER TABLE appointments
+    ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES appointment_series(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS series_position INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_series_id ON appointments(series_id) WHERE series_id IS NOT NULL;
+
+COMMENT ON TABLE appointment_series IS 'A confirmed appointment repeated every interval_weeks at the same local time';
+COMMENT ON COLUMN appointment_series.occurrence_count IS 'Follow-up appointments requested (not counting the original)';
+COMMENT ON COLUMN appointment_series.end_date IS 'Last local date an occurrence may fall on';
+COMMENT ON COLUMN appointments.series_position IS '0 for the appointment the series was created from, then 1, 2, ...';
@@ -0,0 +1,32 @@
+-- Persistent audit log of admin actions and authentication events
+-- Run after admin_users_schema.sql
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    actor_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    actor_email VARCHAR(255),
+    action VARCHAR(100) NOT NULL,
+    entity_type VARCHAR(50),
+    entity_id VARCHAR(64),
+    before_data JSONB,
+    after_data JSONB,
+    metadata JSONB,
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+
+COMMENT ON TABLE audit_log IS 'Who did what and when - admin mutations and authentication events';
+COMMENT ON COLUMN audit_log.actor_id IS 'Admin user who performed the action (null for anonymous events such as failed logins)';
+COMMENT ON COLUMN audit_log.actor_email IS 'Email of the actor at the time (kept if the user is later deleted)';
+COMMENT ON COLUMN audit_log.action IS 'Action name, e.g. login_success, request_approved, admin_user_deactivated';
+COMMENT ON COLUMN audit_log.entity_type IS 'Type of record affected, e.g. appointment_request, admin_user, session';
+COMMENT ON COLUMN audit_log.entity_id IS 'ID of the record affected';
+COMMENT ON COLUMN audit_log.before_data IS 'Snapshot of the record before the change';
+COMMENT ON COLUMN audit_log.after_data IS 'Snapshot of the record after the change';
+COMMENT ON COLUMN audit_log.metadata IS 'Additional context (reason, failure counts, etc.)';
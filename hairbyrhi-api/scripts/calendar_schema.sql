@@ -0,0 +1,83 @@
+-- iCalendar files and the subscribable schedule feed
+-- Run after notifications_schema.sql
+--
+-- Calendar apps match events by UID and take the highest SEQUENCE as the latest version,
+-- so appointments and blocked time carry a sequence the triggers below bump whenever
+-- anything shown in the calendar changes.
+
+ALTER TABLE appointments
+    ADD COLUMN IF NOT EXISTS ical_sequence INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE blocked_times
+    ADD COLUMN IF NOT EXISTS ical_sequence INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN appointments.ical_sequence IS 'iCalendar SEQUENCE - bumped when the time, duration or status changes';
+COMMENT ON COLUMN blocked_times.ical_sequence IS 'iCalendar SEQUENCE - bumped when the time, reason or deletion changes';
+
+CREATE OR REPLACE FUNCTION bump_appointment_ical_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.scheduled_datetime IS DISTINCT FROM OLD.scheduled_datetime
+        OR NEW.duration_minutes IS DISTINCT FROM OLD.duration_minutes
+        OR NEW.status IS DISTINCT FROM OLD.status
+        OR NEW.deleted_at IS DISTINCT FROM OLD.deleted_at THEN
+        NEW.ical_sequence = OLD.ical_sequence + 1;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS bump_appointments_ical_sequence ON appointments;
+CREATE TRIGGER bump_appointments_ical_sequence
+    BEFORE UPDATE ON appointments
+    FOR EACH ROW
+    EXECUTE FUNCTION bump_appointment_ical_sequence();
+
+CREATE OR REPLACE FUNCTION bump_blocked_time_ical_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.starts_at IS DISTINCT FROM OLD.starts_at
+        OR NEW.ends_at IS DISTINCT FROM OLD.ends_at
+        OR NEW.reason IS DISTINCT FROM OLD.reason
+        OR NEW.deleted_at IS DISTINCT FROM OLD.deleted_at THEN
+        NEW.ical_sequence = OLD.ical_sequence + 1;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS bump_blocked_times_ical_sequence ON blocked_times;
+CREATE TRIGGER bump_blocked_times_ical_sequence
+    BEFORE UPDATE ON blocked_times
+    FOR EACH ROW
+    EXECUTE FUNCTION bump_blocked_time_ical_sequence();
+
+-- Secret feed URLs (only the token hash is stored)
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    last_accessed_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE calendar_feeds IS 'Subscribable iCalendar feeds of upcoming appointments and blocked time - the URL is the credential';
+COMMENT ON COLUMN calendar_feeds.name IS 'Label to tell feeds apart, e.g. "Rhiannon''s phone"';
+
+-- Email attachments (the confirmation .ics)
+ALTER TABLE email_outbox
+    ADD COLUMN IF NOT EXISTS attachments JSONB;
+
+COMMENT ON COLUMN email_outbox.attachments IS '[{ filename, content_type, content }] - text content, e.g. an .ics file';
+
+-- Permissions
+INSERT INTO permissions (name, description) VALUES
+    ('calendar:manage', 'Create and revoke calendar feed URLs')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_name, permission_name) VALUES
+    ('super_admin', 'calendar:manage'),
+    ('admin', 'calendar:manage')
+ON CONFLICT DO NOTHING;
@@ -168,13 +168,16 @@ const setupAdminUser = async () => {
         console.log('\nAvailable roles:');
         console.log('1. admin (standard admin access)');
         console.log('2. super_admin (full system access)');
+        console.log('3. front_desk (view and approve requests, no data export)');
+        console.log('4. assistant (read-only access)');
         
+        const roleChoices = { '1': 'admin', '2': 'super_admin', '3': 'front_desk', '4': 'assistant' };
         let roleChoice;
         do {
-            roleChoice = await askQuestion('Select role (1 or 2): ');
-        } while (roleChoice !== '1' && roleChoice !== '2');
+            roleChoice = await askQuestion('Select role (1-4): ');
+        } while (!roleChoices[roleChoice]);
         
-        const role = roleChoice === '1' ? 'admin' : 'super_admin';
+        const role = roleChoices[roleChoice];
         
         // Confirm details
         console.log('\n📋 User Details Summary:');
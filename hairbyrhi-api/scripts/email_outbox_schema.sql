@@ -0,0 +1,53 @@
+-- Outbox for customer emails
+-- Run after job_queue_schema.sql
+--
+-- Emails are rendered and written here in the same transaction as the change they
+-- describe, then sent by a deliver_email job (scripts/job_queue_schema.sql).
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id BIGSERIAL PRIMARY KEY,
+    template VARCHAR(100) NOT NULL,
+    to_address VARCHAR(255) NOT NULL,
+    subject VARCHAR(500) NOT NULL,
+    text_body TEXT NOT NULL,
+    html_body TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    transport VARCHAR(50),
+    provider_message_id VARCHAR(255),
+    customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+    entity_type VARCHAR(50),
+    entity_id VARCHAR(64),
+    job_id BIGINT REFERENCES jobs(id) ON DELETE SET NULL,
+    resent_from_id BIGINT REFERENCES email_outbox(id) ON DELETE SET NULL,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_status ON email_outbox(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_entity ON email_outbox(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_customer_id ON email_outbox(customer_id);
+
+COMMENT ON TABLE email_outbox IS 'Rendered customer emails, written with the change they describe and delivered by the job worker';
+COMMENT ON COLUMN email_outbox.template IS 'Template key in src/utils/emailTemplates.js';
+COMMENT ON COLUMN email_outbox.status IS 'pending (not sent yet), sent, failed (last attempt failed - see the job for retries)';
+COMMENT ON COLUMN email_outbox.entity_type IS 'What the email is about, e.g. appointment or appointment_request';
+COMMENT ON COLUMN email_outbox.job_id IS 'deliver_email job sending this message';
+COMMENT ON COLUMN email_outbox.resent_from_id IS 'Original message when an admin resent it';
+
+-- Permissions
+INSERT INTO permissions (name, description) VALUES
+    ('emails:read', 'View customer emails and their delivery status'),
+    ('emails:manage', 'Resend customer emails')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_name, permission_name) VALUES
+    ('super_admin', 'emails:read'),
+    ('super_admin', 'emails:manage'),
+    ('admin', 'emails:read'),
+    ('admin', 'emails:manage'),
+    ('front_desk', 'emails:read')
+ON CONFLICT DO NOTHING;
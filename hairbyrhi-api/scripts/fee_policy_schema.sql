@@ -0,0 +1,77 @@
+-- Cancellation, reschedule and no-show fees
+-- Run after appointment_changes_schema.sql
+
+CREATE TABLE IF NOT EXISTS fee_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('cancellation', 'reschedule', 'no_show')),
+    timing VARCHAR(20) NOT NULL DEFAULT 'any' CHECK (timing IN ('any', 'advance', 'late', 'same_day')),
+    min_reschedule_number INTEGER,
+    percent_of_price NUMERIC(5, 2) NOT NULL DEFAULT 0 CHECK (percent_of_price BETWEEN 0 AND 100),
+    flat_amount NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (flat_amount >= 0),
+    priority INTEGER NOT NULL DEFAULT 100,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS fee_ledger (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id),
+    appointment_id INTEGER REFERENCES appointments(id) ON DELETE SET NULL,
+    appointment_change_id INTEGER REFERENCES appointment_changes(id) ON DELETE SET NULL,
+    fee_rule_id INTEGER REFERENCES fee_rules(id) ON DELETE SET NULL,
+    entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('charge', 'payment', 'waiver', 'adjustment')),
+    amount NUMERIC(10, 2) NOT NULL,
+    description TEXT,
+    created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (
+        (entry_type = 'charge' AND amount > 0)
+        OR (entry_type IN ('payment', 'waiver') AND amount < 0)
+        OR entry_type = 'adjustment'
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_ledger_customer_id ON fee_ledger(customer_id);
+CREATE INDEX IF NOT EXISTS idx_fee_ledger_appointment_id ON fee_ledger(appointment_id);
+
+COMMENT ON TABLE fee_rules IS 'Fee policy - the active rule with the lowest priority that matches an event applies';
+COMMENT ON COLUMN fee_rules.timing IS 'advance = at least the service cutoff notice, late = inside the cutoff, same_day = on the salon-local day of the appointment, any = always';
+COMMENT ON COLUMN fee_rules.min_reschedule_number IS 'Reschedule rules only: match the Nth reschedule or later (null = any)';
+COMMENT ON COLUMN fee_rules.percent_of_price IS 'Percentage of the service price charged';
+COMMENT ON COLUMN fee_rules.flat_amount IS 'Fixed amount added to the percentage';
+COMMENT ON TABLE fee_ledger IS 'Customer balance entries - charges are positive, payments and waivers negative; the balance is the sum';
+
+-- Seed the published policy (policies.html)
+INSERT INTO fee_rules (name, event_type, timing, min_reschedule_number, percent_of_price, flat_amount, priority)
+SELECT name, event_type, timing, min_reschedule_number, percent_of_price, flat_amount, priority
+FROM (VALUES
+    ('No-show', 'no_show', 'any', NULL::integer, 100.00, 0.00, 10),
+    ('Same-day cancellation', 'cancellation', 'same_day', NULL, 75.00, 0.00, 10),
+    ('Cancellation with under 24 hours notice', 'cancellation', 'late', NULL, 50.00, 0.00, 20),
+    ('Cancellation with 24+ hours notice', 'cancellation', 'advance', NULL, 0.00, 0.00, 30),
+    ('Same-day reschedule (treated as cancellation)', 'reschedule', 'same_day', NULL, 75.00, 0.00, 10),
+    ('Reschedule with under 24 hours notice', 'reschedule', 'late', NULL, 50.00, 0.00, 20),
+    ('Additional reschedule', 'reschedule', 'advance', 2, 0.00, 25.00, 30),
+    ('First reschedule', 'reschedule', 'advance', NULL, 0.00, 0.00, 40)
+) AS defaults(name, event_type, timing, min_reschedule_number, percent_of_price, flat_amount, priority)
+WHERE NOT EXISTS (SELECT 1 FROM fee_rules);
+
+-- Permissions
+INSERT INTO permissions (name, description) VALUES
+    ('fees:read', 'View fee rules, customer balances and ledgers'),
+    ('fees:manage', 'Edit fee rules and record payments or waivers'),
+    ('appointments:manage', 'Update appointments (mark no-show, etc.)')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_name, permission_name) VALUES
+    ('super_admin', 'fees:read'),
+    ('super_admin', 'fees:manage'),
+    ('super_admin', 'appointments:manage'),
+    ('admin', 'fees:read'),
+    ('admin', 'fees:manage'),
+    ('admin', 'appointments:manage'),
+    ('front_desk', 'fees:read'),
+    ('front_desk', 'appointments:manage')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,61 @@
+-- Background job queue and recurring job schedules
+-- Run after request_expiry_schema.sql
+
+CREATE TABLE IF NOT EXISTS jobs (
+    id BIGSERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'completed', 'dead')),
+    run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5 CHECK (max_attempts >= 1),
+    dedupe_key VARCHAR(200),
+    last_error TEXT,
+    result JSONB,
+    locked_at TIMESTAMP,
+    locked_by VARCHAR(100),
+    completed_at TIMESTAMP,
+    dead_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(run_at, id) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_jobs_running ON jobs(locked_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_jobs_status_name ON jobs(status, name);
+
+-- At most one outstanding job per dedupe key
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedupe_key
+    ON jobs(dedupe_key) WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'running');
+
+CREATE TABLE IF NOT EXISTS recurring_jobs (
+    name VARCHAR(100) PRIMARY KEY,
+    interval_minutes INTEGER NOT NULL CHECK (interval_minutes > 0),
+    payload JSONB NOT NULL DEFAULT '{}',
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    next_run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_enqueued_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE jobs IS 'Work run by the job worker outside a request (src/utils/jobQueue.js)';
+COMMENT ON COLUMN jobs.name IS 'Handler name registered in src/utils/jobs.js';
+COMMENT ON COLUMN jobs.status IS 'queued (waiting for run_at, including retries), running, completed, dead (out of attempts - retry from the admin API)';
+COMMENT ON COLUMN jobs.run_at IS 'Earliest time the job may run; pushed back with exponential backoff after a failure';
+COMMENT ON COLUMN jobs.dedupe_key IS 'Enqueueing is skipped while another queued or running job has the same key';
+COMMENT ON COLUMN jobs.locked_by IS 'Worker that claimed the job; running jobs with an old locked_at are reclaimed';
+COMMENT ON TABLE recurring_jobs IS 'Jobs the worker enqueues every interval_minutes; rows are kept in step with RECURRING_JOBS in src/utils/jobs.js';
+
+-- Permissions
+INSERT INTO permissions (name, description) VALUES
+    ('jobs:read', 'View background jobs and recurring schedules'),
+    ('jobs:manage', 'Retry dead background jobs')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_name, permission_name) VALUES
+    ('super_admin', 'jobs:read'),
+    ('super_admin', 'jobs:manage'),
+    ('admin', 'jobs:read')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,43 @@
+-- Requests and appointments covering several services
+-- Run after waitlist_schema.sql
+
+CREATE TABLE IF NOT EXISTS request_services (
+    id SERIAL PRIMARY KEY,
+    request_id INTEGER NOT NULL REFERENCES appointment_requests(id) ON DELETE CASCADE,
+    service_id INTEGER NOT NULL REFERENCES services(id),
+    position INTEGER NOT NULL CHECK (position >= 1),
+    duration_minutes INTEGER NOT NULL,
+    price NUMERIC(10, 2),
+    UNIQUE (request_id, position),
+    UNIQUE (request_id, service_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_request_services_service_id ON request_services(service_id);
+
+ALTER TABLE appointment_requests ADD COLUMN IF NOT EXISTS total_duration_minutes INTEGER;
+ALTER TABLE appointment_requests ADD COLUMN IF NOT EXISTS total_price NUMERIC(10, 2);
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS total_price NUMERIC(10, 2);
+
+-- Existing requests become single-service selections
+INSERT INTO request_services (request_id, service_id, position, duration_minutes, price)
+SELECT ar.id, ar.service_id, 1, s.duration_minutes, s.price
+FROM appointment_requests ar
+JOIN services s ON ar.service_id = s.id
+WHERE NOT EXISTS (SELECT 1 FROM request_services rs WHERE rs.request_id = ar.id);
+
+UPDATE appointment_requests ar
+SET total_duration_minutes = s.duration_minutes,
+    total_price = s.price
+FROM services s
+WHERE ar.service_id = s.id AND ar.total_duration_minutes IS NULL;
+
+UPDATE appointments a
+SET total_price = s.price
+FROM services s
+WHERE a.service_id = s.id AND a.total_price IS NULL;
+
+COMMENT ON TABLE request_services IS 'Ordered services on a request; duration and price are as quoted when the request was made';
+COMMENT ON COLUMN appointment_requests.service_id IS 'First service in request_services (kept for older queries)';
+COMMENT ON COLUMN appointment_requests.total_duration_minutes IS 'Sum of request_services.duration_minutes';
+COMMENT ON COLUMN appointment_requests.total_price IS 'Sum of request_services.price';
+COMMENT ON COLUMN appointments.total_price IS 'Combined price of the services booked (see request_services via request_id)';
@@ -0,0 +1,87 @@
+-- SMS, customer notification preferences and appointment reminders
+-- Run after email_outbox_schema.sql
+--
+-- Texts go through an outbox like emails (scripts/email_outbox_schema.sql) and are sent
+-- by a deliver_sms job. Reminders are sent by the send_appointment_reminders job.
+
+ALTER TABLE customers
+    ADD COLUMN IF NOT EXISTS email_notifications BOOLEAN NOT NULL DEFAULT true,
+    ADD COLUMN IF NOT EXISTS sms_notifications BOOLEAN NOT NULL DEFAULT true,
+    ADD COLUMN IF NOT EXISTS sms_opted_out_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS notifications_updated_at TIMESTAMP;
+
+COMMENT ON COLUMN customers.email_notifications IS 'Customer wants emails (still used when no text can be sent)';
+COMMENT ON COLUMN customers.sms_notifications IS 'Customer wants text messages';
+COMMENT ON COLUMN customers.sms_opted_out_at IS 'Customer texted STOP - no texts until they text START';
+
+CREATE TABLE IF NOT EXISTS sms_outbox (
+    id BIGSERIAL PRIMARY KEY,
+    template VARCHAR(100) NOT NULL,
+    to_number VARCHAR(20) NOT NULL,
+    body TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'sent', 'failed', 'skipped')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    provider VARCHAR(50),
+    provider_message_id VARCHAR(255),
+    customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+    entity_type VARCHAR(50),
+    entity_id VARCHAR(64),
+    job_id BIGINT REFERENCES jobs(id) ON DELETE SET NULL,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sms_outbox_status ON sms_outbox(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_sms_outbox_customer_id ON sms_outbox(customer_id);
+
+COMMENT ON TABLE sms_outbox IS 'Text messages to customers, written with the change they describe and delivered by the job worker';
+COMMENT ON COLUMN sms_outbox.to_number IS 'E.164 number, e.g. +13305551234';
+COMMENT ON COLUMN sms_outbox.status IS 'pending, sent, failed (last attempt failed - see the job for retries), skipped (customer opted out before it went)';
+
+CREATE TABLE IF NOT EXISTS sms_inbound (
+    id BIGSERIAL PRIMARY KEY,
+    from_number VARCHAR(20) NOT NULL,
+    body TEXT NOT NULL,
+    keyword VARCHAR(20),
+    customer_ids INTEGER[] NOT NULL DEFAULT '{}',
+    provider VARCHAR(50),
+    provider_message_id VARCHAR(255),
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sms_inbound_received_at ON sms_inbound(received_at);
+
+COMMENT ON TABLE sms_inbound IS 'Texts customers sent to the salon number';
+COMMENT ON COLUMN sms_inbound.keyword IS 'stop, start or help when the text was a keyword';
+COMMENT ON COLUMN sms_inbound.customer_ids IS 'Customers with this phone number when it arrived';
+
+CREATE TABLE IF NOT EXISTS appointment_reminders (
+    id BIGSERIAL PRIMARY KEY,
+    appointment_id INTEGER NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+    offset_minutes INTEGER NOT NULL,
+    scheduled_datetime TIMESTAMP NOT NULL,
+    channels VARCHAR(20)[] NOT NULL DEFAULT '{}',
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (appointment_id, offset_minutes, scheduled_datetime)
+);
+
+COMMENT ON TABLE appointment_reminders IS 'Reminders already handled - one per appointment, offset and start time, so a rescheduled appointment is reminded again';
+COMMENT ON COLUMN appointment_reminders.channels IS 'Channels the reminder went out on (empty when it was covered by a shorter reminder)';
+
+-- Permissions
+INSERT INTO permissions (name, description) VALUES
+    ('notifications:read', 'View customer notification preferences and text messages'),
+    ('notifications:manage', 'Change customer notification preferences')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_name, permission_name) VALUES
+    ('super_admin', 'notifications:read'),
+    ('super_admin', 'notifications:manage'),
+    ('admin', 'notifications:read'),
+    ('admin', 'notifications:manage'),
+    ('front_desk', 'notifications:read'),
+    ('front_desk', 'notifications:manage')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,17 @@
+-- Expired and superseded appointment requests
+-- Run after service_segments_schema.sql
+--
+-- Adds the 'expired' request status: every preferred time passed while the request
+-- was still pending. 'superseded' (the customer sent a newer request for the same
+-- services) was already allowed. If appointment_requests.status has a CHECK
+-- constraint, it must allow both values.
+
+ALTER TABLE appointment_requests
+    ADD COLUMN IF NOT EXISTS superseded_by_request_id INTEGER REFERENCES appointment_requests(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_appointment_requests_pending_customer
+    ON appointment_requests(customer_id, created_at) WHERE status = 'pending' AND deleted_at IS NULL;
+
+COMMENT ON COLUMN appointment_requests.superseded_by_request_id IS 'Newer request from the same customer for the same services that replaced this one (status = superseded)';
+COMMENT ON COLUMN appointment_requests.closed_at IS 'When the request was expired or superseded automatically';
@@ -0,0 +1,34 @@
+-- Admin-proposed times that the customer accepts or declines
+-- Run after schedule_schema.sql
+--
+-- Adds the 'awaiting_customer' request status: an admin has proposed a time and
+-- the customer has been emailed a link to respond. If appointment_requests.status
+-- has a CHECK constraint, it must allow this value.
+
+ALTER TABLE request_time_preferences
+    ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'customer',
+    ADD COLUMN IF NOT EXISTS proposed_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS withdrawn_at TIMESTAMP;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'chk_request_time_preferences_source'
+    ) THEN
+        ALTER TABLE request_time_preferences
+            ADD CONSTRAINT chk_request_time_preferences_source CHECK (source IN ('customer', 'admin'));
+    END IF;
+END $$;
+
+ALTER TABLE appointment_requests
+    ADD COLUMN IF NOT EXISTS response_token_hash VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS response_token_expires_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_appointment_requests_response_token
+    ON appointment_requests(response_token_hash) WHERE response_token_hash IS NOT NULL;
+
+COMMENT ON COLUMN request_time_preferences.source IS 'customer = requested by the customer, admin = counter-proposal from the salon';
+COMMENT ON COLUMN request_time_preferences.proposed_by IS 'Admin user who proposed the time (source = admin)';
+COMMENT ON COLUMN request_time_preferences.withdrawn_at IS 'Set when the preference no longer applies (proposal declined or replaced, customer sent new times)';
+COMMENT ON COLUMN appointment_requests.response_token_hash IS 'SHA-256 of the link token the customer uses to accept or decline a proposal';
+COMMENT ON COLUMN appointment_requests.response_token_expires_at IS 'When the proposal link stops working';
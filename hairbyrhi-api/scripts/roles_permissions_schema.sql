@@ -0,0 +1,80 @@
+-- Named permissions mapped to admin roles
+-- Run after admin_users_schema.sql
+
+CREATE TABLE IF NOT EXISTS roles (
+    name VARCHAR(50) PRIMARY KEY,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS permissions (
+    name VARCHAR(100) PRIMARY KEY,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_name VARCHAR(50) NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+    permission_name VARCHAR(100) NOT NULL REFERENCES permissions(name) ON DELETE CASCADE,
+    PRIMARY KEY (role_name, permission_name)
+);
+
+COMMENT ON TABLE roles IS 'Admin roles (admin_users.role references these)';
+COMMENT ON TABLE permissions IS 'Named permissions checked by requirePermission middleware';
+COMMENT ON TABLE role_permissions IS 'Which permissions each role grants';
+
+-- Seed roles
+INSERT INTO roles (name, description) VALUES
+    ('super_admin', 'Full system access including user management and audit log'),
+    ('admin', 'Manages requests, customers and exports'),
+    ('front_desk', 'Views and acts on appointment requests; cannot export data'),
+    ('assistant', 'Read-only access to requests and customers')
+ON CONFLICT (name) DO NOTHING;
+
+-- Seed permissions
+INSERT INTO permissions (name, description) VALUES
+    ('dashboard:read', 'View dashboard statistics'),
+    ('requests:read', 'View appointment requests'),
+    ('requests:approve', 'Approve appointment requests'),
+    ('requests:reschedule', 'Suggest new times for appointment requests'),
+    ('requests:cancel', 'Cancel appointment requests'),
+    ('customers:read', 'View customer contact details'),
+    ('data:export', 'Export scheduling data'),
+    ('admin_users:manage', 'Invite, edit and deactivate admin users'),
+    ('audit_log:read', 'View the audit log')
+ON CONFLICT (name) DO NOTHING;
+
+-- Seed role grants
+INSERT INTO role_permissions (role_name, permission_name)
+SELECT 'super_admin', name FROM permissions
+ON CONFLICT DO NOTHING;
+
+INSERT INTO role_permissions (role_name, permission_name) VALUES
+    ('admin', 'dashboard:read'),
+    ('admin', 'requests:read'),
+    ('admin', 'requests:approve'),
+    ('admin', 'requests:reschedule'),
+    ('admin', 'requests:cancel'),
+    ('admin', 'customers:read'),
+    ('admin', 'data:export'),
+    ('front_desk', 'dashboard:read'),
+    ('front_desk', 'requests:read'),
+    ('front_desk', 'requests:approve'),
+    ('front_desk', 'requests:reschedule'),
+    ('front_desk', 'requests:cancel'),
+    ('front_desk', 'customers:read'),
+    ('assistant', 'dashboard:read'),
+    ('assistant', 'requests:read'),
+    ('assistant', 'customers:read')
+ON CONFLICT DO NOTHING;
+
+-- Tie admin_users.role to the roles table
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'fk_admin_users_role'
+    ) THEN
+        ALTER TABLE admin_users
+            ADD CONSTRAINT fk_admin_users_role FOREIGN KEY (role) REFERENCES roles(name);
+    END IF;
+END $$;
@@ -0,0 +1,85 @@
+-- Working hours, date exceptions and blocked time
+-- Run after roles_permissions_schema.sql
+
+CREATE TABLE IF NOT EXISTS working_hours (
+    id SERIAL PRIMARY KEY,
+    weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (start_time < end_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_working_hours_weekday ON working_hours(weekday);
+
+CREATE TABLE IF NOT EXISTS schedule_exceptions (
+    id SERIAL PRIMARY KEY,
+    exception_date DATE NOT NULL,
+    is_closed BOOLEAN NOT NULL DEFAULT true,
+    start_time TIME,
+    end_time TIME,
+    reason VARCHAR(255),
+    created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP,
+    CHECK (
+        (is_closed AND start_time IS NULL AND end_time IS NULL)
+        OR (NOT is_closed AND start_time IS NOT NULL AND end_time IS NOT NULL AND start_time < end_time)
+    )
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_schedule_exceptions_date
+    ON schedule_exceptions(exception_date) WHERE deleted_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS blocked_times (
+    id SERIAL PRIMARY KEY,
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NOT NULL,
+    reason VARCHAR(255),
+    created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP,
+    CHECK (starts_at < ends_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_blocked_times_range ON blocked_times(starts_at, ends_at) WHERE deleted_at IS NULL;
+
+COMMENT ON TABLE working_hours IS 'Recurring weekly hours - a weekday may have several windows (split shifts); no rows means closed';
+COMMENT ON COLUMN working_hours.weekday IS '0 = Sunday ... 6 = Saturday';
+COMMENT ON COLUMN working_hours.start_time IS 'Salon-local opening time';
+COMMENT ON COLUMN working_hours.end_time IS 'Salon-local closing time (services must finish by then)';
+COMMENT ON TABLE schedule_exceptions IS 'Date-specific overrides of the weekly hours (holidays, closures, extended hours)';
+COMMENT ON COLUMN schedule_exceptions.is_closed IS 'True to close for the whole day; false to replace that day''s hours with start_time-end_time';
+COMMENT ON TABLE blocked_times IS 'Ad-hoc unavailable time within working hours (lunch, personal appointments)';
+
+-- Seed the weekly hours the salon has been using
+INSERT INTO working_hours (weekday, start_time, end_time)
+SELECT weekday, start_time, end_time
+FROM (VALUES
+    (1, TIME '10:00', TIME '19:00'),
+    (2, TIME '10:00', TIME '19:00'),
+    (3, TIME '10:00', TIME '19:00'),
+    (4, TIME '10:00', TIME '19:00'),
+    (5, TIME '10:00', TIME '17:00'),
+    (6, TIME '10:00', TIME '17:00')
+) AS defaults(weekday, start_time, end_time)
+WHERE NOT EXISTS (SELECT 1 FROM working_hours);
+
+-- Permissions
+INSERT INTO permissions (name, description) VALUES
+    ('schedule:read', 'View working hours, closures and blocked time'),
+    ('schedule:manage', 'Edit working hours, closures and blocked time')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_name, permission_name) VALUES
+    ('super_admin', 'schedule:read'),
+    ('super_admin', 'schedule:manage'),
+    ('admin', 'schedule:read'),
+    ('admin', 'schedule:manage'),
+    ('front_desk', 'schedule:read'),
+    ('front_desk', 'schedule:manage'),
+    ('assistant', 'schedule:read')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,17 @@
+-- Active and processing segments within a service
+-- Run after appointment_lifecycle_schema.sql
+
+CREATE TABLE IF NOT EXISTS service_segments (
+    id SERIAL PRIMARY KEY,
+    service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL CHECK (position >= 1),
+    segment_type VARCHAR(20) NOT NULL CHECK (segment_type IN ('active', 'processing')),
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+    UNIQUE (service_id, position)
+);
+
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS segments JSONB;
+
+COMMENT ON TABLE service_segments IS 'Ordered parts of a service; durations add up to services.duration_minutes. Services without rows are active throughout';
+COMMENT ON COLUMN service_segments.segment_type IS 'active = needs the stylist, processing = color developing (the stylist can work on someone else)';
+COMMENT ON COLUMN appointments.segments IS 'Segments of the booked services in order, as [{ "type", "duration_minutes" }] - null means active throughout';
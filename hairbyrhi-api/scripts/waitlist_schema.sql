@@ -0,0 +1,44 @@
+-- Waitlist and slot offers
+-- Run after fee_policy_schema.sql
+
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id),
+    service_id INTEGER NOT NULL REFERENCES services(id),
+    earliest_date DATE NOT NULL,
+    latest_date DATE NOT NULL,
+    notes TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting'
+        CHECK (status IN ('waiting', 'offered', 'booked', 'expired', 'cancelled')),
+    manage_token_hash VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (earliest_date <= latest_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_waiting
+    ON waitlist_entries(service_id, earliest_date, latest_date) WHERE status = 'waiting';
+
+CREATE TABLE IF NOT EXISTS waitlist_offers (
+    id SERIAL PRIMARY KEY,
+    entry_id INTEGER NOT NULL REFERENCES waitlist_entries(id) ON DELETE CASCADE,
+    slot_start TIMESTAMP NOT NULL,
+    duration_minutes INTEGER NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'claimed', 'declined', 'expired', 'withdrawn')),
+    expires_at TIMESTAMP NOT NULL,
+    appointment_id INTEGER REFERENCES appointments(id) ON DELETE SET NULL,
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_entry_id ON waitlist_offers(entry_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_pending ON waitlist_offers(expires_at) WHERE status = 'pending';
+
+COMMENT ON TABLE waitlist_entries IS 'Customers waiting for a service within a local date window, served in created_at order';
+COMMENT ON COLUMN waitlist_entries.status IS 'waiting, offered (an offer is out), booked, expired (window passed), cancelled (customer left)';
+COMMENT ON COLUMN waitlist_entries.manage_token_hash IS 'SHA-256 of the token the customer uses to leave the waitlist';
+COMMENT ON TABLE waitlist_offers IS 'A freed slot offered to one waitlisted customer at a time via a time-limited claim link';
+COMMENT ON COLUMN waitlist_offers.token_hash IS 'SHA-256 of the claim link token';
+COMMENT ON COLUMN waitlist_offers.status IS 'pending, claimed (appointment created), declined, expired, withdrawn (slot no longer available)';
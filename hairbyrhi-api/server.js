@@ -6,6 +6,9 @@ console.log('✅ App loaded successfully');
 const { testConnection } = require('./config/database');
 console.log('✅ Database config loaded successfully');
 
+const { startJobWorker } = require('./src/utils/jobQueue');
+const { RECURRING_JOBS } = require('./src/utils/jobs');
+
 require('dotenv').config();
 
 const PORT = process.env.PORT || 3000;
@@ -16,6 +19,12 @@ const startServer = async () => {
     console.log('🔄 Testing database connection...');
     await testConnection();
     
+    // Background jobs (audit log retention, waitlist and request sweeps, ...) run in
+    // this process unless a separate worker.js is used
+    if (process.env.RUN_JOB_WORKER !== 'false') {
+      startJobWorker({ recurring: RECURRING_JOBS });
+    }
+
     app.listen(PORT, () => {
       console.log(`🚀 Hair by Rhi API server running on port ${PORT}`);
       console.log(`📊 Environment: ${process.env.NODE_ENV}`);
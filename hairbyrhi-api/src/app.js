@@ -44,38 +44,24 @@ timestamp: new Date().toISOString()
  });
 });
 
-app.get('/api/export', async (req, res) => {
-  try {
-    const { queryMany } = require('./utils/database');
-    
-    const data = {
-      services: await queryMany('SELECT * FROM services ORDER BY id'),
-      customers: await queryMany('SELECT * FROM customers ORDER BY id'),
-      appointment_requests: await queryMany('SELECT * FROM appointment_requests ORDER BY id'),
-      request_time_preferences: await queryMany('SELECT * FROM request_time_preferences ORDER BY request_id, priority'),
-      appointments: await queryMany('SELECT * FROM appointments ORDER BY id'),
-      // Add other tables as needed
-      exported_at: new Date().toISOString(),
-      database_info: {
-        name: 'hairbyrhidb',
-        host: process.env.DB_HOST
-      }
-    };
-    
-    res.json(data);
-  } catch (error) {
-    console.error('Export error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to export database'
-    });
-  }
-});
-
 // API Routes
 console.log('🔍 Loading all routes...');
 app.use('/api/services', require('./routes/services'));
 app.use('/api/requests', require('./routes/requests'));
+app.use('/api/appointments', require('./routes/appointments'));
+app.use('/api/waitlist', require('./routes/waitlist'));
+app.use('/api/sms', require('./routes/sms'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/admin/users', require('./routes/adminUsers'));
+app.use('/api/admin/audit-log', require('./routes/auditLog'));
+app.use('/api/admin/schedule', require('./routes/schedule'));
+app.use('/api/admin/fees', require('./routes/fees'));
+app.use('/api/admin/series', require('./routes/series'));
+app.use('/api/admin/appointments', require('./routes/adminAppointments'));
+app.use('/api/admin/jobs', require('./routes/jobs'));
+app.use('/api/admin/emails', require('./routes/emails'));
+app.use('/api/admin/notifications', require('./routes/notifications'));
+app.use('/api/admin/calendar-feeds', require('./routes/calendarFeeds'));
 app.use('/api/admin', require('./routes/admin'));
 
 console.log('🔍 Mounting auth routes...');
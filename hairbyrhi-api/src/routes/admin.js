@@ -1,22 +1,65 @@
 const express = require('express');
 const router = express.Router();
 const Joi = require('joi');
+const { localDateTime } = require('../utils/schemas');
 const { queryOne, queryMany, beginTransaction, commitTransaction, rollbackTransaction } = require('../utils/database');
+const { protectAdminRoute, requirePermission } = require('../../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { lockSchedule } = require('../utils/availability');
+const { lockRequest, findSchedulingProblem, confirmRequest } = require('../utils/booking');
+const { requestServicesJoin, loadRequestServices, loadRequestSegments } = require('../utils/serviceSelection');
+const { generateCustomerToken } = require('../utils/customerTokens');
+const {
+  queueRescheduleProposalEmail,
+  queueAppointmentConfirmationEmail,
+  queueRequestCancelledEmail
+} = require('../utils/customerEmails');
+const { queueAppointmentConfirmationSms, queueRescheduleProposalSms } = require('../utils/customerSms');
+const { closeStaleRequests } = require('../utils/requestExpiry');
+const {
+  SALON_TIME_ZONE,
+  zonedTimeToUtc,
+  toLocalDateString,
+  toLocalIsoString,
+  withLocalTimes,
+  localDateSql,
+  addDays,
+  daysBetween
+} = require('../utils/time');
+const { REPORT_MAX_RANGE_DAYS } = require('../../config/salon');
+
+// Requests an admin can still approve or propose a new time for
+const OPEN_REQUEST_STATUSES = ['pending', 'awaiting_customer'];
+
+// How long the customer has to answer a proposed time
+const PROPOSAL_RESPONSE_EXPIRES_HOURS = parseInt(process.env.PROPOSAL_RESPONSE_EXPIRES_HOURS) || 72;
+
+// Days of upcoming appointments the dashboard summarises, starting today
+const DASHBOARD_UPCOMING_DAYS = 7;
+
+const reportQuerySchema = Joi.object({
+  from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('from must be a date in YYYY-MM-DD format'),
+  to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('to must be a date in YYYY-MM-DD format')
+});
+
+// Every admin endpoint requires a signed-in staff account; each route names the permission it needs
+router.use(protectAdminRoute(null));
 
 /**
  * GET /api/admin/requests
  * Get all appointment requests (with optional filtering)
+ * Permission: requests:read
  */
-router.get('/requests', async (req, res) => {
+router.get('/requests', requirePermission('requests:read'), async (req, res) => {
   try {
     const { status = 'pending', limit = 50, offset = 0 } = req.query;
 
     // Validate status parameter
-    const validStatuses = ['pending', 'confirmed', 'superseded', 'cancelled', 'all'];
+    const validStatuses = ['pending', 'awaiting_customer', 'confirmed', 'superseded', 'expired', 'cancelled', 'all'];
     if (!validStatuses.includes(status)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid status. Must be: pending, confirmed, superseded, cancelled, or all'
+        error: 'Invalid status. Must be: pending, awaiting_customer, confirmed, superseded, expired, cancelled, or all'
       });
     }
 
@@ -36,6 +79,9 @@ router.get('/requests', async (req, res) => {
         ar.status,
         ar.customer_notes,
         ar.admin_notes,
+        ar.response_token_expires_at,
+        ar.superseded_by_request_id,
+        ar.closed_at,
         ar.created_at,
         ar.updated_at,
         c.id as customer_id,
@@ -43,18 +89,21 @@ router.get('/requests', async (req, res) => {
         c.email as customer_email,
         c.phone as customer_phone,
         s.id as service_id,
-        s.name as service_name,
-        s.duration_minutes,
-        s.price,
-        s.max_concurrent
+        COALESCE(rs.service_names, s.name) as service_name,
+        COALESCE(ar.total_duration_minutes, s.duration_minutes) as duration_minutes,
+        COALESCE(ar.total_price, s.price) as price,
+        COALESCE(rs.max_concurrent, s.max_concurrent) as max_concurrent
       FROM appointment_requests ar
       JOIN customers c ON ar.customer_id = c.id
       JOIN services s ON ar.service_id = s.id
+      ${requestServicesJoin('ar.id')}
       ${whereClause}
       ORDER BY ar.created_at DESC
       LIMIT $${params.length + 1} OFFSET $${params.length + 2}
     `, [...params, limit, offset]);
 
+    const servicesByRequest = await loadRequestServices(requests.map(request => request.id));
+
     // Get time preferences for each request
     const requestsWithPreferences = await Promise.all(
       requests.map(async (request) => {
@@ -63,10 +112,13 @@ router.get('/requests', async (req, res) => {
             id,
             preferred_datetime,
             priority,
-            is_selected
+            is_selected,
+            source,
+            proposed_by,
+            withdrawn_at
           FROM request_time_preferences
           WHERE request_id = $1
-          ORDER BY priority ASC
+          ORDER BY withdrawn_at DESC NULLS FIRST, priority ASC
         `, [request.id]);
 
         return {
@@ -78,6 +130,7 @@ router.get('/requests', async (req, res) => {
             email: request.customer_email,
             phone: request.customer_phone
           },
+          // Combined totals for all the services below, done in order
           service: {
             id: request.service_id,
             name: request.service_name,
@@ -85,9 +138,13 @@ router.get('/requests', async (req, res) => {
             price: request.price,
             max_concurrent: request.max_concurrent
           },
-          preferred_times: preferences,
+          services: servicesByRequest.get(request.id),
+          preferred_times: preferences.map(preference => withLocalTimes(preference, ['preferred_datetime'])),
           notes: request.customer_notes,
           admin_notes: request.admin_notes,
+          proposal_expires_at: request.status === 'awaiting_customer' ? request.response_token_expires_at : null,
+          superseded_by_request_id: request.superseded_by_request_id,
+          closed_at: request.closed_at,
           submitted_at: request.created_at,
           updated_at: request.updated_at
         };
@@ -106,6 +163,7 @@ router.get('/requests', async (req, res) => {
     res.json({
       success: true,
       data: requestsWithPreferences,
+      time_zone: SALON_TIME_ZONE,
       pagination: {
         total: parseInt(countResult.total),
         limit: parseInt(limit),
@@ -123,28 +181,197 @@ router.get('/requests', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/waitlist
+ * Get waitlist entries in the order offers go out, with their offers
+ * Permission: requests:read
+ */
+router.get('/waitlist', requirePermission('requests:read'), async (req, res) => {
+  try {
+    const { status = 'active', service_id } = req.query;
+
+    const validStatuses = ['active', 'waiting', 'offered', 'booked', 'expired', 'cancelled', 'all'];
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status. Must be: active, waiting, offered, booked, expired, cancelled, or all'
+      });
+    }
+
+    if (service_id !== undefined && !/^\d+$/.test(service_id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid service ID'
+      });
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (status === 'active') {
+      conditions.push(`we.status IN ('waiting', 'offered')`);
+    } else if (status !== 'all') {
+      params.push(status);
+      conditions.push(`we.status = $${params.length}`);
+    }
+
+    if (service_id !== undefined) {
+      params.push(service_id);
+      conditions.push(`we.service_id = $${params.length}`);
+    }
+
+    const entries = await queryMany(`
+      SELECT
+        we.id,
+        we.status,
+        to_char(we.earliest_date, 'YYYY-MM-DD') as earliest_date,
+        to_char(we.latest_date, 'YYYY-MM-DD') as latest_date,
+        we.notes,
+        we.created_at,
+        we.updated_at,
+        c.id as customer_id,
+        c.name as customer_name,
+        c.email as customer_email,
+        c.phone as customer_phone,
+        s.id as service_id,
+        s.name as service_name,
+        COALESCE(
+          -- AT TIME ZONE 'UTC' so the JSON timestamps carry their offset
+          (SELECT json_agg(json_build_object(
+              'id', wo.id,
+              'slot_start', wo.slot_start AT TIME ZONE 'UTC',
+              'duration_minutes', wo.duration_minutes,
+              'status', wo.status,
+              'expires_at', wo.expires_at AT TIME ZONE 'UTC',
+              'appointment_id', wo.appointment_id,
+              'responded_at', wo.responded_at AT TIME ZONE 'UTC',
+              'created_at', wo.created_at AT TIME ZONE 'UTC'
+            ) ORDER BY wo.created_at DESC)
+           FROM waitlist_offers wo
+           WHERE wo.entry_id = we.id),
+          '[]'
+        ) as offers
+      FROM waitlist_entries we
+      JOIN customers c ON we.customer_id = c.id
+      JOIN services s ON we.service_id = s.id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY we.created_at ASC, we.id ASC
+    `, params);
+
+    res.json({
+      success: true,
+      data: entries.map(entry => ({
+        ...entry,
+        offers: entry.offers.map(offer => withLocalTimes(offer, ['slot_start', 'expires_at']))
+      })),
+      time_zone: SALON_TIME_ZONE,
+      count: entries.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch waitlist'
+    });
+  }
+});
+
 /**
  * GET /api/admin/dashboard
- * Get dashboard overview stats
+ * Get dashboard overview stats ("today" and upcoming days are salon-local dates)
+ * Permission: dashboard:read
  */
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', requirePermission('dashboard:read'), async (req, res) => {
   try {
-    const today = new Date().toISOString().split('T')[0];
+    const today = toLocalDateString(new Date());
+    const upcomingEnd = addDays(today, DASHBOARD_UPCOMING_DAYS);
+
+    const [counts, recentRequests, popularServices, appointmentDays] = await Promise.all([
+      queryOne(`
+        SELECT
+          (SELECT COUNT(*) FROM appointment_requests
+            WHERE status = 'pending' AND deleted_at IS NULL) as pending_requests,
+          (SELECT COUNT(*) FROM appointment_requests
+            WHERE deleted_at IS NULL) as total_requests,
+          (SELECT COUNT(*) FROM customers
+            WHERE deleted_at IS NULL) as total_customers
+      `),
+      queryMany(`
+        SELECT
+          ar.id as request_id,
+          ar.status,
+          ar.created_at as submitted_at,
+          c.name as customer_name,
+          COALESCE(rs.service_names, s.name) as service_name
+        FROM appointment_requests ar
+        JOIN customers c ON ar.customer_id = c.id
+        JOIN services s ON ar.service_id = s.id
+        ${requestServicesJoin('ar.id')}
+        WHERE ar.deleted_at IS NULL
+        ORDER BY ar.created_at DESC
+        LIMIT 5
+      `),
+      queryMany(`
+        SELECT s.id as service_id, s.name as service_name, COUNT(*) as request_count
+        FROM appointment_requests ar
+        JOIN request_services rs ON rs.request_id = ar.id
+        JOIN services s ON rs.service_id = s.id
+        WHERE ar.deleted_at IS NULL
+        GROUP BY s.id, s.name
+        ORDER BY request_count DESC
+        LIMIT 5
+      `),
+      queryMany(`
+        SELECT ${localDateSql('scheduled_datetime', 1)} as date, status, COUNT(*) as count
+        FROM appointments
+        WHERE deleted_at IS NULL
+          AND scheduled_datetime >= $2
+          AND scheduled_datetime < $3
+        GROUP BY 1, status
+      `, [SALON_TIME_ZONE, zonedTimeToUtc(today, 0), zonedTimeToUtc(upcomingEnd, 0)])
+    ]);
 
-    // Get various counts
-    const pendingCount = await queryOne(`
-      SELECT COUNT(*) as pending_requests
-      FROM appointment_requests 
-      WHERE status = 'pending' AND deleted_at IS NULL
-    `);
+    const upcomingDays = Array.from({ length: DASHBOARD_UPCOMING_DAYS }, (_, index) => {
+      const date = addDays(today, index);
+      const byStatus = {};
+      appointmentDays
+        .filter(row => row.date === date)
+        .forEach(row => {
+          byStatus[row.status] = parseInt(row.count);
+        });
+
+      return {
+        date,
+        appointments: Object.entries(byStatus)
+          .filter(([status]) => status !== 'cancelled')
+          .reduce((sum, [, count]) => sum + count, 0),
+        by_status: byStatus
+      };
+    });
 
     res.json({
       success: true,
       data: {
         stats: {
-          pending_requests: parseInt(pendingCount.pending_requests)
+          pending_requests: parseInt(counts.pending_requests),
+          total_requests: parseInt(counts.total_requests),
+          total_customers: parseInt(counts.total_customers)
         },
-        message: 'Dashboard data retrieved successfully'
+        today: upcomingDays[0],
+        upcoming_days: upcomingDays,
+        time_zone: SALON_TIME_ZONE,
+        recent_requests: recentRequests.map(request => withLocalTimes(request, ['submitted_at'])),
+        popular_services: popularServices.map(service => ({
+          ...service,
+          request_count: parseInt(service.request_count)
+        })),
+        user: {
+          name: req.user.fullName,
+          email: req.user.email,
+          role: req.user.role
+        },
+        last_updated: new Date().toISOString()
       }
     });
 
@@ -157,23 +384,147 @@ router.get('/dashboard', async (req, res) => {
   }
 });
 
-// Add this test PUT endpoint here
-router.put('/test', (req, res) => {
-  res.json({ message: 'PUT endpoint working' });
-});
+/**
+ * GET /api/admin/reports/daily?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Appointments, outcomes and takings per salon-local day (defaults to the last 30 days)
+ * Permission: dashboard:read
+ */
+router.get('/reports/daily', requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const { error, value } = reportQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const toDate = value.to || toLocalDateString(new Date());
+    const fromDate = value.from || addDays(toDate, -29);
+    const rangeDays = daysBetween(fromDate, toDate);
+
+    if (Number.isNaN(rangeDays) || rangeDays < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'to must be on or after from'
+      });
+    }
+
+    if (rangeDays >= REPORT_MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `Date range cannot exceed ${REPORT_MAX_RANGE_DAYS} days`
+      });
+    }
 
-console.log('📋 Admin router stack:');
-router.stack.forEach(layer => {
-  console.log(`  ${layer.route.stack[0].method.toUpperCase()} ${layer.route.path}`);
+    const params = [SALON_TIME_ZONE, zonedTimeToUtc(fromDate, 0), zonedTimeToUtc(addDays(toDate, 1), 0)];
+
+    const [appointmentRows, requestRows] = await Promise.all([
+      queryMany(`
+        SELECT
+          ${localDateSql('scheduled_datetime', 1)} as date,
+          COUNT(*) FILTER (WHERE status <> 'cancelled') as booked,
+          COUNT(*) FILTER (WHERE status = 'completed') as completed,
+          COUNT(*) FILTER (WHERE status = 'no_show') as no_shows,
+          COUNT(*) FILTER (WHERE status = 'cancelled') as cancelled,
+          COALESCE(SUM(charged_amount) FILTER (WHERE status = 'completed'), 0) as takings
+        FROM appointments
+        WHERE deleted_at IS NULL
+          AND scheduled_datetime >= $2
+          AND scheduled_datetime < $3
+        GROUP BY 1
+      `, params),
+      queryMany(`
+        SELECT ${localDateSql('created_at', 1)} as date, COUNT(*) as requests
+        FROM appointment_requests
+        WHERE deleted_at IS NULL
+          AND created_at >= $2
+          AND created_at < $3
+        GROUP BY 1
+      `, params)
+    ]);
+
+    const appointmentsByDate = new Map(appointmentRows.map(row => [row.date, row]));
+    const requestsByDate = new Map(requestRows.map(row => [row.date, parseInt(row.requests)]));
+
+    const days = Array.from({ length: rangeDays + 1 }, (_, index) => {
+      const date = addDays(fromDate, index);
+      const row = appointmentsByDate.get(date);
+
+      return {
+        date,
+        requests_submitted: requestsByDate.get(date) || 0,
+        appointments_booked: row ? parseInt(row.booked) : 0,
+        completed: row ? parseInt(row.completed) : 0,
+        no_shows: row ? parseInt(row.no_shows) : 0,
+        cancelled: row ? parseInt(row.cancelled) : 0,
+        takings: row ? parseFloat(row.takings).toFixed(2) : '0.00'
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        from: fromDate,
+        to: toDate,
+        time_zone: SALON_TIME_ZONE,
+        days
+      }
+    });
+
+  } catch (error) {
+    console.error('Error building daily report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build daily report'
+    });
+  }
 });
 
-module.exports = router;
+/**
+ * GET /api/admin/export
+ * Export the scheduling tables as JSON
+ * Permission: data:export
+ */
+router.get('/export', requirePermission('data:export'), async (req, res) => {
+  try {
+    const data = {
+      services: await queryMany('SELECT * FROM services ORDER BY id'),
+      customers: await queryMany('SELECT * FROM customers ORDER BY id'),
+      appointment_requests: await queryMany('SELECT * FROM appointment_requests ORDER BY id'),
+      request_time_preferences: await queryMany('SELECT * FROM request_time_preferences ORDER BY request_id, priority'),
+      appointments: await queryMany('SELECT * FROM appointments ORDER BY id'),
+      exported_at: new Date().toISOString(),
+      exported_by: req.user.email
+    };
+
+    await recordAudit({
+      req,
+      action: 'data_exported',
+      metadata: {
+        customers: data.customers.length,
+        appointment_requests: data.appointment_requests.length,
+        appointments: data.appointments.length
+      }
+    });
+
+    res.json(data);
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export database'
+    });
+  }
+});
 
 /**
  * PUT /api/admin/requests/:id/approve
  * Approve a request and create confirmed appointment
+ * Permission: requests:approve
  */
-router.put('/requests/:id/approve', async (req, res) => {
+router.put('/requests/:id/approve', requirePermission('requests:approve'), async (req, res) => {
   let client = null;
   
   try {
@@ -206,23 +557,9 @@ router.put('/requests/:id/approve', async (req, res) => {
     client = await beginTransaction();
 
     // Get the request details
-    const request = await client.query(`
-      SELECT 
-        ar.id,
-        ar.customer_id,
-        ar.service_id,
-        ar.status,
-        c.name as customer_name,
-        c.email as customer_email,
-        s.name as service_name,
-        s.duration_minutes
-      FROM appointment_requests ar
-      JOIN customers c ON ar.customer_id = c.id
-      JOIN services s ON ar.service_id = s.id
-      WHERE ar.id = $1 AND ar.deleted_at IS NULL
-    `, [id]);
+    const requestData = await lockRequest(client, id);
 
-    if (request.rows.length === 0) {
+    if (!requestData) {
       await rollbackTransaction(client);
       return res.status(404).json({
         success: false,
@@ -230,10 +567,8 @@ router.put('/requests/:id/approve', async (req, res) => {
       });
     }
 
-    const requestData = request.rows[0];
-
-    // Check if request is still pending
-    if (requestData.status !== 'pending') {
+    // A request awaiting the customer's answer can still be approved directly (e.g. they phoned in)
+    if (!OPEN_REQUEST_STATUSES.includes(requestData.status)) {
       await rollbackTransaction(client);
       return res.status(400).json({
         success: false,
@@ -243,9 +578,9 @@ router.put('/requests/:id/approve', async (req, res) => {
 
     // Get the selected time preference
     const preference = await client.query(`
-      SELECT preferred_datetime, priority
+      SELECT id, preferred_datetime, priority
       FROM request_time_preferences
-      WHERE id = $1 AND request_id = $2
+      WHERE id = $1 AND request_id = $2 AND withdrawn_at IS NULL
     `, [preference_id, id]);
 
     if (preference.rows.length === 0) {
@@ -257,66 +592,39 @@ router.put('/requests/:id/approve', async (req, res) => {
     }
 
     const selectedTime = preference.rows[0];
+    const approvalNotes = admin_notes || `Approved by ${req.user.fullName}`;
 
-    // Check for scheduling conflicts (basic check)
-    const conflictCheck = await client.query(`
-      SELECT id FROM appointments
-      WHERE scheduled_datetime = $1 
-        AND status IN ('scheduled', 'in_progress')
-        AND deleted_at IS NULL
-    `, [selectedTime.preferred_datetime]);
-
-    // For now, we'll allow conflicts since services might allow multiple concurrent appointments
-    // In a more advanced system, you'd check against service.max_concurrent
+    const { problem, appointment: newAppointment, manageToken } = await confirmRequest(client, requestData, selectedTime, approvalNotes);
 
-    // Mark the selected preference as chosen
-    await client.query(`
-      UPDATE request_time_preferences 
-      SET is_selected = true
-      WHERE id = $1
-    `, [preference_id]);
-
-    // Mark other preferences for this request as not selected
-    await client.query(`
-      UPDATE request_time_preferences 
-      SET is_selected = false
-      WHERE request_id = $1 AND id != $2
-    `, [id, preference_id]);
+    if (problem) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        ...problem
+      });
+    }
 
-    // Update the request status and add admin notes
-    await client.query(`
-      UPDATE appointment_requests 
-      SET status = 'confirmed', 
-          admin_notes = $2,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
-    `, [id, admin_notes || null]);
-
-    // Create the confirmed appointment
-    const appointmentResult = await client.query(`
-      INSERT INTO appointments (
-        request_id, 
-        preference_id, 
-        customer_id, 
-        service_id, 
-        scheduled_datetime, 
-        duration_minutes,
-        status
-      ) VALUES ($1, $2, $3, $4, $5, $6, 'scheduled')
-      RETURNING id, scheduled_datetime
-    `, [
-      id, 
-      preference_id, 
-      requestData.customer_id, 
-      requestData.service_id, 
-      selectedTime.preferred_datetime, 
-      requestData.duration_minutes
-    ]);
+    await recordAudit({
+      req,
+      action: 'request_approved',
+      entityType: 'appointment_request',
+      entityId: id,
+      before: { status: requestData.status, admin_notes: requestData.admin_notes },
+      after: {
+        status: 'confirmed',
+        admin_notes: approvalNotes,
+        preference_id,
+        appointment_id: newAppointment.id,
+        scheduled_datetime: newAppointment.scheduled_datetime
+      }
+    }, client);
 
-    const newAppointment = appointmentResult.rows[0];
+    await queueAppointmentConfirmationEmail(client, { ...requestData, ...newAppointment }, manageToken);
+    await queueAppointmentConfirmationSms(client, { ...requestData, ...newAppointment }, manageToken);
 
     // Commit transaction
     await commitTransaction(client);
+    client = null;
 
     res.json({
       success: true,
@@ -327,10 +635,12 @@ router.put('/requests/:id/approve', async (req, res) => {
         customer_name: requestData.customer_name,
         customer_email: requestData.customer_email,
         service_name: requestData.service_name,
-        scheduled_datetime: newAppointment.scheduled_datetime,
+        ...withLocalTimes({ scheduled_datetime: newAppointment.scheduled_datetime }, ['scheduled_datetime']),
+        time_zone: SALON_TIME_ZONE,
         duration_minutes: requestData.duration_minutes,
         status: 'scheduled',
-        admin_notes: admin_notes
+        admin_notes: admin_notes,
+        approved_by: req.user.fullName
       }
     });
 
@@ -349,20 +659,23 @@ router.put('/requests/:id/approve', async (req, res) => {
 
 /**
  * PUT /api/admin/requests/:id/reschedule
- * Suggest a different time for the appointment
+ * Propose a different time; the customer is emailed a link to accept or decline it
+ * Permission: requests:reschedule
  */
-router.put('/requests/:id/reschedule', async (req, res) => {
+router.put('/requests/:id/reschedule', requirePermission('requests:reschedule'), async (req, res) => {
+  let client = null;
+
   try {
     const { id } = req.params;
     const { suggested_datetime, admin_notes } = req.body;
 
     // Validation
     const rescheduleSchema = Joi.object({
-      suggested_datetime: Joi.date().min('now').required(),
+      suggested_datetime: localDateTime({ future: true }).required(),
       admin_notes: Joi.string().max(1000).allow('', null)
     });
 
-    const { error } = rescheduleSchema.validate({ suggested_datetime, admin_notes });
+    const { error, value } = rescheduleSchema.validate({ suggested_datetime, admin_notes });
     if (error) {
       return res.status(400).json({
         success: false,
@@ -378,62 +691,124 @@ router.put('/requests/:id/reschedule', async (req, res) => {
       });
     }
 
-    // Check if request exists and is pending
-    const request = await queryOne(`
-      SELECT 
-        ar.id,
-        ar.status,
-        ar.customer_id,
-        ar.service_id,
-        c.name as customer_name,
-        c.email as customer_email,
-        s.name as service_name
-      FROM appointment_requests ar
-      JOIN customers c ON ar.customer_id = c.id
-      JOIN services s ON ar.service_id = s.id
-      WHERE ar.id = $1 AND ar.deleted_at IS NULL
-    `, [id]);
+    client = await beginTransaction();
+
+    const request = await lockRequest(client, id);
 
     if (!request) {
+      await rollbackTransaction(client);
       return res.status(404).json({
         success: false,
         error: 'Request not found'
       });
     }
 
-    if (request.status !== 'pending') {
+    // Proposing again while awaiting the customer replaces the earlier proposal
+    if (!OPEN_REQUEST_STATUSES.includes(request.status)) {
+      await rollbackTransaction(client);
       return res.status(400).json({
         success: false,
         error: `Request is already ${request.status}`
       });
     }
 
-    // Update request with admin notes and suggested time
-    // For now, we'll just update the admin notes. In a more advanced system,
-    // you might create a new time preference or send this info via email
-    const updatedRequest = await queryOne(`
-      UPDATE appointment_requests 
-      SET admin_notes = $2,
+    // Don't offer a time that couldn't be booked right now
+    await lockSchedule(client);
+
+    const problem = await findSchedulingProblem(
+      client,
+      value.suggested_datetime,
+      request.duration_minutes,
+      request.max_concurrent,
+      { segments: await loadRequestSegments(client, request) }
+    );
+
+    if (problem) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        ...problem
+      });
+    }
+
+    await client.query(`
+      UPDATE request_time_preferences
+      SET withdrawn_at = CURRENT_TIMESTAMP
+      WHERE request_id = $1 AND source = 'admin' AND withdrawn_at IS NULL
+    `, [id]);
+
+    const proposalResult = await client.query(`
+      INSERT INTO request_time_preferences (request_id, preferred_datetime, priority, source, proposed_by)
+      VALUES ($1, $2, 1, 'admin', $3)
+      RETURNING id, preferred_datetime
+    `, [id, value.suggested_datetime, req.user.id]);
+
+    const proposal = proposalResult.rows[0];
+
+    // The link stops working at the proposed time if that comes before the normal expiry
+    const { token, tokenHash } = generateCustomerToken();
+    const expiresAt = new Date(Math.min(
+      Date.now() + PROPOSAL_RESPONSE_EXPIRES_HOURS * 3600000,
+      value.suggested_datetime.getTime()
+    ));
+
+    const updatedRequest = await client.query(`
+      UPDATE appointment_requests
+      SET status = 'awaiting_customer',
+          admin_notes = $2,
+          response_token_hash = $3,
+          response_token_expires_at = $4,
           updated_at = CURRENT_TIMESTAMP
       WHERE id = $1
       RETURNING admin_notes, updated_at
-    `, [id, `Suggested reschedule to ${suggested_datetime}. ${admin_notes || ''}`]);
+    `, [id, admin_notes || request.admin_notes, tokenHash, expiresAt]);
+
+    await recordAudit({
+      req,
+      action: 'request_reschedule_suggested',
+      entityType: 'appointment_request',
+      entityId: id,
+      before: { status: request.status, admin_notes: request.admin_notes },
+      after: {
+        status: 'awaiting_customer',
+        admin_notes: updatedRequest.rows[0].admin_notes,
+        preference_id: proposal.id,
+        suggested_datetime: proposal.preferred_datetime,
+        response_expires_at: expiresAt
+      }
+    }, client);
+
+    await queueRescheduleProposalEmail(client, request, proposal, token, expiresAt, admin_notes);
+    await queueRescheduleProposalSms(client, request, proposal, token);
+
+    await commitTransaction(client);
+    client = null;
 
     res.json({
       success: true,
-      message: 'Reschedule suggestion added',
+      message: 'Reschedule proposed to customer',
       data: {
         request_id: parseInt(id),
+        status: 'awaiting_customer',
         customer_name: request.customer_name,
         customer_email: request.customer_email,
         service_name: request.service_name,
-        suggested_datetime,
-        admin_notes: updatedRequest.admin_notes,
-        updated_at: updatedRequest.updated_at
+        proposal: {
+          preference_id: proposal.id,
+          suggested_datetime: proposal.preferred_datetime,
+          suggested_datetime_local: toLocalIsoString(proposal.preferred_datetime),
+          response_expires_at: expiresAt
+        },
+        admin_notes: updatedRequest.rows[0].admin_notes,
+        updated_at: updatedRequest.rows[0].updated_at
       }
     });
 
   } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
     console.error('Error processing reschedule:', error);
     res.status(500).json({
       success: false,
@@ -442,14 +817,41 @@ router.put('/requests/:id/reschedule', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/requests/close-stale
+ * Run the stale request sweep now (it also runs in the background) and report what changed
+ * Permission: requests:cancel
+ */
+router.post('/requests/close-stale', requirePermission('requests:cancel'), async (req, res) => {
+  try {
+    const { superseded, expired } = await closeStaleRequests({ req });
+
+    res.json({
+      success: true,
+      message: `${superseded.length} request(s) superseded, ${expired.length} expired`,
+      data: { superseded, expired }
+    });
+
+  } catch (error) {
+    console.error('Error closing stale requests:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to close stale requests'
+    });
+  }
+});
+
 /**
  * DELETE /api/admin/requests/:id
  * Reject/cancel a request
+ * Permission: requests:cancel
  */
-router.delete('/requests/:id', async (req, res) => {
+router.delete('/requests/:id', requirePermission('requests:cancel'), async (req, res) => {
+  let client = null;
+
   try {
     const { id } = req.params;
-    const { admin_notes } = req.body;
+    const { admin_notes, notify_customer = true } = req.body;
 
     if (!/^\d+$/.test(id)) {
       return res.status(400).json({
@@ -458,35 +860,49 @@ router.delete('/requests/:id', async (req, res) => {
       });
     }
 
+    client = await beginTransaction();
+
     // Check if request exists
-    const request = await queryOne(`
-      SELECT 
-        ar.id,
-        ar.status,
-        c.name as customer_name,
-        c.email as customer_email,
-        s.name as service_name
-      FROM appointment_requests ar
-      JOIN customers c ON ar.customer_id = c.id
-      JOIN services s ON ar.service_id = s.id
-      WHERE ar.id = $1 AND ar.deleted_at IS NULL
-    `, [id]);
+    const request = await lockRequest(client, id);
 
     if (!request) {
+      await rollbackTransaction(client);
       return res.status(404).json({
         success: false,
         error: 'Request not found'
       });
     }
 
+    const cancellationNotes = admin_notes || `Request cancelled by ${req.user.fullName}`;
+
     // Update request status to cancelled
-    await queryOne(`
+    await client.query(`
       UPDATE appointment_requests 
       SET status = 'cancelled',
           admin_notes = $2,
+          response_token_hash = NULL,
+          response_token_expires_at = NULL,
           updated_at = CURRENT_TIMESTAMP
       WHERE id = $1
-    `, [id, admin_notes || 'Request cancelled by admin']);
+    `, [id, cancellationNotes]);
+
+    await recordAudit({
+      req,
+      action: 'request_cancelled',
+      entityType: 'appointment_request',
+      entityId: id,
+      before: { status: request.status, admin_notes: request.admin_notes },
+      after: { status: 'cancelled', admin_notes: cancellationNotes }
+    }, client);
+
+    // Only tell the customer when their request was still open
+    const customerNotified = notify_customer !== false && OPEN_REQUEST_STATUSES.includes(request.status);
+    if (customerNotified) {
+      await queueRequestCancelledEmail(client, request);
+    }
+
+    await commitTransaction(client);
+    client = null;
 
     res.json({
       success: true,
@@ -494,15 +910,22 @@ router.delete('/requests/:id', async (req, res) => {
       data: {
         request_id: parseInt(id),
         customer_name: request.customer_name,
-        status: 'cancelled'
+        status: 'cancelled',
+        cancelled_by: req.user.fullName,
+        customer_notified: customerNotified
       }
     });
 
   } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
     console.error('Error cancelling request:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to cancel request'
     });
   }
-});
\ No newline at end of file
+});
+
+module.exports = router;
@@ -0,0 +1,642 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { localDateTime } = require('../utils/schemas');
+const { queryOne, queryMany, beginTransaction, commitTransaction, rollbackTransaction } = require('../utils/database');
+const { authenticateToken, requirePermission, logAuthEvent } = require('../../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { requestServicesJoin } = require('../utils/serviceSelection');
+const { canTransition, describeInvalidTransition, transitionAppointment } = require('../utils/appointmentLifecycle');
+const { describeChangePolicy, recordAppointmentChange } = require('../utils/changePolicy');
+const { assessFee } = require('../utils/fees');
+const { notifyWaitlist } = require('../utils/waitlist');
+const { queueAppointmentChangeEmail } = require('../utils/customerEmails');
+const { queueAppointmentChangeSms } = require('../utils/customerSms');
+const { SALON_TIME_ZONE, zonedTimeToUtc, toLocalDateString, addDays, withLocalTimes } = require('../utils/time');
+
+router.use(authenticateToken, logAuthEvent('appointments_access', { persist: false }));
+
+const listQuerySchema = Joi.object({
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('date must be a date in YYYY-MM-DD format'),
+  status: Joi.string().valid('scheduled', 'checked_in', 'in_progress', 'completed', 'no_show', 'cancelled')
+});
+
+const notesSchema = Joi.object({
+  notes: Joi.string().max(1000).allow('', null)
+});
+
+const startSchema = Joi.object({
+  // Defaults to now; set when recording a start after the fact
+  started_at: localDateTime({ past: true }),
+  notes: Joi.string().max(1000).allow('', null)
+});
+
+const completeSchema = Joi.object({
+  ended_at: localDateTime({ past: true }),
+  // Defaults to the price quoted for the appointment's services
+  charged_amount: Joi.number().min(0).precision(2),
+  notes: Joi.string().max(1000).allow('', null)
+});
+
+const noShowSchema = Joi.object({
+  waive_fee: Joi.boolean().default(false),
+  notes: Joi.string().max(1000).allow('', null)
+});
+
+const cancelSchema = Joi.object({
+  reason: Joi.string().max(1000).allow('', null),
+  notify_customer: Joi.boolean().default(true)
+});
+
+const APPOINTMENT_COLUMNS = `
+  a.id,
+  a.request_id,
+  a.customer_id,
+  a.status,
+  a.scheduled_datetime,
+  a.duration_minutes,
+  a.reschedule_count,
+  a.series_id,
+  a.checked_in_at,
+  a.actual_start_at,
+  a.actual_end_at,
+  a.charged_amount,
+  a.outcome_notes,
+  a.cancelled_at,
+  a.cancelled_by,
+  a.status_updated_at,
+  c.name as customer_name,
+  c.email as customer_email,
+  c.phone as customer_phone,
+  COALESCE(rs.service_names, s.name) as service_name,
+  COALESCE(a.total_price, s.price) as price,
+  COALESCE(rs.cancellation_hours, s.cancellation_hours) as cancellation_hours,
+  COALESCE(rs.reschedule_hours, s.reschedule_hours) as reschedule_hours
+`;
+
+// Timestamps returned with a salon-local partner
+const LOCAL_TIME_COLUMNS = ['scheduled_datetime', 'checked_in_at', 'actual_start_at', 'actual_end_at', 'cancelled_at', 'status_updated_at'];
+
+const APPOINTMENT_JOINS = `
+  JOIN customers c ON a.customer_id = c.id
+  JOIN services s ON a.service_id = s.id
+  ${requestServicesJoin('a.request_id')}
+`;
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: error.details.map(detail => detail.message)
+});
+
+/**
+ * Validate the ID and body, then lock the appointment and check the status change is allowed
+ * @param {Object} client - Transaction client
+ * @param {string} id - Appointment ID from the URL
+ * @param {string} toStatus - Status being moved to
+ * @returns {Promise<Object>} { appointment } or { status, body } to send back
+ */
+const lockForTransition = async (client, id, toStatus) => {
+  const result = await client.query(`
+    SELECT ${APPOINTMENT_COLUMNS}
+    FROM appointments a
+    ${APPOINTMENT_JOINS}
+    WHERE a.id = $1 AND a.deleted_at IS NULL
+    FOR UPDATE OF a
+  `, [id]);
+
+  const appointment = result.rows[0];
+
+  if (!appointment) {
+    return { status: 404, body: { success: false, error: 'Appointment not found' } };
+  }
+
+  if (!canTransition(appointment.status, toStatus)) {
+    return { status: 409, body: { success: false, ...describeInvalidTransition(appointment.status, toStatus) } };
+  }
+
+  return { appointment };
+};
+
+/**
+ * GET /api/admin/appointments?date=YYYY-MM-DD&status=...
+ * Get a salon-local day's appointments (default today) with their lifecycle details
+ * Permission: requests:read
+ */
+router.get('/', requirePermission('requests:read'), async (req, res) => {
+  try {
+    const { error, value } = listQuerySchema.validate(req.query);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const date = value.date || toLocalDateString(new Date());
+    const params = [zonedTimeToUtc(date, 0), zonedTimeToUtc(addDays(date, 1), 0)];
+    let statusFilter = '';
+
+    if (value.status) {
+      params.push(value.status);
+      statusFilter = 'AND a.status = $3';
+    }
+
+    const appointments = await queryMany(`
+      SELECT ${APPOINTMENT_COLUMNS}
+      FROM appointments a
+      ${APPOINTMENT_JOINS}
+      WHERE a.deleted_at IS NULL
+        AND a.scheduled_datetime >= $1
+        AND a.scheduled_datetime < $2
+        ${statusFilter}
+      ORDER BY a.scheduled_datetime ASC, a.id ASC
+    `, params);
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        time_zone: SALON_TIME_ZONE,
+        appointments: appointments.map(appointment => withLocalTimes(appointment, LOCAL_TIME_COLUMNS))
+      },
+      count: appointments.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching appointments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch appointments'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/appointments/:id
+ * Get an appointment with its change history
+ * Permission: requests:read
+ */
+router.get('/:id', requirePermission('requests:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid appointment ID'
+      });
+    }
+
+    const appointment = await queryOne(`
+      SELECT ${APPOINTMENT_COLUMNS}
+      FROM appointments a
+      ${APPOINTMENT_JOINS}
+      WHERE a.id = $1 AND a.deleted_at IS NULL
+    `, [id]);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found'
+      });
+    }
+
+    const changes = await queryMany(`
+      SELECT *
+      FROM appointment_changes
+      WHERE appointment_id = $1
+      ORDER BY created_at ASC
+    `, [id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...withLocalTimes(appointment, LOCAL_TIME_COLUMNS),
+        time_zone: SALON_TIME_ZONE,
+        changes
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching appointment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch appointment'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/appointments/:id/check-in
+ * Record that the client has arrived
+ * Permission: appointments:manage
+ */
+router.put('/:id/check-in', requirePermission('appointments:manage'), async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid appointment ID'
+      });
+    }
+
+    const { error, value } = notesSchema.validate(req.body || {});
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+
+    const { appointment, status, body } = await lockForTransition(client, id, 'checked_in');
+    if (!appointment) {
+      await rollbackTransaction(client);
+      return res.status(status).json(body);
+    }
+
+    const updated = await transitionAppointment(client, id, 'checked_in', req.user.id, {
+      checked_in_at: new Date(),
+      ...(value.notes ? { outcome_notes: value.notes } : {})
+    });
+
+    await recordAudit({
+      req,
+      action: 'appointment_checked_in',
+      entityType: 'appointment',
+      entityId: id,
+      before: { status: appointment.status },
+      after: { status: updated.status, checked_in_at: updated.checked_in_at }
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.json({
+      success: true,
+      message: `${appointment.customer_name} checked in`,
+      data: withLocalTimes(updated, LOCAL_TIME_COLUMNS)
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error checking in appointment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check in appointment'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/appointments/:id/start
+ * Record that the service has started (checks the client in if that was skipped)
+ * Permission: appointments:manage
+ */
+router.put('/:id/start', requirePermission('appointments:manage'), async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid appointment ID'
+      });
+    }
+
+    const { error, value } = startSchema.validate(req.body || {});
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+
+    const { appointment, status, body } = await lockForTransition(client, id, 'in_progress');
+    if (!appointment) {
+      await rollbackTransaction(client);
+      return res.status(status).json(body);
+    }
+
+    const startedAt = value.started_at || new Date();
+
+    if (appointment.checked_in_at && startedAt < new Date(appointment.checked_in_at)) {
+      await rollbackTransaction(client);
+      return res.status(400).json({
+        success: false,
+        error: 'started_at cannot be before the client checked in'
+      });
+    }
+
+    const updated = await transitionAppointment(client, id, 'in_progress', req.user.id, {
+      actual_start_at: startedAt,
+      ...(appointment.checked_in_at ? {} : { checked_in_at: startedAt }),
+      ...(value.notes ? { outcome_notes: value.notes } : {})
+    });
+
+    await recordAudit({
+      req,
+      action: 'appointment_started',
+      entityType: 'appointment',
+      entityId: id,
+      before: { status: appointment.status },
+      after: { status: updated.status, actual_start_at: updated.actual_start_at }
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.json({
+      success: true,
+      message: 'Appointment started',
+      data: withLocalTimes(updated, LOCAL_TIME_COLUMNS)
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error starting appointment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start appointment'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/appointments/:id/complete
+ * Record that the service has finished and what was charged
+ * Permission: appointments:manage
+ */
+router.put('/:id/complete', requirePermission('appointments:manage'), async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid appointment ID'
+      });
+    }
+
+    const { error, value } = completeSchema.validate(req.body || {});
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+
+    const { appointment, status, body } = await lockForTransition(client, id, 'completed');
+    if (!appointment) {
+      await rollbackTransaction(client);
+      return res.status(status).json(body);
+    }
+
+    const endedAt = value.ended_at || new Date();
+
+    if (endedAt < new Date(appointment.actual_start_at)) {
+      await rollbackTransaction(client);
+      return res.status(400).json({
+        success: false,
+        error: 'ended_at cannot be before the appointment started'
+      });
+    }
+
+    const chargedAmount = value.charged_amount ?? parseFloat(appointment.price || 0);
+
+    const updated = await transitionAppointment(client, id, 'completed', req.user.id, {
+      actual_end_at: endedAt,
+      charged_amount: chargedAmount,
+      ...(value.notes ? { outcome_notes: value.notes } : {})
+    });
+
+    await recordAudit({
+      req,
+      action: 'appointment_completed',
+      entityType: 'appointment',
+      entityId: id,
+      before: { status: appointment.status },
+      after: {
+        status: updated.status,
+        actual_start_at: updated.actual_start_at,
+        actual_end_at: updated.actual_end_at,
+        charged_amount: updated.charged_amount
+      },
+      metadata: { quoted_price: appointment.price }
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.json({
+      success: true,
+      message: 'Appointment completed',
+      data: {
+        ...withLocalTimes(updated, LOCAL_TIME_COLUMNS),
+        actual_duration_minutes: Math.round(
+          (new Date(updated.actual_end_at) - new Date(updated.actual_start_at)) / 60000
+        )
+      }
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error completing appointment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to complete appointment'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/appointments/:id/no-show
+ * Mark an appointment as a no-show and charge the no-show fee
+ * Permission: appointments:manage
+ */
+router.put('/:id/no-show', requirePermission('appointments:manage'), async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid appointment ID'
+      });
+    }
+
+    const { error, value } = noShowSchema.validate(req.body || {});
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+
+    const { appointment, status, body } = await lockForTransition(client, id, 'no_show');
+    if (!appointment) {
+      await rollbackTransaction(client);
+      return res.status(status).json(body);
+    }
+
+    if (new Date(appointment.scheduled_datetime) > new Date()) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        error: 'Appointment has not started yet'
+      });
+    }
+
+    const updated = await transitionAppointment(client, id, 'no_show', req.user.id, {
+      ...(value.notes ? { outcome_notes: value.notes } : {})
+    });
+
+    const fee = value.waive_fee
+      ? { amount: 0, rule: null, entry: null }
+      : await assessFee(client, { eventType: 'no_show', appointment, createdBy: req.user.id });
+
+    await recordAudit({
+      req,
+      action: 'appointment_no_show',
+      entityType: 'appointment',
+      entityId: id,
+      before: { status: appointment.status },
+      after: { status: updated.status },
+      metadata: {
+        fee: fee.amount,
+        fee_rule: fee.rule ? fee.rule.name : null,
+        fee_waived: value.waive_fee,
+        notes: value.notes || null
+      }
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.json({
+      success: true,
+      message: 'Appointment marked as no-show',
+      data: {
+        appointment_id: appointment.id,
+        customer_name: appointment.customer_name,
+        service_name: appointment.service_name,
+        status: updated.status,
+        fee_charged: fee.amount,
+        ledger_entry_id: fee.entry ? fee.entry.id : null
+      }
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error marking no-show:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to mark no-show'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/appointments/:id/cancel
+ * Cancel an appointment on the salon's behalf (no fee is charged)
+ * Permission: appointments:manage
+ */
+router.put('/:id/cancel', requirePermission('appointments:manage'), async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid appointment ID'
+      });
+    }
+
+    const { error, value } = cancelSchema.validate(req.body || {});
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+
+    const { appointment, status, body } = await lockForTransition(client, id, 'cancelled');
+    if (!appointment) {
+      await rollbackTransaction(client);
+      return res.status(status).json(body);
+    }
+
+    const updated = await transitionAppointment(client, id, 'cancelled', req.user.id, {
+      cancelled_at: new Date(),
+      cancelled_by: 'admin'
+    });
+
+    const change = await recordAppointmentChange(client, {
+      appointmentId: appointment.id,
+      changeType: 'cancelled',
+      changedBy: 'admin',
+      adminUserId: req.user.id,
+      previousDatetime: appointment.scheduled_datetime,
+      policy: describeChangePolicy(appointment),
+      reason: value.reason || null
+    });
+
+    await recordAudit({
+      req,
+      action: 'appointment_cancelled',
+      entityType: 'appointment',
+      entityId: id,
+      before: { status: appointment.status },
+      after: { status: updated.status },
+      metadata: { via: 'admin', reason: value.reason || null }
+    }, client);
+
+    if (value.notify_customer) {
+      await queueAppointmentChangeEmail(client, appointment, change);
+      await queueAppointmentChangeSms(client, appointment, change);
+    }
+
+    await commitTransaction(client);
+    client = null;
+
+    notifyWaitlist(
+      appointment.scheduled_datetime,
+      new Date(new Date(appointment.scheduled_datetime).getTime() + appointment.duration_minutes * 60000)
+    );
+
+    res.json({
+      success: true,
+      message: 'Appointment cancelled',
+      data: withLocalTimes(updated, LOCAL_TIME_COLUMNS)
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error cancelling appointment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel appointment'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,713 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { queryOne, queryMany, beginTransaction, commitTransaction, rollbackTransaction } = require('../utils/database');
+const { authenticateToken, requirePermission, logAuthEvent } = require('../../middleware/auth');
+const { INVITE_TOKEN_EXPIRES_MINUTES, RESET_TOKEN_EXPIRES_MINUTES, issueResetToken, sendPasswordEmail } = require('../utils/passwordReset');
+const { revokeUserSessions } = require('../utils/sessions');
+const { recordAudit } = require('../utils/audit');
+const { listRoles, roleExists } = require('../utils/permissions');
+
+// Columns safe to return - never password_hash
+const USER_COLUMNS = `
+  id,
+  email,
+  first_name,
+  last_name,
+  role,
+  is_active,
+  failed_login_attempts,
+  locked_until,
+  last_login_at,
+  password_changed_at,
+  totp_enabled,
+  created_at,
+  updated_at
+`;
+
+// Permission: admin_users:manage (granted to super_admin by default)
+router.use(authenticateToken, requirePermission('admin_users:manage'), logAuthEvent('admin_user_management', { persist: false }));
+
+const inviteSchema = Joi.object({
+  email: Joi.string().email().required(),
+  first_name: Joi.string().min(1).max(100).required(),
+  last_name: Joi.string().min(1).max(100).required(),
+  role: Joi.string().max(50).default('admin')
+});
+
+const updateSchema = Joi.object({
+  first_name: Joi.string().min(1).max(100),
+  last_name: Joi.string().min(1).max(100),
+  role: Joi.string().max(50)
+}).min(1);
+
+/**
+ * Check a requested role assignment - the role must exist, and only super admins
+ * may hand out super_admin
+ * @param {Object} req - Express request object
+ * @param {string} role - Role being assigned
+ * @returns {Promise<string|null>} Error message, or null if the assignment is allowed
+ */
+const checkRoleAssignment = async (req, role) => {
+  if (!(await roleExists(role))) {
+    return `Unknown role: ${role}`;
+  }
+  if (role === 'super_admin' && req.user.role !== 'super_admin') {
+    return 'Only a super admin can assign the super_admin role';
+  }
+  return null;
+};
+
+const SUPER_ADMIN_ONLY_ERROR = 'Only a super admin can manage another super admin';
+
+/**
+ * Random bcrypt hash that no password will match - used until the user sets their own
+ * @returns {Promise<string>} Unusable password hash
+ */
+const unusablePasswordHash = () => bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+/**
+ * Lock the target user and the active super admins, and report whether the
+ * target is the only active super admin left
+ * @param {Object} client - Transaction client
+ * @param {number} userId - Target admin_users.id
+ * @returns {Promise<Object|null>} { user, isLastSuperAdmin } or null if not found
+ */
+const lockUserForChange = async (client, userId) => {
+  const superAdmins = await client.query(`
+    SELECT id FROM admin_users
+    WHERE role = 'super_admin' AND is_active = true
+    ORDER BY id
+    FOR UPDATE
+  `);
+
+  const userResult = await client.query(`
+    SELECT ${USER_COLUMNS}
+    FROM admin_users
+    WHERE id = $1
+    FOR UPDATE
+  `, [userId]);
+
+  if (userResult.rows.length === 0) {
+    return null;
+  }
+
+  const user = userResult.rows[0];
+  const isLastSuperAdmin = user.role === 'super_admin'
+    && user.is_active
+    && superAdmins.rows.length <= 1;
+
+  return { user, isLastSuperAdmin };
+};
+
+/**
+ * Validate the :id route parameter
+ */
+const validateUserId = (req, res, next) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid user ID'
+    });
+  }
+  next();
+};
+
+/**
+ * GET /api/admin/users
+ * List admin users (optionally filtered by role or active state)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { role, active } = req.query;
+    const conditions = [];
+    const params = [];
+
+    if (role) {
+      params.push(role);
+      conditions.push(`role = $${params.length}`);
+    }
+
+    if (active === 'true' || active === 'false') {
+      params.push(active === 'true');
+      conditions.push(`is_active = $${params.length}`);
+    }
+
+    const users = await queryMany(`
+      SELECT ${USER_COLUMNS}
+      FROM admin_users
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at ASC
+    `, params);
+
+    res.json({
+      success: true,
+      data: users.map(user => ({
+        ...user,
+        is_locked: !!user.locked_until && new Date(user.locked_until) > new Date()
+      })),
+      count: users.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching admin users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch admin users'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/users/roles
+ * List roles and the permissions each grants
+ */
+router.get('/roles', async (req, res) => {
+  try {
+    const roles = await listRoles();
+
+    res.json({
+      success: true,
+      data: roles,
+      count: roles.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch roles'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users
+ * Invite a new admin user - they receive a link to set their own password
+ */
+router.post('/', async (req, res) => {
+  let client = null;
+
+  try {
+    const { error, value } = inviteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const roleError = await checkRoleAssignment(req, value.role);
+    if (roleError) {
+      return res.status(400).json({
+        success: false,
+        error: roleError
+      });
+    }
+
+    const email = value.email.toLowerCase().trim();
+
+    const existing = await queryOne('SELECT id FROM admin_users WHERE email = $1', [email]);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'An admin user with this email already exists'
+      });
+    }
+
+    const passwordHash = await unusablePasswordHash();
+
+    client = await beginTransaction();
+
+    const userResult = await client.query(`
+      INSERT INTO admin_users (email, password_hash, first_name, last_name, role, is_active)
+      VALUES ($1, $2, $3, $4, $5, true)
+      RETURNING ${USER_COLUMNS}
+    `, [email, passwordHash, value.first_name.trim(), value.last_name.trim(), value.role]);
+
+    const newUser = userResult.rows[0];
+    const token = await issueResetToken(client, newUser.id, INVITE_TOKEN_EXPIRES_MINUTES);
+
+    await recordAudit({
+      req,
+      action: 'admin_user_invited',
+      entityType: 'admin_user',
+      entityId: newUser.id,
+      after: newUser
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    await sendPasswordEmail(newUser, token, {
+      reason: 'invite',
+      expiresMinutes: INVITE_TOKEN_EXPIRES_MINUTES
+    });
+
+    console.log(`Admin user ${newUser.email} invited by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Admin user invited',
+      data: newUser
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error inviting admin user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to invite admin user'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id
+ * Edit an admin user's name or role
+ */
+router.put('/:id', validateUserId, async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    const { error, value } = updateSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (value.role) {
+      const roleError = await checkRoleAssignment(req, value.role);
+      if (roleError) {
+        return res.status(400).json({
+          success: false,
+          error: roleError
+        });
+      }
+    }
+
+    client = await beginTransaction();
+
+    const target = await lockUserForChange(client, id);
+    if (!target) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        error: 'Admin user not found'
+      });
+    }
+
+    if (target.user.role === 'super_admin' && req.user.role !== 'super_admin') {
+      await rollbackTransaction(client);
+      return res.status(403).json({
+        success: false,
+        error: SUPER_ADMIN_ONLY_ERROR
+      });
+    }
+
+    if (value.role && value.role !== 'super_admin' && target.isLastSuperAdmin) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot change the role of the last active super admin'
+      });
+    }
+
+    const updated = await client.query(`
+      UPDATE admin_users
+      SET first_name = COALESCE($2, first_name),
+          last_name = COALESCE($3, last_name),
+          role = COALESCE($4, role)
+      WHERE id = $1
+      RETURNING ${USER_COLUMNS}
+    `, [id, value.first_name || null, value.last_name || null, value.role || null]);
+
+    await recordAudit({
+      req,
+      action: 'admin_user_updated',
+      entityType: 'admin_user',
+      entityId: id,
+      before: target.user,
+      after: updated.rows[0]
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.json({
+      success: true,
+      message: 'Admin user updated',
+      data: updated.rows[0]
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error updating admin user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update admin user'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/deactivate
+ * Deactivate an admin user - their tokens stop working immediately
+ */
+router.put('/:id/deactivate', validateUserId, async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (parseInt(id) === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot deactivate your own account'
+      });
+    }
+
+    client = await beginTransaction();
+
+    const target = await lockUserForChange(client, id);
+    if (!target) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        error: 'Admin user not found'
+      });
+    }
+
+    if (target.user.role === 'super_admin' && req.user.role !== 'super_admin') {
+      await rollbackTransaction(client);
+      return res.status(403).json({
+        success: false,
+        error: SUPER_ADMIN_ONLY_ERROR
+      });
+    }
+
+    if (target.isLastSuperAdmin) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot deactivate the last active super admin'
+      });
+    }
+
+    const updated = await client.query(`
+      UPDATE admin_users
+      SET is_active = false
+      WHERE id = $1
+      RETURNING ${USER_COLUMNS}
+    `, [id]);
+
+    const revokedSessions = await revokeUserSessions(client, id, 'account_deactivated');
+
+    await recordAudit({
+      req,
+      action: 'admin_user_deactivated',
+      entityType: 'admin_user',
+      entityId: id,
+      before: target.user,
+      after: updated.rows[0],
+      metadata: { revokedSessions }
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    console.log(`Admin user ${updated.rows[0].email} deactivated by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Admin user deactivated',
+      data: updated.rows[0]
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error deactivating admin user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate admin user'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/reactivate
+ * Reactivate a previously deactivated admin user
+ */
+router.put('/:id/reactivate', validateUserId, async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    client = await beginTransaction();
+
+    const target = await lockUserForChange(client, id);
+    if (!target) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        error: 'Admin user not found'
+      });
+    }
+
+    const updated = await client.query(`
+      UPDATE admin_users
+      SET is_active = true,
+          failed_login_attempts = 0,
+          locked_until = NULL
+      WHERE id = $1
+      RETURNING ${USER_COLUMNS}
+    `, [id]);
+
+    await recordAudit({
+      req,
+      action: 'admin_user_reactivated',
+      entityType: 'admin_user',
+      entityId: id,
+      before: target.user,
+      after: updated.rows[0]
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.json({
+      success: true,
+      message: 'Admin user reactivated',
+      data: updated.rows[0]
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error reactivating admin user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reactivate admin user'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/unlock
+ * Clear a lockout caused by repeated failed logins
+ */
+router.put('/:id/unlock', validateUserId, async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    client = await beginTransaction();
+
+    const target = await lockUserForChange(client, id);
+    if (!target) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        error: 'Admin user not found'
+      });
+    }
+
+    const updated = await client.query(`
+      UPDATE admin_users
+      SET failed_login_attempts = 0,
+          locked_until = NULL
+      WHERE id = $1
+      RETURNING ${USER_COLUMNS}
+    `, [id]);
+
+    await recordAudit({
+      req,
+      action: 'admin_user_unlocked',
+      entityType: 'admin_user',
+      entityId: id,
+      before: target.user,
+      after: updated.rows[0]
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.json({
+      success: true,
+      message: 'Admin user unlocked',
+      data: updated.rows[0]
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error unlocking admin user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unlock admin user'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/force-reset
+ * Invalidate the user's password and existing tokens, and email them a reset link
+ */
+router.put('/:id/force-reset', validateUserId, async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+    const passwordHash = await unusablePasswordHash();
+
+    client = await beginTransaction();
+
+    const updated = await client.query(`
+      UPDATE admin_users
+      SET password_hash = $2,
+          password_changed_at = CURRENT_TIMESTAMP,
+          failed_login_attempts = 0,
+          locked_until = NULL
+      WHERE id = $1
+        AND is_active = true
+        AND (role <> 'super_admin' OR $3 = 'super_admin')
+      RETURNING ${USER_COLUMNS}
+    `, [id, passwordHash, req.user.role]);
+
+    if (updated.rows.length === 0) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        error: 'Active admin user not found (super admins can only be reset by a super admin)'
+      });
+    }
+
+    const user = updated.rows[0];
+    const revokedSessions = await revokeUserSessions(client, user.id, 'password_changed');
+    const token = await issueResetToken(client, user.id);
+
+    await recordAudit({
+      req,
+      action: 'admin_user_password_reset_forced',
+      entityType: 'admin_user',
+      entityId: user.id,
+      metadata: { revokedSessions }
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    await sendPasswordEmail(user, token, {
+      reason: 'forced',
+      expiresMinutes: RESET_TOKEN_EXPIRES_MINUTES
+    });
+
+    console.log(`Password reset forced for ${user.email} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password reset forced and reset link sent',
+      data: user
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error forcing password reset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to force password reset'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/reset-two-factor
+ * Remove a user's TOTP enrollment (e.g. lost device) so they can enroll again
+ */
+router.put('/:id/reset-two-factor', validateUserId, async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    client = await beginTransaction();
+
+    const updated = await client.query(`
+      UPDATE admin_users
+      SET totp_enabled = false,
+          totp_secret = NULL,
+          totp_enabled_at = NULL,
+          totp_last_used_step = NULL
+      WHERE id = $1
+        AND (role <> 'super_admin' OR $2 = 'super_admin')
+      RETURNING ${USER_COLUMNS}
+    `, [id, req.user.role]);
+
+    if (updated.rows.length === 0) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        error: 'Admin user not found (super admins can only be reset by a super admin)'
+      });
+    }
+
+    await client.query('DELETE FROM admin_recovery_codes WHERE user_id = $1', [id]);
+
+    await recordAudit({
+      req,
+      action: 'admin_user_two_factor_reset',
+      entityType: 'admin_user',
+      entityId: id
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    console.log(`Two-factor reset for ${updated.rows[0].email} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset',
+      data: updated.rows[0]
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error resetting two-factor:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset two-factor authentication'
+    });
+  }
+});
+
+module.exports = router;
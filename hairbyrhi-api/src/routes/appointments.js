@@ -0,0 +1,648 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { localDateTime } = require('../utils/schemas');
+const { queryOne, beginTransaction, commitTransaction, rollbackTransaction } = require('../utils/database');
+const { lockSchedule } = require('../utils/availability');
+const { findSchedulingProblem } = require('../utils/booking');
+const { requestServicesJoin } = require('../utils/serviceSelection');
+const { hashCustomerToken } = require('../utils/customerTokens');
+const { describeChangePolicy, recordAppointmentChange } = require('../utils/changePolicy');
+const { classifyTiming, loadFeeRules, calculateFee, assessFee } = require('../utils/fees');
+const { queueAppointmentChangeEmail, buildManageAppointmentUrl } = require('../utils/customerEmails');
+const { queueAppointmentChangeSms } = require('../utils/customerSms');
+const { notifyWaitlist } = require('../utils/waitlist');
+const { recordAudit } = require('../utils/audit');
+const { buildAppointmentIcs } = require('../utils/appointmentCalendar');
+const { loadContactPreferences, formatContactPreferences, updateContactPreferences } = require('../utils/contactPreferences');
+const { SALON_TIME_ZONE, toLocalIsoString } = require('../utils/time');
+const { BOOKING_MIN_NOTICE_HOURS, BOOKING_MAX_DAYS_AHEAD } = require('../../config/salon');
+
+// Customers manage appointments with the token from their confirmation email
+const tokenSchema = Joi.string().hex().length(64).required();
+
+const viewSchema = Joi.object({
+  token: tokenSchema
+});
+
+const cancelSchema = Joi.object({
+  token: tokenSchema,
+  reason: Joi.string().max(1000).allow('', null),
+  acknowledge_fee: Joi.boolean().default(false)
+});
+
+const rescheduleSchema = Joi.object({
+  token: tokenSchema,
+  datetime: localDateTime({ future: true }).required(),
+  acknowledge_fee: Joi.boolean().default(false)
+});
+
+const notificationsSchema = Joi.object({
+  token: tokenSchema,
+  email_notifications: Joi.boolean(),
+  sms_notifications: Joi.boolean()
+}).or('email_notifications', 'sms_notifications');
+
+const APPOINTMENT_QUERY = `
+  SELECT
+    a.id,
+    a.request_id,
+    a.customer_id,
+    a.status,
+    a.scheduled_datetime,
+    a.duration_minutes,
+    a.segments,
+    a.reschedule_count,
+    a.manage_token_hash,
+    a.cancelled_at,
+    c.name as customer_name,
+    c.email as customer_email,
+    COALESCE(rs.service_names, s.name) as service_name,
+    COALESCE(a.total_price, s.price) as price,
+    COALESCE(rs.max_concurrent, s.max_concurrent) as max_concurrent,
+    COALESCE(rs.cancellation_hours, s.cancellation_hours) as cancellation_hours,
+    COALESCE(rs.reschedule_hours, s.reschedule_hours) as reschedule_hours
+  FROM appointments a
+  JOIN customers c ON a.customer_id = c.id
+  JOIN services s ON a.service_id = s.id
+  ${requestServicesJoin('a.request_id')}
+  WHERE a.id = $1 AND a.deleted_at IS NULL
+`;
+
+/**
+ * Check the manage token against an appointment row
+ * @param {Object|null} appointment - Row from APPOINTMENT_QUERY
+ * @param {string} token - Raw token
+ * @returns {boolean}
+ */
+const tokenMatches = (appointment, token) => Boolean(
+  appointment && appointment.manage_token_hash && appointment.manage_token_hash === hashCustomerToken(token)
+);
+
+/**
+ * Fees that would apply if the customer cancelled or rescheduled now
+ * @param {Array} rules - From loadFeeRules
+ * @param {Object} appointment - Row from APPOINTMENT_QUERY
+ * @param {Object} policy - Result of describeChangePolicy
+ * @returns {Object} { cancellation, reschedule } amounts
+ */
+const previewFees = (rules, appointment, policy) => ({
+  cancellation: calculateFee(rules, {
+    eventType: 'cancellation',
+    timing: classifyTiming({ is_same_day: policy.is_same_day, within_fee_window: policy.cancellation.within_fee_window }),
+    price: appointment.price
+  }).amount,
+  reschedule: calculateFee(rules, {
+    eventType: 'reschedule',
+    timing: classifyTiming({ is_same_day: policy.is_same_day, within_fee_window: policy.reschedule.within_fee_window }),
+    rescheduleNumber: (appointment.reschedule_count || 0) + 1,
+    price: appointment.price
+  }).amount
+});
+
+/**
+ * Shape an appointment and what the customer may do with it
+ * @param {Object} appointment - Row from APPOINTMENT_QUERY
+ * @param {Object} policy - Result of describeChangePolicy
+ * @param {Object} fees - Result of previewFees
+ * @returns {Object}
+ */
+const formatAppointment = (appointment, policy, fees) => ({
+  appointment_id: appointment.id,
+  status: appointment.status,
+  service_name: appointment.service_name,
+  price: appointment.price,
+  scheduled_datetime: appointment.scheduled_datetime,
+  scheduled_datetime_local: toLocalIsoString(new Date(appointment.scheduled_datetime)),
+  time_zone: SALON_TIME_ZONE,
+  duration_minutes: appointment.duration_minutes,
+  cancelled_at: appointment.cancelled_at,
+  policy,
+  fees_if_changed_now: fees
+});
+
+/**
+ * When an appointment finishes
+ * @param {Object} appointment - { scheduled_datetime, duration_minutes }
+ * @returns {Date}
+ */
+const appointmentEnd = (appointment) => new Date(
+  new Date(appointment.scheduled_datetime).getTime() + appointment.duration_minutes * 60000
+);
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: error.details.map(detail => detail.message)
+});
+
+/**
+ * GET /api/appointments/:id?token=...
+ * View an appointment and the current cancellation / reschedule terms
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid appointment ID'
+      });
+    }
+
+    const { error, value } = viewSchema.validate(req.query);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const appointment = await queryOne(APPOINTMENT_QUERY, [id]);
+
+    if (!tokenMatches(appointment, value.token)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found'
+      });
+    }
+
+    const policy = describeChangePolicy(appointment);
+    const rules = await loadFeeRules();
+
+    res.json({
+      success: true,
+      data: formatAppointment(appointment, policy, previewFees(rules, appointment, policy))
+    });
+
+  } catch (error) {
+    console.error('Error fetching appointment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch appointment'
+    });
+  }
+});
+
+/**
+ * POST /api/appointments/:id/cancel
+ * Cancel an appointment (if a fee applies the request must include acknowledge_fee: true)
+ */
+router.post('/:id/cancel', async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid appointment ID'
+      });
+    }
+
+    const { error, value } = cancelSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+
+    const result = await client.query(`${APPOINTMENT_QUERY} FOR UPDATE OF a`, [id]);
+    const appointment = result.rows[0];
+
+    if (!tokenMatches(appointment, value.token)) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found'
+      });
+    }
+
+    const policy = describeChangePolicy(appointment);
+
+    if (!policy.cancellation.allowed) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        error: 'Only upcoming scheduled appointments can be cancelled'
+      });
+    }
+
+    const fees = previewFees(await loadFeeRules(client), appointment, policy);
+
+    if (fees.cancellation > 0 && !value.acknowledge_fee) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        error: `Cancelling now incurs a $${fees.cancellation.toFixed(2)} fee. Resend with acknowledge_fee: true to continue.`,
+        code: 'FEE_ACKNOWLEDGEMENT_REQUIRED',
+        data: { policy, fee: fees.cancellation }
+      });
+    }
+
+    await client.query(`
+      UPDATE appointments
+      SET status = 'cancelled',
+          cancelled_at = CURRENT_TIMESTAMP,
+          cancelled_by = 'customer'
+      WHERE id = $1
+    `, [id]);
+
+    // Appointments in a recurring series share a request - leave it open while others remain
+    await client.query(`
+      UPDATE appointment_requests
+      SET status = 'cancelled',
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+        AND NOT EXISTS (
+          SELECT 1 FROM appointments
+          WHERE request_id = $1 AND id <> $2 AND status = 'scheduled' AND deleted_at IS NULL
+        )
+    `, [appointment.request_id, appointment.id]);
+
+    const change = await recordAppointmentChange(client, {
+      appointmentId: appointment.id,
+      changeType: 'cancelled',
+      changedBy: 'customer',
+      previousDatetime: appointment.scheduled_datetime,
+      policy,
+      reason: value.reason || null
+    });
+
+    const fee = await assessFee(client, { eventType: 'cancellation', appointment, change });
+
+    await recordAudit({
+      req,
+      action: 'appointment_cancelled',
+      entityType: 'appointment',
+      entityId: id,
+      before: { status: appointment.status },
+      after: { status: 'cancelled' },
+      metadata: {
+        via: 'customer_link',
+        hours_notice: policy.hours_notice,
+        within_fee_window: policy.cancellation.within_fee_window,
+        fee: fee.amount,
+        fee_rule: fee.rule ? fee.rule.name : null
+      }
+    }, client);
+
+    await queueAppointmentChangeEmail(client, appointment, change, fee.amount);
+    await queueAppointmentChangeSms(client, appointment, change);
+
+    await commitTransaction(client);
+    client = null;
+
+    notifyWaitlist(appointment.scheduled_datetime, appointmentEnd(appointment));
+
+    res.json({
+      success: true,
+      message: 'Appointment cancelled',
+      data: {
+        appointment_id: appointment.id,
+        status: 'cancelled',
+        hours_notice: policy.hours_notice,
+        within_fee_window: change.within_fee_window,
+        fee_charged: fee.amount
+      }
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error cancelling appointment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel appointment'
+    });
+  }
+});
+
+/**
+ * POST /api/appointments/:id/reschedule
+ * Move an appointment to a new time (if a fee applies the request must include acknowledge_fee: true)
+ */
+router.post('/:id/reschedule', async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid appointment ID'
+      });
+    }
+
+    const { error, value } = rescheduleSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const now = new Date();
+    if (value.datetime < new Date(now.getTime() + BOOKING_MIN_NOTICE_HOURS * 3600000)
+      || value.datetime > new Date(now.getTime() + BOOKING_MAX_DAYS_AHEAD * 86400000)) {
+      return res.status(400).json({
+        success: false,
+        error: `New time must be between ${BOOKING_MIN_NOTICE_HOURS} hours and ${BOOKING_MAX_DAYS_AHEAD} days from now`
+      });
+    }
+
+    client = await beginTransaction();
+
+    const result = await client.query(`${APPOINTMENT_QUERY} FOR UPDATE OF a`, [id]);
+    const appointment = result.rows[0];
+
+    if (!tokenMatches(appointment, value.token)) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found'
+      });
+    }
+
+    const policy = describeChangePolicy(appointment, now);
+
+    if (!policy.reschedule.allowed) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        error: policy.reschedule.unavailable_reason,
+        data: { policy }
+      });
+    }
+
+    const fees = previewFees(await loadFeeRules(client), appointment, policy);
+
+    if (fees.reschedule > 0 && !value.acknowledge_fee) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        error: `Rescheduling now incurs a $${fees.reschedule.toFixed(2)} fee. Resend with acknowledge_fee: true to continue.`,
+        code: 'FEE_ACKNOWLEDGEMENT_REQUIRED',
+        data: { policy, fee: fees.reschedule }
+      });
+    }
+
+    await lockSchedule(client);
+
+    // Don't pass on conflict details - they describe other customers' appointments
+    const problem = await findSchedulingProblem(
+      client,
+      value.datetime,
+      appointment.duration_minutes,
+      appointment.max_concurrent,
+      { excludeAppointmentId: appointment.id, segments: appointment.segments }
+    );
+
+    if (problem) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        error: 'That time is not available. Please choose another.'
+      });
+    }
+
+    const rescheduleNumber = appointment.reschedule_count + 1;
+
+    const updated = await client.query(`
+      UPDATE appointments
+      SET scheduled_datetime = $2,
+          reschedule_count = $3
+      WHERE id = $1
+      RETURNING scheduled_datetime, reschedule_count
+    `, [id, value.datetime, rescheduleNumber]);
+
+    const change = await recordAppointmentChange(client, {
+      appointmentId: appointment.id,
+      changeType: 'rescheduled',
+      changedBy: 'customer',
+      previousDatetime: appointment.scheduled_datetime,
+      newDatetime: value.datetime,
+      policy,
+      rescheduleNumber
+    });
+
+    const fee = await assessFee(client, { eventType: 'reschedule', appointment, change });
+
+    await recordAudit({
+      req,
+      action: 'appointment_rescheduled',
+      entityType: 'appointment',
+      entityId: id,
+      before: { scheduled_datetime: appointment.scheduled_datetime, reschedule_count: appointment.reschedule_count },
+      after: updated.rows[0],
+      metadata: {
+        via: 'customer_link',
+        hours_notice: policy.hours_notice,
+        within_fee_window: policy.reschedule.within_fee_window,
+        fee: fee.amount,
+        fee_rule: fee.rule ? fee.rule.name : null
+      }
+    }, client);
+
+    await queueAppointmentChangeEmail(client, appointment, change, fee.amount);
+    await queueAppointmentChangeSms(client, appointment, change);
+
+    await commitTransaction(client);
+    client = null;
+
+    // The old time is free again
+    notifyWaitlist(appointment.scheduled_datetime, appointmentEnd(appointment));
+
+    const rescheduled = { ...appointment, ...updated.rows[0] };
+    const newPolicy = describeChangePolicy(rescheduled);
+
+    res.json({
+      success: true,
+      message: 'Appointment rescheduled',
+      data: {
+        ...formatAppointment(rescheduled, newPolicy, previewFees(await loadFeeRules(), rescheduled, newPolicy)),
+        previous_datetime: appointment.scheduled_datetime,
+        previous_datetime_local: toLocalIsoString(new Date(appointment.scheduled_datetime)),
+        within_fee_window: change.within_fee_window,
+        fee_charged: fee.amount
+      }
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error rescheduling appointment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reschedule appointment'
+    });
+  }
+});
+
+/**
+ * GET /api/appointments/:id/notifications?token=...
+ * View how the customer is contacted (email and/or text)
+ */
+router.get('/:id/notifications', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid appointment ID'
+      });
+    }
+
+    const { error, value } = viewSchema.validate(req.query);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const appointment = await queryOne(APPOINTMENT_QUERY, [id]);
+
+    if (!tokenMatches(appointment, value.token)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found'
+      });
+    }
+
+    const contact = await loadContactPreferences(appointment.customer_id);
+
+    res.json({
+      success: true,
+      data: formatContactPreferences(contact)
+    });
+
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notification preferences'
+    });
+  }
+});
+
+/**
+ * PUT /api/appointments/:id/notifications
+ * Turn emails and/or texts on or off for the customer (texts stay off after a STOP until
+ * the customer texts START; emails are still sent when no text can be)
+ */
+router.put('/:id/notifications', async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid appointment ID'
+      });
+    }
+
+    const { error, value } = notificationsSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+
+    const result = await client.query(APPOINTMENT_QUERY, [id]);
+    const appointment = result.rows[0];
+
+    if (!tokenMatches(appointment, value.token)) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found'
+      });
+    }
+
+    const before = await loadContactPreferences(appointment.customer_id, client);
+    const updated = await updateContactPreferences(client, appointment.customer_id, {
+      email_notifications: value.email_notifications,
+      sms_notifications: value.sms_notifications
+    });
+
+    await recordAudit({
+      req,
+      action: 'notification_preferences_updated',
+      entityType: 'customer',
+      entityId: appointment.customer_id,
+      before: { email_notifications: before.email_notifications, sms_notifications: before.sms_notifications },
+      after: { email_notifications: updated.email_notifications, sms_notifications: updated.sms_notifications },
+      metadata: { via: 'customer_link', appointment_id: appointment.id }
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: formatContactPreferences(updated)
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notification preferences'
+    });
+  }
+});
+
+/**
+ * GET /api/appointments/:id/calendar.ics?token=...
+ * Download the appointment as an iCalendar file (re-downloading after a change updates
+ * the existing calendar entry rather than adding another)
+ */
+router.get('/:id/calendar.ics', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid appointment ID'
+      });
+    }
+
+    const { error, value } = viewSchema.validate(req.query);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const appointment = await queryOne(APPOINTMENT_QUERY, [id]);
+
+    if (!tokenMatches(appointment, value.token)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found'
+      });
+    }
+
+    const calendar = await buildAppointmentIcs([appointment.id], {
+      manageUrls: { [appointment.id]: buildManageAppointmentUrl(appointment.id, value.token) }
+    });
+
+    res.type('text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="appointment-${appointment.id}.ics"`);
+    res.send(calendar);
+
+  } catch (error) {
+    console.error('Error building appointment calendar file:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build calendar file'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { localDateTime } = require('../utils/schemas');
+const { queryOne, queryMany } = require('../utils/database');
+const { authenticateToken, requirePermission, logAuthEvent } = require('../../middleware/auth');
+const { AUDIT_LOG_RETENTION_DAYS } = require('../utils/audit');
+
+// Permission: audit_log:read (granted to super_admin by default)
+router.use(authenticateToken, requirePermission('audit_log:read'), logAuthEvent('audit_log_access', { persist: false }));
+
+const auditQuerySchema = Joi.object({
+  actor_id: Joi.number().integer().positive(),
+  action: Joi.string().max(100),
+  entity_type: Joi.string().max(50),
+  entity_id: Joi.string().max(64),
+  from: localDateTime(),
+  to: localDateTime(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+/**
+ * GET /api/admin/audit-log
+ * Query the audit log (filter by actor, action, entity and date range)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { error, value } = auditQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const conditions = [];
+    const params = [];
+    const filters = {
+      actor_id: 'actor_id',
+      action: 'action',
+      entity_type: 'entity_type',
+      entity_id: 'entity_id'
+    };
+
+    Object.entries(filters).forEach(([key, column]) => {
+      if (value[key] !== undefined) {
+        params.push(value[key]);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    });
+
+    if (value.from) {
+      params.push(value.from);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+
+    if (value.to) {
+      params.push(value.to);
+      conditions.push(`created_at <= $${params.length}`);
+    }
+
+    const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const entries = await queryMany(`
+      SELECT
+        id,
+        actor_id,
+        actor_email,
+        action,
+        entity_type,
+        entity_id,
+        before_data,
+        after_data,
+        metadata,
+        ip_address,
+        user_agent,
+        created_at
+      FROM audit_log
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, value.limit, value.offset]);
+
+    const countResult = await queryOne(`
+      SELECT COUNT(*) as total
+      FROM audit_log
+      ${whereClause}
+    `, params);
+
+    const total = parseInt(countResult.total);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        total,
+        limit: value.limit,
+        offset: value.offset,
+        has_more: (value.offset + value.limit) < total
+      },
+      retention_days: AUDIT_LOG_RETENTION_DAYS
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,396 +1,1117 @@
-// Update your existing routes/admin.js file
-// Add these imports at the top and protect your routes
+// routes/auth.js
+// Admin authentication routes for Hair by Rhiannon API
 
 const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
 const { pool } = require('../../config/database');
-const { protectAdminRoute, authenticateToken, requireAdmin } = require('../../middleware/auth');
+const {
+    authenticateToken,
+    authenticateTokenAllowPendingTwoFactor,
+    isTwoFactorRequiredForRole,
+    logAuthEvent
+} = require('../../middleware/auth');
+const { hashResetToken, issueResetToken, sendPasswordEmail } = require('../utils/passwordReset');
+const totp = require('../utils/totp');
+const { recordAudit } = require('../utils/audit');
+const { newSessionId, createSession, renewSession, revokeSession, revokeUserSessions } = require('../utils/sessions');
 
 const router = express.Router();
 
+// Account lockout settings
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_DURATION_MINUTES) || 30;
+
+// Two-factor settings
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+// Password reset settings
+const MIN_PASSWORD_LENGTH = 6;
+
+// Compared against when the email is unknown so response timing doesn't reveal which accounts exist
+const DUMMY_PASSWORD_HASH = '$2b$12$EBONfMwQaRT3vzvjROX3cuCiDmFweHhyJlsb9eZwpuwqOQBhZ1aky';
+
+/**
+ * Sign a JWT for an admin user and record it as a session
+ * @param {Object} req - Express request object (device and IP are recorded)
+ * @param {Object} user - Row from admin_users (id, email, role)
+ * @param {boolean} rememberMe - Whether to use the long-lived expiry
+ * @param {Object} [options]
+ * @param {boolean} [options.mfa=false] - Whether the second factor was completed
+ * @param {string} [options.sessionId] - Re-issue for this existing session instead of starting a new one
+ * @returns {Promise<Object>} Token and the expiry it was signed with
+ */
+const issueToken = async (req, user, rememberMe = false, { mfa = false, sessionId = null } = {}) => {
+    const expiresIn = rememberMe
+        ? (process.env.JWT_REMEMBER_EXPIRES_IN || '30d')
+        : (process.env.JWT_EXPIRES_IN || '8h');
+
+    const token = jwt.sign(
+        {
+            id: user.id,
+            email: user.email,
+            role: user.role,
+            rememberMe: !!rememberMe,
+            mfa: !!mfa
+        },
+        process.env.JWT_SECRET,
+        { expiresIn, jwtid: sessionId || newSessionId() }
+    );
+
+    const { jti, exp } = jwt.decode(token);
+
+    if (sessionId) {
+        await renewSession(pool, jti, exp, mfa);
+    } else {
+        await createSession(pool, { jti, userId: user.id, exp, rememberMe, mfa }, req);
+    }
+
+    return { token, expiresIn };
+};
+
+/**
+ * Shape an admin_users row for API responses
+ * @param {Object} user - Row from admin_users
+ * @returns {Object} Public user fields
+ */
+const formatUser = (user) => ({
+    id: user.id,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    fullName: `${user.first_name} ${user.last_name}`,
+    role: user.role,
+    twoFactorEnabled: !!user.totp_enabled
+});
+
+/**
+ * Count a failed login (password or second factor) and lock the account once the limit is reached
+ * @param {number} userId - admin_users.id
+ * @returns {Promise<Object>} { failed_login_attempts, locked_until }
+ */
+const recordFailedLogin = async (userId) => {
+    const failureResult = await pool.query(`
+        UPDATE admin_users
+        SET
+            failed_login_attempts = COALESCE(failed_login_attempts, 0) + 1,
+            locked_until = CASE
+                WHEN COALESCE(failed_login_attempts, 0) + 1 >= $2
+                THEN CURRENT_TIMESTAMP + ($3 || ' minutes')::interval
+                ELSE NULL
+            END
+        WHERE id = $1
+        RETURNING failed_login_attempts, locked_until
+    `, [userId, MAX_LOGIN_ATTEMPTS, LOCKOUT_MINUTES]);
+
+    return failureResult.rows[0];
+};
+
+/**
+ * Send the response for a failed login attempt
+ * @param {Object} res - Express response object
+ * @param {Object} failure - Result of recordFailedLogin
+ * @param {string} message - Message when the account is not (yet) locked
+ * @param {string} code - Error code when the account is not (yet) locked
+ */
+const sendLoginFailure = (res, failure, message, code) => {
+    if (failure.locked_until) {
+        return res.status(423).json({
+            success: false,
+            message: `Too many failed login attempts. Account locked for ${LOCKOUT_MINUTES} minutes.`,
+            code: 'ACCOUNT_LOCKED',
+            lockedUntil: failure.locked_until
+        });
+    }
+
+    return res.status(401).json({
+        success: false,
+        message,
+        code
+    });
+};
+
+/**
+ * Reset lockout counters, record the login and respond with an access token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - Row from admin_users
+ * @param {boolean} rememberMe - Whether to use the long-lived expiry
+ * @param {Object} [options]
+ * @param {boolean} [options.mfa=false] - Whether the second factor was completed
+ * @param {Object} [options.extra] - Additional fields for the response data
+ */
+const completeLogin = async (req, res, user, rememberMe, { mfa = false, extra = {} } = {}) => {
+    await pool.query(`
+        UPDATE admin_users
+        SET
+            failed_login_attempts = 0,
+            locked_until = NULL,
+            last_login_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+    `, [user.id]);
+
+    const { token, expiresIn } = await issueToken(req, user, rememberMe, { mfa });
+
+    console.log(`Admin login: ${user.email} (${user.role})${mfa ? ' with two-factor' : ''}`);
+
+    await recordAudit({
+        req,
+        actor: user,
+        action: 'login_success',
+        entityType: 'admin_user',
+        entityId: user.id,
+        metadata: { mfa: !!mfa, rememberMe: !!rememberMe }
+    });
+
+    res.json({
+        success: true,
+        message: 'Login successful',
+        data: {
+            token,
+            expiresIn,
+            user: formatUser(user),
+            twoFactorSetupRequired: !mfa && isTwoFactorRequiredForRole(user.role),
+            ...extra
+        }
+    });
+};
+
+/**
+ * Hash a recovery code for storage, ignoring case and separators
+ * @param {string} code - Recovery code as shown to / typed by the user
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .digest('hex');
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {Object} db - pool or transaction client
+ * @param {number} userId - admin_users.id
+ * @returns {Promise<Array<string>>} The new codes (shown to the user once)
+ */
+const regenerateRecoveryCodes = async (db, userId) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await db.query('DELETE FROM admin_recovery_codes WHERE user_id = $1', [userId]);
+
+    for (const code of codes) {
+        await db.query(`
+            INSERT INTO admin_recovery_codes (user_id, code_hash)
+            VALUES ($1, $2)
+        `, [userId, hashRecoveryCode(code)]);
+    }
+
+    return codes;
+};
+
 /**
- * @route   GET /api/admin/requests
- * @desc    Get all appointment requests with filtering
- * @access  Protected - Admin only
+ * @route   POST /api/auth/login
+ * @desc    Authenticate an admin user and issue a JWT
+ * @access  Public
  */
-router.get('/requests', protectAdminRoute(), async (req, res) => {
+router.post('/login', async (req, res) => {
+    const { email, password, rememberMe } = req.body;
+
+    if (!email || !password) {
+        return res.status(400).json({
+            success: false,
+            message: 'Email and password are required',
+            code: 'CREDENTIALS_REQUIRED'
+        });
+    }
+
     try {
-        // Log the authenticated user
-        console.log(`Admin requests accessed by: ${req.user.fullName} (${req.user.email})`);
-
-        const { status, limit = 50, offset = 0 } = req.query;
-        
-        // Build query with optional status filter
-        let query = `
-            SELECT 
-                ar.id,
-                ar.customer_id,
-                ar.service_id,
-                ar.customer_notes,
-                ar.admin_notes,
-                ar.status,
-                ar.created_at,
-                ar.updated_at,
-                c.first_name,
-                c.last_name,
-                c.email,
-                c.phone,
-                s.name as service_name,
-                s.price as service_price,
-                s.duration as service_duration,
-                -- Get preferred times
-                array_agg(
-                    json_build_object(
-                        'preferred_time', rtp.preferred_time,
-                        'priority', rtp.priority
-                    ) ORDER BY rtp.priority
-                ) as preferred_times
-            FROM appointment_requests ar
-            JOIN customers c ON ar.customer_id = c.id
-            JOIN services s ON ar.service_id = s.id
-            LEFT JOIN request_time_preferences rtp ON ar.id = rtp.request_id
-        `;
-
-        const queryParams = [];
-        
-        if (status) {
-            query += ` WHERE ar.status = $${queryParams.length + 1}`;
-            queryParams.push(status);
+        const userResult = await pool.query(`
+            SELECT
+                id,
+                email,
+                password_hash,
+                first_name,
+                last_name,
+                role,
+                is_active,
+                failed_login_attempts,
+                locked_until,
+                totp_enabled
+            FROM admin_users
+            WHERE email = $1
+        `, [String(email).toLowerCase().trim()]);
+
+        const user = userResult.rows[0];
+
+        if (!user) {
+            await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+            await recordAudit({
+                req,
+                actor: { email: String(email).toLowerCase().trim() },
+                action: 'login_failed',
+                metadata: { reason: 'unknown_email' }
+            });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid email or password',
+                code: 'INVALID_CREDENTIALS'
+            });
         }
 
-        query += `
-            GROUP BY ar.id, c.id, s.id
-            ORDER BY ar.created_at DESC
-            LIMIT $${queryParams.length + 1}
-            OFFSET $${queryParams.length + 2}
-        `;
+        if (!user.is_active) {
+            await recordAudit({
+                req,
+                actor: user,
+                action: 'login_failed',
+                entityType: 'admin_user',
+                entityId: user.id,
+                metadata: { reason: 'account_deactivated' }
+            });
+            return res.status(403).json({
+                success: false,
+                message: 'This account has been deactivated',
+                code: 'ACCOUNT_DEACTIVATED'
+            });
+        }
 
-        queryParams.push(limit, offset);
+        if (user.locked_until && new Date(user.locked_until) > new Date()) {
+            await recordAudit({
+                req,
+                actor: user,
+                action: 'login_failed',
+                entityType: 'admin_user',
+                entityId: user.id,
+                metadata: { reason: 'account_locked' }
+            });
+            return res.status(423).json({
+                success: false,
+                message: 'Account is temporarily locked due to repeated failed logins. Please try again later.',
+                code: 'ACCOUNT_LOCKED',
+                lockedUntil: user.locked_until
+            });
+        }
+
+        const passwordMatches = await bcrypt.compare(password, user.password_hash);
 
-        const result = await pool.query(query, queryParams);
+        if (!passwordMatches) {
+            const failure = await recordFailedLogin(user.id);
+            console.log(`Failed login for ${user.email} (${failure.failed_login_attempts}/${MAX_LOGIN_ATTEMPTS})`);
+            await recordAudit({
+                req,
+                actor: user,
+                action: failure.locked_until ? 'account_locked' : 'login_failed',
+                entityType: 'admin_user',
+                entityId: user.id,
+                metadata: { reason: 'invalid_password', failedAttempts: failure.failed_login_attempts }
+            });
+            return sendLoginFailure(res, failure, 'Invalid email or password', 'INVALID_CREDENTIALS');
+        }
+
+        // Enrolled users must complete the second step before receiving an access token
+        if (user.totp_enabled) {
+            const challengeToken = jwt.sign(
+                { id: user.id, purpose: '2fa_challenge', rememberMe: !!rememberMe },
+                process.env.JWT_SECRET,
+                { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+            );
+
+            return res.json({
+                success: true,
+                message: 'Two-factor verification required',
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken
+                }
+            });
+        }
+
+        await completeLogin(req, res, user, rememberMe);
+
+    } catch (error) {
+        console.error('Error during login:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Login failed due to a server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
 
-        // Get total count for pagination
-        let countQuery = 'SELECT COUNT(*) FROM appointment_requests ar';
-        let countParams = [];
-        
-        if (status) {
-            countQuery += ' WHERE ar.status = $1';
-            countParams.push(status);
+/**
+ * @route   GET /api/auth/verify
+ * @desc    Verify the current token and return the authenticated user
+ * @access  Protected - Any admin
+ */
+router.get('/verify', authenticateToken, (req, res) => {
+    res.json({
+        success: true,
+        message: 'Token is valid',
+        data: {
+            user: req.user
         }
+    });
+});
 
-        const countResult = await pool.query(countQuery, countParams);
-        const totalCount = parseInt(countResult.rows[0].count);
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Log out the current admin user
+ * @access  Protected - Any admin
+ */
+router.post('/logout', authenticateToken, logAuthEvent('logout'), async (req, res) => {
+    try {
+        await revokeSession(pool, req.tokenPayload.jti, 'logout');
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        console.error('Error during logout:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log out'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the current user's active sessions
+ * @access  Protected - Any admin
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT
+                jti,
+                user_agent,
+                ip_address,
+                remember_me,
+                mfa_completed,
+                created_at,
+                last_seen_at,
+                expires_at
+            FROM admin_sessions
+            WHERE user_id = $1
+                AND revoked_at IS NULL
+                AND expires_at > CURRENT_TIMESTAMP
+            ORDER BY last_seen_at DESC
+        `, [req.user.id]);
 
         res.json({
             success: true,
             data: {
-                requests: result.rows,
-                pagination: {
-                    total: totalCount,
-                    limit: parseInt(limit),
-                    offset: parseInt(offset),
-                    hasMore: parseInt(offset) + parseInt(limit) < totalCount
-                },
-                authenticatedUser: {
-                    name: req.user.fullName,
-                    email: req.user.email,
-                    role: req.user.role
-                }
+                sessions: result.rows.map(session => ({
+                    id: session.jti,
+                    userAgent: session.user_agent,
+                    ipAddress: session.ip_address,
+                    rememberMe: session.remember_me,
+                    twoFactorCompleted: session.mfa_completed,
+                    createdAt: session.created_at,
+                    lastSeenAt: session.last_seen_at,
+                    expiresAt: session.expires_at,
+                    current: session.jti === req.tokenPayload.jti
+                }))
             }
         });
 
     } catch (error) {
-        console.error('Error fetching admin requests:', error);
+        console.error('Error fetching sessions:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to fetch appointment requests',
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            message: 'Failed to fetch sessions'
         });
     }
 });
 
 /**
- * @route   GET /api/admin/dashboard
- * @desc    Get dashboard statistics and summary
- * @access  Protected - Admin only
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke one of the current user's sessions
+ * @access  Protected - Any admin
  */
-router.get('/dashboard', protectAdminRoute(), async (req, res) => {
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
     try {
-        console.log(`Dashboard accessed by: ${req.user.fullName} (${req.user.email})`);
-
-        // Get various statistics in parallel
-        const [
-            pendingRequestsResult,
-            totalRequestsResult,
-            totalCustomersResult,
-            recentRequestsResult,
-            servicesResult
-        ] = await Promise.all([
-            pool.query("SELECT COUNT(*) FROM appointment_requests WHERE status = 'pending'"),
-            pool.query("SELECT COUNT(*) FROM appointment_requests"),
-            pool.query("SELECT COUNT(*) FROM customers"),
-            pool.query(`
-                SELECT 
-                    ar.id,
-                    ar.status,
-                    ar.created_at,
-                    c.first_name,
-                    c.last_name,
-                    s.name as service_name
-                FROM appointment_requests ar
-                JOIN customers c ON ar.customer_id = c.id
-                JOIN services s ON ar.service_id = s.id
-                ORDER BY ar.created_at DESC
-                LIMIT 5
-            `),
-            pool.query("SELECT COUNT(*) as count, s.name FROM appointment_requests ar JOIN services s ON ar.service_id = s.id GROUP BY s.name ORDER BY count DESC LIMIT 5")
-        ]);
-
-        const stats = {
-            pendingRequests: parseInt(pendingRequestsResult.rows[0].count),
-            totalRequests: parseInt(totalRequestsResult.rows[0].count),
-            totalCustomers: parseInt(totalCustomersResult.rows[0].count),
-            recentRequests: recentRequestsResult.rows,
-            popularServices: servicesResult.rows
-        };
+        const result = await pool.query(`
+            UPDATE admin_sessions
+            SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'revoked_by_user'
+            WHERE jti = $1 AND user_id = $2 AND revoked_at IS NULL
+        `, [req.params.sessionId, req.user.id]);
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found',
+                code: 'SESSION_NOT_FOUND'
+            });
+        }
+
+        await recordAudit({
+            req,
+            action: 'session_revoked',
+            entityType: 'session',
+            entityId: req.params.sessionId
+        });
 
         res.json({
             success: true,
+            message: 'Session revoked',
             data: {
-                stats,
-                user: {
-                    name: req.user.fullName,
-                    email: req.user.email,
-                    role: req.user.role,
-                    welcomeMessage: `Welcome back, ${req.user.firstName}!`
-                },
-                lastUpdated: new Date().toISOString()
+                current: req.params.sessionId === req.tokenPayload.jti
             }
         });
 
     } catch (error) {
-        console.error('Error fetching dashboard data:', error);
+        console.error('Error revoking session:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to fetch dashboard data',
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            message: 'Failed to revoke session'
         });
     }
 });
 
 /**
- * @route   PUT /api/admin/requests/:id/approve
- * @desc    Approve an appointment request and create confirmed appointment
- * @access  Protected - Admin only
+ * @route   DELETE /api/auth/sessions
+ * @desc    Revoke all of the current user's sessions (?keepCurrent=true keeps this one)
+ * @access  Protected - Any admin
  */
-router.put('/requests/:id/approve', protectAdminRoute(), async (req, res) => {
-    const requestId = req.params.id;
-    const { preferredTimeId, adminNotes } = req.body;
+router.delete('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const keepCurrent = req.query.keepCurrent === 'true';
+        const revoked = await revokeUserSessions(pool, req.user.id, 'revoked_by_user', {
+            exceptJti: keepCurrent ? req.tokenPayload.jti : null
+        });
+
+        await recordAudit({
+            req,
+            action: 'sessions_revoked',
+            entityType: 'admin_user',
+            entityId: req.user.id,
+            metadata: { revoked, keepCurrent }
+        });
+
+        res.json({
+            success: true,
+            message: keepCurrent ? 'All other sessions revoked' : 'All sessions revoked',
+            data: { revoked }
+        });
+
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke sessions'
+        });
+    }
+});
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a valid token for a freshly issued one
+ * @access  Protected - Any admin
+ */
+router.post('/refresh', authenticateToken, async (req, res) => {
     try {
-        console.log(`Request ${requestId} approval attempted by: ${req.user.fullName}`);
+        const { rememberMe, mfa, jti } = req.tokenPayload;
+        const { token, expiresIn } = await issueToken(req, req.user, rememberMe, { mfa, sessionId: jti });
 
-        // Start transaction
-        await pool.query('BEGIN');
+        res.json({
+            success: true,
+            message: 'Token refreshed',
+            data: {
+                token,
+                expiresIn,
+                user: req.user
+            }
+        });
 
-        // Get the request details and preferred time
-        const requestQuery = `
-            SELECT 
-                ar.*,
-                rtp.preferred_time
-            FROM appointment_requests ar
-            LEFT JOIN request_time_preferences rtp ON ar.id = rtp.request_id
-            WHERE ar.id = $1 AND rtp.id = $2
-        `;
+    } catch (error) {
+        console.error('Error refreshing token:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to refresh token'
+        });
+    }
+});
 
-        const requestResult = await pool.query(requestQuery, [requestId, preferredTimeId]);
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete a login with a TOTP or recovery code
+ * @access  Public (requires the challenge token from /login)
+ */
+router.post('/2fa/verify', async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
 
-        if (requestResult.rows.length === 0) {
-            await pool.query('ROLLBACK');
-            return res.status(404).json({
+    if (!challengeToken || (!code && !recoveryCode)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Challenge token and a verification code are required',
+            code: 'TWO_FACTOR_FIELDS_REQUIRED'
+        });
+    }
+
+    let challenge;
+    try {
+        challenge = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+        challenge = null;
+    }
+
+    if (!challenge || challenge.purpose !== '2fa_challenge') {
+        return res.status(401).json({
+            success: false,
+            message: 'Verification session expired. Please sign in again.',
+            code: 'INVALID_CHALLENGE'
+        });
+    }
+
+    try {
+        const userResult = await pool.query(`
+            SELECT
+                id,
+                email,
+                first_name,
+                last_name,
+                role,
+                locked_until,
+                totp_enabled,
+                totp_secret,
+                totp_last_used_step
+            FROM admin_users
+            WHERE id = $1 AND is_active = true AND totp_enabled = true
+        `, [challenge.id]);
+
+        const user = userResult.rows[0];
+
+        if (!user) {
+            return res.status(401).json({
                 success: false,
-                message: 'Request or preferred time not found'
+                message: 'Verification session expired. Please sign in again.',
+                code: 'INVALID_CHALLENGE'
             });
         }
 
-        const request = requestResult.rows[0];
+        if (user.locked_until && new Date(user.locked_until) > new Date()) {
+            return res.status(423).json({
+                success: false,
+                message: 'Account is temporarily locked due to repeated failed logins. Please try again later.',
+                code: 'ACCOUNT_LOCKED',
+                lockedUntil: user.locked_until
+            });
+        }
 
-        if (request.status !== 'pending') {
-            await pool.query('ROLLBACK');
-            return res.status(400).json({
+        let verified = false;
+
+        if (code) {
+            const step = totp.verifyCode(user.totp_secret, code, {
+                lastUsedStep: user.totp_last_used_step === null ? null : Number(user.totp_last_used_step)
+            });
+
+            if (step !== null) {
+                // Conditional update so a code can't be replayed by a concurrent request
+                const stepResult = await pool.query(`
+                    UPDATE admin_users
+                    SET totp_last_used_step = $2
+                    WHERE id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)
+                `, [user.id, step]);
+                verified = stepResult.rowCount === 1;
+            }
+        } else {
+            const recoveryResult = await pool.query(`
+                UPDATE admin_recovery_codes
+                SET used_at = CURRENT_TIMESTAMP
+                WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+                RETURNING id
+            `, [user.id, hashRecoveryCode(recoveryCode)]);
+            verified = recoveryResult.rowCount === 1;
+        }
+
+        if (!verified) {
+            const failure = await recordFailedLogin(user.id);
+            console.log(`Failed two-factor verification for ${user.email} (${failure.failed_login_attempts}/${MAX_LOGIN_ATTEMPTS})`);
+            await recordAudit({
+                req,
+                actor: user,
+                action: failure.locked_until ? 'account_locked' : 'two_factor_failed',
+                entityType: 'admin_user',
+                entityId: user.id,
+                metadata: {
+                    method: code ? 'totp' : 'recovery_code',
+                    failedAttempts: failure.failed_login_attempts
+                }
+            });
+            return sendLoginFailure(res, failure, 'Invalid verification code', 'INVALID_TWO_FACTOR_CODE');
+        }
+
+        const extra = {};
+        if (recoveryCode) {
+            const remaining = await pool.query(`
+                SELECT COUNT(*) FROM admin_recovery_codes
+                WHERE user_id = $1 AND used_at IS NULL
+            `, [user.id]);
+            extra.recoveryCodesRemaining = parseInt(remaining.rows[0].count);
+        }
+
+        await completeLogin(req, res, user, challenge.rememberMe, { mfa: true, extra });
+
+    } catch (error) {
+        console.error('Error verifying two-factor code:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Two-factor verification failed due to a server error'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start TOTP enrollment - returns the secret and provisioning URI for a QR code
+ * @access  Protected - Any admin (second factor may still be pending)
+ */
+router.post('/2fa/setup', authenticateTokenAllowPendingTwoFactor, async (req, res) => {
+    try {
+        if (req.user.twoFactorEnabled) {
+            return res.status(409).json({
                 success: false,
-                message: 'Only pending requests can be approved'
+                message: 'Two-factor authentication is already enabled',
+                code: 'TWO_FACTOR_ALREADY_ENABLED'
             });
         }
 
-        // Create confirmed appointment
-        const appointmentQuery = `
-            INSERT INTO appointments (
-                customer_id,
-                service_id,
-                scheduled_time,
-                status,
-                notes,
-                created_by,
-                created_at
-            ) VALUES ($1, $2, $3, 'scheduled', $4, $5, CURRENT_TIMESTAMP)
-            RETURNING id
-        `;
-
-        const appointmentResult = await pool.query(appointmentQuery, [
-            request.customer_id,
-            request.service_id,
-            request.preferred_time,
-            adminNotes || 'Approved via admin panel',
-            req.user.id
-        ]);
-
-        // Update request status
+        const secret = totp.generateSecret();
+
+        // Stored as pending until /2fa/enable confirms the user can produce codes
         await pool.query(`
-            UPDATE appointment_requests 
-            SET 
-                status = 'confirmed',
-                admin_notes = $1,
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = $2
-        `, [adminNotes || `Approved by ${req.user.fullName}`, requestId]);
+            UPDATE admin_users
+            SET totp_secret = $2, totp_last_used_step = NULL
+            WHERE id = $1
+        `, [req.user.id, secret]);
 
-        await pool.query('COMMIT');
+        await recordAudit({
+            req,
+            action: 'two_factor_setup_started',
+            entityType: 'admin_user',
+            entityId: req.user.id
+        });
 
         res.json({
             success: true,
-            message: 'Request approved and appointment created successfully',
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
             data: {
-                appointmentId: appointmentResult.rows[0].id,
-                approvedBy: req.user.fullName,
-                approvedAt: new Date().toISOString()
+                secret,
+                otpauthUrl: totp.buildProvisioningUri({ secret, accountName: req.user.email })
             }
         });
 
     } catch (error) {
-        await pool.query('ROLLBACK');
-        console.error('Error approving request:', error);
+        console.error('Error starting two-factor setup:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to approve request',
-            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            message: 'Failed to start two-factor setup'
         });
     }
 });
 
 /**
- * @route   PUT /api/admin/requests/:id/reschedule
- * @desc    Suggest alternative time for appointment request
- * @access  Protected - Admin only
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm TOTP enrollment with a code and receive recovery codes
+ * @access  Protected - Any admin (second factor may still be pending)
  */
-router.put('/requests/:id/reschedule', protectAdminRoute(), async (req, res) => {
-    const requestId = req.params.id;
-    const { suggestedTime, adminNotes } = req.body;
+router.post('/2fa/enable', authenticateTokenAllowPendingTwoFactor, async (req, res) => {
+    const { code } = req.body;
+    const client = await pool.connect();
 
     try {
-        console.log(`Request ${requestId} reschedule by: ${req.user.fullName}`);
-
-        const updateQuery = `
-            UPDATE appointment_requests 
-            SET 
-                status = 'rescheduled',
-                admin_notes = $1,
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = $2 AND status = 'pending'
-            RETURNING *
-        `;
-
-        const result = await pool.query(updateQuery, [
-            `${adminNotes} - Suggested time: ${suggestedTime} (by ${req.user.fullName})`,
-            requestId
-        ]);
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({
+        await client.query('BEGIN');
+
+        const userResult = await client.query(`
+            SELECT id, email, role, totp_enabled, totp_secret
+            FROM admin_users
+            WHERE id = $1
+            FOR UPDATE
+        `, [req.user.id]);
+
+        const user = userResult.rows[0];
+
+        if (user.totp_enabled) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled',
+                code: 'TWO_FACTOR_ALREADY_ENABLED'
+            });
+        }
+
+        if (!user.totp_secret) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: 'Start two-factor setup first',
+                code: 'TWO_FACTOR_SETUP_NOT_STARTED'
+            });
+        }
+
+        const step = totp.verifyCode(user.totp_secret, code);
+
+        if (step === null) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
                 success: false,
-                message: 'Request not found or not in pending status'
+                message: 'Invalid verification code',
+                code: 'INVALID_TWO_FACTOR_CODE'
             });
         }
 
+        await client.query(`
+            UPDATE admin_users
+            SET totp_enabled = true,
+                totp_enabled_at = CURRENT_TIMESTAMP,
+                totp_last_used_step = $2
+            WHERE id = $1
+        `, [user.id, step]);
+
+        const recoveryCodes = await regenerateRecoveryCodes(client, user.id);
+
+        await recordAudit({
+            req,
+            action: 'two_factor_enabled',
+            entityType: 'admin_user',
+            entityId: user.id
+        }, client);
+
+        await client.query('COMMIT');
+
+        // The current token predates enrollment, so hand back one that carries the second factor
+        const { token, expiresIn } = await issueToken(req, user, req.tokenPayload.rememberMe, {
+            mfa: true,
+            sessionId: req.tokenPayload.jti
+        });
+
+        console.log(`Two-factor enabled for: ${user.email}`);
+
         res.json({
             success: true,
-            message: 'Reschedule suggestion sent successfully',
+            message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
             data: {
-                request: result.rows[0],
-                rescheduledBy: req.user.fullName,
-                suggestedTime
+                token,
+                expiresIn,
+                recoveryCodes
             }
         });
 
     } catch (error) {
-        console.error('Error rescheduling request:', error);
+        await client.query('ROLLBACK');
+        console.error('Error enabling two-factor:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to reschedule request'
+            message: 'Failed to enable two-factor authentication'
         });
+    } finally {
+        client.release();
     }
 });
 
 /**
- * @route   DELETE /api/admin/requests/:id
- * @desc    Cancel/reject an appointment request
- * @access  Protected - Admin only
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes (requires a current TOTP code)
+ * @access  Protected - Any admin with two-factor enabled
  */
-router.delete('/requests/:id', protectAdminRoute(), async (req, res) => {
-    const requestId = req.params.id;
-    const { reason } = req.body;
+router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+    const { code } = req.body;
 
     try {
-        console.log(`Request ${requestId} cancellation by: ${req.user.fullName}`);
-
-        const updateQuery = `
-            UPDATE appointment_requests 
-            SET 
-                status = 'cancelled',
-                admin_notes = $1,
-                updated_at = CURRENT_TIMESTAMP
-            WHERE id = $2
-            RETURNING *
-        `;
-
-        const result = await pool.query(updateQuery, [
-            `Cancelled by ${req.user.fullName}. Reason: ${reason || 'No reason provided'}`,
-            requestId
-        ]);
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({
+        const user = (await pool.query(`
+            SELECT id, totp_enabled, totp_secret, totp_last_used_step
+            FROM admin_users
+            WHERE id = $1
+        `, [req.user.id])).rows[0];
+
+        if (!user.totp_enabled) {
+            return res.status(400).json({
                 success: false,
-                message: 'Request not found'
+                message: 'Two-factor authentication is not enabled',
+                code: 'TWO_FACTOR_NOT_ENABLED'
             });
         }
 
+        const step = totp.verifyCode(user.totp_secret, code, {
+            lastUsedStep: user.totp_last_used_step === null ? null : Number(user.totp_last_used_step)
+        });
+
+        if (step === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid verification code',
+                code: 'INVALID_TWO_FACTOR_CODE'
+            });
+        }
+
+        await pool.query('UPDATE admin_users SET totp_last_used_step = $2 WHERE id = $1', [user.id, step]);
+        const recoveryCodes = await regenerateRecoveryCodes(pool, user.id);
+
+        await recordAudit({
+            req,
+            action: 'recovery_codes_regenerated',
+            entityType: 'admin_user',
+            entityId: user.id
+        });
+
         res.json({
             success: true,
-            message: 'Request cancelled successfully',
-            data: {
-                request: result.rows[0],
-                cancelledBy: req.user.fullName,
-                reason: reason || 'No reason provided'
-            }
+            message: 'Recovery codes regenerated. Previous codes no longer work.',
+            data: { recoveryCodes }
+        });
+
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to regenerate recovery codes'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn off two-factor authentication (requires password and a current code)
+ * @access  Protected - Any admin whose role does not require two-factor
+ */
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+    const { password, code } = req.body;
+
+    if (isTwoFactorRequiredForRole(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Two-factor authentication is required for your role',
+            code: 'TWO_FACTOR_REQUIRED_FOR_ROLE'
+        });
+    }
+
+    try {
+        const user = (await pool.query(`
+            SELECT id, email, password_hash, totp_enabled, totp_secret, totp_last_used_step
+            FROM admin_users
+            WHERE id = $1
+        `, [req.user.id])).rows[0];
+
+        if (!user.totp_enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled',
+                code: 'TWO_FACTOR_NOT_ENABLED'
+            });
+        }
+
+        const passwordMatches = password && await bcrypt.compare(password, user.password_hash);
+        const step = totp.verifyCode(user.totp_secret, code, {
+            lastUsedStep: user.totp_last_used_step === null ? null : Number(user.totp_last_used_step)
+        });
+
+        if (!passwordMatches || step === null) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password or verification code',
+                code: 'INVALID_CREDENTIALS'
+            });
+        }
+
+        await pool.query(`
+            UPDATE admin_users
+            SET totp_enabled = false,
+                totp_secret = NULL,
+                totp_enabled_at = NULL,
+                totp_last_used_step = NULL
+            WHERE id = $1
+        `, [user.id]);
+        await pool.query('DELETE FROM admin_recovery_codes WHERE user_id = $1', [user.id]);
+
+        console.log(`Two-factor disabled for: ${user.email}`);
+
+        await recordAudit({
+            req,
+            action: 'two_factor_disabled',
+            entityType: 'admin_user',
+            entityId: user.id
+        });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
         });
 
     } catch (error) {
-        console.error('Error cancelling request:', error);
+        console.error('Error disabling two-factor:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to cancel request'
+            message: 'Failed to disable two-factor authentication'
+        });
+    }
+});
+
+/**
+ * Issue and email a reset link if the email belongs to an active admin
+ * @param {Object} req - Express request (for the audit entry)
+ * @param {string} email - Normalized email address
+ */
+const sendPasswordResetLink = async (req, email) => {
+    const userResult = await pool.query(`
+        SELECT id, email, first_name
+        FROM admin_users
+        WHERE email = $1 AND is_active = true
+    `, [email]);
+
+    const user = userResult.rows[0];
+
+    if (!user) {
+        return;
+    }
+
+    const token = await issueResetToken(pool, user.id);
+    await sendPasswordEmail(user, token, { reason: 'reset' });
+
+    console.log(`Password reset requested for: ${user.email}`);
+
+    await recordAudit({
+        req,
+        actor: user,
+        action: 'password_reset_requested',
+        entityType: 'admin_user',
+        entityId: user.id
+    });
+};
+
+/**
+ * @route   POST /api/auth/password-reset/request
+ * @desc    Email a single-use password reset link to an admin user
+ * @access  Public
+ */
+router.post('/password-reset/request', async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        return res.status(400).json({
+            success: false,
+            message: 'Email address is required',
+            code: 'EMAIL_REQUIRED'
         });
     }
+
+    // Same response whether or not the account exists - the lookup and email happen
+    // after responding, so neither the response time nor a mail failure gives it away
+    res.json({
+        success: true,
+        message: 'If an account exists for that email, a password reset link has been sent'
+    });
+
+    sendPasswordResetLink(req, String(email).toLowerCase().trim()).catch(error => {
+        console.error('Error sending password reset link:', error);
+    });
 });
 
 /**
- * @route   GET /api/admin/users
- * @desc    Get all admin users (super admin only)
- * @access  Protected - Super Admin only
+ * @route   POST /api/auth/password-reset/complete
+ * @desc    Set a new password using a reset token
+ * @access  Public
  */
+router.post('/password-reset/complete', async (req, res) => {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+        return res.status(400).json({
+            success: false,
+            message: 'Reset token and new password are required',
+            code: 'RESET_FIELDS_REQUIRED'
+        });
+    }
 
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({
+            success: false,
+            message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`,
+            code: 'PASSWORD_TOO_SHORT'
+        });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        // Lock the token row so it can only be redeemed once
+        const tokenResult = await client.query(`
+            SELECT prt.id, prt.user_id, u.email
+            FROM password_reset_tokens prt
+            JOIN admin_users u ON prt.user_id = u.id
+            WHERE prt.token_hash = $1
+                AND prt.used_at IS NULL
+                AND prt.expires_at > CURRENT_TIMESTAMP
+                AND u.is_active = true
+            FOR UPDATE OF prt
+        `, [hashResetToken(String(token))]);
 
-// Temporary debug - add this before module.exports
-console.log('🔍 Auth routes registered:', router.stack.map(layer => `${layer.route?.stack[0]?.method?.toUpperCase()} ${layer.route?.path}`));
+        if (tokenResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({
+                success: false,
+                message: 'Reset link is invalid or has expired',
+                code: 'INVALID_RESET_TOKEN'
+            });
+        }
+
+        const resetToken = tokenResult.rows[0];
+        const passwordHash = await bcrypt.hash(password, 12);
+
+        await client.query(`
+            UPDATE password_reset_tokens
+            SET used_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [resetToken.id]);
+
+        // Bumping password_changed_at invalidates every JWT issued before now
+        await client.query(`
+            UPDATE admin_users
+            SET
+                password_hash = $2,
+                password_changed_at = CURRENT_TIMESTAMP,
+                failed_login_attempts = 0,
+                locked_until = NULL
+            WHERE id = $1
+        `, [resetToken.user_id, passwordHash]);
+
+        const revokedSessions = await revokeUserSessions(client, resetToken.user_id, 'password_changed');
+
+        await recordAudit({
+            req,
+            actor: { id: resetToken.user_id, email: resetToken.email },
+            action: 'password_reset_completed',
+            entityType: 'admin_user',
+            entityId: resetToken.user_id,
+            metadata: { revokedSessions }
+        }, client);
+
+        await client.query('COMMIT');
+
+        console.log(`Password reset completed for: ${resetToken.email}`);
+
+        res.json({
+            success: true,
+            message: 'Password has been reset. Please sign in with your new password.'
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error completing password reset:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reset password'
+        });
+    } finally {
+        client.release();
+    }
+});
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
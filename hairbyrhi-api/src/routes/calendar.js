@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { queryOne } = require('../utils/database');
+const { hashCustomerToken } = require('../utils/customerTokens');
+const { buildScheduleFeed } = require('../utils/appointmentCalendar');
+
+/**
+ * GET /api/calendar/feeds/:token.ics
+ * The salon's schedule as a subscribable iCalendar feed
+ * Permission: none - the secret URL is the credential (revoke it to cut off a subscriber)
+ */
+router.get('/feeds/:token.ics', async (req, res) => {
+  try {
+    const feed = await queryOne(`
+      UPDATE calendar_feeds
+      SET last_accessed_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1 AND revoked_at IS NULL
+      RETURNING id
+    `, [hashCustomerToken(req.params.token)]);
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar feed not found'
+      });
+    }
+
+    const calendar = await buildScheduleFeed();
+
+    res.type('text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'private, no-cache');
+    res.send(calendar);
+
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build calendar feed'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { queryOne, queryMany } = require('../utils/database');
+const { authenticateToken, requirePermission, logAuthEvent } = require('../../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { generateCustomerToken } = require('../utils/customerTokens');
+
+router.use(authenticateToken, logAuthEvent('calendar_feeds_access', { persist: false }));
+
+const FEED_COLUMNS = 'cf.id, cf.name, cf.created_by, au.email as created_by_email, cf.last_accessed_at, cf.revoked_at, cf.created_at';
+
+const createFeedSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required()
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: error.details.map(detail => detail.message)
+});
+
+/**
+ * Subscription URL for a feed token (API_URL when the API sits behind a proxy)
+ * @param {Object} req - Express request
+ * @param {string} token - Raw feed token
+ * @returns {string} Absolute URL
+ */
+const buildFeedUrl = (req, token) => {
+  const base = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  return new URL(`/api/calendar/feeds/${token}.ics`, `${base}/`).toString();
+};
+
+/**
+ * GET /api/admin/calendar-feeds
+ * List calendar feeds, newest first (their URLs are only shown when created)
+ * Permission: calendar:manage
+ */
+router.get('/', requirePermission('calendar:manage'), async (req, res) => {
+  try {
+    const feeds = await queryMany(`
+      SELECT ${FEED_COLUMNS}
+      FROM calendar_feeds cf
+      LEFT JOIN admin_users au ON cf.created_by = au.id
+      ORDER BY cf.revoked_at IS NOT NULL, cf.created_at DESC, cf.id DESC
+    `);
+
+    res.json({
+      success: true,
+      data: feeds
+    });
+
+  } catch (error) {
+    console.error('Error fetching calendar feeds:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch calendar feeds'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/calendar-feeds
+ * Create a secret URL to subscribe to the schedule from a calendar app
+ * Permission: calendar:manage
+ */
+router.post('/', requirePermission('calendar:manage'), async (req, res) => {
+  try {
+    const { error, value } = createFeedSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const { token, tokenHash } = generateCustomerToken();
+
+    const feed = await queryOne(`
+      INSERT INTO calendar_feeds (name, token_hash, created_by)
+      VALUES ($1, $2, $3)
+      RETURNING id, name, created_by, last_accessed_at, revoked_at, created_at
+    `, [value.name, tokenHash, req.user.id]);
+
+    await recordAudit({
+      req,
+      action: 'calendar_feed_created',
+      entityType: 'calendar_feed',
+      entityId: feed.id,
+      after: { name: feed.name }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed created - copy the URL now, it will not be shown again',
+      data: {
+        ...feed,
+        url: buildFeedUrl(req, token)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create calendar feed'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/calendar-feeds/:id
+ * Revoke a feed URL (subscribed calendars stop updating)
+ * Permission: calendar:manage
+ */
+router.delete('/:id', requirePermission('calendar:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid calendar feed ID'
+      });
+    }
+
+    const feed = await queryOne(`
+      UPDATE calendar_feeds
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND revoked_at IS NULL
+      RETURNING id, name, last_accessed_at, revoked_at
+    `, [id]);
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar feed not found'
+      });
+    }
+
+    await recordAudit({
+      req,
+      action: 'calendar_feed_revoked',
+      entityType: 'calendar_feed',
+      entityId: feed.id,
+      before: { name: feed.name, last_accessed_at: feed.last_accessed_at },
+      after: { revoked_at: feed.revoked_at }
+    });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed revoked',
+      data: feed
+    });
+
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke calendar feed'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,257 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { queryOne, queryMany } = require('../utils/database');
+const { authenticateToken, requirePermission, logAuthEvent } = require('../../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { addToOutbox } = require('../utils/emailOutbox');
+const { EMAIL_TEMPLATES } = require('../utils/emailTemplates');
+const { redactTokens } = require('../utils/customerTokens');
+
+router.use(authenticateToken, logAuthEvent('emails_access', { persist: false }));
+
+const EMAIL_COLUMNS = `
+  eo.id,
+  eo.template,
+  eo.to_address,
+  eo.subject,
+  eo.status,
+  eo.attempts,
+  eo.last_error,
+  eo.transport,
+  eo.provider_message_id,
+  eo.customer_id,
+  eo.entity_type,
+  eo.entity_id,
+  eo.job_id,
+  eo.resent_from_id,
+  eo.sent_at,
+  eo.created_at,
+  eo.updated_at,
+  j.status as job_status,
+  j.run_at as next_attempt_at,
+  j.max_attempts
+`;
+
+const listQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'sent', 'failed', 'all').default('all'),
+  template: Joi.string().valid(...EMAIL_TEMPLATES),
+  to: Joi.string().max(255),
+  entity_type: Joi.string().max(50),
+  entity_id: Joi.string().max(64),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: error.details.map(detail => detail.message)
+});
+
+/**
+ * GET /api/admin/emails?status=failed&to=...
+ * List customer emails, newest first, with a count per status
+ * Permission: emails:read
+ */
+router.get('/', requirePermission('emails:read'), async (req, res) => {
+  try {
+    const { error, value } = listQuerySchema.validate(req.query);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (value.status !== 'all') {
+      params.push(value.status);
+      conditions.push(`eo.status = $${params.length}`);
+    }
+
+    if (value.template) {
+      params.push(value.template);
+      conditions.push(`eo.template = $${params.length}`);
+    }
+
+    if (value.to) {
+      params.push(value.to.toLowerCase());
+      conditions.push(`LOWER(eo.to_address) = $${params.length}`);
+    }
+
+    if (value.entity_type) {
+      params.push(value.entity_type);
+      conditions.push(`eo.entity_type = $${params.length}`);
+    }
+
+    if (value.entity_id) {
+      params.push(value.entity_id);
+      conditions.push(`eo.entity_id = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [emails, total, statusCounts] = await Promise.all([
+      queryMany(`
+        SELECT ${EMAIL_COLUMNS}
+        FROM email_outbox eo
+        LEFT JOIN jobs j ON eo.job_id = j.id
+        ${whereClause}
+        ORDER BY eo.created_at DESC, eo.id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, value.limit, value.offset]),
+      queryOne(`SELECT COUNT(*) as total FROM email_outbox eo ${whereClause}`, params),
+      queryMany('SELECT status, COUNT(*) as count FROM email_outbox GROUP BY status')
+    ]);
+
+    const counts = { pending: 0, sent: 0, failed: 0 };
+    statusCounts.forEach(row => {
+      counts[row.status] = parseInt(row.count);
+    });
+
+    res.json({
+      success: true,
+      data: emails,
+      counts,
+      pagination: {
+        total: parseInt(total.total),
+        limit: value.limit,
+        offset: value.offset
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching emails:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch emails'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/emails/:id
+ * Get an email with its bodies (customer link tokens redacted) and attachment names
+ * Permission: emails:read
+ */
+router.get('/:id', requirePermission('emails:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email ID'
+      });
+    }
+
+    const email = await queryOne(`
+      SELECT
+        ${EMAIL_COLUMNS},
+        eo.text_body,
+        eo.html_body,
+        COALESCE((SELECT json_agg(attachment->>'filename') FROM jsonb_array_elements(eo.attachments) attachment), '[]') as attachments
+      FROM email_outbox eo
+      LEFT JOIN jobs j ON eo.job_id = j.id
+      WHERE eo.id = $1
+    `, [id]);
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        error: 'Email not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...email,
+        text_body: redactTokens(email.text_body),
+        html_body: redactTokens(email.html_body)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch email'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/emails/:id/resend
+ * Queue a fresh copy of an email (e.g. after a customer says it never arrived)
+ * Permission: emails:manage
+ */
+router.post('/:id/resend', requirePermission('emails:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email ID'
+      });
+    }
+
+    const original = await queryOne(`
+      SELECT id, template, to_address, subject, text_body, html_body, attachments, status, customer_id, entity_type, entity_id
+      FROM email_outbox
+      WHERE id = $1
+    `, [id]);
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        error: 'Email not found'
+      });
+    }
+
+    if (original.status === 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: 'Email has not been attempted yet'
+      });
+    }
+
+    const copy = await addToOutbox(null, {
+      to: original.to_address,
+      subject: original.subject,
+      text: original.text_body,
+      html: original.html_body,
+      attachments: original.attachments,
+      template: original.template,
+      customerId: original.customer_id,
+      entityType: original.entity_type,
+      entityId: original.entity_id,
+      resentFromId: original.id
+    });
+
+    await recordAudit({
+      req,
+      action: 'email_resent',
+      entityType: 'email',
+      entityId: id,
+      after: { resent_as_id: copy.id, job_id: copy.job_id },
+      metadata: { template: original.template, to: original.to_address, status: original.status }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Email queued to resend',
+      data: copy
+    });
+
+  } catch (error) {
+    console.error('Error resending email:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resend email'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,437 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { queryOne, queryMany, beginTransaction, commitTransaction, rollbackTransaction } = require('../utils/database');
+const { authenticateToken, requirePermission, logAuthEvent } = require('../../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { getCustomerBalance } = require('../utils/fees');
+
+router.use(authenticateToken, logAuthEvent('fees_access', { persist: false }));
+
+const feeRuleSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  event_type: Joi.string().valid('cancellation', 'reschedule', 'no_show').required(),
+  timing: Joi.string().valid('any', 'advance', 'late', 'same_day').default('any'),
+  min_reschedule_number: Joi.number().integer().min(1).allow(null).default(null),
+  percent_of_price: Joi.number().min(0).max(100).precision(2).default(0),
+  flat_amount: Joi.number().min(0).precision(2).default(0),
+  priority: Joi.number().integer().min(0).default(100),
+  is_active: Joi.boolean().default(true)
+});
+
+const ledgerEntrySchema = Joi.object({
+  entry_type: Joi.string().valid('payment', 'waiver', 'adjustment').required(),
+  // Payments and waivers are entered as positive amounts and reduce the balance;
+  // adjustments are signed (positive adds to what the customer owes)
+  amount: Joi.number().precision(2).invalid(0).required()
+    .when('entry_type', { is: Joi.valid('payment', 'waiver'), then: Joi.number().positive() }),
+  appointment_id: Joi.number().integer().positive().allow(null),
+  description: Joi.string().max(1000).allow('', null)
+});
+
+const RULE_COLUMNS = `
+  id, name, event_type, timing, min_reschedule_number, percent_of_price,
+  flat_amount, priority, is_active, created_at, updated_at
+`;
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: error.details.map(detail => detail.message)
+});
+
+/**
+ * GET /api/admin/fees/rules
+ * Get the fee rules in evaluation order
+ * Permission: fees:read
+ */
+router.get('/rules', requirePermission('fees:read'), async (req, res) => {
+  try {
+    const rules = await queryMany(`
+      SELECT ${RULE_COLUMNS}
+      FROM fee_rules
+      ORDER BY is_active DESC, event_type, priority, id
+    `);
+
+    res.json({
+      success: true,
+      data: rules,
+      count: rules.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching fee rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch fee rules'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/fees/rules
+ * Add a fee rule
+ * Permission: fees:manage
+ */
+router.post('/rules', requirePermission('fees:manage'), async (req, res) => {
+  try {
+    const { error, value } = feeRuleSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const rule = await queryOne(`
+      INSERT INTO fee_rules (
+        name, event_type, timing, min_reschedule_number,
+        percent_of_price, flat_amount, priority, is_active
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING ${RULE_COLUMNS}
+    `, [
+      value.name,
+      value.event_type,
+      value.timing,
+      value.min_reschedule_number,
+      value.percent_of_price,
+      value.flat_amount,
+      value.priority,
+      value.is_active
+    ]);
+
+    await recordAudit({
+      req,
+      action: 'fee_rule_created',
+      entityType: 'fee_rule',
+      entityId: rule.id,
+      after: rule
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Fee rule created',
+      data: rule
+    });
+
+  } catch (error) {
+    console.error('Error creating fee rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create fee rule'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/fees/rules/:id
+ * Update a fee rule
+ * Permission: fees:manage
+ */
+router.put('/rules/:id', requirePermission('fees:manage'), async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rule ID'
+      });
+    }
+
+    const { error, value } = feeRuleSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+
+    const existing = await client.query(`
+      SELECT ${RULE_COLUMNS} FROM fee_rules WHERE id = $1 FOR UPDATE
+    `, [id]);
+
+    if (existing.rows.length === 0) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        error: 'Fee rule not found'
+      });
+    }
+
+    const result = await client.query(`
+      UPDATE fee_rules
+      SET name = $2,
+          event_type = $3,
+          timing = $4,
+          min_reschedule_number = $5,
+          percent_of_price = $6,
+          flat_amount = $7,
+          priority = $8,
+          is_active = $9,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${RULE_COLUMNS}
+    `, [
+      id,
+      value.name,
+      value.event_type,
+      value.timing,
+      value.min_reschedule_number,
+      value.percent_of_price,
+      value.flat_amount,
+      value.priority,
+      value.is_active
+    ]);
+
+    await recordAudit({
+      req,
+      action: 'fee_rule_updated',
+      entityType: 'fee_rule',
+      entityId: id,
+      before: existing.rows[0],
+      after: result.rows[0]
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.json({
+      success: true,
+      message: 'Fee rule updated',
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error updating fee rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update fee rule'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/fees/rules/:id
+ * Deactivate a fee rule (kept so past ledger entries still reference it)
+ * Permission: fees:manage
+ */
+router.delete('/rules/:id', requirePermission('fees:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rule ID'
+      });
+    }
+
+    const rule = await queryOne(`
+      UPDATE fee_rules
+      SET is_active = false,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND is_active = true
+      RETURNING ${RULE_COLUMNS}
+    `, [id]);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Active fee rule not found'
+      });
+    }
+
+    await recordAudit({
+      req,
+      action: 'fee_rule_deactivated',
+      entityType: 'fee_rule',
+      entityId: id,
+      before: { is_active: true },
+      after: { is_active: false }
+    });
+
+    res.json({
+      success: true,
+      message: 'Fee rule deactivated'
+    });
+
+  } catch (error) {
+    console.error('Error deactivating fee rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate fee rule'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/fees/balances
+ * Get customers with an outstanding balance
+ * Permission: fees:read
+ */
+router.get('/balances', requirePermission('fees:read'), async (req, res) => {
+  try {
+    const balances = await queryMany(`
+      SELECT
+        c.id as customer_id,
+        c.name as customer_name,
+        c.email as customer_email,
+        c.phone as customer_phone,
+        SUM(l.amount) as balance,
+        MAX(l.created_at) as last_entry_at
+      FROM fee_ledger l
+      JOIN customers c ON l.customer_id = c.id
+      GROUP BY c.id, c.name, c.email, c.phone
+      HAVING SUM(l.amount) > 0
+      ORDER BY balance DESC
+    `);
+
+    res.json({
+      success: true,
+      data: balances,
+      count: balances.length,
+      total_outstanding: balances.reduce((sum, row) => sum + parseFloat(row.balance), 0).toFixed(2)
+    });
+
+  } catch (error) {
+    console.error('Error fetching balances:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch balances'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/fees/customers/:id
+ * Get a customer's ledger and balance
+ * Permission: fees:read
+ */
+router.get('/customers/:id', requirePermission('fees:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid customer ID'
+      });
+    }
+
+    const customer = await queryOne(`
+      SELECT id, name, email, phone
+      FROM customers
+      WHERE id = $1
+    `, [id]);
+
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    const entries = await queryMany(`
+      SELECT
+        l.id,
+        l.entry_type,
+        l.amount,
+        l.description,
+        l.appointment_id,
+        l.appointment_change_id,
+        l.fee_rule_id,
+        l.created_at,
+        a.scheduled_datetime,
+        u.email as created_by_email
+      FROM fee_ledger l
+      LEFT JOIN appointments a ON l.appointment_id = a.id
+      LEFT JOIN admin_users u ON l.created_by = u.id
+      WHERE l.customer_id = $1
+      ORDER BY l.created_at DESC, l.id DESC
+    `, [id]);
+
+    res.json({
+      success: true,
+      data: {
+        customer,
+        balance: (await getCustomerBalance(id)).toFixed(2),
+        entries
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching customer ledger:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch customer ledger'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/fees/customers/:id/entries
+ * Record a payment, waiver or adjustment against a customer's balance
+ * Permission: fees:manage
+ */
+router.post('/customers/:id/entries', requirePermission('fees:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid customer ID'
+      });
+    }
+
+    const { error, value } = ledgerEntrySchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const customer = await queryOne('SELECT id FROM customers WHERE id = $1', [id]);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    const amount = value.entry_type === 'adjustment' ? value.amount : -value.amount;
+
+    const entry = await queryOne(`
+      INSERT INTO fee_ledger (customer_id, appointment_id, entry_type, amount, description, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [id, value.appointment_id || null, value.entry_type, amount, value.description || null, req.user.id]);
+
+    await recordAudit({
+      req,
+      action: `fee_${value.entry_type}_recorded`,
+      entityType: 'customer',
+      entityId: id,
+      after: entry
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Ledger entry recorded',
+      data: {
+        entry,
+        balance: (await getCustomerBalance(id)).toFixed(2)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error recording ledger entry:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record ledger entry'
+    });
+  }
+});
+
+module.exports = router;
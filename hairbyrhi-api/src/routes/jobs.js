@@ -0,0 +1,245 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { queryOne, queryMany } = require('../utils/database');
+const { authenticateToken, requirePermission, logAuthEvent } = require('../../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { JOB_COLUMNS } = require('../utils/jobQueue');
+
+router.use(authenticateToken, logAuthEvent('jobs_access', { persist: false }));
+
+const listQuerySchema = Joi.object({
+  status: Joi.string().valid('queued', 'running', 'completed', 'dead', 'failing', 'all').default('all'),
+  name: Joi.string().max(100),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: error.details.map(detail => detail.message)
+});
+
+/**
+ * GET /api/admin/jobs?status=dead&name=...
+ * List background jobs, newest first, with a count per status
+ * (status=failing lists queued jobs that are waiting to retry after an error)
+ * Permission: jobs:read
+ */
+router.get('/', requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const { error, value } = listQuerySchema.validate(req.query);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (value.status === 'failing') {
+      conditions.push(`status = 'queued' AND last_error IS NOT NULL`);
+    } else if (value.status !== 'all') {
+      params.push(value.status);
+      conditions.push(`status = $${params.length}`);
+    }
+
+    if (value.name) {
+      params.push(value.name);
+      conditions.push(`name = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [jobs, total, statusCounts] = await Promise.all([
+      queryMany(`
+        SELECT ${JOB_COLUMNS}
+        FROM jobs
+        ${whereClause}
+        ORDER BY created_at DESC, id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, value.limit, value.offset]),
+      queryOne(`SELECT COUNT(*) as total FROM jobs ${whereClause}`, params),
+      queryMany('SELECT status, COUNT(*) as count FROM jobs GROUP BY status')
+    ]);
+
+    const counts = { queued: 0, running: 0, completed: 0, dead: 0 };
+    statusCounts.forEach(row => {
+      counts[row.status] = parseInt(row.count);
+    });
+
+    res.json({
+      success: true,
+      data: jobs,
+      counts,
+      pagination: {
+        total: parseInt(total.total),
+        limit: value.limit,
+        offset: value.offset
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch jobs'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/jobs/recurring
+ * List recurring job schedules
+ * Permission: jobs:read
+ */
+router.get('/recurring', requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const schedules = await queryMany(`
+      SELECT name, interval_minutes, payload, enabled, next_run_at, last_enqueued_at, created_at, updated_at
+      FROM recurring_jobs
+      ORDER BY name
+    `);
+
+    res.json({
+      success: true,
+      data: schedules,
+      count: schedules.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching recurring jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch recurring jobs'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/jobs/:id
+ * Get a job, including its last error and result
+ * Permission: jobs:read
+ */
+router.get('/:id', requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job ID'
+      });
+    }
+
+    const job = await queryOne(`SELECT ${JOB_COLUMNS} FROM jobs WHERE id = $1`, [id]);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:id/retry
+ * Put a dead job back on the queue to run now with a fresh set of attempts
+ * Permission: jobs:manage
+ */
+router.post('/:id/retry', requirePermission('jobs:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid job ID'
+      });
+    }
+
+    const existing = await queryOne(`SELECT ${JOB_COLUMNS} FROM jobs WHERE id = $1`, [id]);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (existing.status !== 'dead') {
+      return res.status(409).json({
+        success: false,
+        error: `Only dead jobs can be retried (this one is ${existing.status})`
+      });
+    }
+
+    let job;
+    try {
+      job = await queryOne(`
+        UPDATE jobs
+        SET status = 'queued',
+            attempts = 0,
+            run_at = CURRENT_TIMESTAMP,
+            dead_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'dead'
+        RETURNING ${JOB_COLUMNS}
+      `, [id]);
+    } catch (updateError) {
+      // unique_violation on idx_jobs_dedupe_key
+      if (updateError.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'Another job with the same dedupe key is already queued or running'
+        });
+      }
+      throw updateError;
+    }
+
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        error: 'Job is no longer dead'
+      });
+    }
+
+    await recordAudit({
+      req,
+      action: 'job_retried',
+      entityType: 'job',
+      entityId: id,
+      before: { status: existing.status, attempts: existing.attempts, last_error: existing.last_error },
+      after: { status: job.status, attempts: job.attempts },
+      metadata: { name: job.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'Job queued for retry',
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry job'
+    });
+  }
+});
+
+module.exports = router;
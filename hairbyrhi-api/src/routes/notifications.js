@@ -0,0 +1,281 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { queryOne, queryMany, beginTransaction, commitTransaction, rollbackTransaction } = require('../utils/database');
+const { authenticateToken, requirePermission, logAuthEvent } = require('../../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { redactTokens } = require('../utils/customerTokens');
+const { SMS_TEMPLATES } = require('../utils/smsTemplates');
+const {
+  normalizePhone,
+  phoneMatchSql,
+  loadContactPreferences,
+  formatContactPreferences,
+  updateContactPreferences
+} = require('../utils/contactPreferences');
+
+router.use(authenticateToken, logAuthEvent('notifications_access', { persist: false }));
+
+const preferencesSchema = Joi.object({
+  email_notifications: Joi.boolean(),
+  sms_notifications: Joi.boolean()
+}).or('email_notifications', 'sms_notifications');
+
+const smsListSchema = Joi.object({
+  status: Joi.string().valid('pending', 'sent', 'failed', 'skipped', 'all').default('all'),
+  template: Joi.string().valid(...SMS_TEMPLATES),
+  customer_id: Joi.number().integer().positive(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const inboundListSchema = Joi.object({
+  from: Joi.string().max(30),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: error.details.map(detail => detail.message)
+});
+
+/**
+ * GET /api/admin/notifications/customers/:id
+ * Get a customer's notification preferences and the channels they'll be contacted on
+ * Permission: notifications:read
+ */
+router.get('/customers/:id', requirePermission('notifications:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid customer ID'
+      });
+    }
+
+    const contact = await loadContactPreferences(id);
+
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...formatContactPreferences(contact),
+        email: contact.email,
+        sms_number: contact.sms_number
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch notification preferences'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/notifications/customers/:id
+ * Change a customer's notification preferences (e.g. when they ask over the phone).
+ * A STOP can only be undone by the customer texting START.
+ * Permission: notifications:manage
+ */
+router.put('/customers/:id', requirePermission('notifications:manage'), async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid customer ID'
+      });
+    }
+
+    const { error, value } = preferencesSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+
+    const before = await loadContactPreferences(id, client);
+
+    if (!before) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found'
+      });
+    }
+
+    const updated = await updateContactPreferences(client, id, value);
+
+    await recordAudit({
+      req,
+      action: 'notification_preferences_updated',
+      entityType: 'customer',
+      entityId: id,
+      before: { email_notifications: before.email_notifications, sms_notifications: before.sms_notifications },
+      after: { email_notifications: updated.email_notifications, sms_notifications: updated.sms_notifications },
+      metadata: { via: 'admin' }
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: formatContactPreferences(updated)
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notification preferences'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/notifications/sms?status=failed
+ * List text messages to customers, newest first (customer link tokens redacted)
+ * Permission: notifications:read
+ */
+router.get('/sms', requirePermission('notifications:read'), async (req, res) => {
+  try {
+    const { error, value } = smsListSchema.validate(req.query);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (value.status !== 'all') {
+      params.push(value.status);
+      conditions.push(`so.status = $${params.length}`);
+    }
+
+    if (value.template) {
+      params.push(value.template);
+      conditions.push(`so.template = $${params.length}`);
+    }
+
+    if (value.customer_id) {
+      params.push(value.customer_id);
+      conditions.push(`so.customer_id = $${params.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [messages, total] = await Promise.all([
+      queryMany(`
+        SELECT
+          so.id, so.template, so.to_number, so.body, so.status, so.attempts, so.last_error,
+          so.provider, so.provider_message_id, so.customer_id, so.entity_type, so.entity_id,
+          so.job_id, so.sent_at, so.created_at, so.updated_at,
+          j.status as job_status,
+          j.run_at as next_attempt_at
+        FROM sms_outbox so
+        LEFT JOIN jobs j ON so.job_id = j.id
+        ${whereClause}
+        ORDER BY so.created_at DESC, so.id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, value.limit, value.offset]),
+      queryOne(`SELECT COUNT(*) as total FROM sms_outbox so ${whereClause}`, params)
+    ]);
+
+    res.json({
+      success: true,
+      data: messages.map(message => ({ ...message, body: redactTokens(message.body) })),
+      pagination: {
+        total: parseInt(total.total),
+        limit: value.limit,
+        offset: value.offset
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching text messages:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch text messages'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/notifications/sms/inbound?from=...
+ * List texts customers sent to the salon number, newest first
+ * Permission: notifications:read
+ */
+router.get('/sms/inbound', requirePermission('notifications:read'), async (req, res) => {
+  try {
+    const { error, value } = inboundListSchema.validate(req.query);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const params = [];
+    let whereClause = '';
+
+    if (value.from) {
+      const fromNumber = normalizePhone(value.from);
+      if (!fromNumber) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid phone number'
+        });
+      }
+      params.push(fromNumber);
+      whereClause = `WHERE ${phoneMatchSql('from_number', 1)}`;
+    }
+
+    const [messages, total] = await Promise.all([
+      queryMany(`
+        SELECT id, from_number, body, keyword, customer_ids, provider, provider_message_id, received_at
+        FROM sms_inbound
+        ${whereClause}
+        ORDER BY received_at DESC, id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, value.limit, value.offset]),
+      queryOne(`SELECT COUNT(*) as total FROM sms_inbound ${whereClause}`, params)
+    ]);
+
+    res.json({
+      success: true,
+      data: messages,
+      pagination: {
+        total: parseInt(total.total),
+        limit: value.limit,
+        offset: value.offset
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching inbound texts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch inbound texts'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const Joi = require('joi');
+const { localDateTime } = require('../utils/schemas');
 const { query, queryOne, queryMany, beginTransaction, commitTransaction, rollbackTransaction } = require('../utils/database');
+const { isBookable } = require('../utils/availability');
+const { upsertCustomer, lockRequest, confirmRequest } = require('../utils/booking');
+const { loadServiceSelection, saveRequestServices, loadRequestServices, loadRequestSegments, requestServicesJoin } = require('../utils/serviceSelection');
+const { hashCustomerToken } = require('../utils/customerTokens');
+const { queueRequestReceivedEmail, queueAppointmentConfirmationEmail } = require('../utils/customerEmails');
+const { queueAppointmentConfirmationSms } = require('../utils/customerSms');
+const { recordAudit } = require('../utils/audit');
+const { SALON_TIME_ZONE, formatLocalDateTime, withLocalTimes } = require('../utils/time');
+
+const preferredTimesSchema = Joi.array()
+  .items(
+    Joi.object({
+      datetime: localDateTime({ future: true }).required(),
+      priority: Joi.number().integer().min(1).max(3).required()
+    })
+  )
+  .min(1)
+  .max(3)
+  .required();
 
 // Validation schema for booking requests
 const bookingSchema = Joi.object({
@@ -10,20 +30,69 @@ const bookingSchema = Joi.object({
     email: Joi.string().email().required(),
     phone: Joi.string().min(10).max(20).required()
   }).required(),
-  service_id: Joi.number().integer().positive().required(),
-  preferred_times: Joi.array()
-    .items(
-      Joi.object({
-        datetime: Joi.date().min('now').required(),
-        priority: Joi.number().integer().min(1).max(3).required()
-      })
-    )
-    .min(1)
-    .max(3)
-    .required(),
+  // Services in the order they'll be done; service_id is the single-service shorthand
+  service_ids: Joi.array().items(Joi.number().integer().positive()).min(1).max(6).unique(),
+  service_id: Joi.number().integer().positive(),
+  preferred_times: preferredTimesSchema,
+  notes: Joi.string().max(1000).allow('', null)
+}).xor('service_ids', 'service_id');
+
+// Customers answer a proposed time with the token from their email
+const proposalAcceptSchema = Joi.object({
+  token: Joi.string().hex().length(64).required()
+});
+
+const proposalDeclineSchema = Joi.object({
+  token: Joi.string().hex().length(64).required(),
+  preferred_times: preferredTimesSchema,
   notes: Joi.string().max(1000).allow('', null)
 });
 
+/**
+ * Find preferences the availability engine wouldn't offer
+ * @param {Object} service - { duration_minutes, max_concurrent, segments } (a single service or a combined selection)
+ * @param {Array} preferredTimes - [{ datetime, priority }]
+ * @returns {Promise<Array>} Error messages (empty when all are bookable)
+ */
+const findUnavailableTimes = async (service, preferredTimes) => {
+  const unavailableTimes = [];
+  for (const timePreference of preferredTimes) {
+    if (!(await isBookable(service, timePreference.datetime))) {
+      unavailableTimes.push(timePreference);
+    }
+  }
+
+  return unavailableTimes.map(preference =>
+    `Priority ${preference.priority} (${formatLocalDateTime(new Date(preference.datetime))}) is not an available start time`
+  );
+};
+
+/**
+ * Lock a request awaiting the customer's answer and check the link token
+ * @param {Object} client - Transaction client
+ * @param {string} id - Request ID
+ * @param {string} token - Raw token from the email link
+ * @returns {Promise<Object>} { request } or { status, error } to send back
+ */
+const lockProposalRequest = async (client, id, token) => {
+  const request = await lockRequest(client, id);
+
+  // Same answer for unknown requests and wrong tokens
+  if (!request || !request.response_token_hash || request.response_token_hash !== hashCustomerToken(token)) {
+    return { status: 404, error: 'Proposal not found' };
+  }
+
+  if (request.status !== 'awaiting_customer') {
+    return { status: 409, error: `Request is already ${request.status}` };
+  }
+
+  if (new Date(request.response_token_expires_at) <= new Date()) {
+    return { status: 410, error: 'This proposal has expired. Please contact the salon or submit a new request.' };
+  }
+
+  return { request };
+};
+
 /**
  * POST /api/requests
  * Create a new appointment request
@@ -42,59 +111,50 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const { customer, service_id, preferred_times, notes } = value;
+    const { customer, preferred_times, notes } = value;
+    const serviceIds = value.service_ids || [value.service_id];
 
     // Start transaction
     client = await beginTransaction();
 
-    // Check if service exists and is active
-    const service = await queryOne(`
-      SELECT id, name, duration_minutes 
-      FROM services 
-      WHERE id = $1 AND is_active = true AND deleted_at IS NULL
-    `, [service_id]);
+    // Check the services exist and are active
+    const { selection, invalidIds } = await loadServiceSelection(serviceIds, client);
 
-    if (!service) {
+    if (!selection) {
       await rollbackTransaction(client);
       return res.status(400).json({
         success: false,
-        error: 'Invalid service selected'
+        error: 'Invalid service selected',
+        details: invalidIds.map(id => `Service ${id} is not available`)
       });
     }
 
-    // Check if customer exists, if not create them
-    let customerRecord = await queryOne(`
-      SELECT id FROM customers 
-      WHERE email = $1 AND deleted_at IS NULL
-    `, [customer.email]);
-
-    if (!customerRecord) {
-      // Create new customer
-      const customerResult = await client.query(`
-        INSERT INTO customers (name, email, phone) 
-        VALUES ($1, $2, $3) 
-        RETURNING id
-      `, [customer.name, customer.email, customer.phone]);
-      
-      customerRecord = customerResult.rows[0];
-    } else {
-      // Update existing customer info (in case phone number changed)
-      await client.query(`
-        UPDATE customers 
-        SET name = $1, phone = $2, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $3
-      `, [customer.name, customer.phone, customerRecord.id]);
+    // Every preference must be a start time the availability engine offers
+    const unavailableTimes = await findUnavailableTimes(selection, preferred_times);
+
+    if (unavailableTimes.length > 0) {
+      await rollbackTransaction(client);
+      return res.status(400).json({
+        success: false,
+        error: 'One or more preferred times are not available',
+        details: unavailableTimes
+      });
     }
 
+    // Check if customer exists, if not create them
+    const customerRecord = await upsertCustomer(client, customer);
+
     // Create appointment request
     const requestResult = await client.query(`
       INSERT INTO appointment_requests (customer_id, service_id, customer_notes, status)
       VALUES ($1, $2, $3, 'pending')
       RETURNING id
-    `, [customerRecord.id, service_id, notes || null]);
+    `, [customerRecord.id, selection.service_ids[0], notes || null]);
 
     const requestId = requestResult.rows[0].id;
 
+    await saveRequestServices(client, requestId, selection);
+
     // Add preferred time slots
     for (const timePreference of preferred_times) {
       await client.query(`
@@ -103,8 +163,23 @@ router.post('/', async (req, res) => {
       `, [requestId, timePreference.datetime, timePreference.priority]);
     }
 
+    await queueRequestReceivedEmail(
+      client,
+      {
+        id: requestId,
+        customer_id: customerRecord.id,
+        customer_name: customer.name,
+        customer_email: customer.email,
+        service_name: selection.service_name
+      },
+      [...preferred_times]
+        .sort((a, b) => a.priority - b.priority)
+        .map(timePreference => timePreference.datetime)
+    );
+
     // Commit transaction
     await commitTransaction(client);
+    client = null;
 
     // Get the complete request data to return
     const completeRequest = await queryOne(`
@@ -116,12 +191,13 @@ router.post('/', async (req, res) => {
         c.name as customer_name,
         c.email as customer_email,
         c.phone as customer_phone,
-        s.name as service_name,
-        s.duration_minutes,
-        s.price
+        COALESCE(rs.service_names, s.name) as service_name,
+        COALESCE(ar.total_duration_minutes, s.duration_minutes) as duration_minutes,
+        COALESCE(ar.total_price, s.price) as price
       FROM appointment_requests ar
       JOIN customers c ON ar.customer_id = c.id
       JOIN services s ON ar.service_id = s.id
+      ${requestServicesJoin('ar.id')}
       WHERE ar.id = $1
     `, [requestId]);
 
@@ -148,7 +224,9 @@ router.post('/', async (req, res) => {
           duration_minutes: completeRequest.duration_minutes,
           price: completeRequest.price
         },
-        preferred_times: timePreferences,
+        services: (await loadRequestServices([requestId])).get(requestId),
+        preferred_times: timePreferences.map(preference => withLocalTimes(preference, ['preferred_datetime'])),
+        time_zone: SALON_TIME_ZONE,
         notes: completeRequest.customer_notes,
         submitted_at: completeRequest.created_at
       }
@@ -189,16 +267,19 @@ router.get('/:id', async (req, res) => {
         ar.status,
         ar.customer_notes,
         ar.admin_notes,
+        ar.response_token_expires_at,
+        ar.superseded_by_request_id,
         ar.created_at,
         ar.updated_at,
         c.name as customer_name,
         c.email as customer_email,
-        s.name as service_name,
-        s.duration_minutes,
-        s.price
+        COALESCE(rs.service_names, s.name) as service_name,
+        COALESCE(ar.total_duration_minutes, s.duration_minutes) as duration_minutes,
+        COALESCE(ar.total_price, s.price) as price
       FROM appointment_requests ar
       JOIN customers c ON ar.customer_id = c.id
       JOIN services s ON ar.service_id = s.id
+      ${requestServicesJoin('ar.id')}
       WHERE ar.id = $1 AND ar.deleted_at IS NULL
     `, [id]);
 
@@ -210,9 +291,9 @@ router.get('/:id', async (req, res) => {
     }
 
     const timePreferences = await queryMany(`
-      SELECT preferred_datetime, priority, is_selected
+      SELECT preferred_datetime, priority, is_selected, source
       FROM request_time_preferences
-      WHERE request_id = $1
+      WHERE request_id = $1 AND withdrawn_at IS NULL
       ORDER BY priority ASC
     `, [id]);
 
@@ -230,9 +311,13 @@ router.get('/:id', async (req, res) => {
           duration_minutes: request.duration_minutes,
           price: request.price
         },
-        preferred_times: timePreferences,
+        services: (await loadRequestServices([request.id])).get(request.id),
+        preferred_times: timePreferences.map(preference => withLocalTimes(preference, ['preferred_datetime'])),
+        time_zone: SALON_TIME_ZONE,
         notes: request.customer_notes,
         admin_notes: request.admin_notes,
+        proposal_expires_at: request.status === 'awaiting_customer' ? request.response_token_expires_at : null,
+        superseded_by_request_id: request.superseded_by_request_id,
         submitted_at: request.created_at,
         updated_at: request.updated_at
       }
@@ -247,4 +332,242 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/requests/:id/accept
+ * Accept the time the salon proposed (token from the proposal email) - creates the appointment
+ */
+router.post('/:id/accept', async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request ID'
+      });
+    }
+
+    const { error, value } = proposalAcceptSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    client = await beginTransaction();
+
+    const { request, status, error: proposalError } = await lockProposalRequest(client, id, value.token);
+    if (proposalError) {
+      await rollbackTransaction(client);
+      return res.status(status).json({
+        success: false,
+        error: proposalError
+      });
+    }
+
+    const proposalResult = await client.query(`
+      SELECT id, preferred_datetime
+      FROM request_time_preferences
+      WHERE request_id = $1 AND source = 'admin' AND withdrawn_at IS NULL
+      ORDER BY id DESC
+      LIMIT 1
+    `, [id]);
+
+    if (proposalResult.rows.length === 0) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        error: 'Proposal not found'
+      });
+    }
+
+    const proposal = proposalResult.rows[0];
+    const { problem, appointment, manageToken } = await confirmRequest(client, request, proposal, request.admin_notes);
+
+    // Don't pass on conflict details - they describe other customers' appointments
+    if (problem) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        error: 'Sorry, the proposed time is no longer available. Please contact the salon or decline with new times.'
+      });
+    }
+
+    await recordAudit({
+      req,
+      action: 'request_proposal_accepted',
+      entityType: 'appointment_request',
+      entityId: id,
+      before: { status: request.status },
+      after: {
+        status: 'confirmed',
+        preference_id: proposal.id,
+        appointment_id: appointment.id,
+        scheduled_datetime: appointment.scheduled_datetime
+      },
+      metadata: { via: 'customer_link' }
+    }, client);
+
+    await queueAppointmentConfirmationEmail(client, { ...request, ...appointment }, manageToken);
+    await queueAppointmentConfirmationSms(client, { ...request, ...appointment }, manageToken);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.json({
+      success: true,
+      message: 'Appointment confirmed',
+      data: {
+        request_id: request.id,
+        appointment_id: appointment.id,
+        status: 'confirmed',
+        service_name: request.service_name,
+        ...withLocalTimes({ scheduled_datetime: appointment.scheduled_datetime }, ['scheduled_datetime']),
+        duration_minutes: request.duration_minutes,
+        time_zone: SALON_TIME_ZONE
+      }
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error accepting proposal:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept proposal'
+    });
+  }
+});
+
+/**
+ * POST /api/requests/:id/decline
+ * Decline the time the salon proposed and send new preferred times - the request goes back to pending
+ */
+router.post('/:id/decline', async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request ID'
+      });
+    }
+
+    const { error, value } = proposalDeclineSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    client = await beginTransaction();
+
+    const { request, status, error: proposalError } = await lockProposalRequest(client, id, value.token);
+    if (proposalError) {
+      await rollbackTransaction(client);
+      return res.status(status).json({
+        success: false,
+        error: proposalError
+      });
+    }
+
+    const unavailableTimes = await findUnavailableTimes({
+      id: request.service_id,
+      duration_minutes: request.duration_minutes,
+      max_concurrent: request.max_concurrent,
+      segments: await loadRequestSegments(client, request)
+    }, value.preferred_times);
+
+    if (unavailableTimes.length > 0) {
+      await rollbackTransaction(client);
+      return res.status(400).json({
+        success: false,
+        error: 'One or more preferred times are not available',
+        details: unavailableTimes
+      });
+    }
+
+    // The proposal and the earlier preferences are replaced by the new times
+    await client.query(`
+      UPDATE request_time_preferences
+      SET withdrawn_at = CURRENT_TIMESTAMP
+      WHERE request_id = $1 AND withdrawn_at IS NULL
+    `, [id]);
+
+    for (const timePreference of value.preferred_times) {
+      await client.query(`
+        INSERT INTO request_time_preferences (request_id, preferred_datetime, priority)
+        VALUES ($1, $2, $3)
+      `, [id, timePreference.datetime, timePreference.priority]);
+    }
+
+    await client.query(`
+      UPDATE appointment_requests
+      SET status = 'pending',
+          customer_notes = COALESCE($2, customer_notes),
+          response_token_hash = NULL,
+          response_token_expires_at = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [id, value.notes || null]);
+
+    await recordAudit({
+      req,
+      action: 'request_proposal_declined',
+      entityType: 'appointment_request',
+      entityId: id,
+      before: { status: request.status },
+      after: {
+        status: 'pending',
+        preferred_times: value.preferred_times
+      },
+      metadata: { via: 'customer_link' }
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    const timePreferences = await queryMany(`
+      SELECT preferred_datetime, priority
+      FROM request_time_preferences
+      WHERE request_id = $1 AND withdrawn_at IS NULL
+      ORDER BY priority ASC
+    `, [id]);
+
+    res.json({
+      success: true,
+      message: 'Thanks - your new times have been sent to the salon',
+      data: {
+        request_id: request.id,
+        status: 'pending',
+        service_name: request.service_name,
+        preferred_times: timePreferences.map(preference => withLocalTimes(preference, ['preferred_datetime'])),
+        time_zone: SALON_TIME_ZONE
+      }
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error declining proposal:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to decline proposal'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,915 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { localDateTime } = require('../utils/schemas');
+const { queryOne, queryMany, beginTransaction, commitTransaction, rollbackTransaction } = require('../utils/database');
+const { authenticateToken, requirePermission, logAuthEvent } = require('../../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { lockSchedule, findConflictingAppointments } = require('../utils/availability');
+const { notifyWaitlist } = require('../utils/waitlist');
+const { SALON_TIME_ZONE, zonedTimeToUtc, toLocalDateString, addDays, parseTimeOfDay } = require('../utils/time');
+
+router.use(authenticateToken, logAuthEvent('schedule_access', { persist: false }));
+
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).message('{{#label}} must be a time in HH:MM format');
+const localDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('{{#label}} must be a date in YYYY-MM-DD format');
+
+const weeklyHoursSchema = Joi.object({
+  hours: Joi.array().items(
+    Joi.object({
+      weekday: Joi.number().integer().min(0).max(6).required(),
+      start: timeOfDay.required(),
+      end: timeOfDay.required()
+    })
+  ).required()
+});
+
+const exceptionSchema = Joi.object({
+  date: localDate.required(),
+  is_closed: Joi.boolean().default(true),
+  start: timeOfDay.when('is_closed', { is: false, then: Joi.required(), otherwise: Joi.forbidden() }),
+  end: timeOfDay.when('is_closed', { is: false, then: Joi.required(), otherwise: Joi.forbidden() }),
+  reason: Joi.string().max(255).allow('', null)
+});
+
+const blockSchema = Joi.object({
+  starts_at: localDateTime().required(),
+  ends_at: localDateTime().required(),
+  reason: Joi.string().max(255).allow('', null)
+}).custom((value, helpers) => (
+  value.ends_at > value.starts_at ? value : helpers.message('"ends_at" must be after "starts_at"')
+));
+
+const serviceSegmentsSchema = Joi.object({
+  segments: Joi.array().items(Joi.object({
+    type: Joi.string().valid('active', 'processing').required(),
+    duration_minutes: Joi.number().integer().min(5).max(480).required()
+  })).max(10).required()
+});
+
+const rangeQuerySchema = Joi.object({
+  from: localDate,
+  to: localDate
+});
+
+const EXCEPTION_COLUMNS = `
+  id,
+  to_char(exception_date, 'YYYY-MM-DD') as date,
+  is_closed,
+  to_char(start_time, 'HH24:MI') as start,
+  to_char(end_time, 'HH24:MI') as end,
+  reason,
+  created_at,
+  updated_at
+`;
+
+const BLOCK_COLUMNS = 'id, starts_at, ends_at, reason, created_by, created_at, updated_at';
+
+/**
+ * Offer a local day that may have opened up to the waitlist
+ * @param {string} date - YYYY-MM-DD
+ */
+const notifyWaitlistForDay = (date) => {
+  notifyWaitlist(zonedTimeToUtc(date, 0), zonedTimeToUtc(addDays(date, 1), 0));
+};
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: error.details.map(detail => detail.message)
+});
+
+/**
+ * GET /api/admin/schedule/hours
+ * Get the recurring weekly working hours
+ * Permission: schedule:read
+ */
+router.get('/hours', requirePermission('schedule:read'), async (req, res) => {
+  try {
+    const hours = await queryMany(`
+      SELECT
+        weekday,
+        to_char(start_time, 'HH24:MI') as start,
+        to_char(end_time, 'HH24:MI') as end
+      FROM working_hours
+      ORDER BY weekday, start_time
+    `);
+
+    res.json({
+      success: true,
+      data: hours,
+      time_zone: SALON_TIME_ZONE
+    });
+
+  } catch (error) {
+    console.error('Error fetching working hours:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch working hours'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/schedule/hours
+ * Replace the weekly working hours (weekdays with no windows are closed)
+ * Permission: schedule:manage
+ */
+router.put('/hours', requirePermission('schedule:manage'), async (req, res) => {
+  let client = null;
+
+  try {
+    const { error, value } = weeklyHoursSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    // Windows must end after they start and must not overlap within a weekday
+    const problems = [];
+    for (let weekday = 0; weekday <= 6; weekday++) {
+      const windows = value.hours
+        .filter(window => window.weekday === weekday)
+        .sort((a, b) => parseTimeOfDay(a.start) - parseTimeOfDay(b.start));
+
+      windows.forEach((window, index) => {
+        if (parseTimeOfDay(window.start) >= parseTimeOfDay(window.end)) {
+          problems.push(`Weekday ${weekday}: ${window.start}-${window.end} must end after it starts`);
+        }
+        if (index > 0 && parseTimeOfDay(window.start) < parseTimeOfDay(windows[index - 1].end)) {
+          problems.push(`Weekday ${weekday}: ${window.start}-${window.end} overlaps ${windows[index - 1].start}-${windows[index - 1].end}`);
+        }
+      });
+    }
+
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: problems
+      });
+    }
+
+    client = await beginTransaction();
+    await lockSchedule(client);
+
+    const before = await client.query(`
+      SELECT weekday, to_char(start_time, 'HH24:MI') as start, to_char(end_time, 'HH24:MI') as end
+      FROM working_hours
+      ORDER BY weekday, start_time
+    `);
+
+    await client.query('DELETE FROM working_hours');
+
+    for (const window of value.hours) {
+      await client.query(`
+        INSERT INTO working_hours (weekday, start_time, end_time)
+        VALUES ($1, $2, $3)
+      `, [window.weekday, window.start, window.end]);
+    }
+
+    await recordAudit({
+      req,
+      action: 'working_hours_updated',
+      entityType: 'working_hours',
+      before: { hours: before.rows },
+      after: { hours: value.hours }
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.json({
+      success: true,
+      message: 'Working hours updated',
+      data: value.hours,
+      time_zone: SALON_TIME_ZONE
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error updating working hours:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update working hours'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/schedule/exceptions?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Get closures and extended-hours days (upcoming by default)
+ * Permission: schedule:read
+ */
+router.get('/exceptions', requirePermission('schedule:read'), async (req, res) => {
+  try {
+    const { error, value } = rangeQuerySchema.validate(req.query);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const exceptions = await queryMany(`
+      SELECT ${EXCEPTION_COLUMNS}
+      FROM schedule_exceptions
+      WHERE deleted_at IS NULL
+        AND exception_date >= $1::date
+        AND ($2::date IS NULL OR exception_date <= $2::date)
+      ORDER BY exception_date ASC
+    `, [value.from || toLocalDateString(new Date()), value.to || null]);
+
+    res.json({
+      success: true,
+      data: exceptions,
+      count: exceptions.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching schedule exceptions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch schedule exceptions'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/schedule/exceptions
+ * Close a date or replace its hours
+ * Permission: schedule:manage
+ */
+router.post('/exceptions', requirePermission('schedule:manage'), async (req, res) => {
+  let client = null;
+
+  try {
+    const { error, value } = exceptionSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    if (!value.is_closed && parseTimeOfDay(value.start) >= parseTimeOfDay(value.end)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: ['end must be after start']
+      });
+    }
+
+    client = await beginTransaction();
+    await lockSchedule(client);
+
+    const existing = await client.query(`
+      SELECT id FROM schedule_exceptions
+      WHERE exception_date = $1 AND deleted_at IS NULL
+    `, [value.date]);
+
+    if (existing.rows.length > 0) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        error: 'An exception already exists for that date',
+        data: { id: existing.rows[0].id }
+      });
+    }
+
+    const result = await client.query(`
+      INSERT INTO schedule_exceptions (exception_date, is_closed, start_time, end_time, reason, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${EXCEPTION_COLUMNS}
+    `, [value.date, value.is_closed, value.start || null, value.end || null, value.reason || null, req.user.id]);
+
+    const exception = result.rows[0];
+
+    // Appointments already booked that day which no longer fit are reported, not cancelled
+    const dayStart = zonedTimeToUtc(value.date, 0);
+    const sameDay = await findConflictingAppointments(
+      client,
+      dayStart,
+      (zonedTimeToUtc(addDays(value.date, 1), 0) - dayStart) / 60000
+    );
+    const affected = value.is_closed ? sameDay : sameDay.filter(appointment =>
+      new Date(appointment.scheduled_datetime) < zonedTimeToUtc(value.date, parseTimeOfDay(value.start))
+      || new Date(appointment.end_datetime) > zonedTimeToUtc(value.date, parseTimeOfDay(value.end))
+    );
+
+    await recordAudit({
+      req,
+      action: 'schedule_exception_created',
+      entityType: 'schedule_exception',
+      entityId: exception.id,
+      after: exception
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.status(201).json({
+      success: true,
+      message: 'Schedule exception created',
+      data: exception,
+      affected_appointments: affected
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error creating schedule exception:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create schedule exception'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/schedule/exceptions/:id
+ * Update a closure or extended-hours day
+ * Permission: schedule:manage
+ */
+router.put('/exceptions/:id', requirePermission('schedule:manage'), async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid exception ID'
+      });
+    }
+
+    const { error, value } = exceptionSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    if (!value.is_closed && parseTimeOfDay(value.start) >= parseTimeOfDay(value.end)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: ['end must be after start']
+      });
+    }
+
+    client = await beginTransaction();
+    await lockSchedule(client);
+
+    const existing = await client.query(`
+      SELECT ${EXCEPTION_COLUMNS}
+      FROM schedule_exceptions
+      WHERE id = $1 AND deleted_at IS NULL
+    `, [id]);
+
+    if (existing.rows.length === 0) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule exception not found'
+      });
+    }
+
+    const clash = await client.query(`
+      SELECT id FROM schedule_exceptions
+      WHERE exception_date = $1 AND id <> $2 AND deleted_at IS NULL
+    `, [value.date, id]);
+
+    if (clash.rows.length > 0) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        error: 'An exception already exists for that date',
+        data: { id: clash.rows[0].id }
+      });
+    }
+
+    const result = await client.query(`
+      UPDATE schedule_exceptions
+      SET exception_date = $2,
+          is_closed = $3,
+          start_time = $4,
+          end_time = $5,
+          reason = $6,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${EXCEPTION_COLUMNS}
+    `, [id, value.date, value.is_closed, value.start || null, value.end || null, value.reason || null]);
+
+    await recordAudit({
+      req,
+      action: 'schedule_exception_updated',
+      entityType: 'schedule_exception',
+      entityId: id,
+      before: existing.rows[0],
+      after: result.rows[0]
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    // Either day may have gained hours
+    notifyWaitlistForDay(existing.rows[0].date);
+    if (value.date !== existing.rows[0].date) {
+      notifyWaitlistForDay(value.date);
+    }
+
+    res.json({
+      success: true,
+      message: 'Schedule exception updated',
+      data: result.rows[0]
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error updating schedule exception:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update schedule exception'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/schedule/exceptions/:id
+ * Remove a closure or extended-hours day (the weekly hours apply again)
+ * Permission: schedule:manage
+ */
+router.delete('/exceptions/:id', requirePermission('schedule:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid exception ID'
+      });
+    }
+
+    const exception = await queryOne(`
+      UPDATE schedule_exceptions
+      SET deleted_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING ${EXCEPTION_COLUMNS}
+    `, [id]);
+
+    if (!exception) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule exception not found'
+      });
+    }
+
+    await recordAudit({
+      req,
+      action: 'schedule_exception_deleted',
+      entityType: 'schedule_exception',
+      entityId: id,
+      before: exception
+    });
+
+    notifyWaitlistForDay(exception.date);
+
+    res.json({
+      success: true,
+      message: 'Schedule exception removed'
+    });
+
+  } catch (error) {
+    console.error('Error deleting schedule exception:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete schedule exception'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/schedule/blocks?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Get blocked time (upcoming by default)
+ * Permission: schedule:read
+ */
+router.get('/blocks', requirePermission('schedule:read'), async (req, res) => {
+  try {
+    const { error, value } = rangeQuerySchema.validate(req.query);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const rangeStart = value.from ? zonedTimeToUtc(value.from, 0) : new Date();
+    const rangeEnd = value.to ? zonedTimeToUtc(addDays(value.to, 1), 0) : null;
+
+    const blocks = await queryMany(`
+      SELECT ${BLOCK_COLUMNS}
+      FROM blocked_times
+      WHERE deleted_at IS NULL
+        AND ends_at > $1
+        AND ($2::timestamp IS NULL OR starts_at < $2)
+      ORDER BY starts_at ASC
+    `, [rangeStart, rangeEnd]);
+
+    res.json({
+      success: true,
+      data: blocks,
+      count: blocks.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching blocked time:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch blocked time'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/schedule/blocks
+ * Block out time (lunch, personal appointments)
+ * Permission: schedule:manage
+ */
+router.post('/blocks', requirePermission('schedule:manage'), async (req, res) => {
+  let client = null;
+
+  try {
+    const { error, value } = blockSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+    await lockSchedule(client);
+
+    const result = await client.query(`
+      INSERT INTO blocked_times (starts_at, ends_at, reason, created_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING ${BLOCK_COLUMNS}
+    `, [value.starts_at, value.ends_at, value.reason || null, req.user.id]);
+
+    const block = result.rows[0];
+
+    // Existing appointments are left alone but reported so they can be moved
+    const affected = await findConflictingAppointments(
+      client,
+      value.starts_at,
+      (value.ends_at - value.starts_at) / 60000
+    );
+
+    await recordAudit({
+      req,
+      action: 'blocked_time_created',
+      entityType: 'blocked_time',
+      entityId: block.id,
+      after: block
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.status(201).json({
+      success: true,
+      message: 'Blocked time created',
+      data: block,
+      affected_appointments: affected
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error creating blocked time:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create blocked time'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/schedule/blocks/:id
+ * Move or relabel blocked time
+ * Permission: schedule:manage
+ */
+router.put('/blocks/:id', requirePermission('schedule:manage'), async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid block ID'
+      });
+    }
+
+    const { error, value } = blockSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+    await lockSchedule(client);
+
+    const existing = await client.query(`
+      SELECT ${BLOCK_COLUMNS}
+      FROM blocked_times
+      WHERE id = $1 AND deleted_at IS NULL
+      FOR UPDATE
+    `, [id]);
+
+    if (existing.rows.length === 0) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        error: 'Blocked time not found'
+      });
+    }
+
+    const result = await client.query(`
+      UPDATE blocked_times
+      SET starts_at = $2,
+          ends_at = $3,
+          reason = $4,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${BLOCK_COLUMNS}
+    `, [id, value.starts_at, value.ends_at, value.reason || null]);
+
+    const affected = await findConflictingAppointments(
+      client,
+      value.starts_at,
+      (value.ends_at - value.starts_at) / 60000
+    );
+
+    await recordAudit({
+      req,
+      action: 'blocked_time_updated',
+      entityType: 'blocked_time',
+      entityId: id,
+      before: existing.rows[0],
+      after: result.rows[0]
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    notifyWaitlist(existing.rows[0].starts_at, existing.rows[0].ends_at);
+
+    res.json({
+      success: true,
+      message: 'Blocked time updated',
+      data: result.rows[0],
+      affected_appointments: affected
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error updating blocked time:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update blocked time'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/schedule/blocks/:id
+ * Remove blocked time
+ * Permission: schedule:manage
+ */
+router.delete('/blocks/:id', requirePermission('schedule:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid block ID'
+      });
+    }
+
+    const block = await queryOne(`
+      UPDATE blocked_times
+      SET deleted_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING ${BLOCK_COLUMNS}
+    `, [id]);
+
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        error: 'Blocked time not found'
+      });
+    }
+
+    await recordAudit({
+      req,
+      action: 'blocked_time_deleted',
+      entityType: 'blocked_time',
+      entityId: id,
+      before: block
+    });
+
+    notifyWaitlist(block.starts_at, block.ends_at);
+
+    res.json({
+      success: true,
+      message: 'Blocked time removed'
+    });
+
+  } catch (error) {
+    console.error('Error deleting blocked time:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete blocked time'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/schedule/services/:id/segments
+ * Get a service's active and processing segments
+ * Permission: schedule:read
+ */
+router.get('/services/:id/segments', requirePermission('schedule:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid service ID'
+      });
+    }
+
+    const service = await queryOne(`
+      SELECT id, name, duration_minutes
+      FROM services
+      WHERE id = $1 AND deleted_at IS NULL
+    `, [id]);
+
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        error: 'Service not found'
+      });
+    }
+
+    const segments = await queryMany(`
+      SELECT segment_type as type, duration_minutes
+      FROM service_segments
+      WHERE service_id = $1
+      ORDER BY position
+    `, [id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...service,
+        // No segments means the stylist is busy for the whole service
+        segments: segments.length > 0 ? segments : [{ type: 'active', duration_minutes: service.duration_minutes }],
+        has_processing_time: segments.some(segment => segment.type === 'processing')
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching service segments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch service segments'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/schedule/services/:id/segments
+ * Replace a service's segments (an empty list makes it active throughout)
+ *
+ * Segments must add up to the service's duration and include some active time.
+ * Appointments already booked keep the segments they were booked with; the change
+ * applies to availability and bookings from now on.
+ *
+ * Permission: schedule:manage
+ */
+router.put('/services/:id/segments', requirePermission('schedule:manage'), async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid service ID'
+      });
+    }
+
+    const { error, value } = serviceSegmentsSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+    await lockSchedule(client);
+
+    const serviceResult = await client.query(`
+      SELECT id, name, duration_minutes
+      FROM services
+      WHERE id = $1 AND deleted_at IS NULL
+      FOR UPDATE
+    `, [id]);
+
+    if (serviceResult.rows.length === 0) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        error: 'Service not found'
+      });
+    }
+
+    const service = serviceResult.rows[0];
+    const { segments } = value;
+
+    if (segments.length > 0) {
+      const details = [];
+      const total = segments.reduce((sum, segment) => sum + segment.duration_minutes, 0);
+
+      if (total !== service.duration_minutes) {
+        details.push(`Segments add up to ${total} minutes but the service takes ${service.duration_minutes}`);
+      }
+      if (!segments.some(segment => segment.type === 'active')) {
+        details.push('At least one segment must be active');
+      }
+
+      if (details.length > 0) {
+        await rollbackTransaction(client);
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid segments',
+          details
+        });
+      }
+    }
+
+    const before = await client.query(`
+      SELECT segment_type as type, duration_minutes
+      FROM service_segments
+      WHERE service_id = $1
+      ORDER BY position
+    `, [id]);
+
+    await client.query('DELETE FROM service_segments WHERE service_id = $1', [id]);
+
+    for (const [index, segment] of segments.entries()) {
+      await client.query(`
+        INSERT INTO service_segments (service_id, position, segment_type, duration_minutes)
+        VALUES ($1, $2, $3, $4)
+      `, [id, index + 1, segment.type, segment.duration_minutes]);
+    }
+
+    await recordAudit({
+      req,
+      action: 'service_segments_updated',
+      entityType: 'service',
+      entityId: id,
+      before: { segments: before.rows },
+      after: { segments }
+    }, client);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.json({
+      success: true,
+      message: segments.length > 0 ? 'Service segments updated' : 'Service segments cleared',
+      data: {
+        ...service,
+        segments: segments.length > 0 ? segments : [{ type: 'active', duration_minutes: service.duration_minutes }],
+        has_processing_time: segments.some(segment => segment.type === 'processing')
+      }
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error updating service segments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update service segments'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,686 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { localDateTime } = require('../utils/schemas');
+const { queryOne, queryMany, beginTransaction, commitTransaction, rollbackTransaction } = require('../utils/database');
+const { authenticateToken, requirePermission, logAuthEvent } = require('../../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { lockSchedule } = require('../utils/availability');
+const { findSchedulingProblem } = require('../utils/booking');
+const { requestServicesJoin } = require('../utils/serviceSelection');
+const { generateCustomerToken } = require('../utils/customerTokens');
+const { describeChangePolicy, recordAppointmentChange } = require('../utils/changePolicy');
+const { planOccurrences, shiftOccurrence } = require('../utils/series');
+const { SALON_TIME_ZONE, withLocalTimes } = require('../utils/time');
+const { notifyWaitlist } = require('../utils/waitlist');
+const { queueSeriesScheduledEmail, queueSeriesChangeEmail } = require('../utils/customerEmails');
+const { SERIES_MAX_OCCURRENCES } = require('../../config/salon');
+
+router.use(authenticateToken, logAuthEvent('series_access', { persist: false }));
+
+const localDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('{{#label}} must be a date in YYYY-MM-DD format');
+
+const seriesSchema = Joi.object({
+  appointment_id: Joi.number().integer().positive().required(),
+  interval_weeks: Joi.number().integer().min(1).max(26).required(),
+  count: Joi.number().integer().min(1).max(SERIES_MAX_OCCURRENCES),
+  end_date: localDate,
+  // Return the planned dates and any clashes without booking anything
+  preview: Joi.boolean().default(false)
+}).or('count', 'end_date');
+
+const occurrenceScope = Joi.string().valid('single', 'future').default('single');
+
+const moveOccurrenceSchema = Joi.object({
+  datetime: localDateTime({ future: true }).required(),
+  scope: occurrenceScope,
+  reason: Joi.string().max(1000).allow('', null)
+});
+
+const cancelOccurrenceSchema = Joi.object({
+  scope: occurrenceScope,
+  reason: Joi.string().max(1000).allow('', null)
+});
+
+// Appointment with what's needed to repeat it, check clashes and describe changes
+const APPOINTMENT_COLUMNS = `
+  a.id,
+  a.request_id,
+  a.preference_id,
+  a.customer_id,
+  a.service_id,
+  a.status,
+  a.scheduled_datetime,
+  a.duration_minutes,
+  a.segments,
+  a.total_price,
+  a.reschedule_count,
+  a.series_id,
+  a.series_position,
+  c.name as customer_name,
+  c.email as customer_email,
+  COALESCE(rs.service_names, s.name) as service_name,
+  COALESCE(rs.max_concurrent, s.max_concurrent) as max_concurrent,
+  COALESCE(rs.cancellation_hours, s.cancellation_hours) as cancellation_hours,
+  COALESCE(rs.reschedule_hours, s.reschedule_hours) as reschedule_hours
+`;
+
+const APPOINTMENT_JOINS = `
+  JOIN customers c ON a.customer_id = c.id
+  JOIN services s ON a.service_id = s.id
+  ${requestServicesJoin('a.request_id')}
+`;
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: error.details.map(detail => detail.message)
+});
+
+/**
+ * Lock the series and the occurrences a change applies to
+ *
+ * Callers check that :id and :appointmentId are numeric before opening the transaction;
+ * this only reports what the database says about them.
+ *
+ * @param {Object} client - Transaction client
+ * @param {Object} params - req.params (id and appointmentId already validated)
+ * @param {string} scope - 'single' | 'future'
+ * @returns {Promise<Object>} { series, occurrence, targets } or { status, error } to send back
+ */
+const lockOccurrences = async (client, { id, appointmentId }, scope) => {
+  const seriesResult = await client.query(`
+    SELECT * FROM appointment_series WHERE id = $1 FOR UPDATE
+  `, [id]);
+
+  if (seriesResult.rows.length === 0) {
+    return { status: 404, error: 'Series not found' };
+  }
+
+  const occurrences = await client.query(`
+    SELECT ${APPOINTMENT_COLUMNS}
+    FROM appointments a
+    ${APPOINTMENT_JOINS}
+    WHERE a.series_id = $1 AND a.deleted_at IS NULL
+    ORDER BY a.scheduled_datetime ASC
+    FOR UPDATE OF a
+  `, [id]);
+
+  const occurrence = occurrences.rows.find(row => String(row.id) === appointmentId);
+
+  if (!occurrence) {
+    return { status: 404, error: 'Appointment is not part of this series' };
+  }
+
+  if (occurrence.status !== 'scheduled') {
+    return { status: 409, error: `Appointment is ${occurrence.status}` };
+  }
+
+  const targets = scope === 'future'
+    ? occurrences.rows.filter(row => row.status === 'scheduled'
+      && new Date(row.scheduled_datetime) >= new Date(occurrence.scheduled_datetime))
+    : [occurrence];
+
+  return { series: seriesResult.rows[0], occurrence, targets };
+};
+
+/**
+ * GET /api/admin/series
+ * Get active series with their next appointment
+ * Permission: requests:read
+ */
+router.get('/', requirePermission('requests:read'), async (req, res) => {
+  try {
+    const series = await queryMany(`
+      SELECT
+        sr.id,
+        sr.interval_weeks,
+        sr.occurrence_count,
+        to_char(sr.end_date, 'YYYY-MM-DD') as end_date,
+        sr.status,
+        sr.created_at,
+        c.id as customer_id,
+        c.name as customer_name,
+        c.email as customer_email,
+        COALESCE(rs.service_names, s.name) as service_name,
+        (SELECT MIN(a.scheduled_datetime) FROM appointments a
+          WHERE a.series_id = sr.id AND a.status = 'scheduled'
+            AND a.scheduled_datetime > CURRENT_TIMESTAMP AND a.deleted_at IS NULL) as next_appointment,
+        (SELECT COUNT(*) FROM appointments a
+          WHERE a.series_id = sr.id AND a.status = 'scheduled'
+            AND a.scheduled_datetime > CURRENT_TIMESTAMP AND a.deleted_at IS NULL) as upcoming_count
+      FROM appointment_series sr
+      JOIN appointments origin ON sr.origin_appointment_id = origin.id
+      JOIN customers c ON sr.customer_id = c.id
+      JOIN services s ON origin.service_id = s.id
+      ${requestServicesJoin('origin.request_id')}
+      WHERE sr.status = 'active'
+      ORDER BY next_appointment ASC NULLS LAST
+    `);
+
+    res.json({
+      success: true,
+      data: series.map(row => ({
+        ...withLocalTimes(row, ['next_appointment']),
+        upcoming_count: parseInt(row.upcoming_count)
+      })),
+      time_zone: SALON_TIME_ZONE,
+      count: series.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch series'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/series/:id
+ * Get a series and all its appointments
+ * Permission: requests:read
+ */
+router.get('/:id', requirePermission('requests:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid series ID'
+      });
+    }
+
+    const series = await queryOne(`
+      SELECT
+        id, customer_id, origin_appointment_id, interval_weeks, occurrence_count,
+        to_char(end_date, 'YYYY-MM-DD') as end_date, status, created_by, created_at, updated_at
+      FROM appointment_series
+      WHERE id = $1
+    `, [id]);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: 'Series not found'
+      });
+    }
+
+    const appointments = await queryMany(`
+      SELECT
+        a.id,
+        a.series_position,
+        a.status,
+        a.scheduled_datetime,
+        a.duration_minutes,
+        a.total_price,
+        a.cancelled_at,
+        a.cancelled_by,
+        COALESCE(rs.service_names, s.name) as service_name
+      FROM appointments a
+      JOIN services s ON a.service_id = s.id
+      ${requestServicesJoin('a.request_id')}
+      WHERE a.series_id = $1 AND a.deleted_at IS NULL
+      ORDER BY a.scheduled_datetime ASC
+    `, [id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...series,
+        time_zone: SALON_TIME_ZONE,
+        appointments: appointments.map(appointment => withLocalTimes(appointment, ['scheduled_datetime', 'cancelled_at']))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch series'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/series
+ * Repeat a confirmed appointment every interval_weeks (for count appointments or until end_date).
+ * Dates that clash with working hours, blocked time or max_concurrent are skipped and reported.
+ * Permission: appointments:manage
+ */
+router.post('/', requirePermission('appointments:manage'), async (req, res) => {
+  let client = null;
+
+  try {
+    const { error, value } = seriesSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+    await lockSchedule(client);
+
+    const originResult = await client.query(`
+      SELECT ${APPOINTMENT_COLUMNS}
+      FROM appointments a
+      ${APPOINTMENT_JOINS}
+      WHERE a.id = $1 AND a.deleted_at IS NULL
+      FOR UPDATE OF a
+    `, [value.appointment_id]);
+
+    const origin = originResult.rows[0];
+
+    if (!origin) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found'
+      });
+    }
+
+    if (origin.status !== 'scheduled') {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        error: `Only scheduled appointments can be repeated (this one is ${origin.status})`
+      });
+    }
+
+    if (origin.series_id) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        error: 'Appointment is already part of a series',
+        data: { series_id: origin.series_id }
+      });
+    }
+
+    const planned = planOccurrences(origin.scheduled_datetime, {
+      intervalWeeks: value.interval_weeks,
+      count: value.count,
+      endDate: value.end_date
+    });
+
+    const bookable = [];
+    const skipped = [];
+
+    for (const occurrence of planned) {
+      const problem = await findSchedulingProblem(client, occurrence.start, origin.duration_minutes, origin.max_concurrent, {
+        segments: origin.segments
+      });
+
+      if (problem) {
+        skipped.push({
+          position: occurrence.position,
+          ...withLocalTimes({ scheduled_datetime: occurrence.start }, ['scheduled_datetime']),
+          error: problem.error,
+          details: problem.details
+        });
+      } else {
+        bookable.push(occurrence);
+      }
+    }
+
+    if (value.preview) {
+      await rollbackTransaction(client);
+      return res.json({
+        success: true,
+        message: 'Series preview - nothing has been booked',
+        data: {
+          planned: bookable.map(occurrence => withLocalTimes({
+            position: occurrence.position,
+            scheduled_datetime: occurrence.start
+          }, ['scheduled_datetime'])),
+          skipped,
+          time_zone: SALON_TIME_ZONE
+        }
+      });
+    }
+
+    if (bookable.length === 0) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        error: planned.length === 0
+          ? 'No dates fall within the requested range'
+          : 'None of the planned dates are available',
+        data: { skipped }
+      });
+    }
+
+    const seriesResult = await client.query(`
+      INSERT INTO appointment_series (customer_id, origin_appointment_id, interval_weeks, occurrence_count, end_date, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [origin.customer_id, origin.id, value.interval_weeks, value.count || null, value.end_date || null, req.user.id]);
+
+    const series = seriesResult.rows[0];
+
+    await client.query(`
+      UPDATE appointments
+      SET series_id = $2,
+          series_position = 0
+      WHERE id = $1
+    `, [origin.id, series.id]);
+
+    const created = [];
+
+    for (const occurrence of bookable) {
+      const { token: manageToken, tokenHash } = generateCustomerToken();
+
+      const appointmentResult = await client.query(`
+        INSERT INTO appointments (
+          request_id,
+          preference_id,
+          customer_id,
+          service_id,
+          scheduled_datetime,
+          duration_minutes,
+          segments,
+          total_price,
+          status,
+          manage_token_hash,
+          series_id,
+          series_position
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'scheduled', $9, $10, $11)
+        RETURNING id, scheduled_datetime, series_position
+      `, [
+        origin.request_id,
+        origin.preference_id,
+        origin.customer_id,
+        origin.service_id,
+        occurrence.start,
+        origin.duration_minutes,
+        origin.segments ? JSON.stringify(origin.segments) : null,
+        origin.total_price,
+        tokenHash,
+        series.id,
+        occurrence.position
+      ]);
+
+      created.push({ ...appointmentResult.rows[0], manageToken });
+    }
+
+    await recordAudit({
+      req,
+      action: 'appointment_series_created',
+      entityType: 'appointment_series',
+      entityId: series.id,
+      after: {
+        ...series,
+        appointment_ids: created.map(appointment => appointment.id)
+      },
+      metadata: { skipped_dates: skipped.map(occurrence => occurrence.scheduled_datetime) }
+    }, client);
+
+    await queueSeriesScheduledEmail(client, { ...origin, series_id: series.id }, created);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.status(201).json({
+      success: true,
+      message: `Series created with ${created.length} follow-up appointment(s)`,
+      data: {
+        series,
+        appointments: created.map(({ manageToken, ...appointment }) => withLocalTimes(appointment, ['scheduled_datetime'])),
+        skipped,
+        time_zone: SALON_TIME_ZONE
+      }
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error creating series:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create series'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/series/:id/occurrences/:appointmentId
+ * Move one appointment in a series (scope: single), or it and every later one (scope: future)
+ * by the same number of days and to the same new time of day. Nothing moves if any clash.
+ * Permission: appointments:manage
+ */
+router.put('/:id/occurrences/:appointmentId', requirePermission('appointments:manage'), async (req, res) => {
+  let client = null;
+
+  try {
+    const { id, appointmentId } = req.params;
+
+    if (!/^\d+$/.test(id) || !/^\d+$/.test(appointmentId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid series or appointment ID'
+      });
+    }
+
+    const { error, value } = moveOccurrenceSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+    await lockSchedule(client);
+
+    const { occurrence, targets, status, error: lockError } = await lockOccurrences(client, req.params, value.scope);
+    if (lockError) {
+      await rollbackTransaction(client);
+      return res.status(status).json({
+        success: false,
+        error: lockError
+      });
+    }
+
+    const moves = targets.map(target => ({
+      target,
+      newStart: shiftOccurrence(target.scheduled_datetime, occurrence.scheduled_datetime, value.datetime)
+    }));
+
+    const problems = [];
+    for (const { target, newStart } of moves) {
+      const problem = await findSchedulingProblem(client, newStart, target.duration_minutes, target.max_concurrent, {
+        excludeAppointmentId: target.id,
+        segments: target.segments
+      });
+
+      if (problem) {
+        problems.push({ appointment_id: target.id, requested_start: newStart, ...problem });
+      }
+    }
+
+    if (problems.length > 0) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        error: 'Scheduling conflict',
+        details: problems.map(problem => `Appointment ${problem.appointment_id}: ${problem.error}`),
+        data: { conflicts: problems }
+      });
+    }
+
+    const changes = [];
+
+    for (const { target, newStart } of moves) {
+      await client.query(`
+        UPDATE appointments
+        SET scheduled_datetime = $2
+        WHERE id = $1
+      `, [target.id, newStart]);
+
+      changes.push(await recordAppointmentChange(client, {
+        appointmentId: target.id,
+        changeType: 'rescheduled',
+        changedBy: 'admin',
+        adminUserId: req.user.id,
+        previousDatetime: target.scheduled_datetime,
+        newDatetime: newStart,
+        policy: describeChangePolicy(target),
+        reason: value.reason || null
+      }));
+    }
+
+    await recordAudit({
+      req,
+      action: 'appointment_series_rescheduled',
+      entityType: 'appointment_series',
+      entityId: id,
+      before: moves.map(({ target }) => ({ appointment_id: target.id, scheduled_datetime: target.scheduled_datetime })),
+      after: moves.map(({ target, newStart }) => ({ appointment_id: target.id, scheduled_datetime: newStart })),
+      metadata: { scope: value.scope }
+    }, client);
+
+    await queueSeriesChangeEmail(client, occurrence, changes);
+
+    await commitTransaction(client);
+    client = null;
+
+    moves.forEach(({ target }) => notifyWaitlist(
+      target.scheduled_datetime,
+      new Date(new Date(target.scheduled_datetime).getTime() + target.duration_minutes * 60000)
+    ));
+
+    res.json({
+      success: true,
+      message: `${changes.length} appointment(s) moved`,
+      data: changes.map(change => withLocalTimes({
+        appointment_id: change.appointment_id,
+        previous_datetime: change.previous_datetime,
+        scheduled_datetime: change.new_datetime
+      }, ['previous_datetime', 'scheduled_datetime']))
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error moving series appointments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to move appointments'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/series/:id/occurrences/:appointmentId
+ * Cancel one appointment in a series (scope: single), or it and every later one (scope: future,
+ * which also ends the series). No fee is charged for salon cancellations.
+ * Permission: appointments:manage
+ */
+router.delete('/:id/occurrences/:appointmentId', requirePermission('appointments:manage'), async (req, res) => {
+  let client = null;
+
+  try {
+    const { id, appointmentId } = req.params;
+
+    if (!/^\d+$/.test(id) || !/^\d+$/.test(appointmentId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid series or appointment ID'
+      });
+    }
+
+    const { error, value } = cancelOccurrenceSchema.validate({ ...req.query, ...req.body });
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+
+    const { series, occurrence, targets, status, error: lockError } = await lockOccurrences(client, req.params, value.scope);
+    if (lockError) {
+      await rollbackTransaction(client);
+      return res.status(status).json({
+        success: false,
+        error: lockError
+      });
+    }
+
+    const changes = [];
+
+    for (const target of targets) {
+      await client.query(`
+        UPDATE appointments
+        SET status = 'cancelled',
+            cancelled_at = CURRENT_TIMESTAMP,
+            cancelled_by = 'admin'
+        WHERE id = $1
+      `, [target.id]);
+
+      changes.push(await recordAppointmentChange(client, {
+        appointmentId: target.id,
+        changeType: 'cancelled',
+        changedBy: 'admin',
+        adminUserId: req.user.id,
+        previousDatetime: target.scheduled_datetime,
+        policy: describeChangePolicy(target),
+        reason: value.reason || null
+      }));
+    }
+
+    if (value.scope === 'future') {
+      await client.query(`
+        UPDATE appointment_series
+        SET status = 'cancelled',
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [id]);
+    }
+
+    await recordAudit({
+      req,
+      action: 'appointment_series_cancelled',
+      entityType: 'appointment_series',
+      entityId: id,
+      before: { status: series.status },
+      after: {
+        status: value.scope === 'future' ? 'cancelled' : series.status,
+        cancelled_appointment_ids: targets.map(target => target.id)
+      },
+      metadata: { scope: value.scope, reason: value.reason || null }
+    }, client);
+
+    await queueSeriesChangeEmail(client, occurrence, changes);
+
+    await commitTransaction(client);
+    client = null;
+
+    targets.forEach(target => notifyWaitlist(
+      target.scheduled_datetime,
+      new Date(new Date(target.scheduled_datetime).getTime() + target.duration_minutes * 60000)
+    ));
+
+    res.json({
+      success: true,
+      message: `${changes.length} appointment(s) cancelled`,
+      data: {
+        series_id: parseInt(id),
+        series_status: value.scope === 'future' ? 'cancelled' : series.status,
+        cancelled_appointment_ids: targets.map(target => target.id)
+      }
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error cancelling series appointments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel appointments'
+    });
+  }
+});
+
+module.exports = router;
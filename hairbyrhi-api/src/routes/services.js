@@ -1,6 +1,17 @@
 const express = require('express');
 const router = express.Router();
+const Joi = require('joi');
 const { queryMany, queryOne } = require('../utils/database');
+const { computeAvailability, formatSlot } = require('../utils/availability');
+const { loadServiceSelection } = require('../utils/serviceSelection');
+const { SALON_TIME_ZONE, toLocalDateString, addDays, daysBetween } = require('../utils/time');
+const { AVAILABILITY_MAX_RANGE_DAYS } = require('../../config/salon');
+
+const availabilityQuerySchema = Joi.object({
+  from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('from must be a date in YYYY-MM-DD format'),
+  to: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('to must be a date in YYYY-MM-DD format'),
+  with: Joi.string().pattern(/^\d+(,\d+){0,4}$/).message('with must be a comma-separated list of up to 5 service IDs')
+});
 
 /**
  * GET /api/services
@@ -90,4 +101,94 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/services/:id/availability?from=YYYY-MM-DD&to=YYYY-MM-DD&with=2,5
+ * Get bookable start times for a service, by salon-local date
+ * (with lists further services booked straight after it, in order)
+ */
+router.get('/:id/availability', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid service ID'
+      });
+    }
+
+    const { error, value } = availabilityQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const fromDate = value.from || toLocalDateString(new Date());
+    const toDate = value.to || addDays(fromDate, 6);
+    const rangeDays = daysBetween(fromDate, toDate);
+
+    if (Number.isNaN(rangeDays) || rangeDays < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'to must be on or after from'
+      });
+    }
+
+    if (rangeDays >= AVAILABILITY_MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `Date range cannot exceed ${AVAILABILITY_MAX_RANGE_DAYS} days`
+      });
+    }
+
+    const serviceIds = [parseInt(id), ...(value.with ? value.with.split(',').map(Number) : [])];
+
+    if (new Set(serviceIds).size !== serviceIds.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Each service can only be included once'
+      });
+    }
+
+    const { selection } = await loadServiceSelection(serviceIds);
+
+    if (!selection) {
+      return res.status(404).json({
+        success: false,
+        error: 'Service not found'
+      });
+    }
+
+    const days = await computeAvailability({ service: selection, fromDate, toDate });
+
+    res.json({
+      success: true,
+      data: {
+        service_id: selection.service_ids[0],
+        service_ids: selection.service_ids,
+        service_name: selection.service_name,
+        duration_minutes: selection.duration_minutes,
+        price: selection.price,
+        time_zone: SALON_TIME_ZONE,
+        from: fromDate,
+        to: toDate,
+        dates: days.map(day => ({
+          date: day.date,
+          slots: day.slots.map(formatSlot)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error computing availability:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute availability'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
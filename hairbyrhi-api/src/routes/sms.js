@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const { beginTransaction, commitTransaction, rollbackTransaction } = require('../utils/database');
+const { recordAudit } = require('../utils/audit');
+const { verifyInboundSms } = require('../utils/smsProvider');
+const { queueSms } = require('../utils/smsOutbox');
+const { normalizePhone, phoneMatchSql, matchSmsKeyword } = require('../utils/contactPreferences');
+
+// Reply template for each keyword
+const KEYWORD_REPLIES = {
+  stop: 'opted_out',
+  start: 'opted_in',
+  help: 'help'
+};
+
+/**
+ * Acknowledge the provider's webhook (Twilio expects TwiML, anything else gets JSON)
+ * @param {Object} res - Express response
+ * @param {Object} inbound - From verifyInboundSms
+ * @param {Object} data - Response data
+ */
+const acknowledge = (res, inbound, data) => {
+  if (inbound.provider === 'twilio') {
+    return res.type('text/xml').send('<Response></Response>');
+  }
+  return res.json({ success: true, data });
+};
+
+/**
+ * POST /api/sms/inbound
+ * Webhook for texts sent to the salon number (authenticated by the SMS provider).
+ * STOP / START / HELP keywords opt every customer with that number out of or back into texts.
+ */
+router.post('/inbound', async (req, res) => {
+  let client = null;
+
+  try {
+    const inbound = verifyInboundSms(req);
+
+    if (!inbound) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid webhook signature'
+      });
+    }
+
+    const fromNumber = normalizePhone(inbound.from);
+
+    if (!fromNumber || typeof inbound.body !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid message'
+      });
+    }
+
+    const keyword = matchSmsKeyword(inbound.body);
+
+    client = await beginTransaction();
+
+    const customers = await client.query(`
+      SELECT id, sms_opted_out_at
+      FROM customers
+      WHERE ${phoneMatchSql('phone', 1)}
+      FOR UPDATE
+    `, [fromNumber]);
+
+    const customerIds = customers.rows.map(customer => customer.id);
+
+    await client.query(`
+      INSERT INTO sms_inbound (from_number, body, keyword, customer_ids, provider, provider_message_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [fromNumber, inbound.body.substring(0, 2000), keyword, customerIds, inbound.provider, inbound.messageId]);
+
+    if ((keyword === 'stop' || keyword === 'start') && customerIds.length > 0) {
+      await client.query(`
+        UPDATE customers
+        SET sms_opted_out_at = ${keyword === 'stop' ? 'COALESCE(sms_opted_out_at, CURRENT_TIMESTAMP)' : 'NULL'},
+            notifications_updated_at = CURRENT_TIMESTAMP
+        WHERE id = ANY($1)
+      `, [customerIds]);
+
+      for (const customer of customers.rows) {
+        await recordAudit({
+          req,
+          action: keyword === 'stop' ? 'sms_opted_out' : 'sms_opted_in',
+          entityType: 'customer',
+          entityId: customer.id,
+          before: { sms_opted_out_at: customer.sms_opted_out_at },
+          after: { sms_opted_out: keyword === 'stop' },
+          metadata: { via: 'sms_keyword', from: fromNumber }
+        }, client);
+      }
+    }
+
+    if (keyword && !inbound.handlesKeywordReplies) {
+      await queueSms(client, KEYWORD_REPLIES[keyword], { to: fromNumber, entityType: 'sms_keyword' });
+    }
+
+    await commitTransaction(client);
+    client = null;
+
+    acknowledge(res, inbound, { keyword, customers_matched: customerIds.length });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+    console.error('Error handling inbound SMS:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to handle inbound message'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,511 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { queryOne, beginTransaction, commitTransaction, rollbackTransaction } = require('../utils/database');
+const { upsertCustomer, lockRequest, confirmRequest } = require('../utils/booking');
+const { loadServiceSelection, saveRequestServices } = require('../utils/serviceSelection');
+const { generateCustomerToken, hashCustomerToken } = require('../utils/customerTokens');
+const { queueWaitlistJoinedEmail, queueAppointmentConfirmationEmail } = require('../utils/customerEmails');
+const { queueAppointmentConfirmationSms } = require('../utils/customerSms');
+const { notifyWaitlist } = require('../utils/waitlist');
+const { recordAudit } = require('../utils/audit');
+const { SALON_TIME_ZONE, toLocalDateString, addDays, withLocalTimes } = require('../utils/time');
+const { BOOKING_MAX_DAYS_AHEAD } = require('../../config/salon');
+
+const localDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('{{#label}} must be a date in YYYY-MM-DD format');
+
+const joinSchema = Joi.object({
+  customer: Joi.object({
+    name: Joi.string().min(2).max(255).required(),
+    email: Joi.string().email().required(),
+    phone: Joi.string().min(10).max(20).required()
+  }).required(),
+  service_id: Joi.number().integer().positive().required(),
+  earliest_date: localDate.required(),
+  latest_date: localDate.required(),
+  notes: Joi.string().max(1000).allow('', null)
+});
+
+// Customers act on entries and offers with the token from their email
+const tokenBodySchema = Joi.object({
+  token: Joi.string().hex().length(64).required()
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation failed',
+  details: error.details.map(detail => detail.message)
+});
+
+/**
+ * Lock an offer (and its waitlist entry) and check the claim token
+ * @param {Object} client - Transaction client
+ * @param {string} id - Offer ID
+ * @param {string} token - Raw token from the email link
+ * @returns {Promise<Object>} { offer } or { status, error } to send back
+ */
+const lockOffer = async (client, id, token) => {
+  const result = await client.query(`
+    SELECT
+      wo.id,
+      wo.entry_id,
+      wo.slot_start,
+      wo.duration_minutes,
+      wo.token_hash,
+      wo.status,
+      wo.expires_at,
+      we.customer_id,
+      we.service_id,
+      we.notes,
+      we.status as entry_status
+    FROM waitlist_offers wo
+    JOIN waitlist_entries we ON wo.entry_id = we.id
+    WHERE wo.id = $1
+    FOR UPDATE OF wo, we
+  `, [id]);
+
+  const offer = result.rows[0];
+
+  // Same answer for unknown offers and wrong tokens
+  if (!offer || offer.token_hash !== hashCustomerToken(token)) {
+    return { status: 404, error: 'Offer not found' };
+  }
+
+  if (offer.status !== 'pending') {
+    return { status: 409, error: `Offer is already ${offer.status}` };
+  }
+
+  if (new Date(offer.expires_at) <= new Date()) {
+    return { status: 410, error: 'Sorry, this offer has expired and has been passed to the next person on the waitlist.' };
+  }
+
+  return { offer };
+};
+
+/**
+ * Close an offer and put its entry back in line
+ * @param {Object} client - Transaction client
+ * @param {Object} offer - Row from lockOffer
+ * @param {string} status - 'declined' | 'withdrawn'
+ */
+const releaseOffer = async (client, offer, status) => {
+  await client.query(`
+    UPDATE waitlist_offers
+    SET status = $2,
+        responded_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [offer.id, status]);
+
+  await client.query(`
+    UPDATE waitlist_entries
+    SET status = 'waiting',
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'offered'
+  `, [offer.entry_id]);
+};
+
+/**
+ * POST /api/waitlist
+ * Join the waitlist for a service within a date window
+ */
+router.post('/', async (req, res) => {
+  let client = null;
+
+  try {
+    const { error, value } = joinSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    const { customer, service_id, earliest_date, latest_date, notes } = value;
+    const today = toLocalDateString(new Date());
+
+    if (latest_date < earliest_date) {
+      return res.status(400).json({
+        success: false,
+        error: 'latest_date must be on or after earliest_date'
+      });
+    }
+
+    if (latest_date < today || earliest_date > addDays(today, BOOKING_MAX_DAYS_AHEAD)) {
+      return res.status(400).json({
+        success: false,
+        error: `Dates must fall between today and ${BOOKING_MAX_DAYS_AHEAD} days ahead`
+      });
+    }
+
+    const service = await queryOne(`
+      SELECT id, name
+      FROM services
+      WHERE id = $1 AND is_active = true AND deleted_at IS NULL
+    `, [service_id]);
+
+    if (!service) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid service selected'
+      });
+    }
+
+    client = await beginTransaction();
+
+    const customerRecord = await upsertCustomer(client, customer);
+
+    const existing = await client.query(`
+      SELECT id
+      FROM waitlist_entries
+      WHERE customer_id = $1 AND service_id = $2 AND status IN ('waiting', 'offered')
+    `, [customerRecord.id, service_id]);
+
+    if (existing.rows.length > 0) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        error: `You're already on the waitlist for ${service.name}`
+      });
+    }
+
+    const { token, tokenHash } = generateCustomerToken();
+    const windowStart = earliest_date < today ? today : earliest_date;
+
+    const entryResult = await client.query(`
+      INSERT INTO waitlist_entries (customer_id, service_id, earliest_date, latest_date, notes, manage_token_hash)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, status, created_at
+    `, [
+      customerRecord.id,
+      service_id,
+      windowStart,
+      latest_date,
+      notes || null,
+      tokenHash
+    ]);
+
+    const entry = {
+      ...entryResult.rows[0],
+      earliest_date: windowStart,
+      latest_date,
+      customer_id: customerRecord.id,
+      customer_name: customer.name,
+      customer_email: customer.email,
+      service_name: service.name
+    };
+
+    await queueWaitlistJoinedEmail(client, entry, token);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist',
+      data: {
+        waitlist_id: entry.id,
+        status: entry.status,
+        service_name: entry.service_name,
+        earliest_date: entry.earliest_date,
+        latest_date: entry.latest_date,
+        joined_at: entry.created_at
+      }
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error joining waitlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to join waitlist'
+    });
+  }
+});
+
+/**
+ * POST /api/waitlist/:id/leave
+ * Leave the waitlist (token from the waitlist email) - any open offer is passed on
+ */
+router.post('/:id/leave', async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid waitlist ID'
+      });
+    }
+
+    const { error, value } = tokenBodySchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+
+    const entryResult = await client.query(`
+      SELECT id, status, manage_token_hash
+      FROM waitlist_entries
+      WHERE id = $1
+      FOR UPDATE
+    `, [id]);
+
+    const entry = entryResult.rows[0];
+
+    if (!entry || entry.manage_token_hash !== hashCustomerToken(value.token)) {
+      await rollbackTransaction(client);
+      return res.status(404).json({
+        success: false,
+        error: 'Waitlist entry not found'
+      });
+    }
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      await rollbackTransaction(client);
+      return res.status(409).json({
+        success: false,
+        error: `Waitlist entry is already ${entry.status}`
+      });
+    }
+
+    const withdrawn = await client.query(`
+      UPDATE waitlist_offers
+      SET status = 'declined',
+          responded_at = CURRENT_TIMESTAMP
+      WHERE entry_id = $1 AND status = 'pending'
+      RETURNING slot_start, duration_minutes
+    `, [id]);
+
+    await client.query(`
+      UPDATE waitlist_entries
+      SET status = 'cancelled',
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [id]);
+
+    await commitTransaction(client);
+    client = null;
+
+    for (const offer of withdrawn.rows) {
+      const slotStart = new Date(offer.slot_start);
+      notifyWaitlist(slotStart, new Date(slotStart.getTime() + offer.duration_minutes * 60000));
+    }
+
+    res.json({
+      success: true,
+      message: 'Removed from the waitlist'
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error leaving waitlist:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to leave waitlist'
+    });
+  }
+});
+
+/**
+ * POST /api/waitlist/offers/:id/claim
+ * Claim an offered time (token from the offer email) - creates the appointment
+ */
+router.post('/offers/:id/claim', async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid offer ID'
+      });
+    }
+
+    const { error, value } = tokenBodySchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+
+    const { offer, status, error: offerError } = await lockOffer(client, id, value.token);
+    if (offerError) {
+      await rollbackTransaction(client);
+      return res.status(status).json({
+        success: false,
+        error: offerError
+      });
+    }
+
+    // A claimed offer goes through the same request -> appointment path as an approval
+    const requestResult = await client.query(`
+      INSERT INTO appointment_requests (customer_id, service_id, customer_notes, status)
+      VALUES ($1, $2, $3, 'pending')
+      RETURNING id
+    `, [offer.customer_id, offer.service_id, offer.notes]);
+
+    const requestId = requestResult.rows[0].id;
+
+    const { selection } = await loadServiceSelection([offer.service_id], client);
+    if (selection) {
+      await saveRequestServices(client, requestId, selection);
+    }
+
+    const preferenceResult = await client.query(`
+      INSERT INTO request_time_preferences (request_id, preferred_datetime, priority)
+      VALUES ($1, $2, 1)
+      RETURNING id, preferred_datetime
+    `, [requestId, offer.slot_start]);
+
+    const request = await lockRequest(client, requestId);
+    const { problem, appointment, manageToken } = await confirmRequest(
+      client,
+      request,
+      preferenceResult.rows[0],
+      `Booked from waitlist offer #${offer.id}`
+    );
+
+    // The time was taken some other way - pass on without leaking other customers' details
+    if (problem) {
+      await rollbackTransaction(client);
+      client = await beginTransaction();
+      await releaseOffer(client, offer, 'withdrawn');
+      await commitTransaction(client);
+      client = null;
+
+      return res.status(409).json({
+        success: false,
+        error: 'Sorry, this time is no longer available. You are still on the waitlist.'
+      });
+    }
+
+    await client.query(`
+      UPDATE waitlist_offers
+      SET status = 'claimed',
+          appointment_id = $2,
+          responded_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [offer.id, appointment.id]);
+
+    await client.query(`
+      UPDATE waitlist_entries
+      SET status = 'booked',
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [offer.entry_id]);
+
+    await recordAudit({
+      req,
+      action: 'waitlist_offer_claimed',
+      entityType: 'appointment',
+      entityId: appointment.id,
+      after: {
+        request_id: requestId,
+        scheduled_datetime: appointment.scheduled_datetime,
+        waitlist_entry_id: offer.entry_id,
+        waitlist_offer_id: offer.id
+      },
+      metadata: { via: 'customer_link' }
+    }, client);
+
+    await queueAppointmentConfirmationEmail(client, { ...request, ...appointment }, manageToken);
+    await queueAppointmentConfirmationSms(client, { ...request, ...appointment }, manageToken);
+
+    await commitTransaction(client);
+    client = null;
+
+    res.json({
+      success: true,
+      message: 'Appointment confirmed',
+      data: {
+        request_id: requestId,
+        appointment_id: appointment.id,
+        status: 'confirmed',
+        service_name: request.service_name,
+        ...withLocalTimes({ scheduled_datetime: appointment.scheduled_datetime }, ['scheduled_datetime']),
+        duration_minutes: request.duration_minutes,
+        time_zone: SALON_TIME_ZONE
+      }
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error claiming waitlist offer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to claim offer'
+    });
+  }
+});
+
+/**
+ * POST /api/waitlist/offers/:id/decline
+ * Pass on an offered time (token from the offer email) - it goes to the next person in line
+ */
+router.post('/offers/:id/decline', async (req, res) => {
+  let client = null;
+
+  try {
+    const { id } = req.params;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid offer ID'
+      });
+    }
+
+    const { error, value } = tokenBodySchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+
+    client = await beginTransaction();
+
+    const { offer, status, error: offerError } = await lockOffer(client, id, value.token);
+    if (offerError) {
+      await rollbackTransaction(client);
+      return res.status(status).json({
+        success: false,
+        error: offerError
+      });
+    }
+
+    await releaseOffer(client, offer, 'declined');
+
+    await commitTransaction(client);
+    client = null;
+
+    const slotStart = new Date(offer.slot_start);
+    notifyWaitlist(slotStart, new Date(slotStart.getTime() + offer.duration_minutes * 60000));
+
+    res.json({
+      success: true,
+      message: 'Offer declined - you are still on the waitlist'
+    });
+
+  } catch (error) {
+    if (client) {
+      await rollbackTransaction(client);
+    }
+
+    console.error('Error declining waitlist offer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to decline offer'
+    });
+  }
+});
+
+module.exports = router;
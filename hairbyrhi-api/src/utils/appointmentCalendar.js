@@ -0,0 +1,153 @@
+const { queryMany } = require('./database');
+const { requestServicesJoin } = require('./serviceSelection');
+const { buildCalendar } = require('./ical');
+const { SALON_ADDRESS, CALENDAR_FEED_PAST_DAYS, CALENDAR_FEED_DAYS_AHEAD } = require('../../config/salon');
+
+// UIDs only need to be unique and stable - they aren't resolved
+const UID_DOMAIN = 'hairbyrhi.com';
+// How often subscribed calendar apps should check the feed
+const FEED_REFRESH_MINUTES = 15;
+// Statuses shown as cancelled in calendars (the time is free again)
+const CANCELLED_STATUSES = ['cancelled', 'no_show'];
+
+const APPOINTMENT_EVENT_QUERY = `
+  SELECT
+    a.id,
+    a.status,
+    a.scheduled_datetime,
+    a.duration_minutes,
+    a.ical_sequence,
+    a.deleted_at,
+    c.name as customer_name,
+    c.email as customer_email,
+    c.phone as customer_phone,
+    COALESCE(rs.service_names, s.name) as service_name
+  FROM appointments a
+  JOIN customers c ON a.customer_id = c.id
+  JOIN services s ON a.service_id = s.id
+  ${requestServicesJoin('a.request_id')}
+`;
+
+const isCancelled = (appointment) => Boolean(appointment.deleted_at) || CANCELLED_STATUSES.includes(appointment.status);
+
+const appointmentTimes = (appointment) => {
+  const start = new Date(appointment.scheduled_datetime);
+  return { start, end: new Date(start.getTime() + appointment.duration_minutes * 60000) };
+};
+
+/**
+ * Appointment as the customer sees it in their calendar
+ * @param {Object} appointment - Row from APPOINTMENT_EVENT_QUERY
+ * @param {string} [manageUrl] - Link to cancel or reschedule
+ * @returns {Object} Event for buildCalendar
+ */
+const customerEvent = (appointment, manageUrl = null) => ({
+  uid: `appointment-${appointment.id}@${UID_DOMAIN}`,
+  sequence: appointment.ical_sequence,
+  ...appointmentTimes(appointment),
+  summary: `${appointment.service_name} at Hair by Rhiannon`,
+  description: manageUrl ? `Cancel or reschedule: ${manageUrl}` : null,
+  location: SALON_ADDRESS,
+  url: manageUrl,
+  status: isCancelled(appointment) ? 'CANCELLED' : 'CONFIRMED'
+});
+
+/**
+ * Appointment as the salon sees it in the feed
+ * @param {Object} appointment - Row from APPOINTMENT_EVENT_QUERY
+ * @returns {Object} Event for buildCalendar
+ */
+const salonEvent = (appointment) => ({
+  uid: `appointment-${appointment.id}@${UID_DOMAIN}`,
+  sequence: appointment.ical_sequence,
+  ...appointmentTimes(appointment),
+  summary: `${appointment.customer_name} - ${appointment.service_name}`,
+  description: [
+    `Status: ${appointment.deleted_at ? 'deleted' : appointment.status}`,
+    `Phone: ${appointment.customer_phone || '-'}`,
+    `Email: ${appointment.customer_email}`
+  ].join('\n'),
+  status: isCancelled(appointment) ? 'CANCELLED' : 'CONFIRMED'
+});
+
+/**
+ * Calendar file with a customer's appointments
+ * @param {Array<number>} appointmentIds - appointments.id values
+ * @param {Object} [options]
+ * @param {Object} [options.manageUrls] - appointment ID -> manage link
+ * @param {Object} [options.client] - Transaction client (to see changes it hasn't committed)
+ * @returns {Promise<string|null>} iCalendar text, or null when none of the appointments exist
+ */
+const buildAppointmentIcs = async (appointmentIds, { manageUrls = {}, client = null } = {}) => {
+  const text = `${APPOINTMENT_EVENT_QUERY} WHERE a.id = ANY($1) ORDER BY a.scheduled_datetime`;
+  const params = [appointmentIds];
+  const appointments = client ? (await client.query(text, params)).rows : await queryMany(text, params);
+
+  if (appointments.length === 0) {
+    return null;
+  }
+
+  return buildCalendar({
+    events: appointments.map(appointment => customerEvent(appointment, manageUrls[appointment.id] || null))
+  });
+};
+
+/**
+ * Email attachment with a customer's appointments (see buildAppointmentIcs)
+ * @param {Object} client - Transaction client
+ * @param {Array<number>} appointmentIds
+ * @param {Object} [manageUrls] - appointment ID -> manage link
+ * @returns {Promise<Array>} [{ filename, content_type, content }], empty when there's nothing to attach
+ */
+const appointmentIcsAttachments = async (client, appointmentIds, manageUrls = {}) => {
+  const content = await buildAppointmentIcs(appointmentIds, { manageUrls, client });
+  return content
+    ? [{ filename: 'appointment.ics', content_type: 'text/calendar; charset=utf-8; method=PUBLISH', content }]
+    : [];
+};
+
+/**
+ * The salon's subscribable feed: appointments and blocked time from the recent past on,
+ * including cancelled and deleted ones so subscribers drop them
+ * @returns {Promise<string>} iCalendar text
+ */
+const buildScheduleFeed = async () => {
+  const [appointments, blocks] = await Promise.all([
+    queryMany(`
+      ${APPOINTMENT_EVENT_QUERY}
+      WHERE a.scheduled_datetime >= CURRENT_TIMESTAMP - ($1 || ' days')::interval
+        AND a.scheduled_datetime < CURRENT_TIMESTAMP + ($2 || ' days')::interval
+      ORDER BY a.scheduled_datetime, a.id
+    `, [CALENDAR_FEED_PAST_DAYS, CALENDAR_FEED_DAYS_AHEAD]),
+    queryMany(`
+      SELECT id, starts_at, ends_at, reason, ical_sequence, updated_at, deleted_at
+      FROM blocked_times
+      WHERE ends_at >= CURRENT_TIMESTAMP - ($1 || ' days')::interval
+        AND starts_at < CURRENT_TIMESTAMP + ($2 || ' days')::interval
+      ORDER BY starts_at, id
+    `, [CALENDAR_FEED_PAST_DAYS, CALENDAR_FEED_DAYS_AHEAD])
+  ]);
+
+  return buildCalendar({
+    name: 'Hair by Rhiannon - Appointments',
+    refreshMinutes: FEED_REFRESH_MINUTES,
+    events: [
+      ...appointments.map(salonEvent),
+      ...blocks.map(block => ({
+        uid: `block-${block.id}@${UID_DOMAIN}`,
+        sequence: block.ical_sequence,
+        start: new Date(block.starts_at),
+        end: new Date(block.ends_at),
+        summary: block.reason ? `Blocked: ${block.reason}` : 'Blocked',
+        status: block.deleted_at ? 'CANCELLED' : 'CONFIRMED',
+        updatedAt: block.updated_at
+      }))
+    ]
+  });
+};
+
+module.exports = {
+  buildAppointmentIcs,
+  appointmentIcsAttachments,
+  buildScheduleFeed
+};
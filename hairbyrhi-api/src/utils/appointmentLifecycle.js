@@ -0,0 +1,71 @@
+/**
+ * Status changes an admin may make to an appointment
+ *
+ * scheduled -> checked_in -> in_progress -> completed is the normal path. Check-in can
+ * be skipped when a client goes straight to the chair, only appointments nobody has
+ * checked in for can become no-shows, and once a service has started it can only be
+ * completed. completed, no_show and cancelled are final.
+ */
+const APPOINTMENT_TRANSITIONS = {
+  scheduled: ['checked_in', 'in_progress', 'no_show', 'cancelled'],
+  checked_in: ['in_progress', 'cancelled'],
+  in_progress: ['completed'],
+  completed: [],
+  no_show: [],
+  cancelled: []
+};
+
+/**
+ * Whether an appointment may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => (APPOINTMENT_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * 409 response fields for a status change the state machine doesn't allow
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {Object} { error, data }
+ */
+const describeInvalidTransition = (from, to) => ({
+  error: `Cannot change a ${from} appointment to ${to}`,
+  data: {
+    status: from,
+    allowed_transitions: APPOINTMENT_TRANSITIONS[from] || []
+  }
+});
+
+/**
+ * Move an appointment to a new status, recording who did it and any outcome fields
+ * @param {Object} client - Transaction client (the appointment row should already be locked)
+ * @param {number|string} appointmentId - appointments.id
+ * @param {string} toStatus - New status (check canTransition first)
+ * @param {number} adminUserId - Admin making the change
+ * @param {Object} [fields] - Extra columns to set, e.g. { actual_start_at }
+ * @returns {Promise<Object>} Updated lifecycle columns
+ */
+const transitionAppointment = async (client, appointmentId, toStatus, adminUserId, fields = {}) => {
+  const columns = Object.keys(fields);
+  const assignments = columns.map((column, index) => `${column} = $${index + 4}`);
+
+  const result = await client.query(`
+    UPDATE appointments
+    SET status = $2,
+        status_updated_at = CURRENT_TIMESTAMP,
+        status_updated_by = $3${assignments.length > 0 ? `,\n        ${assignments.join(',\n        ')}` : ''}
+    WHERE id = $1
+    RETURNING id, status, scheduled_datetime, duration_minutes, checked_in_at, actual_start_at,
+      actual_end_at, charged_amount, outcome_notes, cancelled_at, cancelled_by, status_updated_at
+  `, [appointmentId, toStatus, adminUserId, ...columns.map(column => fields[column])]);
+
+  return result.rows[0];
+};
+
+module.exports = {
+  APPOINTMENT_TRANSITIONS,
+  canTransition,
+  describeInvalidTransition,
+  transitionAppointment
+};
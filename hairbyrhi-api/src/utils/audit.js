@@ -0,0 +1,75 @@
+const { query } = require('./database');
+
+const AUDIT_LOG_RETENTION_DAYS = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 365;
+
+/**
+ * Write an entry to the audit log
+ *
+ * Pass the transaction client when the audited change happens inside a transaction so
+ * the entry commits or rolls back with it; errors then propagate. Without a client the
+ * entry is written on its own and failures are logged rather than thrown, so auditing
+ * never breaks the request it describes.
+ *
+ * @param {Object} entry
+ * @param {Object} [entry.req] - Express request (actor, IP and user agent are taken from it)
+ * @param {Object} [entry.actor] - Override actor { id, email } (e.g. during login, before req.user exists)
+ * @param {string} entry.action - Action name, e.g. 'request_approved'
+ * @param {string} [entry.entityType] - Type of record affected
+ * @param {string|number} [entry.entityId] - ID of record affected
+ * @param {Object} [entry.before] - Snapshot before the change
+ * @param {Object} [entry.after] - Snapshot after the change
+ * @param {Object} [entry.metadata] - Additional context
+ * @param {Object} [client] - Transaction client
+ */
+const recordAudit = async ({ req, actor, action, entityType, entityId, before, after, metadata }, client = null) => {
+  const actingUser = actor || (req && req.user) || null;
+  const params = [
+    actingUser ? actingUser.id || null : null,
+    actingUser ? actingUser.email || null : null,
+    action,
+    entityType || null,
+    entityId !== undefined && entityId !== null ? String(entityId) : null,
+    before ? JSON.stringify(before) : null,
+    after ? JSON.stringify(after) : null,
+    metadata ? JSON.stringify(metadata) : null,
+    req ? (req.ip || (req.connection && req.connection.remoteAddress) || null) : null,
+    req && req.headers['user-agent'] ? req.headers['user-agent'].substring(0, 500) : null
+  ];
+
+  const text = `
+    INSERT INTO audit_log (
+      actor_id, actor_email, action, entity_type, entity_id,
+      before_data, after_data, metadata, ip_address, user_agent
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+  `;
+
+  if (client) {
+    await client.query(text, params);
+    return;
+  }
+
+  try {
+    await query(text, params);
+  } catch (error) {
+    console.error(`Failed to write audit log entry (${action}):`, error.message);
+  }
+};
+
+/**
+ * Delete audit entries older than the retention window (AUDIT_LOG_RETENTION_DAYS)
+ * @returns {Promise<number>} Number of entries deleted
+ */
+const purgeExpiredAuditEntries = async () => {
+  const result = await query(`
+    DELETE FROM audit_log
+    WHERE created_at < CURRENT_TIMESTAMP - ($1 || ' days')::interval
+  `, [AUDIT_LOG_RETENTION_DAYS]);
+
+  return result.rowCount;
+};
+
+module.exports = {
+  AUDIT_LOG_RETENTION_DAYS,
+  recordAudit,
+  purgeExpiredAuditEntries
+};
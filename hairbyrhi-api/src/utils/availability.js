@@ -0,0 +1,231 @@
+const { queryMany } = require('./database');
+const { loadScheduleRules } = require('./schedule');
+const { requestServicesJoin } = require('./serviceSelection');
+const { activeWindows, windowsOverlap, peakConcurrency } = require('./segments');
+const {
+  SLOT_INTERVAL_MINUTES,
+  BOOKING_MIN_NOTICE_HOURS,
+  BOOKING_MAX_DAYS_AHEAD
+} = require('../../config/salon');
+const {
+  zonedTimeToUtc,
+  toLocalDateString,
+  toLocalIsoString,
+  addDays,
+  daysBetween
+} = require('./time');
+
+// Appointment statuses that occupy time on the calendar
+const BLOCKING_APPOINTMENT_STATUSES = ['scheduled', 'checked_in', 'in_progress'];
+
+// Advisory lock key shared by every transaction that books time on the calendar
+const SCHEDULE_LOCK_KEY = 728301;
+
+/**
+ * Appointments that overlap a UTC range
+ * @param {Date} rangeStart - Inclusive start
+ * @param {Date} rangeEnd - Exclusive end
+ * @param {Object} [client] - Transaction client (defaults to the shared pool)
+ * @returns {Promise<Array>} [{ id, start, end, active }] - active lists the ranges that need the stylist
+ */
+const loadBusyAppointments = async (rangeStart, rangeEnd, client = null) => {
+  const text = `
+    SELECT id, scheduled_datetime, duration_minutes, segments
+    FROM appointments
+    WHERE status = ANY($1)
+      AND deleted_at IS NULL
+      AND scheduled_datetime < $3
+      AND scheduled_datetime + (duration_minutes || ' minutes')::interval > $2
+  `;
+  const params = [BLOCKING_APPOINTMENT_STATUSES, rangeStart, rangeEnd];
+  const rows = client ? (await client.query(text, params)).rows : await queryMany(text, params);
+
+  return rows.map(row => {
+    const start = new Date(row.scheduled_datetime);
+    return {
+      id: row.id,
+      start,
+      end: new Date(start.getTime() + row.duration_minutes * 60000),
+      active: activeWindows(start, row.duration_minutes, row.segments)
+    };
+  });
+};
+
+/**
+ * Compute bookable start times for a service
+ *
+ * A start time is bookable when the whole service fits inside a working window,
+ * doesn't touch blocked time, respects the minimum notice and booking horizon, and
+ * fewer than the service's max_concurrent appointments would be running at any one
+ * moment of it. Appointments only count as overlapping where the active parts of both
+ * meet, so a short service can sit in another client's processing time.
+ *
+ * @param {Object} options
+ * @param {Object} options.service - { duration_minutes, max_concurrent, segments }
+ * @param {string} options.fromDate - First local date "YYYY-MM-DD"
+ * @param {string} options.toDate - Last local date "YYYY-MM-DD" (inclusive)
+ * @param {Date} [options.now] - Reference time
+ * @returns {Promise<Array>} [{ date, slots: [{ start, end }] }] with Date instants
+ */
+const computeAvailability = async ({ service, fromDate, toDate, now = new Date() }) => {
+  const duration = service.duration_minutes;
+  const maxConcurrent = service.max_concurrent || 1;
+  const earliest = new Date(now.getTime() + BOOKING_MIN_NOTICE_HOURS * 3600000);
+  const latest = new Date(now.getTime() + BOOKING_MAX_DAYS_AHEAD * 86400000);
+
+  const dayCount = daysBetween(fromDate, toDate) + 1;
+  const rules = await loadScheduleRules(fromDate, toDate);
+  const busy = await loadBusyAppointments(
+    zonedTimeToUtc(fromDate, 0),
+    zonedTimeToUtc(addDays(toDate, 1), 0)
+  );
+
+  const days = [];
+
+  for (let i = 0; i < dayCount; i++) {
+    const date = addDays(fromDate, i);
+    const slots = [];
+
+    rules.getWorkingWindows(date).forEach(({ startMinutes, endMinutes }) => {
+      for (let minutes = startMinutes; minutes + duration <= endMinutes; minutes += SLOT_INTERVAL_MINUTES) {
+        const start = zonedTimeToUtc(date, minutes);
+        const end = new Date(start.getTime() + duration * 60000);
+
+        if (start < earliest || start > latest) {
+          continue;
+        }
+
+        if (rules.blocks.some(block => block.start < end && block.end > start)) {
+          continue;
+        }
+
+        const active = activeWindows(start, duration, service.segments);
+        const overlapping = busy.filter(appointment => windowsOverlap(appointment.active, active));
+        if (peakConcurrency(active, overlapping.map(appointment => appointment.active)) >= maxConcurrent) {
+          continue;
+        }
+
+        slots.push({ start, end });
+      }
+    });
+
+    days.push({ date, slots });
+  }
+
+  return days;
+};
+
+/**
+ * Whether a specific start time is bookable for a service
+ * @param {Object} service - { duration_minutes, max_concurrent, segments }
+ * @param {Date|string} datetime - Requested start
+ * @returns {Promise<boolean>}
+ */
+const isBookable = async (service, datetime) => {
+  const requested = new Date(datetime);
+  const date = toLocalDateString(requested);
+  const [day] = await computeAvailability({ service, fromDate: date, toDate: date });
+
+  return day.slots.some(slot => slot.start.getTime() === requested.getTime());
+};
+
+/**
+ * Check a proposed appointment against working hours and blocked time
+ *
+ * Unlike isBookable this ignores the notice period, slot grid and appointment
+ * overlaps - it's for admins placing a specific time (see findConflictingAppointments).
+ *
+ * @param {Date|string} start - Proposed start
+ * @param {number} durationMinutes - Proposed duration
+ * @param {Object} [client] - Transaction client
+ * @returns {Promise<Object>} { withinWorkingHours, blocks: [{ id, start, end, reason }] }
+ */
+const checkScheduleFit = async (start, durationMinutes, client = null) => {
+  const rangeStart = new Date(start);
+  const rangeEnd = new Date(rangeStart.getTime() + durationMinutes * 60000);
+  const date = toLocalDateString(rangeStart);
+  const rules = await loadScheduleRules(date, date, client);
+
+  const withinWorkingHours = rules.getWorkingWindows(date).some(({ startMinutes, endMinutes }) =>
+    zonedTimeToUtc(date, startMinutes) <= rangeStart && rangeEnd <= zonedTimeToUtc(date, endMinutes)
+  );
+
+  return {
+    withinWorkingHours,
+    blocks: rules.blocks.filter(block => block.start < rangeEnd && block.end > rangeStart)
+  };
+};
+
+/**
+ * Serialize calendar writes for the rest of the transaction
+ *
+ * Two admins approving overlapping requests at once would both pass a plain
+ * check-then-insert. Taking this transaction-scoped advisory lock first means the
+ * second transaction waits until the first commits, then sees its appointment.
+ *
+ * @param {Object} client - Transaction client
+ */
+const lockSchedule = async (client) => {
+  await client.query('SELECT pg_advisory_xact_lock($1)', [SCHEDULE_LOCK_KEY]);
+};
+
+/**
+ * Appointments overlapping a proposed time range (processing time included), with display details
+ * @param {Object} client - Transaction client (call lockSchedule first)
+ * @param {Date|string} start - Proposed start
+ * @param {number} durationMinutes - Proposed duration
+ * @param {Object} [options]
+ * @param {number} [options.excludeAppointmentId] - Ignore this appointment (when moving it)
+ * @returns {Promise<Array>} Conflicting appointments
+ */
+const findConflictingAppointments = async (client, start, durationMinutes, { excludeAppointmentId = null } = {}) => {
+  const rangeStart = new Date(start);
+  const rangeEnd = new Date(rangeStart.getTime() + durationMinutes * 60000);
+
+  const result = await client.query(`
+    SELECT
+      a.id as appointment_id,
+      a.scheduled_datetime,
+      a.duration_minutes,
+      a.scheduled_datetime + (a.duration_minutes || ' minutes')::interval as end_datetime,
+      a.segments,
+      a.status,
+      c.name as customer_name,
+      COALESCE(rs.service_names, s.name) as service_name
+    FROM appointments a
+    JOIN customers c ON a.customer_id = c.id
+    JOIN services s ON a.service_id = s.id
+    ${requestServicesJoin('a.request_id')}
+    WHERE a.status = ANY($1)
+      AND a.deleted_at IS NULL
+      AND a.scheduled_datetime < $3
+      AND a.scheduled_datetime + (a.duration_minutes || ' minutes')::interval > $2
+      AND ($4::integer IS NULL OR a.id <> $4)
+    ORDER BY a.scheduled_datetime ASC
+  `, [BLOCKING_APPOINTMENT_STATUSES, rangeStart, rangeEnd, excludeAppointmentId]);
+
+  return result.rows;
+};
+
+/**
+ * Shape a slot for API responses
+ * @param {Object} slot - { start, end }
+ * @returns {Object} UTC and salon-local representations
+ */
+const formatSlot = (slot) => ({
+  start: slot.start.toISOString(),
+  end: slot.end.toISOString(),
+  start_local: toLocalIsoString(slot.start),
+  end_local: toLocalIsoString(slot.end)
+});
+
+module.exports = {
+  BLOCKING_APPOINTMENT_STATUSES,
+  computeAvailability,
+  isBookable,
+  checkScheduleFit,
+  loadBusyAppointments,
+  lockSchedule,
+  findConflictingAppointments,
+  formatSlot
+};
@@ -0,0 +1,220 @@
+const { lockSchedule, findConflictingAppointments, checkScheduleFit } = require('./availability');
+const { generateCustomerToken } = require('./customerTokens');
+const { requestServicesJoin, loadRequestSegments } = require('./serviceSelection');
+const { activeWindows, windowsOverlap, peakConcurrency } = require('./segments');
+
+/**
+ * Load an appointment request with its customer and services, locking the request row
+ *
+ * duration_minutes, price and max_concurrent describe all the request's services
+ * booked back to back, and service_name lists them in order.
+ *
+ * @param {Object} client - Transaction client
+ * @param {number|string} id - appointment_requests.id
+ * @returns {Promise<Object|null>} Request row or null
+ */
+const lockRequest = async (client, id) => {
+  const result = await client.query(`
+    SELECT
+      ar.id,
+      ar.customer_id,
+      ar.service_id,
+      ar.status,
+      ar.admin_notes,
+      ar.response_token_hash,
+      ar.response_token_expires_at,
+      c.name as customer_name,
+      c.email as customer_email,
+      COALESCE(rs.service_names, s.name) as service_name,
+      COALESCE(ar.total_duration_minutes, s.duration_minutes) as duration_minutes,
+      COALESCE(ar.total_price, s.price) as price,
+      COALESCE(rs.max_concurrent, s.max_concurrent) as max_concurrent
+    FROM appointment_requests ar
+    JOIN customers c ON ar.customer_id = c.id
+    JOIN services s ON ar.service_id = s.id
+    ${requestServicesJoin('ar.id')}
+    WHERE ar.id = $1 AND ar.deleted_at IS NULL
+    FOR UPDATE OF ar
+  `, [id]);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Check a proposed appointment against working hours, blocked time and max_concurrent
+ *
+ * Call inside a transaction after lockSchedule so the answer still holds at insert time.
+ * Only appointments whose active segments meet the proposed one's count towards
+ * max_concurrent, and only as many as are running at the same moment (see
+ * peakConcurrency in utils/segments.js).
+ *
+ * @param {Object} client - Transaction client
+ * @param {Date|string} start - Proposed start
+ * @param {number} durationMinutes - Proposed duration
+ * @param {number} maxConcurrent - Service's max_concurrent
+ * @param {Object} [options]
+ * @param {number} [options.excludeAppointmentId] - Appointment being moved (doesn't conflict with itself)
+ * @param {Array|null} [options.segments] - Proposed appointment's segments (null = active throughout)
+ * @returns {Promise<Object|null>} 409 response fields ({ error, details, data }), or null when the time is free
+ */
+const findSchedulingProblem = async (client, start, durationMinutes, maxConcurrent, { excludeAppointmentId = null, segments = null } = {}) => {
+  const scheduleFit = await checkScheduleFit(start, durationMinutes, client);
+
+  if (!scheduleFit.withinWorkingHours || scheduleFit.blocks.length > 0) {
+    return {
+      error: 'Selected time is outside working hours',
+      details: [
+        ...(scheduleFit.withinWorkingHours ? [] : ['The appointment does not fit within working hours for that day']),
+        ...scheduleFit.blocks.map(block => `Overlaps blocked time${block.reason ? ` (${block.reason})` : ''}`)
+      ],
+      data: {
+        requested_start: start,
+        duration_minutes: durationMinutes,
+        blocked_times: scheduleFit.blocks
+      }
+    };
+  }
+
+  const proposedActive = activeWindows(start, durationMinutes, segments);
+  const conflicts = (await findConflictingAppointments(client, start, durationMinutes, { excludeAppointmentId }))
+    .map(appointment => ({
+      appointment,
+      active: activeWindows(appointment.scheduled_datetime, appointment.duration_minutes, appointment.segments)
+    }))
+    .filter(({ active }) => windowsOverlap(active, proposedActive));
+  const limit = maxConcurrent || 1;
+  const peak = peakConcurrency(proposedActive, conflicts.map(({ active }) => active));
+
+  if (peak >= limit) {
+    return {
+      error: 'Scheduling conflict',
+      details: [`${peak} appointment(s) already booked at the same time; this service allows ${limit} at a time`],
+      data: {
+        requested_start: start,
+        duration_minutes: durationMinutes,
+        max_concurrent: limit,
+        conflicts: conflicts.map(({ appointment }) => appointment)
+      }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Confirm a request at one of its time preferences and create the appointment
+ *
+ * Shared by the admin approve endpoint and the customer accepting a proposed time.
+ * Takes the schedule lock, so the availability check and insert can't interleave
+ * with another booking.
+ *
+ * @param {Object} client - Transaction client
+ * @param {Object} requestData - Row from lockRequest
+ * @param {Object} preference - { id, preferred_datetime }
+ * @param {string} adminNotes - Notes stored on the request
+ * @returns {Promise<Object>} { problem } when the time is unavailable, otherwise
+ *   { appointment, manageToken } - manageToken goes in the customer's confirmation email
+ */
+const confirmRequest = async (client, requestData, preference, adminNotes) => {
+  await lockSchedule(client);
+
+  const segments = await loadRequestSegments(client, requestData);
+
+  const problem = await findSchedulingProblem(
+    client,
+    preference.preferred_datetime,
+    requestData.duration_minutes,
+    requestData.max_concurrent,
+    { segments }
+  );
+
+  if (problem) {
+    return { problem };
+  }
+
+  // Mark the selected preference as chosen and the rest as not selected
+  await client.query(`
+    UPDATE request_time_preferences
+    SET is_selected = (id = $2)
+    WHERE request_id = $1
+  `, [requestData.id, preference.id]);
+
+  await client.query(`
+    UPDATE appointment_requests
+    SET status = 'confirmed',
+        admin_notes = $2,
+        response_token_hash = NULL,
+        response_token_expires_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [requestData.id, adminNotes]);
+
+  const { token: manageToken, tokenHash } = generateCustomerToken();
+
+  const appointmentResult = await client.query(`
+    INSERT INTO appointments (
+      request_id,
+      preference_id,
+      customer_id,
+      service_id,
+      scheduled_datetime,
+      duration_minutes,
+      total_price,
+      segments,
+      status,
+      manage_token_hash
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'scheduled', $9)
+    RETURNING id, scheduled_datetime
+  `, [
+    requestData.id,
+    preference.id,
+    requestData.customer_id,
+    requestData.service_id,
+    preference.preferred_datetime,
+    requestData.duration_minutes,
+    requestData.price,
+    segments ? JSON.stringify(segments) : null,
+    tokenHash
+  ]);
+
+  return { appointment: appointmentResult.rows[0], manageToken };
+};
+
+/**
+ * Find a customer by email, creating them or refreshing their details
+ * @param {Object} client - Transaction client
+ * @param {Object} customer - { name, email, phone }
+ * @returns {Promise<Object>} { id }
+ */
+const upsertCustomer = async (client, customer) => {
+  const existing = await client.query(`
+    SELECT id FROM customers
+    WHERE email = $1 AND deleted_at IS NULL
+  `, [customer.email]);
+
+  if (existing.rows.length === 0) {
+    const customerResult = await client.query(`
+      INSERT INTO customers (name, email, phone)
+      VALUES ($1, $2, $3)
+      RETURNING id
+    `, [customer.name, customer.email, customer.phone]);
+
+    return customerResult.rows[0];
+  }
+
+  // Update existing customer info (in case phone number changed)
+  await client.query(`
+    UPDATE customers
+    SET name = $1, phone = $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $3
+  `, [customer.name, customer.phone, existing.rows[0].id]);
+
+  return existing.rows[0];
+};
+
+module.exports = {
+  upsertCustomer,
+  lockRequest,
+  findSchedulingProblem,
+  confirmRequest
+};
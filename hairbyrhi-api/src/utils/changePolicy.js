@@ -0,0 +1,116 @@
+const { DEFAULT_CHANGE_CUTOFF_HOURS, MAX_RESCHEDULES } = require('../../config/salon');
+const { toLocalDateString, toLocalIsoString } = require('./time');
+
+/**
+ * Work out what a customer may do with an appointment right now
+ *
+ * Late changes are allowed but flagged (policies.html charges for them rather than
+ * forbidding them - see utils/fees.js for the amounts), except that same-day
+ * reschedules count as cancellations and an appointment can be moved at most
+ * MAX_RESCHEDULES times.
+ *
+ * @param {Object} appointment - { status, scheduled_datetime, reschedule_count, cancellation_hours, reschedule_hours }
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { hours_notice, is_same_day, cancellation: {...}, reschedule: {...} }
+ */
+const describeChangePolicy = (appointment, now = new Date()) => {
+  const start = new Date(appointment.scheduled_datetime);
+  const hoursNotice = (start.getTime() - now.getTime()) / 3600000;
+  const isSameDay = toLocalDateString(start) === toLocalDateString(now);
+  const isChangeable = appointment.status === 'scheduled' && hoursNotice > 0;
+
+  const cancellationHours = appointment.cancellation_hours ?? DEFAULT_CHANGE_CUTOFF_HOURS;
+  const rescheduleHours = appointment.reschedule_hours ?? DEFAULT_CHANGE_CUTOFF_HOURS;
+  const reschedulesUsed = appointment.reschedule_count || 0;
+  const cancellationFreeUntil = new Date(start.getTime() - cancellationHours * 3600000);
+  const rescheduleFreeUntil = new Date(start.getTime() - rescheduleHours * 3600000);
+
+  let rescheduleUnavailableReason = null;
+  if (!isChangeable) {
+    rescheduleUnavailableReason = 'Only upcoming scheduled appointments can be rescheduled';
+  } else if (isSameDay) {
+    rescheduleUnavailableReason = 'Same-day reschedules are treated as cancellations - please cancel or call the salon';
+  } else if (reschedulesUsed >= MAX_RESCHEDULES) {
+    rescheduleUnavailableReason = `Appointments can be rescheduled at most ${MAX_RESCHEDULES} times - please cancel and book a new consultation`;
+  }
+
+  return {
+    hours_notice: Math.round(hoursNotice * 100) / 100,
+    is_same_day: isSameDay,
+    cancellation: {
+      allowed: isChangeable,
+      cutoff_hours: cancellationHours,
+      free_until: cancellationFreeUntil,
+      free_until_local: toLocalIsoString(cancellationFreeUntil),
+      within_fee_window: hoursNotice < cancellationHours
+    },
+    reschedule: {
+      allowed: rescheduleUnavailableReason === null,
+      unavailable_reason: rescheduleUnavailableReason,
+      cutoff_hours: rescheduleHours,
+      free_until: rescheduleFreeUntil,
+      free_until_local: toLocalIsoString(rescheduleFreeUntil),
+      within_fee_window: hoursNotice < rescheduleHours,
+      reschedules_used: reschedulesUsed,
+      reschedules_remaining: Math.max(MAX_RESCHEDULES - reschedulesUsed, 0)
+    }
+  };
+};
+
+/**
+ * Record a cancellation or reschedule with the notice that was given
+ * @param {Object} client - Transaction client
+ * @param {Object} change
+ * @param {number} change.appointmentId - appointments.id
+ * @param {string} change.changeType - 'cancelled' | 'rescheduled'
+ * @param {string} change.changedBy - 'customer' | 'admin'
+ * @param {number} [change.adminUserId] - Admin who made the change
+ * @param {Date} change.previousDatetime - Start time before the change
+ * @param {Date} [change.newDatetime] - New start time (reschedules)
+ * @param {Object} change.policy - Result of describeChangePolicy, taken before the change
+ * @param {number} [change.rescheduleNumber] - 1 for the first reschedule, 2 for the second
+ * @param {string} [change.reason] - Reason given
+ * @returns {Promise<Object>} appointment_changes row
+ */
+const recordAppointmentChange = async (client, {
+  appointmentId,
+  changeType,
+  changedBy,
+  adminUserId = null,
+  previousDatetime,
+  newDatetime = null,
+  policy,
+  rescheduleNumber = null,
+  reason = null
+}) => {
+  const rule = changeType === 'cancelled' ? policy.cancellation : policy.reschedule;
+
+  const result = await client.query(`
+    INSERT INTO appointment_changes (
+      appointment_id, change_type, changed_by, admin_user_id,
+      previous_datetime, new_datetime, hours_notice, cutoff_hours,
+      within_fee_window, is_same_day, reschedule_number, reason
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING *
+  `, [
+    appointmentId,
+    changeType,
+    changedBy,
+    adminUserId,
+    previousDatetime,
+    newDatetime,
+    policy.hours_notice,
+    rule.cutoff_hours,
+    rule.within_fee_window,
+    policy.is_same_day,
+    rescheduleNumber,
+    reason
+  ]);
+
+  return result.rows[0];
+};
+
+module.exports = {
+  describeChangePolicy,
+  recordAppointmentChange
+};
@@ -0,0 +1,155 @@
+const { queryOne } = require('./database');
+
+// Texts that opt a number out of (or back into) texts, or ask for help - the carrier
+// standard keywords, matched on the whole message
+const SMS_KEYWORDS = {
+  stop: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'],
+  start: ['START', 'YES', 'UNSTOP'],
+  help: ['HELP', 'INFO']
+};
+
+const CONTACT_COLUMNS = `
+  id as customer_id,
+  email,
+  phone,
+  email_notifications,
+  sms_notifications,
+  sms_opted_out_at,
+  notifications_updated_at
+`;
+
+/**
+ * Normalize a phone number to E.164 (numbers without a country code are taken as US)
+ * @param {string} value
+ * @returns {string|null} e.g. '+13305551234', or null when it can't be a phone number
+ */
+const normalizePhone = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const digits = String(value).replace(/\D/g, '');
+
+  if (digits.length === 10) {
+    return `+1${digits}`;
+  }
+  if (digits.length === 11 && digits.startsWith('1')) {
+    return `+${digits}`;
+  }
+  if (String(value).trim().startsWith('+') && digits.length >= 8 && digits.length <= 15) {
+    return `+${digits}`;
+  }
+  return null;
+};
+
+/**
+ * SQL condition matching customers.phone to a normalized number (compares the last
+ * ten digits, since phones are stored as the customer typed them)
+ * @param {string} column - e.g. 'c.phone'
+ * @param {number} paramIndex - Parameter holding the E.164 number
+ * @returns {string} SQL fragment
+ */
+const phoneMatchSql = (column, paramIndex) => (
+  `right(regexp_replace(${column}, '\\D', '', 'g'), 10) = right($${paramIndex}, 10)`
+);
+
+/**
+ * Which channels a customer should be contacted on
+ *
+ * Texts need a usable number, the customer's preference and no STOP. Email is used when
+ * the customer wants it - or whenever no text can be sent, so nobody loses their
+ * confirmation and manage links.
+ *
+ * @param {Object} contact - Row with CONTACT_COLUMNS
+ * @returns {Object} { email, sms } booleans
+ */
+const resolveChannels = (contact) => {
+  const sms = Boolean(contact.sms_notifications && !contact.sms_opted_out_at && normalizePhone(contact.phone));
+  return {
+    email: Boolean(contact.email) && (contact.email_notifications || !sms),
+    sms
+  };
+};
+
+/**
+ * A customer's contact details, preferences and resolved channels
+ * @param {number} customerId - customers.id
+ * @param {Object} [client] - Transaction client
+ * @returns {Promise<Object|null>} { customer_id, email, phone, sms_number, email_notifications,
+ *   sms_notifications, sms_opted_out_at, notifications_updated_at, channels }
+ */
+const loadContactPreferences = async (customerId, client = null) => {
+  const text = `SELECT ${CONTACT_COLUMNS} FROM customers WHERE id = $1`;
+  const contact = client ? (await client.query(text, [customerId])).rows[0] : await queryOne(text, [customerId]);
+
+  if (!contact) {
+    return null;
+  }
+
+  return {
+    ...contact,
+    sms_number: normalizePhone(contact.phone),
+    channels: resolveChannels(contact)
+  };
+};
+
+/**
+ * Preferences as shown to customers and admins
+ * @param {Object} contact - From loadContactPreferences
+ * @returns {Object}
+ */
+const formatContactPreferences = (contact) => ({
+  customer_id: contact.customer_id,
+  email_notifications: contact.email_notifications,
+  sms_notifications: contact.sms_notifications,
+  sms_opted_out: Boolean(contact.sms_opted_out_at),
+  sms_opted_out_at: contact.sms_opted_out_at,
+  has_sms_number: Boolean(contact.sms_number),
+  channels: contact.channels,
+  updated_at: contact.notifications_updated_at
+});
+
+/**
+ * Change a customer's channel preferences (a STOP can only be undone by texting START)
+ * @param {Object} client - Transaction client
+ * @param {number} customerId - customers.id
+ * @param {Object} changes - { email_notifications, sms_notifications } (either may be omitted)
+ * @returns {Promise<Object>} Updated preferences, as from loadContactPreferences
+ */
+const updateContactPreferences = async (client, customerId, changes) => {
+  await client.query(`
+    UPDATE customers
+    SET email_notifications = COALESCE($2, email_notifications),
+        sms_notifications = COALESCE($3, sms_notifications),
+        notifications_updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [
+    customerId,
+    changes.email_notifications !== undefined ? changes.email_notifications : null,
+    changes.sms_notifications !== undefined ? changes.sms_notifications : null
+  ]);
+
+  return loadContactPreferences(customerId, client);
+};
+
+/**
+ * Keyword a text message is, if any
+ * @param {string} body
+ * @returns {string|null} 'stop', 'start', 'help' or null
+ */
+const matchSmsKeyword = (body) => {
+  const word = String(body || '').trim().replace(/[.!]+$/, '').toUpperCase();
+  return Object.keys(SMS_KEYWORDS).find(keyword => SMS_KEYWORDS[keyword].includes(word)) || null;
+};
+
+module.exports = {
+  SMS_KEYWORDS,
+  CONTACT_COLUMNS,
+  normalizePhone,
+  phoneMatchSql,
+  resolveChannels,
+  loadContactPreferences,
+  formatContactPreferences,
+  updateContactPreferences,
+  matchSmsKeyword
+};
@@ -0,0 +1,246 @@
+const { queueEmail } = require('./emailOutbox');
+const { buildSiteUrl } = require('./customerTokens');
+const { appointmentIcsAttachments } = require('./appointmentCalendar');
+
+/**
+ * Customer emails
+ *
+ * Each function writes the email to the outbox with the caller's transaction client, so
+ * it goes out only once (and always once) the change it describes commits. Delivery is
+ * left to the job worker. Appointment emails carry an .ics with the appointment as it
+ * stands in that transaction, so calendar apps pick up moves and cancellations.
+ */
+
+/**
+ * Link the customer uses to view, cancel or reschedule an appointment
+ * @param {number} appointmentId - appointments.id
+ * @param {string} manageToken - Raw manage token
+ * @returns {string} URL
+ */
+const buildManageAppointmentUrl = (appointmentId, manageToken) => (
+  buildSiteUrl('consultation.html', { appointment: appointmentId, token: manageToken })
+);
+
+/**
+ * Acknowledge a new appointment request
+ * @param {Object} client - Transaction client
+ * @param {Object} request - { id, customer_id, customer_name, customer_email, service_name }
+ * @param {Array<Date>} preferredTimes - In order of preference
+ */
+const queueRequestReceivedEmail = (client, request, preferredTimes) => queueEmail(client, 'request_received', {
+  to: request.customer_email,
+  customerId: request.customer_id,
+  entityType: 'appointment_request',
+  entityId: request.id,
+  data: {
+    customer_name: request.customer_name,
+    service_name: request.service_name,
+    preferred_times: preferredTimes
+  }
+});
+
+/**
+ * Tell a customer the salon has closed their request
+ * @param {Object} client - Transaction client
+ * @param {Object} request - { id, customer_id, customer_name, customer_email, service_name }
+ */
+const queueRequestCancelledEmail = (client, request) => queueEmail(client, 'request_cancelled', {
+  to: request.customer_email,
+  customerId: request.customer_id,
+  entityType: 'appointment_request',
+  entityId: request.id,
+  data: {
+    customer_name: request.customer_name,
+    service_name: request.service_name
+  }
+});
+
+/**
+ * Tell a customer their request expired because all of its preferred times passed
+ * @param {Object} client - Transaction client
+ * @param {Object} request - { id, customer_id, customer_name, customer_email, service_name }
+ */
+const queueRequestExpiredEmail = (client, request) => queueEmail(client, 'request_expired', {
+  to: request.customer_email,
+  customerId: request.customer_id,
+  entityType: 'appointment_request',
+  entityId: request.id,
+  data: {
+    customer_name: request.customer_name,
+    service_name: request.service_name
+  }
+});
+
+/**
+ * Email a customer the time the salon proposed instead of their preferences
+ * @param {Object} client - Transaction client
+ * @param {Object} request - Request row (id, customer_id, customer_name, customer_email, service_name)
+ * @param {Object} proposal - { preferred_datetime }
+ * @param {string} token - Raw response token
+ * @param {Date} expiresAt - When the link stops working
+ * @param {string} [note] - Message from the salon
+ */
+const queueRescheduleProposalEmail = (client, request, proposal, token, expiresAt, note) => queueEmail(client, 'reschedule_proposal', {
+  to: request.customer_email,
+  customerId: request.customer_id,
+  entityType: 'appointment_request',
+  entityId: request.id,
+  data: {
+    customer_name: request.customer_name,
+    service_name: request.service_name,
+    suggested_datetime: proposal.preferred_datetime,
+    respond_url: buildSiteUrl('consultation.html', { request: request.id, proposal: token }),
+    expires_at: expiresAt,
+    note
+  }
+});
+
+/**
+ * Email a customer their confirmed appointment, with the link to manage it
+ * @param {Object} client - Transaction client
+ * @param {Object} appointment - { id, scheduled_datetime, customer_id, customer_name, customer_email, service_name }
+ * @param {string} manageToken - Raw manage token
+ */
+const queueAppointmentConfirmationEmail = (client, appointment, manageToken) => {
+  const manageUrl = buildManageAppointmentUrl(appointment.id, manageToken);
+
+  return queueEmail(client, 'appointment_confirmed', {
+    to: appointment.customer_email,
+    customerId: appointment.customer_id,
+    entityType: 'appointment',
+    entityId: appointment.id,
+    data: {
+      customer_name: appointment.customer_name,
+      service_name: appointment.service_name,
+      scheduled_datetime: appointment.scheduled_datetime,
+      manage_url: manageUrl
+    },
+    attachments: () => appointmentIcsAttachments(client, [appointment.id], { [appointment.id]: manageUrl })
+  });
+};
+
+/**
+ * Email a customer after their appointment is cancelled or moved
+ * @param {Object} client - Transaction client
+ * @param {Object} appointment - { id, customer_id, customer_name, customer_email, service_name }
+ * @param {Object} change - appointment_changes row
+ * @param {number} [fee] - Fee charged for the change
+ */
+const queueAppointmentChangeEmail = (client, appointment, change, fee = 0) => queueEmail(client, 'appointment_changed', {
+  to: appointment.customer_email,
+  customerId: appointment.customer_id,
+  entityType: 'appointment',
+  entityId: appointment.id,
+  data: {
+    customer_name: appointment.customer_name,
+    service_name: appointment.service_name,
+    change_type: change.change_type,
+    previous_datetime: change.previous_datetime,
+    new_datetime: change.new_datetime,
+    fee
+  },
+  attachments: () => appointmentIcsAttachments(client, [appointment.id])
+});
+
+/**
+ * Email a customer who joined the waitlist, with the link to leave it
+ * @param {Object} client - Transaction client
+ * @param {Object} entry - { id, earliest_date, latest_date, customer_id, customer_name, customer_email, service_name }
+ * @param {string} token - Raw manage token
+ */
+const queueWaitlistJoinedEmail = (client, entry, token) => queueEmail(client, 'waitlist_joined', {
+  to: entry.customer_email,
+  customerId: entry.customer_id,
+  entityType: 'waitlist_entry',
+  entityId: entry.id,
+  data: {
+    customer_name: entry.customer_name,
+    service_name: entry.service_name,
+    earliest_date: entry.earliest_date,
+    latest_date: entry.latest_date,
+    leave_url: buildSiteUrl('consultation.html', { waitlist: entry.id, token })
+  }
+});
+
+/**
+ * Email a waitlisted customer the time that opened up, with the claim link
+ * @param {Object} client - Transaction client
+ * @param {Object} entry - { id, customer_id, customer_name, customer_email, service_name }
+ * @param {Object} offer - { id, slot_start, expires_at }
+ * @param {string} token - Raw claim token
+ */
+const queueWaitlistOfferEmail = (client, entry, offer, token) => queueEmail(client, 'waitlist_offer', {
+  to: entry.customer_email,
+  customerId: entry.customer_id,
+  entityType: 'waitlist_offer',
+  entityId: offer.id,
+  data: {
+    customer_name: entry.customer_name,
+    service_name: entry.service_name,
+    slot_start: offer.slot_start,
+    claim_url: buildSiteUrl('consultation.html', { offer: offer.id, token }),
+    expires_at: offer.expires_at
+  }
+});
+
+/**
+ * Email a customer the follow-up appointments booked from a recurring series
+ * @param {Object} client - Transaction client
+ * @param {Object} customer - { series_id, customer_id, customer_name, customer_email, service_name }
+ * @param {Array} occurrences - [{ id, scheduled_datetime, manageToken }]
+ */
+const queueSeriesScheduledEmail = (client, customer, occurrences) => {
+  const manageUrls = Object.fromEntries(occurrences.map(occurrence => [
+    occurrence.id,
+    buildManageAppointmentUrl(occurrence.id, occurrence.manageToken)
+  ]));
+
+  return queueEmail(client, 'series_scheduled', {
+    to: customer.customer_email,
+    customerId: customer.customer_id,
+    entityType: 'appointment_series',
+    entityId: customer.series_id,
+    data: {
+      customer_name: customer.customer_name,
+      service_name: customer.service_name,
+      occurrences: occurrences.map(occurrence => ({
+        scheduled_datetime: occurrence.scheduled_datetime,
+        manage_url: manageUrls[occurrence.id]
+      }))
+    },
+    attachments: () => appointmentIcsAttachments(client, occurrences.map(occurrence => occurrence.id), manageUrls)
+  });
+};
+
+/**
+ * Email a customer after the salon moves or cancels appointments in their series
+ * @param {Object} client - Transaction client
+ * @param {Object} customer - { series_id, customer_id, customer_name, customer_email, service_name }
+ * @param {Array} changes - appointment_changes rows
+ */
+const queueSeriesChangeEmail = (client, customer, changes) => queueEmail(client, 'series_changed', {
+  to: customer.customer_email,
+  customerId: customer.customer_id,
+  entityType: 'appointment_series',
+  entityId: customer.series_id,
+  data: {
+    customer_name: customer.customer_name,
+    service_name: customer.service_name,
+    changes
+  },
+  attachments: () => appointmentIcsAttachments(client, changes.map(change => change.appointment_id))
+});
+
+module.exports = {
+  buildManageAppointmentUrl,
+  queueRequestReceivedEmail,
+  queueRequestCancelledEmail,
+  queueRequestExpiredEmail,
+  queueRescheduleProposalEmail,
+  queueAppointmentConfirmationEmail,
+  queueAppointmentChangeEmail,
+  queueWaitlistJoinedEmail,
+  queueWaitlistOfferEmail,
+  queueSeriesScheduledEmail,
+  queueSeriesChangeEmail
+};
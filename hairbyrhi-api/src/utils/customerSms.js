@@ -0,0 +1,90 @@
+const { queueSms } = require('./smsOutbox');
+const { buildSiteUrl } = require('./customerTokens');
+const { buildManageAppointmentUrl } = require('./customerEmails');
+
+/**
+ * Customer text messages
+ *
+ * The text counterparts of src/utils/customerEmails.js for time-sensitive events. Each
+ * queues with the caller's transaction client and does nothing for customers who don't
+ * get texts.
+ */
+
+/**
+ * Text a customer their confirmed appointment, with the link to manage it
+ * @param {Object} client - Transaction client
+ * @param {Object} appointment - { id, scheduled_datetime, customer_id, service_name }
+ * @param {string} manageToken - Raw manage token
+ */
+const queueAppointmentConfirmationSms = (client, appointment, manageToken) => queueSms(client, 'appointment_confirmed', {
+  customerId: appointment.customer_id,
+  entityType: 'appointment',
+  entityId: appointment.id,
+  data: {
+    service_name: appointment.service_name,
+    scheduled_datetime: appointment.scheduled_datetime,
+    manage_url: buildManageAppointmentUrl(appointment.id, manageToken)
+  }
+});
+
+/**
+ * Text a customer after their appointment is cancelled or moved
+ * @param {Object} client - Transaction client
+ * @param {Object} appointment - { id, customer_id, service_name }
+ * @param {Object} change - appointment_changes row
+ */
+const queueAppointmentChangeSms = (client, appointment, change) => queueSms(client, 'appointment_changed', {
+  customerId: appointment.customer_id,
+  entityType: 'appointment',
+  entityId: appointment.id,
+  data: {
+    service_name: appointment.service_name,
+    change_type: change.change_type,
+    previous_datetime: change.previous_datetime,
+    new_datetime: change.new_datetime
+  }
+});
+
+/**
+ * Text a customer the time the salon proposed instead of their preferences
+ * @param {Object} client - Transaction client
+ * @param {Object} request - { id, customer_id, service_name }
+ * @param {Object} proposal - { preferred_datetime }
+ * @param {string} token - Raw response token
+ */
+const queueRescheduleProposalSms = (client, request, proposal, token) => queueSms(client, 'reschedule_proposal', {
+  customerId: request.customer_id,
+  entityType: 'appointment_request',
+  entityId: request.id,
+  data: {
+    service_name: request.service_name,
+    suggested_datetime: proposal.preferred_datetime,
+    respond_url: buildSiteUrl('consultation.html', { request: request.id, proposal: token })
+  }
+});
+
+/**
+ * Text a waitlisted customer the time that opened up, with the claim link
+ * @param {Object} client - Transaction client
+ * @param {Object} entry - { customer_id, service_name }
+ * @param {Object} offer - { id, slot_start, expires_at }
+ * @param {string} token - Raw claim token
+ */
+const queueWaitlistOfferSms = (client, entry, offer, token) => queueSms(client, 'waitlist_offer', {
+  customerId: entry.customer_id,
+  entityType: 'waitlist_offer',
+  entityId: offer.id,
+  data: {
+    service_name: entry.service_name,
+    slot_start: offer.slot_start,
+    claim_url: buildSiteUrl('consultation.html', { offer: offer.id, token }),
+    expires_at: offer.expires_at
+  }
+});
+
+module.exports = {
+  queueAppointmentConfirmationSms,
+  queueAppointmentChangeSms,
+  queueRescheduleProposalSms,
+  queueWaitlistOfferSms
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+
+/**
+ * Hash a customer link token for storage - only the hash is ever persisted
+ * @param {string} token - Raw token from the link
+ * @returns {string} SHA-256 hex digest
+ */
+const hashCustomerToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Generate a token for a customer-facing link (customers have no accounts, so the link is the credential)
+ * @returns {Object} { token, tokenHash } - email the token, store the hash
+ */
+const generateCustomerToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashCustomerToken(token) };
+};
+
+/**
+ * Build a link to a page on the public site
+ * @param {string} page - Page path, e.g. 'consultation.html'
+ * @param {Object} params - Query parameters
+ * @returns {string} Absolute URL
+ */
+const buildSiteUrl = (page, params = {}) => {
+  const url = new URL(page, `${process.env.SITE_URL || 'http://localhost:5500'}/`);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+/**
+ * Hide customer link tokens in a stored message - anyone holding one can act as the customer
+ * @param {string|null} body - Email or text body
+ * @returns {string|null}
+ */
+const redactTokens = (body) => (body ? body.replace(/([?&](?:amp;)?(?:token|proposal)=)[^&"'\s<]+/g, '$1[redacted]') : body);
+
+module.exports = {
+  hashCustomerToken,
+  generateCustomerToken,
+  buildSiteUrl,
+  redactTokens
+};
@@ -0,0 +1,200 @@
+const { query, queryOne } = require('./database');
+const { sendMail } = require('./mailer');
+const { enqueueJob } = require('./jobQueue');
+const { renderEmail } = require('./emailTemplates');
+const { loadContactPreferences } = require('./contactPreferences');
+
+// Sent messages (which contain customers' link tokens) are deleted after this many days
+const EMAIL_OUTBOX_RETENTION_DAYS = parseInt(process.env.EMAIL_OUTBOX_RETENTION_DAYS) || 90;
+// Delivery attempts before the deliver_email job is dead-lettered
+const EMAIL_MAX_ATTEMPTS = 6;
+
+const OUTBOX_COLUMNS = `
+  id, template, to_address, subject, status, attempts, last_error, transport,
+  provider_message_id, customer_id, entity_type, entity_id, job_id, resent_from_id,
+  sent_at, created_at, updated_at
+`;
+
+/**
+ * Write a message to the outbox and queue its delivery
+ * @param {Object} client - Transaction client (or null to write on its own)
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - HTML body
+ * @param {Array} [message.attachments] - [{ filename, content_type, content }]
+ * @param {string} message.template - Template key (or a label for ad hoc messages)
+ * @param {number} [message.customerId] - customers.id
+ * @param {string} [message.entityType] - What the email is about, e.g. 'appointment'
+ * @param {string|number} [message.entityId]
+ * @param {number} [message.resentFromId] - Original outbox ID when resending
+ * @returns {Promise<Object>} Outbox row
+ */
+const addToOutbox = async (client, {
+  to,
+  subject,
+  text,
+  html = null,
+  attachments = null,
+  template,
+  customerId = null,
+  entityType = null,
+  entityId = null,
+  resentFromId = null
+}) => {
+  const run = (text, params) => (client ? client.query(text, params) : query(text, params));
+
+  const inserted = await run(`
+    INSERT INTO email_outbox (
+      template, to_address, subject, text_body, html_body, attachments, customer_id, entity_type, entity_id, resent_from_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING id
+  `, [
+    template,
+    to,
+    subject,
+    text,
+    html,
+    attachments && attachments.length > 0 ? JSON.stringify(attachments) : null,
+    customerId,
+    entityType,
+    entityId !== null ? String(entityId) : null,
+    resentFromId
+  ]);
+
+  const outboxId = inserted.rows[0].id;
+  const job = await enqueueJob('deliver_email', { outbox_id: outboxId }, { maxAttempts: EMAIL_MAX_ATTEMPTS }, client);
+
+  const result = await run(`
+    UPDATE email_outbox
+    SET job_id = $2
+    WHERE id = $1
+    RETURNING ${OUTBOX_COLUMNS}
+  `, [outboxId, job.id]);
+
+  return result.rows[0];
+};
+
+/**
+ * Render a template into the outbox
+ *
+ * Call with the transaction client of the change the email describes, so the email is
+ * only sent if that change commits (and is never lost if it does). Nothing is queued
+ * for a customer who has turned emails off in favour of texts.
+ *
+ * @param {Object} client - Transaction client (or null)
+ * @param {string} template - Key in src/utils/emailTemplates.js
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {Object} options.data - Template data
+ * @param {number} [options.customerId]
+ * @param {string} [options.entityType]
+ * @param {string|number} [options.entityId]
+ * @param {Array|Function} [options.attachments] - [{ filename, content_type, content }], or an
+ *   async function returning them (only called when the email is actually queued)
+ * @returns {Promise<Object|null>} Outbox row, or null when the customer doesn't want emails
+ */
+const queueEmail = async (client, template, { to, data, customerId = null, entityType = null, entityId = null, attachments = null }) => {
+  if (customerId) {
+    const contact = await loadContactPreferences(customerId, client);
+    if (contact && !contact.channels.email) {
+      return null;
+    }
+  }
+
+  const { subject, text, html } = renderEmail(template, data);
+  return addToOutbox(client, {
+    to,
+    subject,
+    text,
+    html,
+    attachments: typeof attachments === 'function' ? await attachments() : attachments,
+    template,
+    customerId,
+    entityType,
+    entityId
+  });
+};
+
+/**
+ * Send one outbox message (the deliver_email job)
+ *
+ * Throws when the transport fails so the job queue retries with backoff.
+ *
+ * @param {number} outboxId - email_outbox.id
+ * @returns {Promise<Object>} { outbox_id, status, transport, message_id }
+ */
+const deliverOutboxEmail = async (outboxId) => {
+  const message = await queryOne(`
+    SELECT id, to_address, subject, text_body, html_body, attachments, status
+    FROM email_outbox
+    WHERE id = $1
+  `, [outboxId]);
+
+  if (!message) {
+    // Purged before it could be sent - nothing left to do
+    return { outbox_id: outboxId, status: 'missing' };
+  }
+
+  if (message.status === 'sent') {
+    return { outbox_id: outboxId, status: 'sent' };
+  }
+
+  try {
+    const delivery = await sendMail({
+      to: message.to_address,
+      subject: message.subject,
+      text: message.text_body,
+      html: message.html_body,
+      attachments: message.attachments || []
+    });
+
+    await query(`
+      UPDATE email_outbox
+      SET status = 'sent',
+          attempts = attempts + 1,
+          transport = $2,
+          provider_message_id = $3,
+          last_error = NULL,
+          sent_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [outboxId, delivery.transport || null, delivery.messageId || null]);
+
+    return { outbox_id: outboxId, status: 'sent', transport: delivery.transport, message_id: delivery.messageId };
+  } catch (error) {
+    await query(`
+      UPDATE email_outbox
+      SET status = 'failed',
+          attempts = attempts + 1,
+          last_error = $2,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [outboxId, error.message.substring(0, 2000)]);
+
+    throw error;
+  }
+};
+
+/**
+ * Delete sent messages older than the retention window (EMAIL_OUTBOX_RETENTION_DAYS)
+ * @returns {Promise<number>} Messages deleted
+ */
+const purgeSentEmails = async () => {
+  const result = await query(`
+    DELETE FROM email_outbox
+    WHERE status = 'sent'
+      AND sent_at < CURRENT_TIMESTAMP - ($1 || ' days')::interval
+  `, [EMAIL_OUTBOX_RETENTION_DAYS]);
+
+  return result.rowCount;
+};
+
+module.exports = {
+  EMAIL_OUTBOX_RETENTION_DAYS,
+  addToOutbox,
+  queueEmail,
+  deliverOutboxEmail,
+  purgeSentEmails
+};
@@ -0,0 +1,242 @@
+const { formatLocalDateTime } = require('./time');
+
+const SALON_NAME = 'Hair by Rhiannon';
+
+/**
+ * Templates for customer emails
+ *
+ * Each template turns its data into a subject and a list of blocks, which are rendered
+ * to both the plain text and HTML bodies so the two never drift apart. A block is
+ * either a paragraph string or one of:
+ *   { highlight: '...' } - a date or detail to stand out
+ *   { link: url, label } - a call to action (the text body shows the URL)
+ *   { items: ['...'] }   - a short list
+ */
+
+const NOTICE_REMINDER = 'Please give at least 24 hours notice of any changes - later changes may incur a fee (see our policies page).';
+const REPLY_PROMPT = 'Questions? Just reply to this email.';
+
+const when = (value) => formatLocalDateTime(new Date(value));
+
+const TEMPLATES = {
+  request_received: ({ customer_name, service_name, preferred_times }) => ({
+    subject: `We've received your ${service_name} request`,
+    blocks: [
+      `Hi ${customer_name},`,
+      `Thanks for your ${service_name} request. These are the times you asked for, in order of preference:`,
+      { items: preferred_times.map(time => when(time)) },
+      'Rhiannon will look at her calendar and email you once your appointment is confirmed, or suggest another time if none of these work.',
+      REPLY_PROMPT
+    ]
+  }),
+
+  request_cancelled: ({ customer_name, service_name }) => ({
+    subject: `Your ${service_name} request`,
+    blocks: [
+      `Hi ${customer_name},`,
+      `Unfortunately Rhiannon isn't able to take your ${service_name} request, so it has been closed.`,
+      'You are welcome to send a new request with different times.',
+      REPLY_PROMPT
+    ]
+  }),
+
+  request_expired: ({ customer_name, service_name }) => ({
+    subject: `Your ${service_name} request has expired`,
+    blocks: [
+      `Hi ${customer_name},`,
+      `All of the times you asked for in your ${service_name} request have now passed, so the request has been closed.`,
+      'If you would still like an appointment, please send a new request with some upcoming times.',
+      REPLY_PROMPT
+    ]
+  }),
+
+  reschedule_proposal: ({ customer_name, service_name, suggested_datetime, respond_url, expires_at, note }) => ({
+    subject: `A new time for your ${service_name} appointment`,
+    blocks: [
+      `Hi ${customer_name},`,
+      `Unfortunately none of your requested times work for your ${service_name} appointment. Rhiannon can see you on:`,
+      { highlight: when(suggested_datetime) },
+      ...(note ? [note] : []),
+      'Use the link below to accept this time, or to send some new times that suit you better:',
+      { link: respond_url, label: 'Respond to this time' },
+      `This link expires ${when(expires_at)}.`
+    ]
+  }),
+
+  appointment_confirmed: ({ customer_name, service_name, scheduled_datetime, manage_url }) => ({
+    subject: `Your ${service_name} appointment is confirmed`,
+    blocks: [
+      `Hi ${customer_name},`,
+      `Your ${service_name} appointment is confirmed for:`,
+      { highlight: when(scheduled_datetime) },
+      'If your plans change, you can cancel or reschedule here:',
+      { link: manage_url, label: 'Manage your appointment' },
+      NOTICE_REMINDER
+    ]
+  }),
+
+  appointment_reminder: ({ customer_name, service_name, scheduled_datetime }) => ({
+    subject: `Reminder: your ${service_name} appointment`,
+    blocks: [
+      `Hi ${customer_name},`,
+      `Just a reminder that your ${service_name} appointment is coming up:`,
+      { highlight: when(scheduled_datetime) },
+      'If you need to cancel or reschedule, please use the link in your confirmation email as soon as you can.',
+      NOTICE_REMINDER
+    ]
+  }),
+
+  appointment_changed: ({ customer_name, service_name, change_type, previous_datetime, new_datetime, fee }) => {
+    const cancelled = change_type === 'cancelled';
+
+    return {
+      subject: cancelled
+        ? `Your ${service_name} appointment has been cancelled`
+        : `Your ${service_name} appointment has been moved`,
+      blocks: [
+        `Hi ${customer_name},`,
+        cancelled
+          ? `Your appointment on ${when(previous_datetime)} has been cancelled.`
+          : `Your appointment has been moved to ${when(new_datetime)}.`,
+        ...(fee > 0 ? [`Under our cancellation and rescheduling policy a fee of $${Number(fee).toFixed(2)} applies to this change.`] : []),
+        REPLY_PROMPT
+      ]
+    };
+  },
+
+  waitlist_joined: ({ customer_name, service_name, earliest_date, latest_date, leave_url }) => ({
+    subject: `You're on the waitlist for ${service_name}`,
+    blocks: [
+      `Hi ${customer_name},`,
+      `You're on the waitlist for a ${service_name} appointment between ${earliest_date} and ${latest_date}.`,
+      'If a time opens up we will email you a link to claim it. Offers go out in the order people joined and are only held for a short while.',
+      'If you no longer need a spot, you can leave the waitlist here:',
+      { link: leave_url, label: 'Leave the waitlist' }
+    ]
+  }),
+
+  waitlist_offer: ({ customer_name, service_name, slot_start, claim_url, expires_at }) => ({
+    subject: `A ${service_name} appointment has opened up`,
+    blocks: [
+      `Hi ${customer_name},`,
+      `Good news - a time has opened up for your ${service_name} appointment:`,
+      { highlight: when(slot_start) },
+      'Use the link below to claim it (or to pass so it goes to the next person):',
+      { link: claim_url, label: 'Claim or pass' },
+      `This offer is held for you until ${when(expires_at)}.`
+    ]
+  }),
+
+  series_scheduled: ({ customer_name, service_name, occurrences }) => ({
+    subject: `Your upcoming ${service_name} appointments`,
+    blocks: [
+      `Hi ${customer_name},`,
+      `Rhiannon has booked your next ${service_name} appointments:`,
+      ...occurrences.flatMap(occurrence => [
+        { highlight: when(occurrence.scheduled_datetime) },
+        { link: occurrence.manage_url, label: 'Cancel or reschedule' }
+      ]),
+      NOTICE_REMINDER
+    ]
+  }),
+
+  series_changed: ({ customer_name, service_name, changes }) => ({
+    subject: `Changes to your ${service_name} appointments`,
+    blocks: [
+      `Hi ${customer_name},`,
+      'The salon has made the following changes to your upcoming appointments:',
+      {
+        items: changes.map(change => (change.change_type === 'cancelled'
+          ? `${when(change.previous_datetime)} - cancelled`
+          : `${when(change.previous_datetime)} - moved to ${when(change.new_datetime)}`))
+      },
+      REPLY_PROMPT
+    ]
+  })
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Plain text body
+ * @param {Array} blocks
+ * @returns {string}
+ */
+const renderText = (blocks) => blocks.map(block => {
+  if (typeof block === 'string') {
+    return block;
+  }
+  if (block.highlight) {
+    return `  ${block.highlight}`;
+  }
+  if (block.link) {
+    return block.link;
+  }
+  return block.items.map(item => `  - ${item}`).join('\n');
+}).join('\n\n');
+
+/**
+ * HTML body (inline styles only - many email clients ignore <style>)
+ * @param {string} subject
+ * @param {Array} blocks
+ * @returns {string}
+ */
+const renderHtml = (subject, blocks) => {
+  const body = blocks.map(block => {
+    if (typeof block === 'string') {
+      return `<p style="margin:0 0 16px;">${escapeHtml(block)}</p>`;
+    }
+    if (block.highlight) {
+      return `<p style="margin:0 0 16px;font-size:18px;font-weight:bold;">${escapeHtml(block.highlight)}</p>`;
+    }
+    if (block.link) {
+      return `<p style="margin:0 0 16px;"><a href="${escapeHtml(block.link)}" `
+        + 'style="display:inline-block;padding:10px 18px;background:#2c2c2c;color:#ffffff;text-decoration:none;border-radius:4px;">'
+        + `${escapeHtml(block.label || block.link)}</a></p>`;
+    }
+    return `<ul style="margin:0 0 16px;padding-left:20px;">${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+  }).join('\n');
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    `<head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>`,
+    '<body style="margin:0;padding:24px;background:#f8f8f8;font-family:Helvetica,Arial,sans-serif;color:#333333;line-height:1.5;">',
+    '<div style="max-width:560px;margin:0 auto;background:#ffffff;padding:32px;border-radius:6px;">',
+    `<h1 style="margin:0 0 24px;font-size:20px;color:#d4af37;">${SALON_NAME}</h1>`,
+    body,
+    '</div>',
+    '</body>',
+    '</html>'
+  ].join('\n');
+};
+
+/**
+ * Render a template to a subject and both bodies
+ * @param {string} template - Key of TEMPLATES
+ * @param {Object} data - Template data
+ * @returns {Object} { subject, text, html }
+ */
+const renderEmail = (template, data) => {
+  const build = TEMPLATES[template];
+  if (!build) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  const { subject, blocks } = build(data);
+  return {
+    subject,
+    text: renderText(blocks),
+    html: renderHtml(subject, blocks)
+  };
+};
+
+module.exports = {
+  EMAIL_TEMPLATES: Object.keys(TEMPLATES),
+  renderEmail
+};
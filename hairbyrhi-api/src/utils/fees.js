@@ -0,0 +1,119 @@
+const { queryMany, queryOne } = require('./database');
+
+/**
+ * Classify when a change happened relative to the appointment
+ * @param {Object} timing - { is_same_day, within_fee_window } (from describeChangePolicy or appointment_changes)
+ * @returns {string} 'same_day' | 'late' | 'advance'
+ */
+const classifyTiming = ({ is_same_day, within_fee_window }) => {
+  if (is_same_day) {
+    return 'same_day';
+  }
+  return within_fee_window ? 'late' : 'advance';
+};
+
+/**
+ * Load active fee rules in evaluation order
+ * @param {Object} [client] - Transaction client (defaults to the shared pool)
+ * @returns {Promise<Array>} fee_rules rows
+ */
+const loadFeeRules = async (client = null) => {
+  const text = `
+    SELECT id, name, event_type, timing, min_reschedule_number, percent_of_price, flat_amount, priority
+    FROM fee_rules
+    WHERE is_active = true
+    ORDER BY priority ASC, id ASC
+  `;
+  return client ? (await client.query(text)).rows : queryMany(text);
+};
+
+/**
+ * Apply the fee rules to an event
+ * @param {Array} rules - From loadFeeRules
+ * @param {Object} event
+ * @param {string} event.eventType - 'cancellation' | 'reschedule' | 'no_show'
+ * @param {string} [event.timing] - From classifyTiming (ignored for no-shows)
+ * @param {number} [event.rescheduleNumber] - 1 for the first reschedule, 2 for the second
+ * @param {number|string} event.price - Service price
+ * @returns {Object} { rule, amount } - rule is null (and amount 0) when nothing matches
+ */
+const calculateFee = (rules, { eventType, timing = 'any', rescheduleNumber = null, price }) => {
+  const rule = rules.find(candidate =>
+    candidate.event_type === eventType
+    && (candidate.timing === 'any' || candidate.timing === timing)
+    && (candidate.min_reschedule_number === null
+      || (rescheduleNumber !== null && rescheduleNumber >= candidate.min_reschedule_number))
+  ) || null;
+
+  if (!rule) {
+    return { rule: null, amount: 0 };
+  }
+
+  const amount = (parseFloat(price) || 0) * parseFloat(rule.percent_of_price) / 100 + parseFloat(rule.flat_amount);
+  return { rule, amount: Math.round(amount * 100) / 100 };
+};
+
+/**
+ * Compute the fee for an event and, if there is one, charge it to the customer's ledger
+ * @param {Object} client - Transaction client
+ * @param {Object} options
+ * @param {string} options.eventType - 'cancellation' | 'reschedule' | 'no_show'
+ * @param {Object} options.appointment - { id, customer_id, price, service_name }
+ * @param {Object} [options.change] - appointment_changes row (cancellations and reschedules)
+ * @param {number} [options.createdBy] - Admin user recording the event
+ * @returns {Promise<Object>} { amount, rule, entry } - entry is null when no fee applies
+ */
+const assessFee = async (client, { eventType, appointment, change = null, createdBy = null }) => {
+  const rules = await loadFeeRules(client);
+  const { rule, amount } = calculateFee(rules, {
+    eventType,
+    timing: change ? classifyTiming(change) : 'any',
+    rescheduleNumber: change ? change.reschedule_number : null,
+    price: appointment.price
+  });
+
+  if (amount <= 0) {
+    return { amount: 0, rule, entry: null };
+  }
+
+  const result = await client.query(`
+    INSERT INTO fee_ledger (
+      customer_id, appointment_id, appointment_change_id, fee_rule_id,
+      entry_type, amount, description, created_by
+    ) VALUES ($1, $2, $3, $4, 'charge', $5, $6, $7)
+    RETURNING *
+  `, [
+    appointment.customer_id,
+    appointment.id,
+    change ? change.id : null,
+    rule.id,
+    amount,
+    `${rule.name} - ${appointment.service_name}`,
+    createdBy
+  ]);
+
+  return { amount, rule, entry: result.rows[0] };
+};
+
+/**
+ * Outstanding balance for a customer
+ * @param {number} customerId - customers.id
+ * @returns {Promise<number>} Sum of ledger entries
+ */
+const getCustomerBalance = async (customerId) => {
+  const row = await queryOne(`
+    SELECT COALESCE(SUM(amount), 0) as balance
+    FROM fee_ledger
+    WHERE customer_id = $1
+  `, [customerId]);
+
+  return parseFloat(row.balance);
+};
+
+module.exports = {
+  classifyTiming,
+  loadFeeRules,
+  calculateFee,
+  assessFee,
+  getCustomerBalance
+};
@@ -0,0 +1,231 @@
+const { getZonedParts, getTimeZoneOffsetMinutes, getTimeZoneAbbreviation, SALON_TIME_ZONE } = require('./time');
+
+/**
+ * iCalendar (RFC 5545) output
+ *
+ * Event times are written as local times with a TZID, backed by a VTIMEZONE built from
+ * the zone's actual transitions (via Intl) over the years the events span, so calendar
+ * apps show the right wall-clock time either side of a DST change.
+ */
+
+const PRODUCT_ID = '-//Hair by Rhiannon//Appointments//EN';
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Escape a TEXT value
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets (continuation lines start with a space)
+ * @param {string} line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let octets = 0;
+
+  for (const character of line) {
+    const size = Buffer.byteLength(character, 'utf8');
+    const limit = chunks.length === 0 ? 75 : 74;
+
+    if (octets + size > limit) {
+      chunks.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += character;
+    octets += size;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * UTC date-time, e.g. 20260314T143000Z
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Local date-time in a zone, e.g. 20260314T103000
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {string}
+ */
+const formatLocal = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+};
+
+/**
+ * UTC offset as used in TZOFFSETFROM / TZOFFSETTO, e.g. -0400
+ * @param {number} minutes
+ * @returns {string}
+ */
+const formatOffset = (minutes) => `${minutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(Math.abs(minutes) % 60)}`;
+
+/**
+ * Instants in a range where a zone's UTC offset changes
+ * @param {string} timeZone
+ * @param {number} fromYear
+ * @param {number} toYear - Inclusive
+ * @returns {Array} [{ at: Date, offsetFrom, offsetTo }]
+ */
+const findTransitions = (timeZone, fromYear, toYear) => {
+  const transitions = [];
+  const end = Date.UTC(toYear + 1, 0, 1);
+  const step = 24 * 3600000;
+
+  let time = Date.UTC(fromYear, 0, 1);
+  let offset = getTimeZoneOffsetMinutes(new Date(time), timeZone);
+
+  while (time < end) {
+    const next = time + step;
+    const nextOffset = getTimeZoneOffsetMinutes(new Date(next), timeZone);
+
+    if (nextOffset !== offset) {
+      // Narrow down to the minute the change happens
+      let low = time;
+      let high = next;
+      while (high - low > 60000) {
+        const middle = low + Math.floor((high - low) / 120000) * 60000;
+        if (getTimeZoneOffsetMinutes(new Date(middle), timeZone) === offset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ at: new Date(high), offsetFrom: offset, offsetTo: nextOffset });
+    }
+
+    time = next;
+    offset = nextOffset;
+  }
+
+  return transitions;
+};
+
+/**
+ * VTIMEZONE lines for a zone, covering the given years (and the change before them)
+ * @param {string} timeZone
+ * @param {number} fromYear
+ * @param {number} toYear
+ * @returns {Array<string>}
+ */
+const buildTimeZone = (timeZone, fromYear, toYear) => {
+  const transitions = findTransitions(timeZone, fromYear - 1, toYear);
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+
+  if (transitions.length === 0) {
+    const offset = getTimeZoneOffsetMinutes(new Date(Date.UTC(fromYear, 0, 1)), timeZone);
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${formatOffset(offset)}`,
+      `TZOFFSETTO:${formatOffset(offset)}`,
+      `TZNAME:${getTimeZoneAbbreviation(new Date(Date.UTC(fromYear, 0, 1)), timeZone)}`,
+      'END:STANDARD'
+    );
+  }
+
+  transitions.forEach(({ at, offsetFrom, offsetTo }) => {
+    const type = offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD';
+    // DTSTART is the wall-clock time the change happens at, in the old offset
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${formatUtc(new Date(at.getTime() + offsetFrom * 60000)).replace('Z', '')}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      `TZNAME:${getTimeZoneAbbreviation(at, timeZone)}`,
+      `END:${type}`
+    );
+  });
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+/**
+ * VEVENT lines
+ * @param {Object} event
+ * @param {string} event.uid - Stable across updates
+ * @param {number} event.sequence - Higher for each revision
+ * @param {Date} event.start
+ * @param {Date} event.end
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} [event.url]
+ * @param {string} [event.status] - CONFIRMED, TENTATIVE or CANCELLED
+ * @param {Date} [event.updatedAt] - LAST-MODIFIED
+ * @param {string} timeZone
+ * @param {Date} stamp - DTSTAMP
+ * @returns {Array<string>}
+ */
+const buildEvent = (event, timeZone, stamp) => [
+  'BEGIN:VEVENT',
+  `UID:${event.uid}`,
+  `SEQUENCE:${event.sequence || 0}`,
+  `DTSTAMP:${formatUtc(stamp)}`,
+  `DTSTART;TZID=${timeZone}:${formatLocal(event.start, timeZone)}`,
+  `DTEND;TZID=${timeZone}:${formatLocal(event.end, timeZone)}`,
+  `SUMMARY:${escapeText(event.summary)}`,
+  ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+  ...(event.location ? [`LOCATION:${escapeText(event.location)}`] : []),
+  ...(event.url ? [`URL:${event.url}`] : []),
+  `STATUS:${event.status || 'CONFIRMED'}`,
+  ...(event.updatedAt ? [`LAST-MODIFIED:${formatUtc(new Date(event.updatedAt))}`] : []),
+  'END:VEVENT'
+];
+
+/**
+ * Build a VCALENDAR document
+ * @param {Object} options
+ * @param {Array<Object>} options.events - See buildEvent
+ * @param {string} [options.name] - Calendar name shown by subscribing apps
+ * @param {string} [options.method] - iTIP method (PUBLISH for downloads and feeds)
+ * @param {number} [options.refreshMinutes] - How often subscribers should refresh a feed
+ * @param {string} [options.timeZone]
+ * @param {Date} [options.now] - DTSTAMP
+ * @returns {string} CRLF-terminated iCalendar text
+ */
+const buildCalendar = ({ events, name = null, method = 'PUBLISH', refreshMinutes = null, timeZone = SALON_TIME_ZONE, now = new Date() }) => {
+  const years = events.flatMap(event => [event.start, event.end].map(date => getZonedParts(date, timeZone).year));
+  const currentYear = getZonedParts(now, timeZone).year;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    `X-WR-TIMEZONE:${timeZone}`,
+    ...(refreshMinutes ? [
+      `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+      `X-PUBLISHED-TTL:PT${refreshMinutes}M`
+    ] : []),
+    ...buildTimeZone(timeZone, Math.min(currentYear, ...years), Math.max(currentYear, ...years)),
+    ...events.flatMap(event => buildEvent(event, timeZone, now)),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  buildCalendar,
+  escapeText,
+  foldLine
+};
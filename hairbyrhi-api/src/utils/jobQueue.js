@@ -0,0 +1,259 @@
+const os = require('os');
+const { query, queryOne, queryMany } = require('./database');
+
+// How often an idle worker looks for due jobs
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+// A running job whose worker hasn't finished it in this time is assumed lost and reclaimed
+const JOB_LOCK_TIMEOUT_MINUTES = parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES) || 15;
+// Attempts before a job is dead-lettered, unless enqueued with its own limit
+const JOB_DEFAULT_MAX_ATTEMPTS = 5;
+// First retry waits this long, doubling with each attempt up to the cap
+const JOB_RETRY_BASE_SECONDS = 30;
+const JOB_RETRY_MAX_SECONDS = 60 * 60;
+
+const JOB_COLUMNS = `
+  id, name, payload, status, run_at, attempts, max_attempts, dedupe_key, last_error,
+  result, locked_at, locked_by, completed_at, dead_at, created_at, updated_at
+`;
+
+const handlers = new Map();
+
+/**
+ * Register the function that runs jobs of a given name
+ * @param {string} name - Job name, e.g. 'sweep_waitlist'
+ * @param {Function} handler - async (payload, job) => result (stored as JSON); throw to retry
+ */
+const defineJob = (name, handler) => {
+  handlers.set(name, handler);
+};
+
+/**
+ * Add a job to the queue
+ *
+ * Pass the transaction client to enqueue as part of a larger change, so the job only
+ * exists if that change commits.
+ *
+ * @param {string} name - Registered job name
+ * @param {Object} [payload] - JSON-serializable input for the handler
+ * @param {Object} [options]
+ * @param {Date} [options.runAt] - Earliest run time (defaults to now)
+ * @param {number} [options.maxAttempts] - Attempts before dead-lettering
+ * @param {string} [options.dedupeKey] - Skip if a queued or running job already has this key
+ * @param {Object} [client] - Transaction client
+ * @returns {Promise<Object|null>} The job, or null when deduplicated
+ */
+const enqueueJob = async (name, payload = {}, { runAt = null, maxAttempts = JOB_DEFAULT_MAX_ATTEMPTS, dedupeKey = null } = {}, client = null) => {
+  const text = `
+    INSERT INTO jobs (name, payload, run_at, max_attempts, dedupe_key)
+    VALUES ($1, $2, COALESCE($3, CURRENT_TIMESTAMP), $4, $5)
+    ON CONFLICT (dedupe_key) WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'running') DO NOTHING
+    RETURNING ${JOB_COLUMNS}
+  `;
+  const params = [name, JSON.stringify(payload), runAt, maxAttempts, dedupeKey];
+  const result = client ? await client.query(text, params) : await query(text, params);
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Seconds to wait before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number}
+ */
+const retryDelaySeconds = (attempts) => Math.min(JOB_RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), JOB_RETRY_MAX_SECONDS);
+
+/**
+ * Claim the next due job for a worker
+ * @param {string} workerId - Identifies the worker in locked_by
+ * @returns {Promise<Object|null>} Job now marked running, or null when nothing is due
+ */
+const claimNextJob = async (workerId) => queryOne(`
+  UPDATE jobs
+  SET status = 'running',
+      attempts = attempts + 1,
+      locked_at = CURRENT_TIMESTAMP,
+      locked_by = $1,
+      updated_at = CURRENT_TIMESTAMP
+  WHERE id = (
+    SELECT id FROM jobs
+    WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP
+    ORDER BY run_at, id
+    FOR UPDATE SKIP LOCKED
+    LIMIT 1
+  )
+  RETURNING ${JOB_COLUMNS}
+`, [workerId]);
+
+/**
+ * Run a claimed job and record the outcome
+ *
+ * Failures go back on the queue with exponential backoff until max_attempts is used
+ * up, then the job is dead-lettered (status 'dead') for an admin to look at.
+ *
+ * @param {Object} job - From claimNextJob
+ * @returns {Promise<string>} New status: 'completed', 'queued' or 'dead'
+ */
+const runJob = async (job) => {
+  const handler = handlers.get(job.name);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job "${job.name}"`);
+    }
+
+    const result = await handler(job.payload, job);
+
+    await query(`
+      UPDATE jobs
+      SET status = 'completed',
+          result = $2,
+          completed_at = CURRENT_TIMESTAMP,
+          locked_at = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [job.id, result === undefined ? null : JSON.stringify(result)]);
+
+    return 'completed';
+  } catch (error) {
+    const isDead = job.attempts >= job.max_attempts;
+
+    await query(`
+      UPDATE jobs
+      SET status = $2,
+          last_error = $3,
+          run_at = CASE WHEN $2 = 'queued' THEN CURRENT_TIMESTAMP + ($4 || ' seconds')::interval ELSE run_at END,
+          dead_at = CASE WHEN $2 = 'dead' THEN CURRENT_TIMESTAMP ELSE NULL END,
+          locked_at = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [job.id, isDead ? 'dead' : 'queued', (error.stack || String(error)).substring(0, 4000), retryDelaySeconds(job.attempts)]);
+
+    console.error(`Job ${job.id} (${job.name}) failed on attempt ${job.attempts}/${job.max_attempts}:`, error.message);
+    return isDead ? 'dead' : 'queued';
+  }
+};
+
+/**
+ * Return jobs whose worker disappeared mid-run to the queue (or dead-letter them if out of attempts)
+ * @returns {Promise<number>} Jobs reclaimed
+ */
+const reclaimStaleJobs = async () => {
+  const result = await query(`
+    UPDATE jobs
+    SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+        dead_at = CASE WHEN attempts >= max_attempts THEN CURRENT_TIMESTAMP ELSE NULL END,
+        last_error = 'Worker stopped before the job finished (' || COALESCE(locked_by, 'unknown') || ')',
+        locked_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'running'
+      AND locked_at < CURRENT_TIMESTAMP - ($1 || ' minutes')::interval
+  `, [JOB_LOCK_TIMEOUT_MINUTES]);
+
+  return result.rowCount;
+};
+
+/**
+ * Make the recurring_jobs table match the schedules defined in code
+ * @param {Array<Object>} definitions - [{ name, intervalMinutes, payload }]
+ */
+const syncRecurringJobs = async (definitions) => {
+  for (const { name, intervalMinutes, payload = {} } of definitions) {
+    await query(`
+      INSERT INTO recurring_jobs (name, interval_minutes, payload)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (name) DO UPDATE
+      SET interval_minutes = EXCLUDED.interval_minutes,
+          payload = EXCLUDED.payload,
+          updated_at = CURRENT_TIMESTAMP
+    `, [name, intervalMinutes, JSON.stringify(payload)]);
+  }
+};
+
+/**
+ * Enqueue a job for every recurring schedule that is due and move its next run on
+ *
+ * Advancing next_run_at in the same UPDATE means two workers can't both enqueue the
+ * same run; the dedupe key stops runs piling up behind a slow or failing one.
+ *
+ * @returns {Promise<number>} Jobs enqueued
+ */
+const enqueueDueRecurringJobs = async () => {
+  const due = await queryMany(`
+    UPDATE recurring_jobs
+    SET next_run_at = CURRENT_TIMESTAMP + (interval_minutes || ' minutes')::interval,
+        last_enqueued_at = CURRENT_TIMESTAMP
+    WHERE enabled = true AND next_run_at <= CURRENT_TIMESTAMP
+    RETURNING name, payload
+  `);
+
+  let enqueued = 0;
+  for (const schedule of due) {
+    const job = await enqueueJob(schedule.name, schedule.payload, { dedupeKey: `recurring:${schedule.name}` });
+    if (job) {
+      enqueued++;
+    }
+  }
+
+  return enqueued;
+};
+
+/**
+ * Start polling for jobs in this process
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.recurring] - Recurring schedules to keep in sync (see syncRecurringJobs)
+ * @param {number} [options.pollIntervalMs] - Delay between polls when the queue is empty
+ * @returns {Object} { workerId, stop } - stop() resolves once the current job has finished
+ */
+const startJobWorker = ({ recurring = [], pollIntervalMs = JOB_POLL_INTERVAL_MS } = {}) => {
+  const workerId = `${os.hostname()}:${process.pid}`;
+  let stopped = false;
+  let timer = null;
+  let current = Promise.resolve();
+
+  const tick = async () => {
+    try {
+      await reclaimStaleJobs();
+      await enqueueDueRecurringJobs();
+
+      let job = await claimNextJob(workerId);
+      while (job && !stopped) {
+        await runJob(job);
+        job = stopped ? null : await claimNextJob(workerId);
+      }
+    } catch (error) {
+      console.error('Job worker poll failed:', error.message);
+    }
+  };
+
+  const schedule = () => {
+    if (!stopped) {
+      timer = setTimeout(() => {
+        current = tick().then(schedule);
+      }, pollIntervalMs);
+    }
+  };
+
+  current = syncRecurringJobs(recurring)
+    .catch(error => console.error('Failed to sync recurring jobs:', error.message))
+    .then(tick)
+    .then(schedule);
+
+  console.log(`⚙️  Job worker ${workerId} started`);
+
+  return {
+    workerId,
+    stop: async () => {
+      stopped = true;
+      clearTimeout(timer);
+      await current;
+    }
+  };
+};
+
+module.exports = {
+  JOB_COLUMNS,
+  defineJob,
+  enqueueJob,
+  retryDelaySeconds,
+  startJobWorker
+};
@@ -0,0 +1,51 @@
+const { defineJob } = require('./jobQueue');
+const { purgeExpiredAuditEntries } = require('./audit');
+const { expireWaitlist } = require('./waitlist');
+const { closeStaleRequests } = require('./requestExpiry');
+const { deliverOutboxEmail, purgeSentEmails } = require('./emailOutbox');
+const { deliverOutboxSms, purgeSentSms } = require('./smsOutbox');
+const { sendDueReminders } = require('./reminders');
+
+/**
+ * Job handlers run by the worker (src/utils/jobQueue.js)
+ *
+ * Each handler's return value is stored on the job as its result.
+ */
+
+// Enforce audit log retention
+defineJob('purge_audit_log', async () => ({ deleted: await purgeExpiredAuditEntries() }));
+
+// Pass lapsed waitlist offers to the next customer and drop entries whose window has passed
+defineJob('sweep_waitlist', () => expireWaitlist());
+
+// Supersede requests replaced by a newer one and expire those whose preferred times have all passed
+defineJob('close_stale_requests', () => closeStaleRequests());
+
+// Send one outbox email (queued with the message - see src/utils/emailOutbox.js)
+defineJob('deliver_email', ({ outbox_id }) => deliverOutboxEmail(outbox_id));
+
+// Drop sent emails past the outbox retention window
+defineJob('purge_email_outbox', async () => ({ deleted: await purgeSentEmails() }));
+
+// Send one outbox text (see src/utils/smsOutbox.js)
+defineJob('deliver_sms', ({ outbox_id }) => deliverOutboxSms(outbox_id));
+
+// Drop sent texts past the outbox retention window
+defineJob('purge_sms_outbox', async () => ({ deleted: await purgeSentSms() }));
+
+// Queue reminders for appointments coming up (offsets in config/salon.js)
+defineJob('send_appointment_reminders', () => sendDueReminders());
+
+// Schedules the worker enqueues on its own
+const RECURRING_JOBS = [
+  { name: 'purge_audit_log', intervalMinutes: 24 * 60 },
+  { name: 'sweep_waitlist', intervalMinutes: 5 },
+  { name: 'close_stale_requests', intervalMinutes: 15 },
+  { name: 'purge_email_outbox', intervalMinutes: 24 * 60 },
+  { name: 'purge_sms_outbox', intervalMinutes: 24 * 60 },
+  { name: 'send_appointment_reminders', intervalMinutes: 5 }
+];
+
+module.exports = {
+  RECURRING_JOBS
+};
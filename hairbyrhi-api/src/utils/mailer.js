@@ -0,0 +1,87 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { smtpTransport } = require('./smtpTransport');
+require('dotenv').config();
+
+/**
+ * Console transport - prints messages to stdout (default for local development)
+ * @param {Object} message - Normalized message
+ * @returns {Promise<Object>} Delivery info
+ */
+const consoleTransport = async (message) => {
+  console.log('📧 Outgoing email:', {
+    to: message.to,
+    subject: message.subject,
+    attachments: message.attachments.map(attachment => attachment.filename)
+  });
+  console.log(message.text);
+  return { transport: 'console', messageId: message.messageId };
+};
+
+/**
+ * File transport - writes each message as JSON to MAIL_OUTPUT_DIR so it can be inspected offline
+ * @param {Object} message - Normalized message
+ * @returns {Promise<Object>} Delivery info including the written file path
+ */
+const fileTransport = async (message) => {
+  const outputDir = process.env.MAIL_OUTPUT_DIR || path.join(os.tmpdir(), 'hairbyrhi-mail');
+  await fs.mkdir(outputDir, { recursive: true });
+
+  const filePath = path.join(outputDir, `${message.messageId}.json`);
+  await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+
+  return { transport: 'file', messageId: message.messageId, path: filePath };
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  smtp: smtpTransport
+};
+
+/**
+ * Register an additional transport (e.g. a provider API or a test double)
+ * @param {string} name - Transport name used in MAIL_TRANSPORT
+ * @param {Function} send - async (message) => delivery info
+ */
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+/**
+ * Send an email through the transport configured by MAIL_TRANSPORT
+ * @param {Object} options - Message options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain text body
+ * @param {string} [options.html] - HTML body
+ * @param {Array} [options.attachments] - [{ filename, content_type, content }] with text content
+ * @returns {Promise<Object>} Delivery info from the transport
+ */
+const sendMail = async ({ to, subject, text, html, attachments }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  const message = {
+    messageId: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+    from: process.env.MAIL_FROM || 'Hair by Rhiannon <no-reply@hairbyrhi.com>',
+    to,
+    subject,
+    text,
+    html: html || null,
+    attachments: attachments || [],
+    created_at: new Date().toISOString()
+  };
+
+  return transport(message);
+};
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const { sendMail } = require('./mailer');
+
+const RESET_TOKEN_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+const INVITE_TOKEN_EXPIRES_MINUTES = parseInt(process.env.ADMIN_INVITE_EXPIRES_MINUTES) || 72 * 60;
+
+/**
+ * Hash a password reset token for storage - only the hash is ever persisted
+ * @param {string} token - Raw token sent to the user
+ * @returns {string} SHA-256 hex digest
+ */
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a single-use reset token, retiring any outstanding ones for the user
+ * @param {Object} db - pool or transaction client
+ * @param {number} userId - admin_users.id
+ * @param {number} expiresMinutes - Minutes until the token expires
+ * @returns {Promise<string>} Raw token (to be emailed, never stored)
+ */
+const issueResetToken = async (db, userId, expiresMinutes = RESET_TOKEN_EXPIRES_MINUTES) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // Any earlier outstanding links stop working once a new one is issued
+  await db.query(`
+    UPDATE password_reset_tokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND used_at IS NULL
+  `, [userId]);
+
+  await db.query(`
+    INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+    VALUES ($1, $2, CURRENT_TIMESTAMP + ($3 || ' minutes')::interval)
+  `, [userId, hashResetToken(token), expiresMinutes]);
+
+  return token;
+};
+
+/**
+ * Email a password link to an admin user
+ * @param {Object} user - admin_users row (email, first_name)
+ * @param {string} token - Raw reset token
+ * @param {Object} options
+ * @param {string} options.reason - 'reset' | 'invite' | 'forced'
+ * @param {number} options.expiresMinutes - Token lifetime, for the message body
+ */
+const sendPasswordEmail = async (user, token, { reason = 'reset', expiresMinutes = RESET_TOKEN_EXPIRES_MINUTES } = {}) => {
+  const resetUrl = `${process.env.ADMIN_APP_URL || 'http://localhost:5500'}/admin-login.html?resetToken=${token}`;
+
+  const intro = {
+    reset: 'We received a request to reset your admin password. Use the link below to choose a new one:',
+    invite: 'You have been invited to the Hair by Rhiannon admin panel. Use the link below to set your password:',
+    forced: 'An administrator has required you to set a new password. Use the link below to choose one:'
+  }[reason];
+
+  const subject = reason === 'invite'
+    ? 'You have been invited to the Hair by Rhiannon admin panel'
+    : 'Reset your Hair by Rhiannon admin password';
+
+  await sendMail({
+    to: user.email,
+    subject,
+    text: [
+      `Hi ${user.first_name},`,
+      '',
+      intro,
+      '',
+      resetUrl,
+      '',
+      `This link expires in ${expiresMinutes < 120 ? `${expiresMinutes} minutes` : `${Math.round(expiresMinutes / 60)} hours`} and can only be used once.`,
+      reason === 'reset' ? 'If you did not request a reset, you can ignore this email.' : ''
+    ].join('\n').trim()
+  });
+};
+
+module.exports = {
+  RESET_TOKEN_EXPIRES_MINUTES,
+  INVITE_TOKEN_EXPIRES_MINUTES,
+  hashResetToken,
+  issueResetToken,
+  sendPasswordEmail
+};
@@ -0,0 +1,69 @@
+const { queryMany } = require('./database');
+
+// Role grants change rarely - cache them briefly instead of querying on every request
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role - Role name
+ * @returns {Promise<Set<string>>} Permission names
+ */
+const getRolePermissions = async (role) => {
+  const cached = cache.get(role);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.permissions;
+  }
+
+  const rows = await queryMany(`
+    SELECT permission_name
+    FROM role_permissions
+    WHERE role_name = $1
+  `, [role]);
+
+  const permissions = new Set(rows.map(row => row.permission_name));
+  cache.set(role, { permissions, loadedAt: Date.now() });
+
+  return permissions;
+};
+
+/**
+ * Get all roles with their permissions
+ * @returns {Promise<Array>} Roles with a permissions array
+ */
+const listRoles = async () => queryMany(`
+  SELECT
+    r.name,
+    r.description,
+    COALESCE(
+      array_agg(rp.permission_name ORDER BY rp.permission_name)
+        FILTER (WHERE rp.permission_name IS NOT NULL),
+      '{}'
+    ) as permissions
+  FROM roles r
+  LEFT JOIN role_permissions rp ON rp.role_name = r.name
+  GROUP BY r.name, r.description
+  ORDER BY r.name
+`);
+
+/**
+ * Check whether a role exists
+ * @param {string} role - Role name
+ * @returns {Promise<boolean>}
+ */
+const roleExists = async (role) => {
+  const rows = await queryMany('SELECT 1 FROM roles WHERE name = $1', [role]);
+  return rows.length > 0;
+};
+
+/**
+ * Drop cached role grants (call after changing role_permissions)
+ */
+const clearPermissionCache = () => cache.clear();
+
+module.exports = {
+  getRolePermissions,
+  listRoles,
+  roleExists,
+  clearPermissionCache
+};
@@ -0,0 +1,141 @@
+const { queryMany, beginTransaction, commitTransaction, rollbackTransaction } = require('./database');
+const { requestServicesJoin } = require('./serviceSelection');
+const { queueEmail } = require('./emailOutbox');
+const { queueSms } = require('./smsOutbox');
+const { APPOINTMENT_REMINDER_OFFSETS_MINUTES } = require('../../config/salon');
+
+/**
+ * Send reminders that have come due for confirmed appointments
+ *
+ * Each offset in APPOINTMENT_REMINDER_OFFSETS_MINUTES is handled once per appointment and
+ * start time, so moving an appointment re-arms its reminders. When several offsets are
+ * due at once (the worker was down, or the appointment was booked late) only the closest
+ * one is sent, and none is sent if the appointment was booked or moved after it came due
+ * - the customer has just been told the time.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time
+ * @returns {Promise<Object>} { sent: [{ appointment_id, offset_minutes, channels }], covered: number }
+ */
+const sendDueReminders = async ({ now = new Date() } = {}) => {
+  if (APPOINTMENT_REMINDER_OFFSETS_MINUTES.length === 0) {
+    return { sent: [], covered: 0 };
+  }
+
+  const due = await queryMany(`
+    SELECT
+      a.id,
+      a.customer_id,
+      a.scheduled_datetime,
+      offsets.offset_minutes,
+      a.scheduled_datetime - (offsets.offset_minutes || ' minutes')::interval as due_at,
+      GREATEST(a.created_at, (
+        SELECT MAX(ac.created_at)
+        FROM appointment_changes ac
+        WHERE ac.appointment_id = a.id AND ac.change_type = 'rescheduled'
+      )) as booked_at,
+      c.name as customer_name,
+      c.email as customer_email,
+      COALESCE(rs.service_names, s.name) as service_name
+    FROM appointments a
+    CROSS JOIN unnest($2::int[]) as offsets(offset_minutes)
+    JOIN customers c ON a.customer_id = c.id
+    JOIN services s ON a.service_id = s.id
+    ${requestServicesJoin('a.request_id')}
+    WHERE a.status = 'scheduled'
+      AND a.deleted_at IS NULL
+      AND a.scheduled_datetime > $1
+      AND a.scheduled_datetime - (offsets.offset_minutes || ' minutes')::interval <= $1
+      AND NOT EXISTS (
+        SELECT 1 FROM appointment_reminders ar
+        WHERE ar.appointment_id = a.id
+          AND ar.offset_minutes = offsets.offset_minutes
+          AND ar.scheduled_datetime = a.scheduled_datetime
+      )
+    ORDER BY a.scheduled_datetime, a.id, offsets.offset_minutes
+  `, [now, APPOINTMENT_REMINDER_OFFSETS_MINUTES]);
+
+  // Rows come closest offset first within each appointment
+  const byAppointment = new Map();
+  due.forEach(row => {
+    if (!byAppointment.has(row.id)) {
+      byAppointment.set(row.id, []);
+    }
+    byAppointment.get(row.id).push(row);
+  });
+
+  const sent = [];
+  let covered = 0;
+
+  for (const [appointmentId, rows] of byAppointment) {
+    const [closest, ...older] = rows;
+    const client = await beginTransaction();
+
+    try {
+      const claimed = await client.query(`
+        INSERT INTO appointment_reminders (appointment_id, offset_minutes, scheduled_datetime)
+        VALUES ($1, $2, $3)
+        ON CONFLICT DO NOTHING
+        RETURNING id
+      `, [appointmentId, closest.offset_minutes, closest.scheduled_datetime]);
+
+      // Another worker got here first
+      if (claimed.rows.length === 0) {
+        await rollbackTransaction(client);
+        continue;
+      }
+
+      const channels = [];
+
+      if (new Date(closest.booked_at) < new Date(closest.due_at)) {
+        const message = {
+          customerId: closest.customer_id,
+          entityType: 'appointment',
+          entityId: appointmentId,
+          data: {
+            customer_name: closest.customer_name,
+            service_name: closest.service_name,
+            scheduled_datetime: closest.scheduled_datetime
+          }
+        };
+
+        if (await queueEmail(client, 'appointment_reminder', { ...message, to: closest.customer_email })) {
+          channels.push('email');
+        }
+        if (await queueSms(client, 'appointment_reminder', message)) {
+          channels.push('sms');
+        }
+      }
+
+      await client.query(`
+        UPDATE appointment_reminders
+        SET channels = $2
+        WHERE id = $1
+      `, [claimed.rows[0].id, channels]);
+
+      for (const row of older) {
+        await client.query(`
+          INSERT INTO appointment_reminders (appointment_id, offset_minutes, scheduled_datetime)
+          VALUES ($1, $2, $3)
+          ON CONFLICT DO NOTHING
+        `, [appointmentId, row.offset_minutes, row.scheduled_datetime]);
+      }
+
+      await commitTransaction(client);
+
+      if (channels.length > 0) {
+        sent.push({ appointment_id: appointmentId, offset_minutes: closest.offset_minutes, channels });
+      }
+      covered += rows.length - (channels.length > 0 ? 1 : 0);
+    } catch (error) {
+      await rollbackTransaction(client);
+      throw error;
+    }
+  }
+
+  return { sent, covered };
+};
+
+module.exports = {
+  sendDueReminders
+};
@@ -0,0 +1,140 @@
+const { beginTransaction, commitTransaction, rollbackTransaction } = require('./database');
+const { recordAudit } = require('./audit');
+const { requestServicesJoin } = require('./serviceSelection');
+const { queueRequestExpiredEmail } = require('./customerEmails');
+
+/**
+ * Comma-separated service IDs of a request in order, falling back to its primary
+ * service when it predates request_services
+ * @param {string} alias - appointment_requests alias
+ * @returns {string} SQL fragment
+ */
+const serviceKeySql = (alias) => `
+  COALESCE(
+    (SELECT string_agg(rsk.service_id::text, ',' ORDER BY rsk.position)
+     FROM request_services rsk
+     WHERE rsk.request_id = ${alias}.id),
+    ${alias}.service_id::text
+  )
+`;
+
+/**
+ * Close pending requests that can no longer be booked as asked
+ *
+ * A pending request is superseded when the same customer has since sent a newer pending
+ * request for the same services, and linked to the newest one. Anything still pending
+ * whose preferred times have all passed is then expired, and its customer emailed.
+ * Requests awaiting the customer's answer to a proposal are left alone.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.req] - Express request when an admin runs it (recorded as the actor)
+ * @param {Date} [options.now] - Reference time
+ * @returns {Promise<Object>} { superseded: [{ request_id, superseded_by_request_id }], expired: [request_id] }
+ */
+const closeStaleRequests = async ({ req = null, now = new Date() } = {}) => {
+  const via = req ? 'admin' : 'scheduled_sweep';
+  const client = await beginTransaction();
+
+  try {
+    const superseded = await client.query(`
+      WITH pending AS (
+        SELECT ar.id, ar.customer_id, ar.created_at, ${serviceKeySql('ar')} as service_key
+        FROM appointment_requests ar
+        WHERE ar.status = 'pending' AND ar.deleted_at IS NULL
+      ),
+      replacements AS (
+        SELECT DISTINCT ON (older.id) older.id, newer.id as superseded_by
+        FROM pending older
+        JOIN pending newer
+          ON newer.customer_id = older.customer_id
+          AND newer.service_key = older.service_key
+          AND (newer.created_at, newer.id) > (older.created_at, older.id)
+        ORDER BY older.id, newer.created_at DESC, newer.id DESC
+      )
+      UPDATE appointment_requests ar
+      SET status = 'superseded',
+          superseded_by_request_id = replacements.superseded_by,
+          closed_at = $1,
+          updated_at = CURRENT_TIMESTAMP
+      FROM replacements
+      WHERE ar.id = replacements.id AND ar.status = 'pending'
+      RETURNING ar.id, ar.superseded_by_request_id
+    `, [now]);
+
+    const expired = await client.query(`
+      UPDATE appointment_requests ar
+      SET status = 'expired',
+          closed_at = $1,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE ar.status = 'pending'
+        AND ar.deleted_at IS NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM request_time_preferences rtp
+          WHERE rtp.request_id = ar.id
+            AND rtp.withdrawn_at IS NULL
+            AND rtp.preferred_datetime > $1
+        )
+      RETURNING ar.id
+    `, [now]);
+
+    for (const row of superseded.rows) {
+      await recordAudit({
+        req,
+        action: 'request_superseded',
+        entityType: 'appointment_request',
+        entityId: row.id,
+        before: { status: 'pending' },
+        after: { status: 'superseded', superseded_by_request_id: row.superseded_by_request_id },
+        metadata: { via }
+      }, client);
+    }
+
+    for (const row of expired.rows) {
+      await recordAudit({
+        req,
+        action: 'request_expired',
+        entityType: 'appointment_request',
+        entityId: row.id,
+        before: { status: 'pending' },
+        after: { status: 'expired' },
+        metadata: { via, reason: 'all preferred times have passed' }
+      }, client);
+    }
+
+    // Superseded requests need no email - the customer already has the newer one
+    const expiredRequests = await client.query(`
+      SELECT
+        ar.id,
+        ar.customer_id,
+        c.name as customer_name,
+        c.email as customer_email,
+        COALESCE(rs.service_names, s.name) as service_name
+      FROM appointment_requests ar
+      JOIN customers c ON ar.customer_id = c.id
+      JOIN services s ON ar.service_id = s.id
+      ${requestServicesJoin('ar.id')}
+      WHERE ar.id = ANY($1)
+    `, [expired.rows.map(row => row.id)]);
+
+    for (const request of expiredRequests.rows) {
+      await queueRequestExpiredEmail(client, request);
+    }
+
+    await commitTransaction(client);
+
+    return {
+      superseded: superseded.rows.map(row => ({
+        request_id: row.id,
+        superseded_by_request_id: row.superseded_by_request_id
+      })),
+      expired: expired.rows.map(row => row.id)
+    };
+  } catch (error) {
+    await rollbackTransaction(client);
+    throw error;
+  }
+};
+
+module.exports = {
+  closeStaleRequests
+};
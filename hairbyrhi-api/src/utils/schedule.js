@@ -0,0 +1,83 @@
+const { queryMany } = require('./database');
+const { parseTimeOfDay, getWeekday, zonedTimeToUtc, addDays } = require('./time');
+
+/**
+ * Run a query on a transaction client when given one, otherwise on the pool
+ * @param {Object|null} client - Transaction client
+ * @param {string} text - SQL query string
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Array>} Rows
+ */
+const runQuery = async (client, text, params) => (
+  client ? (await client.query(text, params)).rows : queryMany(text, params)
+);
+
+/**
+ * Load the rules that decide when the salon is open between two local dates
+ *
+ * Exceptions replace the weekly hours for their date: a closed exception removes the
+ * whole day, an open one substitutes its own window. Blocked times are returned as
+ * UTC ranges for the caller to subtract.
+ *
+ * @param {string} fromDate - First local date "YYYY-MM-DD"
+ * @param {string} toDate - Last local date "YYYY-MM-DD" (inclusive)
+ * @param {Object} [client] - Transaction client (defaults to the shared pool)
+ * @returns {Promise<Object>} { getWorkingWindows(date), blocks: [{ id, start, end, reason }] }
+ */
+const loadScheduleRules = async (fromDate, toDate, client = null) => {
+  const weekly = await runQuery(client, `
+    SELECT weekday, start_time, end_time
+    FROM working_hours
+    ORDER BY weekday, start_time
+  `, []);
+
+  const exceptions = await runQuery(client, `
+    SELECT
+      to_char(exception_date, 'YYYY-MM-DD') as exception_date,
+      is_closed,
+      start_time,
+      end_time
+    FROM schedule_exceptions
+    WHERE exception_date BETWEEN $1 AND $2
+      AND deleted_at IS NULL
+  `, [fromDate, toDate]);
+
+  const blocks = await runQuery(client, `
+    SELECT id, starts_at, ends_at, reason
+    FROM blocked_times
+    WHERE deleted_at IS NULL
+      AND starts_at < $2
+      AND ends_at > $1
+    ORDER BY starts_at
+  `, [zonedTimeToUtc(fromDate, 0), zonedTimeToUtc(addDays(toDate, 1), 0)]);
+
+  const toWindow = (row) => ({
+    startMinutes: parseTimeOfDay(row.start_time),
+    endMinutes: parseTimeOfDay(row.end_time)
+  });
+
+  const exceptionsByDate = new Map(exceptions.map(row => [row.exception_date, row]));
+
+  const getWorkingWindows = (dateString) => {
+    const exception = exceptionsByDate.get(dateString);
+    if (exception) {
+      return exception.is_closed ? [] : [toWindow(exception)];
+    }
+    const weekday = getWeekday(dateString);
+    return weekly.filter(row => row.weekday === weekday).map(toWindow);
+  };
+
+  return {
+    getWorkingWindows,
+    blocks: blocks.map(row => ({
+      id: row.id,
+      start: new Date(row.starts_at),
+      end: new Date(row.ends_at),
+      reason: row.reason
+    }))
+  };
+};
+
+module.exports = {
+  loadScheduleRules
+};
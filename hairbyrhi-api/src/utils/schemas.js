@@ -0,0 +1,36 @@
+const Joi = require('joi');
+const { parseLocalDateTime } = require('./time');
+
+/**
+ * Joi schema for a date-time given in salon time (see parseLocalDateTime)
+ *
+ * Validated values come out as Dates. Use instead of Joi.date(), which reads offset-less
+ * values in the server's time zone.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.future] - Must be after now
+ * @param {boolean} [options.past] - Must not be after now
+ * @returns {Object} Joi schema
+ */
+const localDateTime = ({ future = false, past = false } = {}) => Joi.any().custom((value, helpers) => {
+  const { instant, error } = parseLocalDateTime(value);
+
+  if (error === 'nonexistent') {
+    return helpers.message('{{#label}} falls in the hour skipped when the clocks go forward');
+  }
+  if (error) {
+    return helpers.message('{{#label}} must be a date and time such as 2025-03-14T10:30 (salon time) or an ISO 8601 value with an offset');
+  }
+  if (future && instant <= new Date()) {
+    return helpers.message('{{#label}} must be in the future');
+  }
+  if (past && instant > new Date()) {
+    return helpers.message('{{#label}} cannot be in the future');
+  }
+
+  return instant;
+}, 'salon local date-time');
+
+module.exports = {
+  localDateTime
+};
@@ -0,0 +1,142 @@
+const { queryMany } = require('./database');
+
+/**
+ * Segments for a set of services, in order
+ *
+ * Services with no service_segments rows are treated as a single active segment.
+ *
+ * @param {Array<Object>} services - [{ id, duration_minutes }]
+ * @param {Object} [client] - Transaction client
+ * @returns {Promise<Map>} service ID -> [{ type, duration_minutes }]
+ */
+const loadServiceSegments = async (services, client = null) => {
+  const text = `
+    SELECT service_id, segment_type, duration_minutes
+    FROM service_segments
+    WHERE service_id = ANY($1)
+    ORDER BY service_id, position
+  `;
+  const params = [services.map(service => service.id)];
+  const rows = client ? (await client.query(text, params)).rows : await queryMany(text, params);
+
+  const byService = new Map(services.map(service => [service.id, []]));
+  rows.forEach(row => byService.get(row.service_id).push({ type: row.segment_type, duration_minutes: row.duration_minutes }));
+
+  services.forEach(service => {
+    if (byService.get(service.id).length === 0) {
+      byService.set(service.id, [{ type: 'active', duration_minutes: service.duration_minutes }]);
+    }
+  });
+
+  return byService;
+};
+
+/**
+ * Join segment lists done back to back into one, merging neighbours of the same type
+ * @param {Array<Array>} segmentLists - One list per service, in order
+ * @returns {Array} [{ type, duration_minutes }]
+ */
+const combineSegments = (segmentLists) => segmentLists.flat().reduce((combined, segment) => {
+  const last = combined[combined.length - 1];
+
+  if (last && last.type === segment.type) {
+    last.duration_minutes += segment.duration_minutes;
+  } else {
+    combined.push({ ...segment });
+  }
+
+  return combined;
+}, []);
+
+/**
+ * Whether any segment leaves the stylist free (anything else is active throughout)
+ * @param {Array|null} segments
+ * @returns {boolean}
+ */
+const hasProcessingTime = (segments) => Boolean(segments && segments.some(segment => segment.type === 'processing'));
+
+/**
+ * Stored form of a combined segment list - null when it's active throughout
+ * @param {Array} segments
+ * @returns {Array|null}
+ */
+const toStoredSegments = (segments) => (hasProcessingTime(segments) ? segments : null);
+
+/**
+ * Time ranges when an appointment needs the stylist
+ * @param {Date|string} start - Appointment start
+ * @param {number} durationMinutes - Total duration (used when segments is null)
+ * @param {Array|null} segments - [{ type, duration_minutes }]
+ * @returns {Array} [{ start, end }] Date ranges
+ */
+const activeWindows = (start, durationMinutes, segments) => {
+  const startTime = new Date(start).getTime();
+
+  if (!hasProcessingTime(segments)) {
+    return [{ start: new Date(startTime), end: new Date(startTime + durationMinutes * 60000) }];
+  }
+
+  const windows = [];
+  let offset = 0;
+
+  segments.forEach(segment => {
+    if (segment.type === 'active') {
+      windows.push({
+        start: new Date(startTime + offset * 60000),
+        end: new Date(startTime + (offset + segment.duration_minutes) * 60000)
+      });
+    }
+    offset += segment.duration_minutes;
+  });
+
+  return windows;
+};
+
+/**
+ * Whether two sets of active windows overlap anywhere
+ * @param {Array} first - [{ start, end }]
+ * @param {Array} second - [{ start, end }]
+ * @returns {boolean}
+ */
+const windowsOverlap = (first, second) => first.some(a => second.some(b => a.start < b.end && a.end > b.start));
+
+/**
+ * Most appointments needing the stylist at the same instant during a proposed appointment's active time
+ *
+ * Appointments that touch the proposed time at different moments don't add up - with
+ * 10:00-11:00 and 11:00-12:00 booked, 10:30-11:30 only ever meets one of them at once.
+ *
+ * @param {Array} proposed - Proposed appointment's active windows [{ start, end }]
+ * @param {Array<Array>} others - Active windows of each existing appointment
+ * @returns {number}
+ */
+const peakConcurrency = (proposed, others) => {
+  // Clip each appointment's windows to the proposed ones; +1 where one starts, -1 where it ends
+  const points = others.flatMap(windows => windows.flatMap(window => proposed.flatMap(range => {
+    const start = Math.max(window.start.getTime(), range.start.getTime());
+    const end = Math.min(window.end.getTime(), range.end.getTime());
+    return start < end ? [{ time: start, change: 1 }, { time: end, change: -1 }] : [];
+  })));
+
+  // Ends sort before starts at the same instant - back-to-back windows don't overlap
+  points.sort((a, b) => a.time - b.time || a.change - b.change);
+
+  let current = 0;
+  let peak = 0;
+  points.forEach(point => {
+    current += point.change;
+    peak = Math.max(peak, current);
+  });
+
+  return peak;
+};
+
+module.exports = {
+  loadServiceSegments,
+  combineSegments,
+  hasProcessingTime,
+  toStoredSegments,
+  activeWindows,
+  windowsOverlap,
+  peakConcurrency
+};
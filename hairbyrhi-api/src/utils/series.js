@@ -0,0 +1,73 @@
+const { SERIES_MAX_OCCURRENCES, SERIES_MAX_DAYS_AHEAD } = require('../../config/salon');
+const { getZonedParts, zonedTimeToUtc, toLocalDateString, addDays, daysBetween } = require('./time');
+
+/**
+ * Minutes after salon-local midnight
+ * @param {Date} date - Instant
+ * @returns {number}
+ */
+const localMinutesOfDay = (date) => {
+  const parts = getZonedParts(date);
+  return parts.hour * 60 + parts.minute;
+};
+
+/**
+ * Start times for the follow-up appointments in a series
+ *
+ * Occurrences keep the salon-local time of the first appointment, so a 10:00 AM
+ * appointment stays at 10:00 AM across daylight saving changes.
+ *
+ * @param {Date|string} firstStart - Start of the appointment the series repeats
+ * @param {Object} options
+ * @param {number} options.intervalWeeks - Weeks between appointments
+ * @param {number} [options.count] - Follow-ups wanted
+ * @param {string} [options.endDate] - Last local date "YYYY-MM-DD" an occurrence may fall on
+ * @param {Date} [now] - Reference time for the horizon
+ * @returns {Array} [{ position, start }] - position 1 is the first follow-up
+ */
+const planOccurrences = (firstStart, { intervalWeeks, count = null, endDate = null }, now = new Date()) => {
+  const first = new Date(firstStart);
+  const firstDate = toLocalDateString(first);
+  const minutes = localMinutesOfDay(first);
+  const horizon = addDays(toLocalDateString(now), SERIES_MAX_DAYS_AHEAD);
+  const lastDate = endDate && endDate < horizon ? endDate : horizon;
+  const limit = Math.min(count || SERIES_MAX_OCCURRENCES, SERIES_MAX_OCCURRENCES);
+
+  const occurrences = [];
+  for (let position = 1; position <= limit; position++) {
+    const date = addDays(firstDate, position * intervalWeeks * 7);
+    if (date > lastDate) {
+      break;
+    }
+
+    occurrences.push({ position, start: zonedTimeToUtc(date, minutes) });
+  }
+
+  return occurrences;
+};
+
+/**
+ * Apply the move from one occurrence to another time to a later occurrence
+ *
+ * The later occurrence shifts by the same number of local days and takes the new
+ * local time of day (rather than a fixed number of hours, which DST would skew).
+ *
+ * @param {Date|string} occurrenceStart - Start of the occurrence to move
+ * @param {Date|string} editedFrom - Original start of the occurrence the admin moved
+ * @param {Date|string} editedTo - Where the admin moved it to
+ * @returns {Date} New start
+ */
+const shiftOccurrence = (occurrenceStart, editedFrom, editedTo) => {
+  const to = new Date(editedTo);
+  const dayShift = daysBetween(toLocalDateString(new Date(editedFrom)), toLocalDateString(to));
+
+  return zonedTimeToUtc(
+    addDays(toLocalDateString(new Date(occurrenceStart)), dayShift),
+    localMinutesOfDay(to)
+  );
+};
+
+module.exports = {
+  planOccurrences,
+  shiftOccurrence
+};
@@ -0,0 +1,138 @@
+const { queryMany } = require('./database');
+const { loadServiceSegments, combineSegments, toStoredSegments } = require('./segments');
+
+/**
+ * Lateral join summarising a request's services, aliased rs
+ *
+ * Gives rs.service_names ("Cut + Color"), rs.max_concurrent (the strictest of the
+ * services) and rs.cancellation_hours / rs.reschedule_hours (the longest notice any of
+ * them asks for). Fall back to the primary service's columns when a request predates
+ * request_services.
+ *
+ * @param {string} requestIdColumn - Column holding the request ID, e.g. 'ar.id'
+ * @returns {string} SQL fragment
+ */
+const requestServicesJoin = (requestIdColumn) => `
+  LEFT JOIN LATERAL (
+    SELECT
+      string_agg(sv.name, ' + ' ORDER BY rsi.position) as service_names,
+      MIN(sv.max_concurrent) as max_concurrent,
+      MAX(sv.cancellation_hours) as cancellation_hours,
+      MAX(sv.reschedule_hours) as reschedule_hours
+    FROM request_services rsi
+    JOIN services sv ON rsi.service_id = sv.id
+    WHERE rsi.request_id = ${requestIdColumn}
+  ) rs ON true
+`;
+
+/**
+ * Look up an ordered list of services and combine them into one booking
+ * @param {Array<number>} serviceIds - Service IDs in the order they'll be done
+ * @param {Object} [client] - Transaction client
+ * @returns {Promise<Object>} { selection } or { invalidIds } when any service is unknown or inactive.
+ *   selection: { services, service_ids, service_name, duration_minutes, price, max_concurrent, segments }
+ */
+const loadServiceSelection = async (serviceIds, client = null) => {
+  const text = `
+    SELECT id, name, duration_minutes, price, max_concurrent
+    FROM services
+    WHERE id = ANY($1) AND is_active = true AND deleted_at IS NULL
+  `;
+  const rows = client ? (await client.query(text, [serviceIds])).rows : await queryMany(text, [serviceIds]);
+  const byId = new Map(rows.map(row => [row.id, row]));
+
+  const invalidIds = serviceIds.filter(id => !byId.has(id));
+  if (invalidIds.length > 0) {
+    return { invalidIds };
+  }
+
+  const services = serviceIds.map((id, index) => ({ ...byId.get(id), position: index + 1 }));
+  const segmentsByService = await loadServiceSegments(services, client);
+
+  return {
+    selection: {
+      services,
+      service_ids: serviceIds,
+      service_name: services.map(service => service.name).join(' + '),
+      duration_minutes: services.reduce((sum, service) => sum + service.duration_minutes, 0),
+      price: services.reduce((sum, service) => sum + parseFloat(service.price || 0), 0).toFixed(2),
+      // The combined booking can only double up where every service in it can
+      max_concurrent: Math.min(...services.map(service => service.max_concurrent || 1)),
+      segments: toStoredSegments(combineSegments(services.map(service => segmentsByService.get(service.id))))
+    }
+  };
+};
+
+/**
+ * Store a selection against a new request and record its totals
+ * @param {Object} client - Transaction client
+ * @param {number} requestId - appointment_requests.id
+ * @param {Object} selection - From loadServiceSelection
+ */
+const saveRequestServices = async (client, requestId, selection) => {
+  for (const service of selection.services) {
+    await client.query(`
+      INSERT INTO request_services (request_id, service_id, position, duration_minutes, price)
+      VALUES ($1, $2, $3, $4, $5)
+    `, [requestId, service.id, service.position, service.duration_minutes, service.price]);
+  }
+
+  await client.query(`
+    UPDATE appointment_requests
+    SET total_duration_minutes = $2,
+        total_price = $3
+    WHERE id = $1
+  `, [requestId, selection.duration_minutes, selection.price]);
+};
+
+/**
+ * Services on each of a set of requests, in order
+ * @param {Array<number>} requestIds - appointment_requests.id values
+ * @returns {Promise<Map>} request ID -> [{ service_id, name, position, duration_minutes, price }]
+ */
+const loadRequestServices = async (requestIds) => {
+  const rows = await queryMany(`
+    SELECT rs.request_id, rs.service_id, s.name, rs.position, rs.duration_minutes, rs.price
+    FROM request_services rs
+    JOIN services s ON rs.service_id = s.id
+    WHERE rs.request_id = ANY($1)
+    ORDER BY rs.request_id, rs.position
+  `, [requestIds]);
+
+  const byRequest = new Map(requestIds.map(id => [Number(id), []]));
+  rows.forEach(({ request_id, ...service }) => byRequest.get(request_id).push(service));
+
+  return byRequest;
+};
+
+/**
+ * Combined segments for a request's services, done in order
+ * @param {Object} client - Transaction client
+ * @param {Object} request - { id, service_id, duration_minutes }
+ * @returns {Promise<Array|null>} Segments, or null when the request is active throughout
+ */
+const loadRequestSegments = async (client, request) => {
+  const result = await client.query(`
+    SELECT rs.service_id as id, s.duration_minutes
+    FROM request_services rs
+    JOIN services s ON rs.service_id = s.id
+    WHERE rs.request_id = $1
+    ORDER BY rs.position
+  `, [request.id]);
+
+  // Requests from before request_services hold just their primary service
+  const services = result.rows.length > 0
+    ? result.rows
+    : [{ id: request.service_id, duration_minutes: request.duration_minutes }];
+
+  const segmentsByService = await loadServiceSegments(services, client);
+  return toStoredSegments(combineSegments(services.map(service => segmentsByService.get(service.id))));
+};
+
+module.exports = {
+  requestServicesJoin,
+  loadRequestSegments,
+  loadServiceSelection,
+  saveRequestServices,
+  loadRequestServices
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+/**
+ * Client details recorded against a session
+ * @param {Object} req - Express request object
+ * @returns {Object} { ip, userAgent }
+ */
+const getClientInfo = (req) => ({
+  ip: req.ip || (req.connection && req.connection.remoteAddress) || null,
+  userAgent: (req.headers['user-agent'] || '').substring(0, 500) || null
+});
+
+/**
+ * Generate a new session / JWT ID
+ * @returns {string} Random UUID
+ */
+const newSessionId = () => crypto.randomUUID();
+
+/**
+ * Record a newly issued token as a session
+ * @param {Object} db - pool or transaction client
+ * @param {Object} session
+ * @param {string} session.jti - JWT ID
+ * @param {number} session.userId - admin_users.id
+ * @param {number} session.exp - Token expiry (seconds since epoch)
+ * @param {boolean} session.rememberMe - Long-lived token
+ * @param {boolean} session.mfa - Second factor completed
+ * @param {Object} req - Express request object
+ */
+const createSession = async (db, { jti, userId, exp, rememberMe, mfa }, req) => {
+  const { ip, userAgent } = getClientInfo(req);
+
+  await db.query(`
+    INSERT INTO admin_sessions (jti, user_id, user_agent, ip_address, remember_me, mfa_completed, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, to_timestamp($7))
+  `, [jti, userId, userAgent, ip, !!rememberMe, !!mfa, exp]);
+};
+
+/**
+ * Extend an existing session when its token is re-issued (refresh, two-factor enrollment)
+ * @param {Object} db - pool or transaction client
+ * @param {string} jti - JWT ID
+ * @param {number} exp - New token expiry (seconds since epoch)
+ * @param {boolean} mfa - Second factor completed
+ */
+const renewSession = async (db, jti, exp, mfa) => {
+  await db.query(`
+    UPDATE admin_sessions
+    SET expires_at = to_timestamp($2),
+        mfa_completed = $3,
+        last_seen_at = CURRENT_TIMESTAMP
+    WHERE jti = $1 AND revoked_at IS NULL
+  `, [jti, exp, !!mfa]);
+};
+
+/**
+ * Revoke a single session
+ * @param {Object} db - pool or transaction client
+ * @param {string} jti - JWT ID
+ * @param {string} reason - Why the session was revoked
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+const revokeSession = async (db, jti, reason) => {
+  const result = await db.query(`
+    UPDATE admin_sessions
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+    WHERE jti = $1 AND revoked_at IS NULL
+  `, [jti, reason]);
+
+  return result.rowCount > 0;
+};
+
+/**
+ * Revoke every active session for a user
+ * @param {Object} db - pool or transaction client
+ * @param {number} userId - admin_users.id
+ * @param {string} reason - Why the sessions were revoked
+ * @param {Object} [options]
+ * @param {string} [options.exceptJti] - Keep this session active
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeUserSessions = async (db, userId, reason, { exceptJti = null } = {}) => {
+  const result = await db.query(`
+    UPDATE admin_sessions
+    SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+    WHERE user_id = $1
+      AND revoked_at IS NULL
+      AND ($3::varchar IS NULL OR jti <> $3)
+  `, [userId, reason, exceptJti]);
+
+  return result.rowCount;
+};
+
+module.exports = {
+  getClientInfo,
+  newSessionId,
+  createSession,
+  renewSession,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,148 @@
+const { query, queryOne } = require('./database');
+const { sendSms } = require('./smsProvider');
+const { enqueueJob } = require('./jobQueue');
+const { renderSms, KEYWORD_TEMPLATES } = require('./smsTemplates');
+const { loadContactPreferences, resolveChannels } = require('./contactPreferences');
+
+// Sent texts (which may contain customers' link tokens) are deleted after this many days
+const SMS_OUTBOX_RETENTION_DAYS = parseInt(process.env.SMS_OUTBOX_RETENTION_DAYS) || 90;
+// Delivery attempts before the deliver_sms job is dead-lettered
+const SMS_MAX_ATTEMPTS = 6;
+
+/**
+ * Render a template into the SMS outbox and queue its delivery
+ *
+ * Like queueEmail, call with the transaction client of the change the text describes.
+ * Nothing is queued when the customer can't or doesn't want to get texts.
+ *
+ * @param {Object} client - Transaction client (or null)
+ * @param {string} template - Key in src/utils/smsTemplates.js
+ * @param {Object} options
+ * @param {number} [options.customerId] - Recipient customers.id
+ * @param {string} [options.to] - E.164 number (keyword replies, which go out regardless of preferences)
+ * @param {Object} [options.data] - Template data
+ * @param {string} [options.entityType]
+ * @param {string|number} [options.entityId]
+ * @returns {Promise<Object|null>} Outbox row, or null when nothing was queued
+ */
+const queueSms = async (client, template, { customerId = null, to = null, data = {}, entityType = null, entityId = null }) => {
+  let toNumber = to;
+
+  if (!KEYWORD_TEMPLATES.includes(template)) {
+    const contact = customerId ? await loadContactPreferences(customerId, client) : null;
+    if (!contact || !contact.channels.sms) {
+      return null;
+    }
+    toNumber = contact.sms_number;
+  }
+
+  const run = (text, params) => (client ? client.query(text, params) : query(text, params));
+
+  const inserted = await run(`
+    INSERT INTO sms_outbox (template, to_number, body, customer_id, entity_type, entity_id)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING id
+  `, [template, toNumber, renderSms(template, data), customerId, entityType, entityId !== null ? String(entityId) : null]);
+
+  const outboxId = inserted.rows[0].id;
+  const job = await enqueueJob('deliver_sms', { outbox_id: outboxId }, { maxAttempts: SMS_MAX_ATTEMPTS }, client);
+
+  const result = await run(`
+    UPDATE sms_outbox
+    SET job_id = $2
+    WHERE id = $1
+    RETURNING id, template, to_number, status, customer_id, entity_type, entity_id, job_id, created_at
+  `, [outboxId, job.id]);
+
+  return result.rows[0];
+};
+
+/**
+ * Send one outbox text (the deliver_sms job)
+ *
+ * Texts for a customer who has since opted out are skipped rather than sent. Throws when
+ * the provider fails so the job queue retries with backoff.
+ *
+ * @param {number} outboxId - sms_outbox.id
+ * @returns {Promise<Object>} { outbox_id, status, provider, message_id }
+ */
+const deliverOutboxSms = async (outboxId) => {
+  const message = await queryOne(`
+    SELECT
+      so.id, so.template, so.to_number, so.body, so.status,
+      c.phone, c.sms_notifications, c.sms_opted_out_at
+    FROM sms_outbox so
+    LEFT JOIN customers c ON so.customer_id = c.id
+    WHERE so.id = $1
+  `, [outboxId]);
+
+  if (!message) {
+    return { outbox_id: outboxId, status: 'missing' };
+  }
+
+  if (message.status === 'sent' || message.status === 'skipped') {
+    return { outbox_id: outboxId, status: message.status };
+  }
+
+  if (!KEYWORD_TEMPLATES.includes(message.template) && !resolveChannels(message).sms) {
+    await query(`
+      UPDATE sms_outbox
+      SET status = 'skipped',
+          last_error = 'Customer no longer accepts texts',
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [outboxId]);
+
+    return { outbox_id: outboxId, status: 'skipped' };
+  }
+
+  try {
+    const delivery = await sendSms({ to: message.to_number, body: message.body });
+
+    await query(`
+      UPDATE sms_outbox
+      SET status = 'sent',
+          attempts = attempts + 1,
+          provider = $2,
+          provider_message_id = $3,
+          last_error = NULL,
+          sent_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [outboxId, delivery.provider || null, delivery.messageId || null]);
+
+    return { outbox_id: outboxId, status: 'sent', provider: delivery.provider, message_id: delivery.messageId };
+  } catch (error) {
+    await query(`
+      UPDATE sms_outbox
+      SET status = 'failed',
+          attempts = attempts + 1,
+          last_error = $2,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [outboxId, error.message.substring(0, 2000)]);
+
+    throw error;
+  }
+};
+
+/**
+ * Delete sent and skipped texts older than the retention window (SMS_OUTBOX_RETENTION_DAYS)
+ * @returns {Promise<number>} Messages deleted
+ */
+const purgeSentSms = async () => {
+  const result = await query(`
+    DELETE FROM sms_outbox
+    WHERE status IN ('sent', 'skipped')
+      AND updated_at < CURRENT_TIMESTAMP - ($1 || ' days')::interval
+  `, [SMS_OUTBOX_RETENTION_DAYS]);
+
+  return result.rowCount;
+};
+
+module.exports = {
+  SMS_OUTBOX_RETENTION_DAYS,
+  queueSms,
+  deliverOutboxSms,
+  purgeSentSms
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+/**
+ * SMS providers, chosen with SMS_PROVIDER (default stub)
+ *
+ * A provider sends a normalized message and checks that an inbound webhook really came
+ * from it:
+ *   send(message) => Promise<{ provider, messageId }>
+ *   verifyInbound(req) => { from, body, messageId } or null when the request isn't genuine
+ * and may set handlesKeywordReplies when it answers STOP / START / HELP itself.
+ */
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Stub provider - prints texts to stdout; inbound texts are posted as JSON
+ * { from, body } with the X-SMS-Secret header set to SMS_INBOUND_SECRET
+ */
+const stubProvider = {
+  send: async (message) => {
+    console.log('📱 Outgoing text:', { to: message.to });
+    console.log(message.body);
+    return { provider: 'stub', messageId: message.messageId };
+  },
+
+  verifyInbound: (req) => {
+    const secret = process.env.SMS_INBOUND_SECRET;
+    if (!secret || !safeEqual(req.get('x-sms-secret') || '', secret)) {
+      return null;
+    }
+    return { from: req.body.from, body: req.body.body, messageId: req.body.message_id || null };
+  }
+};
+
+/**
+ * Twilio provider - TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and SMS_FROM. Inbound texts
+ * are checked against X-Twilio-Signature, which is computed over the public webhook
+ * URL (SMS_INBOUND_URL) so that must match what's configured in Twilio exactly.
+ */
+const twilioProvider = {
+  // Twilio's Advanced Opt-Out replies to keywords (and blocks texts to opted-out numbers)
+  handlesKeywordReplies: true,
+
+  send: async (message) => {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+    if (!accountSid || !authToken || !message.from) {
+      throw new Error('Twilio is not configured (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, SMS_FROM)');
+    }
+
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ To: message.to, From: message.from, Body: message.body }),
+      signal: AbortSignal.timeout(30000)
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Twilio rejected the message: ${response.status} ${result.message || ''}`.trim());
+    }
+
+    return { provider: 'twilio', messageId: result.sid };
+  },
+
+  verifyInbound: (req) => {
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    const url = process.env.SMS_INBOUND_URL;
+    const signature = req.get('x-twilio-signature');
+
+    if (!authToken || !url || !signature) {
+      return null;
+    }
+
+    const params = req.body || {};
+    const payload = Object.keys(params).sort().reduce((text, key) => text + key + params[key], url);
+    const expected = crypto.createHmac('sha1', authToken).update(payload, 'utf8').digest('base64');
+
+    if (!safeEqual(signature, expected)) {
+      return null;
+    }
+    return { from: params.From, body: params.Body, messageId: params.MessageSid || null };
+  }
+};
+
+const providers = {
+  stub: stubProvider,
+  twilio: twilioProvider
+};
+
+/**
+ * Register an additional provider
+ * @param {string} name - Provider name used in SMS_PROVIDER
+ * @param {Object} provider - { send, verifyInbound }
+ */
+const registerSmsProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+/**
+ * The provider configured by SMS_PROVIDER
+ * @returns {Object} { name, send, verifyInbound }
+ */
+const currentProvider = () => {
+  const name = process.env.SMS_PROVIDER || 'stub';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return { name, ...provider };
+};
+
+/**
+ * Send a text through the configured provider
+ * @param {Object} options
+ * @param {string} options.to - E.164 number
+ * @param {string} options.body - Message text
+ * @returns {Promise<Object>} Delivery info from the provider
+ */
+const sendSms = async ({ to, body }) => currentProvider().send({
+  messageId: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+  from: process.env.SMS_FROM || null,
+  to,
+  body,
+  created_at: new Date().toISOString()
+});
+
+/**
+ * Check an inbound webhook request with the configured provider
+ * @param {Object} req - Express request
+ * @returns {Object|null} { provider, handlesKeywordReplies, from, body, messageId } or null when it isn't genuine
+ */
+const verifyInboundSms = (req) => {
+  const provider = currentProvider();
+  const inbound = provider.verifyInbound(req);
+  return inbound ? { provider: provider.name, handlesKeywordReplies: Boolean(provider.handlesKeywordReplies), ...inbound } : null;
+};
+
+module.exports = {
+  sendSms,
+  verifyInboundSms,
+  registerSmsProvider
+};
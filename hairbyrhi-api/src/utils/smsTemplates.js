@@ -0,0 +1,66 @@
+const { formatShortLocalDateTime } = require('./time');
+
+/**
+ * Templates for customer text messages
+ *
+ * Kept short - each one should fit in two SMS segments including the link. The opt-out
+ * line is added to everything except the keyword replies.
+ */
+
+const SALON_NAME = 'Hair by Rhiannon';
+const OPT_OUT_LINE = 'Reply STOP to opt out.';
+
+const when = (value) => formatShortLocalDateTime(new Date(value));
+
+const TEMPLATES = {
+  appointment_confirmed: ({ service_name, scheduled_datetime, manage_url }) => (
+    `Your ${service_name} appointment is confirmed for ${when(scheduled_datetime)}. Manage it: ${manage_url}`
+  ),
+
+  appointment_changed: ({ service_name, change_type, previous_datetime, new_datetime }) => (change_type === 'cancelled'
+    ? `Your ${service_name} appointment on ${when(previous_datetime)} has been cancelled.`
+    : `Your ${service_name} appointment has moved to ${when(new_datetime)}.`),
+
+  appointment_reminder: ({ service_name, scheduled_datetime }) => (
+    `Reminder: your ${service_name} appointment is ${when(scheduled_datetime)}. Need to change it? Use the link in your confirmation.`
+  ),
+
+  reschedule_proposal: ({ service_name, suggested_datetime, respond_url }) => (
+    `Rhiannon can see you for ${service_name} on ${when(suggested_datetime)}. Accept or suggest other times: ${respond_url}`
+  ),
+
+  waitlist_offer: ({ service_name, slot_start, claim_url, expires_at }) => (
+    `A ${service_name} spot opened up: ${when(slot_start)}. Claim it by ${when(expires_at)}: ${claim_url}`
+  ),
+
+  opted_out: () => 'You have been unsubscribed and will get no more texts. Reply START to resubscribe.',
+
+  opted_in: () => 'You are subscribed to appointment texts again.',
+
+  help: () => 'Appointment texts from the salon. Msg & data rates may apply. Reply STOP to opt out, START to resubscribe.'
+};
+
+// Replies to keywords go out whatever the customer's preferences
+const KEYWORD_TEMPLATES = ['opted_out', 'opted_in', 'help'];
+
+/**
+ * Render a template to the message text
+ * @param {string} template - Key of TEMPLATES
+ * @param {Object} [data] - Template data
+ * @returns {string}
+ */
+const renderSms = (template, data = {}) => {
+  const build = TEMPLATES[template];
+  if (!build) {
+    throw new Error(`Unknown SMS template: ${template}`);
+  }
+
+  const text = `${SALON_NAME}: ${build(data)}`;
+  return KEYWORD_TEMPLATES.includes(template) ? text : `${text} ${OPT_OUT_LINE}`;
+};
+
+module.exports = {
+  SMS_TEMPLATES: Object.keys(TEMPLATES),
+  KEYWORD_TEMPLATES,
+  renderSms
+};
@@ -0,0 +1,273 @@
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+require('dotenv').config();
+
+/**
+ * SMTP transport for src/utils/mailer.js (MAIL_TRANSPORT=smtp)
+ *
+ * A small client covering what a relay needs: EHLO, STARTTLS, AUTH PLAIN and a single
+ * multipart/alternative message per connection. Configured with SMTP_HOST, SMTP_PORT,
+ * SMTP_SECURE (TLS from the start, usually port 465), SMTP_USER and SMTP_PASS.
+ * Credentials are only ever sent over TLS: with SMTP_USER set, a server that doesn't
+ * offer STARTTLS is refused rather than sent a plaintext AUTH.
+ */
+
+const SMTP_TIMEOUT_MS = parseInt(process.env.SMTP_TIMEOUT_MS) || 30000;
+
+/**
+ * Read SMTP replies off a socket, one promise per reply
+ * @param {Object} socket - net or tls socket
+ * @returns {Object} { next, detach }
+ */
+const replyReader = (socket) => {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+
+      // "250-..." continues a reply, "250 ..." ends it
+      if (line.length < 4 || line[3] === ' ') {
+        const reply = { code: parseInt(line.slice(0, 3)), text: lines.map(part => part.slice(4)).join('\n') };
+        lines = [];
+
+        if (waiting.length > 0) {
+          waiting.shift().resolve(reply);
+        } else {
+          replies.push(reply);
+        }
+      }
+    }
+  };
+
+  const onError = (error) => {
+    failure = error;
+    waiting.splice(0).forEach(({ reject }) => reject(error));
+  };
+
+  const onClose = () => onError(failure || new Error('SMTP connection closed unexpectedly'));
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    next: () => {
+      if (replies.length > 0) {
+        return Promise.resolve(replies.shift());
+      }
+      if (failure) {
+        return Promise.reject(failure);
+      }
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    detach: () => {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('close', onClose);
+    }
+  };
+};
+
+/**
+ * Open a connection and wait for the server greeting
+ * @param {Object} config
+ * @returns {Promise<Object>} { socket, reader }
+ */
+const connect = (config) => new Promise((resolve, reject) => {
+  const socket = config.secure
+    ? tls.connect({ host: config.host, port: config.port, servername: config.host })
+    : net.connect({ host: config.host, port: config.port });
+
+  socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP connection timed out')));
+
+  const reader = replyReader(socket);
+  reader.next()
+    .then(reply => {
+      if (reply.code !== 220) {
+        throw new Error(`SMTP server refused connection: ${reply.code} ${reply.text}`);
+      }
+      resolve({ socket, reader });
+    })
+    .catch(error => {
+      socket.destroy();
+      reject(error);
+    });
+});
+
+/**
+ * Upgrade a plain connection to TLS after STARTTLS
+ * @param {Object} socket - Plain socket
+ * @param {string} host - Server name to verify
+ * @returns {Promise<Object>} TLS socket
+ */
+const upgradeToTls = (socket, host) => new Promise((resolve, reject) => {
+  const secureSocket = tls.connect({ socket, servername: host }, () => resolve(secureSocket));
+  secureSocket.once('error', reject);
+  secureSocket.setTimeout(SMTP_TIMEOUT_MS, () => secureSocket.destroy(new Error('SMTP connection timed out')));
+});
+
+/**
+ * Bare address from "Name <address>"
+ * @param {string} value
+ * @returns {string}
+ */
+const envelopeAddress = (value) => {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+};
+
+/**
+ * Header value, RFC 2047 encoded when it isn't plain ASCII
+ * @param {string} value
+ * @returns {string}
+ */
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`);
+
+/**
+ * Address header value with any display name encoded
+ * @param {string} value - "Name <address>" or a bare address
+ * @returns {string}
+ */
+const encodeAddress = (value) => {
+  const match = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(value);
+  return match && match[1] ? `${encodeHeader(match[1])} <${match[2]}>` : value;
+};
+
+/**
+ * Base64 body (CRLF line endings) wrapped at 76 characters
+ * @param {string} value
+ * @returns {string}
+ */
+const encodeBody = (value) => Buffer.from(value.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+/**
+ * Build the message source (text, plus an HTML alternative and attachments when there are any)
+ * @param {Object} message - Normalized message from the mailer
+ * @returns {string}
+ */
+const buildMessage = (message) => {
+  const domain = envelopeAddress(message.from).split('@')[1] || os.hostname();
+  const headers = [
+    `From: ${encodeAddress(message.from)}`,
+    `To: ${encodeAddress(message.to)}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${message.messageId}@${domain}>`,
+    'MIME-Version: 1.0'
+  ];
+
+  const part = (partHeaders, body) => [
+    ...partHeaders,
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(body)
+  ].join('\r\n');
+
+  const multipart = (subtype, boundary, parts) => [
+    `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+    '',
+    ...parts.flatMap(body => [`--${boundary}`, body]),
+    `--${boundary}--`
+  ].join('\r\n');
+
+  const boundary = `hairbyrhi-${message.messageId}`;
+  const textPart = part(['Content-Type: text/plain; charset=utf-8'], message.text);
+
+  let content = message.html
+    ? multipart('alternative', `${boundary}-alt`, [textPart, part(['Content-Type: text/html; charset=utf-8'], message.html)])
+    : textPart;
+
+  if (message.attachments && message.attachments.length > 0) {
+    content = multipart('mixed', `${boundary}-mixed`, [
+      content,
+      ...message.attachments.map(attachment => part([
+        `Content-Type: ${attachment.content_type}`,
+        `Content-Disposition: attachment; filename="${attachment.filename.replace(/"/g, '')}"`
+      ], attachment.content))
+    ]);
+  }
+
+  return [...headers, content].join('\r\n');
+};
+
+/**
+ * Send a message through the configured SMTP server
+ * @param {Object} message - Normalized message from the mailer
+ * @returns {Promise<Object>} Delivery info
+ */
+const smtpTransport = async (message) => {
+  const config = {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || (process.env.SMTP_SECURE === 'true' ? 465 : 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  };
+
+  if (!config.host) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+
+  let { socket, reader } = await connect(config);
+
+  // Only the verb goes in errors so credentials never reach logs or the outbox
+  const command = async (line, expected) => {
+    socket.write(`${line}\r\n`);
+    const reply = await reader.next();
+
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${line.split(' ')[0]} failed: ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  };
+
+  try {
+    const hostname = os.hostname();
+    let greeting = await command(`EHLO ${hostname}`, [250]);
+
+    if (!config.secure && /^STARTTLS$/m.test(greeting.text)) {
+      await command('STARTTLS', [220]);
+      reader.detach();
+      socket = await upgradeToTls(socket, config.host);
+      reader = replyReader(socket);
+      greeting = await command(`EHLO ${hostname}`, [250]);
+    }
+
+    if (config.user) {
+      if (!(socket instanceof tls.TLSSocket)) {
+        throw new Error('SMTP server does not support STARTTLS; refusing to send credentials over an unencrypted connection');
+      }
+
+      const credentials = Buffer.from(`\u0000${config.user}\u0000${config.pass || ''}`, 'utf8').toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${envelopeAddress(message.from)}>`, [250]);
+    await command(`RCPT TO:<${envelopeAddress(message.to)}>`, [250, 251]);
+    await command('DATA', [354]);
+    const accepted = await command(`${buildMessage(message)}\r\n.`, [250]);
+
+    await command('QUIT', [221]).catch(() => {});
+
+    return { transport: 'smtp', messageId: message.messageId, response: accepted.text };
+  } finally {
+    socket.destroy();
+  }
+};
+
+module.exports = {
+  smtpTransport
+};
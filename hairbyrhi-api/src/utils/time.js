@@ -0,0 +1,290 @@
+const { SALON_TIME_ZONE } = require('../../config/salon');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const formatters = new Map();
+
+/**
+ * Cached Intl formatter for a time zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat}
+ */
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Wall-clock components of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone (defaults to the salon's)
+ * @returns {Object} { year, month, day, hour, minute, second, weekday } (weekday 0 = Sunday)
+ */
+const getZonedParts = (date, timeZone = SALON_TIME_ZONE) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Offset of a time zone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {number} Minutes ahead of UTC (e.g. -240 for EDT)
+ */
+const getTimeZoneOffsetMinutes = (date, timeZone = SALON_TIME_ZONE) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Convert a local wall-clock time to the UTC instant
+ * @param {string} dateString - Local date "YYYY-MM-DD"
+ * @param {number} minutesOfDay - Minutes after local midnight
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Date} Instant
+ */
+const zonedTimeToUtc = (dateString, minutesOfDay, timeZone = SALON_TIME_ZONE) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, 0, minutesOfDay);
+
+  // Two passes settle the offset on either side of a DST transition
+  const firstOffset = getTimeZoneOffsetMinutes(new Date(wallClockAsUtc), timeZone);
+  let result = wallClockAsUtc - firstOffset * 60000;
+  const secondOffset = getTimeZoneOffsetMinutes(new Date(result), timeZone);
+  if (secondOffset !== firstOffset) {
+    result = wallClockAsUtc - secondOffset * 60000;
+  }
+
+  return new Date(result);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Local calendar date of an instant
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {string} "YYYY-MM-DD"
+ */
+const toLocalDateString = (date, timeZone = SALON_TIME_ZONE) => {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+};
+
+/**
+ * ISO 8601 representation of an instant in local time, with its offset
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {string} e.g. "2025-03-14T10:30:00-04:00"
+ */
+const toLocalIsoString = (date, timeZone = SALON_TIME_ZONE) => {
+  const p = getZonedParts(date, timeZone);
+  const offset = getTimeZoneOffsetMinutes(date, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const absolute = Math.abs(offset);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`
+    + `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+/**
+ * Short time zone name at an instant
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {string} e.g. "EDT"
+ */
+const getTimeZoneAbbreviation = (date, timeZone = SALON_TIME_ZONE) => {
+  const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(date)
+    .find(({ type }) => type === 'timeZoneName');
+  return part ? part.value : timeZone;
+};
+
+/**
+ * Human-readable local date and time, for emails and messages
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {string} e.g. "Friday, March 14, 2025 at 10:30 AM EDT"
+ */
+const formatLocalDateTime = (date, timeZone = SALON_TIME_ZONE) => {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    dateStyle: 'full',
+    timeStyle: 'short'
+  }).format(date) + ` ${getTimeZoneAbbreviation(date, timeZone)}`;
+};
+
+/**
+ * Compact date and time for text messages, e.g. "Mon, Oct 19, 2:15 PM"
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+const formatShortLocalDateTime = (date, timeZone = SALON_TIME_ZONE) => new Intl.DateTimeFormat('en-US', {
+  timeZone,
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+}).format(date);
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ * @param {string} time - "HH:MM"
+ * @returns {number} Minutes
+ */
+const parseTimeOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Add days to a calendar date
+ * @param {string} dateString - "YYYY-MM-DD"
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} "YYYY-MM-DD"
+ */
+const addDays = (dateString, days) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+/**
+ * Weekday of a calendar date
+ * @param {string} dateString - "YYYY-MM-DD"
+ * @returns {number} 0 = Sunday
+ */
+const getWeekday = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Number of calendar days between two dates
+ * @param {string} from - "YYYY-MM-DD"
+ * @param {string} to - "YYYY-MM-DD"
+ * @returns {number} Days from `from` to `to`
+ */
+const daysBetween = (from, to) => {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+};
+
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+/**
+ * Parse a date-time from a request
+ *
+ * Values with a UTC offset ("...Z", "...-04:00") are taken as given. Anything else is a
+ * salon wall-clock time, so "2025-03-14T10:30" means 10:30 in the salon whatever the
+ * server's own time zone, and a bare date means local midnight. Wall-clock times that
+ * don't exist (skipped when the clocks go forward) are rejected rather than shifted.
+ *
+ * @param {string|Date} value - Input value
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Object} { instant } or { error: 'invalid' | 'nonexistent' }
+ */
+const parseLocalDateTime = (value, timeZone = SALON_TIME_ZONE) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? { error: 'invalid' } : { instant: value };
+  }
+
+  const match = typeof value === 'string' ? value.trim().match(LOCAL_DATE_TIME_PATTERN) : null;
+  if (!match) {
+    return { error: 'invalid' };
+  }
+
+  const [, date, hour = '00', minute = '00', second = '00', offset] = match;
+  const [year, month, day] = date.split('-').map(Number);
+
+  if (addDays(date, 0) !== date || Number(hour) > 23 || Number(minute) > 59 || Number(second) > 59) {
+    return { error: 'invalid' };
+  }
+
+  if (offset) {
+    const instant = new Date(`${date}T${hour}:${minute}:${second}${offset.length === 5 ? `${offset.slice(0, 3)}:${offset.slice(3)}` : offset}`);
+    return Number.isNaN(instant.getTime()) ? { error: 'invalid' } : { instant };
+  }
+
+  const minutesOfDay = Number(hour) * 60 + Number(minute);
+  const instant = new Date(zonedTimeToUtc(date, minutesOfDay, timeZone).getTime() + Number(second) * 1000);
+
+  // A time in the spring-forward gap comes back as a different wall-clock time
+  const p = getZonedParts(instant, timeZone);
+  if (p.year !== year || p.month !== month || p.day !== day || p.hour * 60 + p.minute !== minutesOfDay) {
+    return { error: 'nonexistent' };
+  }
+
+  return { instant };
+};
+
+/**
+ * Add salon-local copies of timestamp fields for API responses
+ * @param {Object} row - Row with Date (or ISO string) fields
+ * @param {Array<string>} columns - Fields to convert; each gets a "<column>_local" partner
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Object} Copy of the row, e.g. { scheduled_datetime, scheduled_datetime_local }
+ */
+const withLocalTimes = (row, columns, timeZone = SALON_TIME_ZONE) => {
+  if (!row) {
+    return row;
+  }
+
+  const result = { ...row };
+  columns.forEach(column => {
+    if (row[column] !== undefined) {
+      result[`${column}_local`] = row[column] ? toLocalIsoString(new Date(row[column]), timeZone) : null;
+    }
+  });
+  return result;
+};
+
+/**
+ * SQL expression for the salon-local calendar date of a stored (UTC) timestamp
+ * @param {string} column - Timestamp column, e.g. 'a.scheduled_datetime'
+ * @param {number} paramIndex - Placeholder holding the IANA time zone
+ * @returns {string} SQL fragment yielding "YYYY-MM-DD" text
+ */
+const localDateSql = (column, paramIndex) => `to_char((${column} AT TIME ZONE 'UTC') AT TIME ZONE $${paramIndex}, 'YYYY-MM-DD')`;
+
+module.exports = {
+  SALON_TIME_ZONE,
+  getZonedParts,
+  getTimeZoneOffsetMinutes,
+  zonedTimeToUtc,
+  toLocalDateString,
+  toLocalIsoString,
+  formatLocalDateTime,
+  formatShortLocalDateTime,
+  getTimeZoneAbbreviation,
+  parseTimeOfDay,
+  addDays,
+  getWeekday,
+  daysBetween,
+  parseLocalDateTime,
+  withLocalTimes,
+  localDateSql
+};
@@ -0,0 +1,194 @@
+const { query, queryMany, beginTransaction, commitTransaction, rollbackTransaction } = require('./database');
+const { computeAvailability, lockSchedule } = require('./availability');
+const { loadServiceSegments, toStoredSegments } = require('./segments');
+const { generateCustomerToken } = require('./customerTokens');
+const { queueWaitlistOfferEmail } = require('./customerEmails');
+const { queueWaitlistOfferSms } = require('./customerSms');
+const { toLocalDateString } = require('./time');
+const { WAITLIST_OFFER_EXPIRES_MINUTES } = require('../../config/salon');
+
+/**
+ * Offer newly freed time to the first waitlisted customer it suits
+ *
+ * Customers are considered in the order they joined. Only one offer for a given
+ * stretch of time is open at once; when it lapses or is declined the time is offered
+ * to the next customer in line (see expireWaitlist). Slots follow the normal booking
+ * rules, so time freed inside the minimum notice period isn't offered.
+ *
+ * @param {Date|string} freedStart - Start of the freed time
+ * @param {Date|string} freedEnd - End of the freed time
+ * @returns {Promise<Object|null>} The offer made, or null if nobody could take it
+ */
+const offerFreedTime = async (freedStart, freedEnd) => {
+  const rangeStart = new Date(freedStart);
+  const rangeEnd = new Date(freedEnd);
+  const fromDate = toLocalDateString(rangeStart);
+  const toDate = toLocalDateString(new Date(rangeEnd.getTime() - 1));
+
+  const client = await beginTransaction();
+
+  try {
+    // Serialize with bookings and other offers so the same time isn't offered twice
+    await lockSchedule(client);
+
+    const openOffer = await client.query(`
+      SELECT 1
+      FROM waitlist_offers
+      WHERE status = 'pending'
+        AND slot_start < $2
+        AND slot_start + (duration_minutes || ' minutes')::interval > $1
+      LIMIT 1
+    `, [rangeStart, rangeEnd]);
+
+    if (openOffer.rows.length > 0) {
+      await rollbackTransaction(client);
+      return null;
+    }
+
+    // Skip customers who were already offered (and passed on) this time
+    const entries = await client.query(`
+      SELECT
+        we.id,
+        we.customer_id,
+        we.service_id,
+        to_char(we.earliest_date, 'YYYY-MM-DD') as earliest_date,
+        to_char(we.latest_date, 'YYYY-MM-DD') as latest_date,
+        c.name as customer_name,
+        c.email as customer_email,
+        s.name as service_name,
+        s.duration_minutes,
+        s.max_concurrent
+      FROM waitlist_entries we
+      JOIN customers c ON we.customer_id = c.id
+      JOIN services s ON we.service_id = s.id
+      WHERE we.status = 'waiting'
+        AND we.earliest_date <= $2
+        AND we.latest_date >= $1
+        AND s.is_active = true
+        AND s.deleted_at IS NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM waitlist_offers wo
+          WHERE wo.entry_id = we.id
+            AND wo.slot_start < $4
+            AND wo.slot_start + (wo.duration_minutes || ' minutes')::interval > $3
+        )
+      ORDER BY we.created_at ASC, we.id ASC
+    `, [fromDate, toDate, rangeStart, rangeEnd]);
+
+    for (const entry of entries.rows) {
+      const service = { id: entry.service_id, duration_minutes: entry.duration_minutes, max_concurrent: entry.max_concurrent };
+      const segmentsByService = await loadServiceSegments([service], client);
+
+      const days = await computeAvailability({
+        service: { ...service, segments: toStoredSegments(segmentsByService.get(service.id)) },
+        fromDate: entry.earliest_date > fromDate ? entry.earliest_date : fromDate,
+        toDate: entry.latest_date < toDate ? entry.latest_date : toDate
+      });
+
+      const slot = days
+        .flatMap(day => day.slots)
+        .find(candidate => candidate.start < rangeEnd && candidate.end > rangeStart);
+
+      if (!slot) {
+        continue;
+      }
+
+      const { token, tokenHash } = generateCustomerToken();
+      const expiresAt = new Date(Math.min(
+        Date.now() + WAITLIST_OFFER_EXPIRES_MINUTES * 60000,
+        slot.start.getTime()
+      ));
+
+      const offerResult = await client.query(`
+        INSERT INTO waitlist_offers (entry_id, slot_start, duration_minutes, token_hash, expires_at)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, entry_id, slot_start, duration_minutes, expires_at
+      `, [entry.id, slot.start, entry.duration_minutes, tokenHash, expiresAt]);
+
+      await client.query(`
+        UPDATE waitlist_entries
+        SET status = 'offered',
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [entry.id]);
+
+      const offer = offerResult.rows[0];
+
+      await queueWaitlistOfferEmail(client, entry, offer, token);
+      await queueWaitlistOfferSms(client, entry, offer, token);
+      await commitTransaction(client);
+
+      return offer;
+    }
+
+    await rollbackTransaction(client);
+    return null;
+
+  } catch (error) {
+    await rollbackTransaction(client);
+    throw error;
+  }
+};
+
+/**
+ * Offer freed time to the waitlist without holding up or failing the caller
+ * @param {Date|string} freedStart - Start of the freed time
+ * @param {Date|string} freedEnd - End of the freed time
+ */
+const notifyWaitlist = (freedStart, freedEnd) => {
+  offerFreedTime(freedStart, freedEnd)
+    .then(offer => offer && console.log(`📋 Waitlist offer ${offer.id} sent for entry ${offer.entry_id}`))
+    .catch(error => console.error('Waitlist offer failed:', error.message));
+};
+
+/**
+ * Expire lapsed offers (passing the time to the next customer) and entries whose window has passed
+ * @returns {Promise<Object>} { expiredOffers, expiredEntries, newOffers }
+ */
+const expireWaitlist = async () => {
+  const today = toLocalDateString(new Date());
+
+  const lapsedOffers = await queryMany(`
+    UPDATE waitlist_offers
+    SET status = 'expired'
+    WHERE status = 'pending' AND expires_at <= CURRENT_TIMESTAMP
+    RETURNING id, entry_id, slot_start, duration_minutes
+  `);
+
+  for (const offer of lapsedOffers) {
+    await query(`
+      UPDATE waitlist_entries
+      SET status = 'waiting',
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'offered'
+    `, [offer.entry_id]);
+  }
+
+  const expiredEntries = await query(`
+    UPDATE waitlist_entries
+    SET status = 'expired',
+        updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'waiting' AND latest_date < $1
+  `, [today]);
+
+  let newOffers = 0;
+  for (const offer of lapsedOffers) {
+    const slotStart = new Date(offer.slot_start);
+    const next = await offerFreedTime(slotStart, new Date(slotStart.getTime() + offer.duration_minutes * 60000));
+    if (next) {
+      newOffers++;
+    }
+  }
+
+  return {
+    expiredOffers: lapsedOffers.length,
+    expiredEntries: expiredEntries.rowCount,
+    newOffers
+  };
+};
+
+module.exports = {
+  offerFreedTime,
+  notifyWaitlist,
+  expireWaitlist
+};
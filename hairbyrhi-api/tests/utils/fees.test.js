@@ -0,0 +1,57 @@
+const { classifyTiming, calculateFee } = require('../../src/utils/fees');
+
+// The defaults seeded by scripts/fee_policy_schema.sql, in evaluation order
+const RULES = [
+  ['No-show', 'no_show', 'any', null, '100.00', '0.00'],
+  ['Same-day cancellation', 'cancellation', 'same_day', null, '75.00', '0.00'],
+  ['Same-day reschedule (treated as cancellation)', 'reschedule', 'same_day', null, '75.00', '0.00'],
+  ['Cancellation with under 24 hours notice', 'cancellation', 'late', null, '50.00', '0.00'],
+  ['Reschedule with under 24 hours notice', 'reschedule', 'late', null, '50.00', '0.00'],
+  ['Cancellation with 24+ hours notice', 'cancellation', 'advance', null, '0.00', '0.00'],
+  ['Additional reschedule', 'reschedule', 'advance', 2, '0.00', '25.00'],
+  ['First reschedule', 'reschedule', 'advance', null, '0.00', '0.00']
+].map(([name, event_type, timing, min_reschedule_number, percent_of_price, flat_amount], index) => ({
+  id: index + 1, name, event_type, timing, min_reschedule_number, percent_of_price, flat_amount
+}));
+
+describe('classifyTiming', () => {
+  test('puts same-day changes ahead of the notice window', () => {
+    expect(classifyTiming({ is_same_day: true, within_fee_window: true })).toBe('same_day');
+    expect(classifyTiming({ is_same_day: true, within_fee_window: false })).toBe('same_day');
+  });
+
+  test('splits other changes on the notice window', () => {
+    expect(classifyTiming({ is_same_day: false, within_fee_window: true })).toBe('late');
+    expect(classifyTiming({ is_same_day: false, within_fee_window: false })).toBe('advance');
+  });
+});
+
+describe('calculateFee', () => {
+  test('charges a percentage of the price by timing', () => {
+    expect(calculateFee(RULES, { eventType: 'cancellation', timing: 'same_day', price: '120.00' }).amount).toBe(90);
+    expect(calculateFee(RULES, { eventType: 'cancellation', timing: 'late', price: '120.00' }).amount).toBe(60);
+    expect(calculateFee(RULES, { eventType: 'cancellation', timing: 'advance', price: '120.00' }).amount).toBe(0);
+  });
+
+  test('charges no-shows whatever the timing', () => {
+    const { rule, amount } = calculateFee(RULES, { eventType: 'no_show', price: 85 });
+    expect(rule.name).toBe('No-show');
+    expect(amount).toBe(85);
+  });
+
+  test('lets the first advance reschedule through and charges the later ones', () => {
+    const first = calculateFee(RULES, { eventType: 'reschedule', timing: 'advance', rescheduleNumber: 1, price: 120 });
+    const second = calculateFee(RULES, { eventType: 'reschedule', timing: 'advance', rescheduleNumber: 2, price: 120 });
+
+    expect(first).toMatchObject({ amount: 0, rule: { name: 'First reschedule' } });
+    expect(second).toMatchObject({ amount: 25, rule: { name: 'Additional reschedule' } });
+  });
+
+  test('rounds to cents', () => {
+    expect(calculateFee(RULES, { eventType: 'cancellation', timing: 'late', price: '45.25' }).amount).toBe(22.63);
+  });
+
+  test('returns no rule when nothing matches', () => {
+    expect(calculateFee([], { eventType: 'cancellation', timing: 'late', price: 100 })).toEqual({ rule: null, amount: 0 });
+  });
+});
@@ -0,0 +1,137 @@
+const { buildCalendar, escapeText, foldLine } = require('../../src/utils/ical');
+
+const ZONE = 'America/New_York';
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+const unfold = (text) => text.replace(/\r\n /g, '');
+const contentLines = (text) => unfold(text).split('\r\n').filter(Boolean);
+
+const event = (overrides = {}) => ({
+  uid: 'appointment-7@hairbyrhi.com',
+  sequence: 2,
+  start: new Date('2026-11-02T15:00:00Z'),
+  end: new Date('2026-11-02T16:30:00Z'),
+  summary: 'Cut + Color at Hair by Rhiannon',
+  ...overrides
+});
+
+describe('escapeText', () => {
+  test('escapes backslashes, semicolons, commas and newlines', () => {
+    expect(escapeText('a;b,c\\d')).toBe('a\\;b\\,c\\\\d');
+    expect(escapeText('one\ntwo\r\nthree')).toBe('one\\ntwo\\nthree');
+  });
+});
+
+describe('foldLine', () => {
+  test('leaves short lines alone', () => {
+    expect(foldLine('SUMMARY:Cut')).toBe('SUMMARY:Cut');
+  });
+
+  test('folds at 75 octets and unfolds back to the original', () => {
+    const line = `DESCRIPTION:${'x'.repeat(200)}`;
+    const folded = foldLine(line);
+
+    folded.split('\r\n').forEach(part => expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75));
+    expect(folded.split('\r\n').slice(1).every(part => part.startsWith(' '))).toBe(true);
+    expect(unfold(folded)).toBe(line);
+  });
+
+  test('never splits a multi-byte character', () => {
+    const line = `SUMMARY:${'é'.repeat(60)}`;
+    const folded = foldLine(line);
+
+    folded.split('\r\n').forEach(part => {
+      expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75);
+      expect(part).not.toContain('�');
+    });
+    expect(unfold(folded)).toBe(line);
+  });
+});
+
+describe('buildCalendar', () => {
+  test('uses CRLF line endings throughout', () => {
+    const text = buildCalendar({ events: [event()], timeZone: ZONE, now: NOW });
+    expect(text.endsWith('\r\n')).toBe(true);
+    expect(text.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+  });
+
+  test('writes local times with a TZID backed by the zone\'s transitions', () => {
+    const lines = contentLines(buildCalendar({ events: [event()], timeZone: ZONE, now: NOW }));
+
+    expect(lines).toContain('DTSTART;TZID=America/New_York:20261102T100000');
+    expect(lines).toContain('DTEND;TZID=America/New_York:20261102T113000');
+
+    const zone = lines.slice(lines.indexOf('BEGIN:VTIMEZONE'), lines.indexOf('END:VTIMEZONE') + 1).join('\n');
+    expect(zone).toContain('TZID:America/New_York');
+    expect(zone).toContain([
+      'BEGIN:DAYLIGHT',
+      'DTSTART:20260308T020000',
+      'TZOFFSETFROM:-0500',
+      'TZOFFSETTO:-0400',
+      'TZNAME:EDT',
+      'END:DAYLIGHT'
+    ].join('\n'));
+    expect(zone).toContain([
+      'BEGIN:STANDARD',
+      'DTSTART:20261101T020000',
+      'TZOFFSETFROM:-0400',
+      'TZOFFSETTO:-0500',
+      'TZNAME:EST',
+      'END:STANDARD'
+    ].join('\n'));
+  });
+
+  test('covers the transitions up to the last event', () => {
+    const text = buildCalendar({
+      events: [event({ start: new Date('2027-07-01T14:00:00Z'), end: new Date('2027-07-01T15:00:00Z') })],
+      timeZone: ZONE,
+      now: NOW
+    });
+    expect(text).toContain('DTSTART:20270314T020000');
+  });
+
+  test('gives zones without daylight saving a single fixed offset', () => {
+    const lines = contentLines(buildCalendar({ events: [event()], timeZone: 'America/Phoenix', now: NOW }));
+
+    expect(lines).not.toContain('BEGIN:DAYLIGHT');
+    expect(lines).toContain('TZOFFSETTO:-0700');
+    expect(lines).toContain('DTSTART;TZID=America/Phoenix:20261102T080000');
+  });
+
+  test('keeps the UID and carries the sequence and status so updates replace the event', () => {
+    const lines = contentLines(buildCalendar({
+      events: [event({ sequence: 3, status: 'CANCELLED' })],
+      timeZone: ZONE,
+      now: NOW
+    }));
+
+    expect(lines).toEqual(expect.arrayContaining([
+      'UID:appointment-7@hairbyrhi.com',
+      'SEQUENCE:3',
+      'STATUS:CANCELLED',
+      'DTSTAMP:20261019T120000Z'
+    ]));
+  });
+
+  test('escapes text properties and leaves URLs as they are', () => {
+    const lines = contentLines(buildCalendar({
+      events: [event({
+        location: 'Salon Maverick, 611 N Main St',
+        description: 'Line one\nLine two',
+        url: 'https://example.com/consultation.html?appointment=7&token=abc,def'
+      })],
+      name: 'Hair by Rhiannon - Appointments',
+      refreshMinutes: 15,
+      timeZone: ZONE,
+      now: NOW
+    }));
+
+    expect(lines).toEqual(expect.arrayContaining([
+      'LOCATION:Salon Maverick\\, 611 N Main St',
+      'DESCRIPTION:Line one\\nLine two',
+      'URL:https://example.com/consultation.html?appointment=7&token=abc,def',
+      'X-WR-CALNAME:Hair by Rhiannon - Appointments',
+      'REFRESH-INTERVAL;VALUE=DURATION:PT15M'
+    ]));
+  });
+});
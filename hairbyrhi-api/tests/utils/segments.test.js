@@ -0,0 +1,65 @@
+const { activeWindows, windowsOverlap, peakConcurrency } = require('../../src/utils/segments');
+
+const at = (time) => new Date(`2026-03-02T${time}:00Z`);
+const windows = (time, durationMinutes, segments = null) => activeWindows(at(time), durationMinutes, segments);
+
+describe('activeWindows', () => {
+  test('treats an appointment without processing time as one window', () => {
+    expect(windows('10:00', 90)).toEqual([{ start: at('10:00'), end: at('11:30') }]);
+  });
+
+  test('leaves processing segments out', () => {
+    const segments = [
+      { type: 'active', duration_minutes: 30 },
+      { type: 'processing', duration_minutes: 45 },
+      { type: 'active', duration_minutes: 15 }
+    ];
+
+    expect(windows('10:00', 90, segments)).toEqual([
+      { start: at('10:00'), end: at('10:30') },
+      { start: at('11:15'), end: at('11:30') }
+    ]);
+  });
+});
+
+describe('windowsOverlap', () => {
+  test('does not count back-to-back windows as overlapping', () => {
+    expect(windowsOverlap(windows('10:00', 60), windows('11:00', 60))).toBe(false);
+    expect(windowsOverlap(windows('10:00', 60), windows('10:59', 60))).toBe(true);
+  });
+});
+
+describe('peakConcurrency', () => {
+  test('is zero with nothing else booked', () => {
+    expect(peakConcurrency(windows('10:00', 60), [])).toBe(0);
+  });
+
+  test('counts appointments that are never running at the same moment once', () => {
+    const booked = [windows('10:00', 60), windows('11:00', 60)];
+    expect(peakConcurrency(windows('10:30', 60), booked)).toBe(1);
+  });
+
+  test('counts appointments running at the same moment together', () => {
+    const booked = [windows('10:00', 60), windows('10:45', 30)];
+    expect(peakConcurrency(windows('10:30', 60), booked)).toBe(2);
+  });
+
+  test('only counts overlaps during the proposed appointment', () => {
+    // The booked appointments run together from 09:30, before the proposed one starts
+    const booked = [windows('09:00', 60), windows('09:30', 90)];
+    expect(peakConcurrency(windows('09:45', 60), booked)).toBe(2);
+    expect(peakConcurrency(windows('10:00', 60), booked)).toBe(1);
+  });
+
+  test('ignores overlaps in the proposed appointment\'s processing time', () => {
+    const segments = [
+      { type: 'active', duration_minutes: 30 },
+      { type: 'processing', duration_minutes: 60 },
+      { type: 'active', duration_minutes: 30 }
+    ];
+    const booked = [windows('10:45', 30), windows('10:50', 30)];
+
+    expect(peakConcurrency(windows('10:00', 120, segments), booked)).toBe(0);
+    expect(peakConcurrency(windows('10:00', 120), booked)).toBe(2);
+  });
+});
@@ -0,0 +1,54 @@
+// Pin the salon's zone before config/salon.js reads it
+process.env.SALON_TIME_ZONE = 'America/New_York';
+
+const { planOccurrences, shiftOccurrence } = require('../../src/utils/series');
+const { SERIES_MAX_OCCURRENCES } = require('../../config/salon');
+
+const NOW = new Date('2026-09-01T12:00:00Z');
+const starts = (occurrences) => occurrences.map(occurrence => occurrence.start.toISOString());
+
+describe('planOccurrences', () => {
+  test('repeats every interval, keeping the local time across the clocks going back', () => {
+    // 10:00 EDT on Oct 19; Nov 2 and Nov 16 are 10:00 EST
+    const planned = planOccurrences('2026-10-19T14:00:00Z', { intervalWeeks: 2, count: 3 }, NOW);
+
+    expect(planned.map(occurrence => occurrence.position)).toEqual([1, 2, 3]);
+    expect(starts(planned)).toEqual([
+      '2026-11-02T15:00:00.000Z',
+      '2026-11-16T15:00:00.000Z',
+      '2026-11-30T15:00:00.000Z'
+    ]);
+  });
+
+  test('stops after the end date', () => {
+    const planned = planOccurrences('2026-10-19T14:00:00Z', { intervalWeeks: 1, endDate: '2026-11-09' }, NOW);
+    expect(starts(planned)).toEqual([
+      '2026-10-26T14:00:00.000Z',
+      '2026-11-02T15:00:00.000Z',
+      '2026-11-09T15:00:00.000Z'
+    ]);
+  });
+
+  test('never plans more than the series limit', () => {
+    expect(planOccurrences('2026-10-19T14:00:00Z', { intervalWeeks: 1, count: 100 }, NOW)).toHaveLength(SERIES_MAX_OCCURRENCES);
+  });
+
+  test('stops at the booking horizon', () => {
+    // Horizon is a year after NOW, so an appointment 50 weeks out has no room for more
+    const planned = planOccurrences('2027-08-17T14:00:00Z', { intervalWeeks: 4, count: 5 }, NOW);
+    expect(planned).toHaveLength(0);
+  });
+});
+
+describe('shiftOccurrence', () => {
+  test('moves later occurrences by the same local days and to the new local time', () => {
+    // One occurrence moved from Mon 10:00 EDT to Tue 14:30 EDT; a later one falls after the clocks go back
+    const shifted = shiftOccurrence('2026-11-16T15:00:00Z', '2026-10-19T14:00:00Z', '2026-10-20T18:30:00Z');
+    expect(shifted.toISOString()).toBe('2026-11-17T19:30:00.000Z');
+  });
+
+  test('leaves the day alone when only the time changed', () => {
+    const shifted = shiftOccurrence('2026-11-02T15:00:00Z', '2026-10-19T14:00:00Z', '2026-10-19T13:00:00Z');
+    expect(shifted.toISOString()).toBe('2026-11-02T14:00:00.000Z');
+  });
+});
@@ -0,0 +1,108 @@
+const net = require('net');
+const { smtpTransport } = require('../../src/utils/smtpTransport');
+
+const MESSAGE = {
+  messageId: 'test-1',
+  from: 'Hair by Rhiannon <appointments@hairbyrhi.com>',
+  to: 'client@example.com',
+  subject: 'Your appointment',
+  text: 'See you soon'
+};
+
+/**
+ * A plaintext SMTP server that never offers STARTTLS and records every command it gets
+ */
+const startPlainServer = () => new Promise(resolve => {
+  const received = [];
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+
+    socket.write('220 localhost ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) {
+          return;
+        }
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 queued\r\n');
+      }
+
+      let index;
+      while (!inData && (index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        received.push(line);
+
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+        if (verb === 'EHLO') {
+          socket.write('250-localhost\r\n250 AUTH PLAIN\r\n');
+        } else if (verb === 'AUTH') {
+          socket.write('235 accepted\r\n');
+        } else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({ server, received, port: server.address().port }));
+});
+
+describe('smtpTransport', () => {
+  const saved = {};
+  let plain;
+
+  beforeEach(async () => {
+    ['SMTP_HOST', 'SMTP_PORT', 'SMTP_SECURE', 'SMTP_USER', 'SMTP_PASS'].forEach(key => {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+
+    plain = await startPlainServer();
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(plain.port);
+  });
+
+  afterEach(done => {
+    Object.entries(saved).forEach(([key, value]) => {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    });
+    plain.server.close(done);
+  });
+
+  test('refuses to send credentials when the server does not offer STARTTLS', async () => {
+    process.env.SMTP_USER = 'salon';
+    process.env.SMTP_PASS = 'secret';
+
+    await expect(smtpTransport(MESSAGE)).rejects.toThrow(/refusing to send credentials/);
+    expect(plain.received.some(line => /^AUTH/i.test(line))).toBe(false);
+    expect(plain.received.some(line => line.includes(Buffer.from('\u0000salon\u0000secret').toString('base64')))).toBe(false);
+  });
+
+  test('still delivers without authentication to a plaintext relay', async () => {
+    const info = await smtpTransport(MESSAGE);
+
+    expect(info).toEqual({ transport: 'smtp', messageId: 'test-1', response: 'queued' });
+    expect(plain.received).toEqual(expect.arrayContaining([
+      'MAIL FROM:<appointments@hairbyrhi.com>',
+      'RCPT TO:<client@example.com>'
+    ]));
+    expect(plain.received.some(line => /^AUTH/i.test(line))).toBe(false);
+  });
+});
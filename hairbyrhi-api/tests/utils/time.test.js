@@ -0,0 +1,83 @@
+const {
+  zonedTimeToUtc,
+  toLocalDateString,
+  toLocalIsoString,
+  getTimeZoneOffsetMinutes,
+  formatLocalDateTime,
+  addDays,
+  daysBetween,
+  parseLocalDateTime
+} = require('../../src/utils/time');
+
+// Explicit so the tests don't depend on SALON_TIME_ZONE or the machine's zone.
+// 2026 transitions: clocks go forward 2026-03-08 02:00 EST, back 2026-11-01 02:00 EDT.
+const ZONE = 'America/New_York';
+
+describe('zonedTimeToUtc', () => {
+  test('uses standard time before the spring transition and daylight time after it', () => {
+    expect(zonedTimeToUtc('2026-03-08', 60, ZONE).toISOString()).toBe('2026-03-08T06:00:00.000Z');
+    expect(zonedTimeToUtc('2026-03-08', 3 * 60, ZONE).toISOString()).toBe('2026-03-08T07:00:00.000Z');
+    expect(zonedTimeToUtc('2026-03-08', 9 * 60, ZONE).toISOString()).toBe('2026-03-08T13:00:00.000Z');
+  });
+
+  test('picks the first (daylight) 1:30 on the night the clocks go back', () => {
+    expect(zonedTimeToUtc('2026-11-01', 90, ZONE).toISOString()).toBe('2026-11-01T05:30:00.000Z');
+    expect(zonedTimeToUtc('2026-11-01', 2 * 60, ZONE).toISOString()).toBe('2026-11-01T07:00:00.000Z');
+  });
+
+  test('keeps a working day the same wall-clock hours across the transition', () => {
+    expect(zonedTimeToUtc('2026-10-31', 9 * 60, ZONE).toISOString()).toBe('2026-10-31T13:00:00.000Z');
+    expect(zonedTimeToUtc('2026-11-02', 9 * 60, ZONE).toISOString()).toBe('2026-11-02T14:00:00.000Z');
+  });
+});
+
+describe('local representations', () => {
+  test('report the offset in force at the instant', () => {
+    expect(getTimeZoneOffsetMinutes(new Date('2026-03-08T06:59:00Z'), ZONE)).toBe(-300);
+    expect(getTimeZoneOffsetMinutes(new Date('2026-03-08T07:00:00Z'), ZONE)).toBe(-240);
+    expect(toLocalIsoString(new Date('2026-11-01T05:30:00Z'), ZONE)).toBe('2026-11-01T01:30:00-04:00');
+    expect(toLocalIsoString(new Date('2026-11-01T06:30:00Z'), ZONE)).toBe('2026-11-01T01:30:00-05:00');
+  });
+
+  test('use the salon date rather than the UTC date late in the evening', () => {
+    expect(toLocalDateString(new Date('2026-11-02T03:30:00Z'), ZONE)).toBe('2026-11-01');
+  });
+
+  test('name the zone in readable times', () => {
+    expect(formatLocalDateTime(new Date('2026-03-09T14:30:00Z'), ZONE)).toBe('Monday, March 9, 2026 at 10:30 AM EDT');
+    expect(formatLocalDateTime(new Date('2026-03-06T15:30:00Z'), ZONE)).toBe('Friday, March 6, 2026 at 10:30 AM EST');
+  });
+});
+
+describe('calendar date arithmetic', () => {
+  test('counts whole days across a transition', () => {
+    expect(addDays('2026-03-07', 1)).toBe('2026-03-08');
+    expect(addDays('2026-03-08', 1)).toBe('2026-03-09');
+    expect(daysBetween('2026-10-31', '2026-11-02')).toBe(2);
+    expect(addDays('2026-01-01', -1)).toBe('2025-12-31');
+  });
+});
+
+describe('parseLocalDateTime', () => {
+  test('reads offset-less values as salon wall-clock time', () => {
+    expect(parseLocalDateTime('2026-03-09T10:30', ZONE).instant.toISOString()).toBe('2026-03-09T14:30:00.000Z');
+    expect(parseLocalDateTime('2026-03-06 10:30:15', ZONE).instant.toISOString()).toBe('2026-03-06T15:30:15.000Z');
+    expect(parseLocalDateTime('2026-03-09', ZONE).instant.toISOString()).toBe('2026-03-09T04:00:00.000Z');
+  });
+
+  test('takes values with an offset as given', () => {
+    expect(parseLocalDateTime('2026-03-09T10:30:00Z', ZONE).instant.toISOString()).toBe('2026-03-09T10:30:00.000Z');
+    expect(parseLocalDateTime('2026-03-09T10:30-0700', ZONE).instant.toISOString()).toBe('2026-03-09T17:30:00.000Z');
+  });
+
+  test('rejects times skipped when the clocks go forward', () => {
+    expect(parseLocalDateTime('2026-03-08T02:30', ZONE)).toEqual({ error: 'nonexistent' });
+    expect(parseLocalDateTime('2026-03-08T03:00', ZONE).instant.toISOString()).toBe('2026-03-08T07:00:00.000Z');
+  });
+
+  test('rejects impossible dates and times', () => {
+    expect(parseLocalDateTime('2026-02-30T10:00', ZONE)).toEqual({ error: 'invalid' });
+    expect(parseLocalDateTime('2026-03-09T24:00', ZONE)).toEqual({ error: 'invalid' });
+    expect(parseLocalDateTime('next tuesday', ZONE)).toEqual({ error: 'invalid' });
+  });
+});
@@ -0,0 +1,79 @@
+const { generateSecret, generateCode, currentStep, verifyCode, buildProvisioningUri } = require('../../src/utils/totp');
+
+// RFC 6238 appendix B seed ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC 6238 appendix B SHA-1 vectors, last six of the eight digits
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('generateCode', () => {
+  test.each(RFC_VECTORS)('matches the RFC 6238 vector at %i seconds', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, currentStep(seconds * 1000))).toBe(code);
+  });
+
+  test('reads lower-case, spaced and padded secrets', () => {
+    const step = currentStep(59 * 1000);
+    expect(generateCode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq', step)).toBe('287082');
+    expect(generateCode(`${RFC_SECRET}====`, step)).toBe('287082');
+  });
+});
+
+describe('verifyCode', () => {
+  const now = 1111111111 * 1000;
+  const step = currentStep(now);
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the matched step', () => {
+    expect(verifyCode(RFC_SECRET, '050471')).toBe(step);
+  });
+
+  test('accepts codes one step either side for clock drift, and no further', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2))).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2))).toBeNull();
+  });
+
+  test('rejects a code from a step already used (replay)', () => {
+    expect(verifyCode(RFC_SECRET, '050471', { lastUsedStep: step })).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { lastUsedStep: step - 1 })).toBeNull();
+    expect(verifyCode(RFC_SECRET, '050471', { lastUsedStep: step - 1 })).toBe(step);
+  });
+
+  test('ignores spaces and rejects anything that is not six digits', () => {
+    expect(verifyCode(RFC_SECRET, '050 471')).toBe(step);
+    expect(verifyCode(RFC_SECRET, '50471')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(RFC_SECRET, null)).toBeNull();
+  });
+});
+
+describe('generateSecret', () => {
+  test('makes a 160-bit base32 secret', () => {
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+});
+
+describe('buildProvisioningUri', () => {
+  test('labels the account with the issuer', () => {
+    const uri = buildProvisioningUri({ secret: RFC_SECRET, accountName: 'rhi@example.com' });
+    expect(uri).toBe(
+      'otpauth://totp/Hair%20by%20Rhiannon%3Arhi%40example.com'
+      + `?secret=${RFC_SECRET}&issuer=Hair+by+Rhiannon&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
@@ -0,0 +1,29 @@
+console.log('🔍 Starting worker.js...');
+
+const { testConnection, pool } = require('./config/database');
+const { startJobWorker } = require('./src/utils/jobQueue');
+const { RECURRING_JOBS } = require('./src/utils/jobs');
+
+require('dotenv').config();
+
+// Runs background jobs on its own - start the API with RUN_JOB_WORKER=false when using this
+const startWorker = async () => {
+  try {
+    console.log('🔄 Testing database connection...');
+    await testConnection();
+
+    const worker = startJobWorker({ recurring: RECURRING_JOBS });
+
+    process.on('SIGTERM', async () => {
+      console.log('🔄 Stopping job worker...');
+      await worker.stop();
+      await pool.end();
+      process.exit(0);
+    });
+  } catch (error) {
+    console.error('💥 Failed to start worker:', error.message);
+    process.exit(1);
+  }
+};
+
+startWorker();
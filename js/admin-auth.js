@@ -178,9 +178,14 @@ class AdminLogin {
                 body: JSON.stringify(formData)
             });
             
-            const data = await response.json();
+            let data = await response.json();
+
+            // Accounts with two-factor enabled get a challenge instead of a token
+            if (response.ok && data.success && data.data.twoFactorRequired) {
+                data = await this.completeTwoFactor(data.data.challengeToken);
+            }
             
-            if (response.ok && data.success) {
+            if (data.success && data.data.token) {
                 // Store token
                 localStorage.setItem('adminToken', data.data.token);
                 
@@ -210,7 +215,31 @@ class AdminLogin {
         }
     }
 
-    handleForgotPassword() {
+    async completeTwoFactor(challengeToken) {
+        const input = window.prompt('Enter the 6-digit code from your authenticator app (or a recovery code):');
+
+        if (!input) {
+            throw new Error('Two-factor verification cancelled');
+        }
+
+        const code = input.trim();
+        const isTotpCode = /^\d{6}$/.test(code);
+
+        const response = await fetch('http://localhost:3000/api/auth/2fa/verify', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                challengeToken,
+                ...(isTotpCode ? { code } : { recoveryCode: code })
+            })
+        });
+
+        return response.json();
+    }
+
+    async handleForgotPassword() {
         const email = this.emailInput.value.trim();
         
         if (!email) {
@@ -224,8 +253,131 @@ class AdminLogin {
             return;
         }
         
-        // For now, show info message. Later this will trigger password reset
-        this.showAlert('Password reset functionality will be implemented in the next phase. Please contact support for password reset assistance.', 'info');
+        try {
+            const response = await fetch('http://localhost:3000/api/auth/password-reset/request', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ email })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Password reset request failed');
+            }
+
+            this.showAlert(data.message, 'info');
+
+        } catch (error) {
+            console.error('Password reset error:', error);
+            this.showAlert(error.message || 'Unable to request a password reset. Please try again later.', 'error');
+        }
+    }
+}
+
+// Set a new password from a reset or invite link (admin-login.html?resetToken=...)
+class PasswordReset {
+    constructor(token, onComplete) {
+        this.token = token;
+        this.onComplete = onComplete;
+        this.form = document.getElementById('resetForm');
+        this.passwordInput = document.getElementById('newPassword');
+        this.confirmInput = document.getElementById('confirmPassword');
+        this.resetButton = document.getElementById('resetButton');
+        this.loadingSpinner = document.getElementById('resetSpinner');
+        this.buttonText = document.getElementById('resetButtonText');
+        this.alertContainer = document.getElementById('alertContainer');
+
+        this.form.addEventListener('submit', (e) => this.handleReset(e));
+        this.passwordInput.addEventListener('input', () => this.clearFieldError('newPassword'));
+        this.confirmInput.addEventListener('input', () => this.clearFieldError('confirmPassword'));
+    }
+
+    showFieldError(field, message) {
+        const input = document.getElementById(field);
+        const errorElement = document.getElementById(`${field}Error`);
+
+        input.classList.add('error');
+        errorElement.textContent = message;
+        errorElement.classList.add('show');
+    }
+
+    clearFieldError(field) {
+        document.getElementById(field).classList.remove('error');
+        document.getElementById(`${field}Error`).classList.remove('show');
+    }
+
+    showAlert(message, type = 'error') {
+        this.alertContainer.innerHTML = `
+            <div class="alert alert-${type} show">
+                ${message}
+            </div>
+        `;
+    }
+
+    setLoading(isLoading) {
+        this.resetButton.disabled = isLoading;
+        this.loadingSpinner.style.display = isLoading ? 'inline-block' : 'none';
+        this.buttonText.textContent = isLoading ? 'Saving...' : 'Set Password';
+    }
+
+    validate() {
+        const password = this.passwordInput.value;
+        let isValid = true;
+
+        if (password.length < 6) {
+            this.showFieldError('newPassword', 'Password must be at least 6 characters');
+            isValid = false;
+        }
+
+        if (this.confirmInput.value !== password) {
+            this.showFieldError('confirmPassword', 'Passwords do not match');
+            isValid = false;
+        }
+
+        return isValid;
+    }
+
+    async handleReset(e) {
+        e.preventDefault();
+
+        this.alertContainer.innerHTML = '';
+
+        if (!this.validate()) {
+            return;
+        }
+
+        this.setLoading(true);
+
+        try {
+            const response = await fetch('http://localhost:3000/api/auth/password-reset/complete', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    token: this.token,
+                    password: this.passwordInput.value
+                })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.message || 'Password reset failed');
+            }
+
+            this.form.reset();
+            this.onComplete(data.message);
+
+        } catch (error) {
+            console.error('Password reset error:', error);
+            this.showAlert(error.message || 'Unable to reset your password. Please try again later.', 'error');
+        } finally {
+            this.setLoading(false);
+        }
     }
 }
 
@@ -242,8 +394,23 @@ const AuthUtils = {
         return localStorage.getItem('adminToken');
     },
 
-    // Remove token (logout)
-    logout() {
+    // Revoke the session on the server, then remove token (logout)
+    async logout() {
+        const token = this.getToken();
+
+        if (token) {
+            try {
+                await fetch('http://localhost:3000/api/auth/logout', {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${token}`
+                    }
+                });
+            } catch (error) {
+                console.error('Server logout failed:', error);
+            }
+        }
+
         localStorage.removeItem('adminToken');
         localStorage.removeItem('adminEmail');
         window.location.href = 'admin-login.html';
@@ -270,6 +437,32 @@ const AuthUtils = {
         }
     },
 
+    // Exchange the current token for a fresh one to keep the session alive
+    async refreshToken() {
+        const token = this.getToken();
+        if (!token) return false;
+
+        try {
+            const response = await fetch('http://localhost:3000/api/auth/refresh', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                localStorage.setItem('adminToken', data.data.token);
+                return true;
+            }
+            return false;
+        } catch (error) {
+            console.error('Token refresh failed:', error);
+            return false;
+        }
+    },
+
     // Make authenticated API requests
     async apiRequest(url, options = {}) {
         const token = this.getToken();
@@ -289,13 +482,32 @@ const AuthUtils = {
 document.addEventListener('DOMContentLoaded', () => {
     // Only initialize if we're on the login page
     if (document.getElementById('loginForm')) {
-        new AdminLogin();
+        const login = new AdminLogin();
+        const resetToken = new URLSearchParams(window.location.search).get('resetToken');
+
+        if (resetToken) {
+            const loginForm = document.getElementById('loginForm');
+            const resetForm = document.getElementById('resetForm');
+
+            loginForm.style.display = 'none';
+            resetForm.style.display = 'block';
+            login.showAlert('Choose a new password for your account', 'info');
+
+            new PasswordReset(resetToken, (message) => {
+                // Drop the used token from the address bar and go back to signing in
+                window.history.replaceState(null, '', window.location.pathname);
+                resetForm.style.display = 'none';
+                loginForm.style.display = 'block';
+                login.showAlert(message, 'success');
+                login.passwordInput.focus();
+            });
+        }
     }
 });
 
 // Handle browser back button and existing login check
 window.addEventListener('load', () => {
-    if (document.getElementById('loginForm')) {
+    if (document.getElementById('loginForm') && !new URLSearchParams(window.location.search).has('resetToken')) {
         const token = localStorage.getItem('adminToken');
         if (token) {
             // User is already logged in, show message
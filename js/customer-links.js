@@ -0,0 +1,487 @@
+/* ======================
+   CUSTOMER EMAIL LINKS
+   js/customer-links.js
+   ====================== */
+
+// Links in customer emails open consultation.html with query parameters:
+//   ?request=ID&proposal=TOKEN   - respond to a time the salon proposed
+//   ?appointment=ID&token=TOKEN  - view, cancel or reschedule a confirmed appointment
+//   ?waitlist=ID&token=TOKEN     - leave the waitlist
+//   ?offer=ID&token=TOKEN        - claim or pass on a time that opened up
+
+const API_BASE_URL = 'http://localhost:3000/api';
+
+document.addEventListener('DOMContentLoaded', function() {
+    initializeCustomerLinks();
+});
+
+function initializeCustomerLinks() {
+    const params = new URLSearchParams(window.location.search);
+    const panel = document.getElementById('customerLinkPanel');
+
+    if (!panel) {
+        return;
+    }
+
+    if (params.has('request') && params.has('proposal')) {
+        showCustomerLinkPanel();
+        loadProposal(panel, params.get('request'), params.get('proposal'));
+    } else if (params.has('appointment') && params.has('token')) {
+        showCustomerLinkPanel();
+        loadAppointment(panel, params.get('appointment'), params.get('token'));
+    } else if (params.has('waitlist') && params.has('token')) {
+        showCustomerLinkPanel();
+        renderLeaveWaitlist(panel, params.get('waitlist'), params.get('token'));
+    } else if (params.has('offer') && params.has('token')) {
+        showCustomerLinkPanel();
+        renderWaitlistOffer(panel, params.get('offer'), params.get('token'));
+    }
+}
+
+// Swap the request form for the panel
+function showCustomerLinkPanel() {
+    document.getElementById('consultationSection').style.display = 'none';
+    document.getElementById('customerLinkSection').style.display = 'block';
+}
+
+/* ======================
+   API HELPERS
+   ====================== */
+async function customerApiRequest(path, options = {}) {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            ...options.headers
+        },
+        body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+        const error = new Error(data.error || 'Something went wrong. Please try again or call the salon.');
+        error.code = data.code;
+        error.details = data.details || [];
+        error.data = data.data;
+        throw error;
+    }
+
+    return data;
+}
+
+function describeApiError(error) {
+    return [error.message, ...(error.details || [])].join(' ');
+}
+
+/* ======================
+   DISPLAY HELPERS
+   ====================== */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Times are shown in the salon's time zone, wherever the customer is
+function formatSalonTime(value, timeZone) {
+    return new Date(value).toLocaleString('en-US', {
+        timeZone,
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZoneName: 'short'
+    });
+}
+
+function renderLinkMessage(panel, title, message, type = 'info') {
+    panel.innerHTML = `
+        <h2 class="form-section-title">${escapeHtml(title)}</h2>
+        <div class="notice ${type}">${escapeHtml(message)}</div>
+        <p>Questions? Call (330) 309-3788 or email Rhiannon@hairbyrhi.com</p>
+    `;
+}
+
+function setButtonLoading(button, isLoading, label) {
+    button.disabled = isLoading;
+    button.innerHTML = isLoading ? '<i class="fas fa-spinner fa-spin"></i> Please wait...' : label;
+}
+
+/* ======================
+   RESCHEDULE PROPOSALS
+   ====================== */
+async function loadProposal(panel, requestId, token) {
+    panel.innerHTML = '<p><i class="fas fa-spinner fa-spin"></i> Loading your request...</p>';
+
+    try {
+        const { data } = await customerApiRequest(`/requests/${encodeURIComponent(requestId)}`);
+        const proposal = data.preferred_times.find(time => time.source === 'admin');
+
+        if (data.status !== 'awaiting_customer' || !proposal) {
+            renderLinkMessage(panel, 'Nothing to respond to', 'This proposal has already been answered or has expired.');
+            return;
+        }
+
+        renderProposal(panel, requestId, token, data, proposal);
+
+    } catch (error) {
+        console.error('Proposal load error:', error);
+        renderLinkMessage(panel, 'Something went wrong', describeApiError(error), 'danger');
+    }
+}
+
+function renderProposal(panel, requestId, token, request, proposal) {
+    const preferenceInputs = [1, 2, 3].map(priority => `
+        <div class="form-group">
+            <label for="newTime${priority}" class="form-label">Choice ${priority}${priority === 1 ? ' <span class="required">*</span>' : ''}</label>
+            <input type="datetime-local" id="newTime${priority}" class="form-input" ${priority === 1 ? 'required' : ''}>
+        </div>
+    `).join('');
+
+    panel.innerHTML = `
+        <h2 class="form-section-title"><i class="fas fa-calendar-alt"></i> A new time for your ${escapeHtml(request.service.name)}</h2>
+        <p>None of your requested times worked, so Rhiannon has suggested:</p>
+        <p class="link-highlight">${escapeHtml(formatSalonTime(proposal.preferred_datetime, request.time_zone))}</p>
+        ${request.proposal_expires_at ? `<p class="form-helper">Please respond by ${escapeHtml(formatSalonTime(request.proposal_expires_at, request.time_zone))}.</p>` : ''}
+
+        <div class="link-actions">
+            <button type="button" class="btn-submit" id="acceptProposalBtn">Accept this time</button>
+            <button type="button" class="btn-outline" id="showDeclineBtn">Suggest other times</button>
+        </div>
+
+        <form id="declineProposalForm" style="display: none; margin-top: 2rem;">
+            <h3 class="form-section-title"><i class="fas fa-clock"></i> Times that suit you better</h3>
+            <p class="form-helper">Salon time (${escapeHtml(request.time_zone)}), in order of preference.</p>
+            ${preferenceInputs}
+            <div class="form-group">
+                <label for="declineNotes" class="form-label">Anything else Rhiannon should know?</label>
+                <textarea id="declineNotes" class="form-textarea" rows="3"></textarea>
+            </div>
+            <button type="submit" class="btn-submit" id="declineProposalBtn">Send new times</button>
+        </form>
+    `;
+
+    const acceptButton = document.getElementById('acceptProposalBtn');
+    const declineForm = document.getElementById('declineProposalForm');
+
+    acceptButton.addEventListener('click', () => acceptProposal(panel, requestId, token, acceptButton));
+    document.getElementById('showDeclineBtn').addEventListener('click', () => {
+        declineForm.style.display = 'block';
+        document.getElementById('newTime1').focus();
+    });
+    declineForm.addEventListener('submit', (e) => declineProposal(e, panel, requestId, token));
+}
+
+async function acceptProposal(panel, requestId, token, button) {
+    setButtonLoading(button, true, 'Accept this time');
+
+    try {
+        const { data } = await customerApiRequest(`/requests/${encodeURIComponent(requestId)}/accept`, {
+            method: 'POST',
+            body: { token }
+        });
+
+        renderLinkMessage(
+            panel,
+            'Appointment confirmed',
+            `You're booked for ${data.service_name} on ${formatSalonTime(data.scheduled_datetime, data.time_zone)}. A confirmation email is on its way.`,
+            'success'
+        );
+
+    } catch (error) {
+        console.error('Proposal accept error:', error);
+        showNotification(describeApiError(error), 'error');
+        setButtonLoading(button, false, 'Accept this time');
+    }
+}
+
+async function declineProposal(e, panel, requestId, token) {
+    e.preventDefault();
+
+    const preferredTimes = [1, 2, 3]
+        .map(priority => document.getElementById(`newTime${priority}`).value)
+        .filter(Boolean)
+        .map((datetime, index) => ({ datetime, priority: index + 1 }));
+
+    if (preferredTimes.length === 0) {
+        showNotification('Please choose at least one time.', 'error');
+        return;
+    }
+
+    const button = document.getElementById('declineProposalBtn');
+    setButtonLoading(button, true, 'Send new times');
+
+    try {
+        const { message } = await customerApiRequest(`/requests/${encodeURIComponent(requestId)}/decline`, {
+            method: 'POST',
+            body: {
+                token,
+                preferred_times: preferredTimes,
+                notes: document.getElementById('declineNotes').value.trim() || null
+            }
+        });
+
+        renderLinkMessage(panel, 'New times sent', message, 'success');
+
+    } catch (error) {
+        console.error('Proposal decline error:', error);
+        showNotification(describeApiError(error), 'error');
+        setButtonLoading(button, false, 'Send new times');
+    }
+}
+
+/* ======================
+   MANAGE AN APPOINTMENT
+   ====================== */
+async function loadAppointment(panel, appointmentId, token) {
+    panel.innerHTML = '<p><i class="fas fa-spinner fa-spin"></i> Loading your appointment...</p>';
+
+    try {
+        const { data } = await customerApiRequest(
+            `/appointments/${encodeURIComponent(appointmentId)}?token=${encodeURIComponent(token)}`
+        );
+        renderAppointment(panel, appointmentId, token, data);
+
+    } catch (error) {
+        console.error('Appointment load error:', error);
+        renderLinkMessage(panel, 'Something went wrong', describeApiError(error), 'danger');
+    }
+}
+
+function describeFee(amount) {
+    return amount > 0 ? `a $${Number(amount).toFixed(2)} fee applies` : 'no fee';
+}
+
+function renderAppointment(panel, appointmentId, token, appointment) {
+    const { policy } = appointment;
+    const fees = appointment.fees_if_changed_now;
+    const isScheduled = appointment.status === 'scheduled';
+
+    panel.innerHTML = `
+        <h2 class="form-section-title"><i class="fas fa-calendar-check"></i> Your ${escapeHtml(appointment.service_name)} appointment</h2>
+        <p class="link-highlight">${escapeHtml(formatSalonTime(appointment.scheduled_datetime, appointment.time_zone))}</p>
+        ${isScheduled ? '' : `<div class="notice info">This appointment is ${escapeHtml(appointment.status.replace(/_/g, ' '))}.</div>`}
+
+        ${policy.cancellation.allowed ? `
+            <form id="cancelAppointmentForm" style="margin-top: 2rem;">
+                <h3 class="form-section-title"><i class="fas fa-times-circle"></i> Cancel</h3>
+                <p class="form-helper">Cancelling now: ${escapeHtml(describeFee(fees.cancellation))}.</p>
+                <div class="form-group">
+                    <label for="cancelReason" class="form-label">Reason (optional)</label>
+                    <textarea id="cancelReason" class="form-textarea" rows="2"></textarea>
+                </div>
+                <button type="submit" class="btn-outline" id="cancelAppointmentBtn">Cancel appointment</button>
+            </form>
+        ` : ''}
+
+        ${policy.reschedule.allowed ? `
+            <form id="rescheduleAppointmentForm" style="margin-top: 2rem;">
+                <h3 class="form-section-title"><i class="fas fa-clock"></i> Reschedule</h3>
+                <p class="form-helper">
+                    Rescheduling now: ${escapeHtml(describeFee(fees.reschedule))}.
+                    ${escapeHtml(`${policy.reschedule.reschedules_remaining} reschedule(s) left.`)}
+                </p>
+                <div class="form-group">
+                    <label for="rescheduleTime" class="form-label">New time (salon time, ${escapeHtml(appointment.time_zone)}) <span class="required">*</span></label>
+                    <input type="datetime-local" id="rescheduleTime" class="form-input" required>
+                </div>
+                <button type="submit" class="btn-submit" id="rescheduleAppointmentBtn">Reschedule</button>
+            </form>
+        ` : ''}
+
+        ${isScheduled && policy.reschedule.unavailable_reason ? `<p class="form-helper" style="margin-top: 1.5rem;">${escapeHtml(policy.reschedule.unavailable_reason)}</p>` : ''}
+        <p style="margin-top: 2rem;">See our <a href="policies.html">policies</a> for notice periods and fees. Questions? Call (330) 309-3788.</p>
+    `;
+
+    const cancelForm = document.getElementById('cancelAppointmentForm');
+    if (cancelForm) {
+        cancelForm.addEventListener('submit', (e) => cancelAppointment(e, panel, appointmentId, token));
+    }
+
+    const rescheduleForm = document.getElementById('rescheduleAppointmentForm');
+    if (rescheduleForm) {
+        rescheduleForm.addEventListener('submit', (e) => rescheduleAppointment(e, panel, appointmentId, token));
+    }
+}
+
+// Send a change, asking the customer to accept any late-change fee the server reports first
+async function submitAppointmentChange(path, body) {
+    try {
+        return await customerApiRequest(path, { method: 'POST', body });
+    } catch (error) {
+        if (error.code !== 'FEE_ACKNOWLEDGEMENT_REQUIRED') {
+            throw error;
+        }
+
+        const confirmed = window.confirm(`A $${Number(error.data.fee).toFixed(2)} late-change fee applies. Do you want to continue?`);
+        if (!confirmed) {
+            return null;
+        }
+
+        return customerApiRequest(path, { method: 'POST', body: { ...body, acknowledge_fee: true } });
+    }
+}
+
+async function cancelAppointment(e, panel, appointmentId, token) {
+    e.preventDefault();
+
+    if (!window.confirm('Are you sure you want to cancel this appointment?')) {
+        return;
+    }
+
+    const button = document.getElementById('cancelAppointmentBtn');
+    setButtonLoading(button, true, 'Cancel appointment');
+
+    try {
+        const result = await submitAppointmentChange(`/appointments/${encodeURIComponent(appointmentId)}/cancel`, {
+            token,
+            reason: document.getElementById('cancelReason').value.trim() || null
+        });
+
+        if (!result) {
+            setButtonLoading(button, false, 'Cancel appointment');
+            return;
+        }
+
+        renderLinkMessage(
+            panel,
+            'Appointment cancelled',
+            result.data.fee_charged > 0
+                ? `Your appointment has been cancelled. A $${Number(result.data.fee_charged).toFixed(2)} late cancellation fee applies.`
+                : 'Your appointment has been cancelled. We hope to see you another time.',
+            'success'
+        );
+
+    } catch (error) {
+        console.error('Appointment cancel error:', error);
+        showNotification(describeApiError(error), 'error');
+        setButtonLoading(button, false, 'Cancel appointment');
+    }
+}
+
+async function rescheduleAppointment(e, panel, appointmentId, token) {
+    e.preventDefault();
+
+    const datetime = document.getElementById('rescheduleTime').value;
+    if (!datetime) {
+        showNotification('Please choose a new time.', 'error');
+        return;
+    }
+
+    const button = document.getElementById('rescheduleAppointmentBtn');
+    setButtonLoading(button, true, 'Reschedule');
+
+    try {
+        const result = await submitAppointmentChange(`/appointments/${encodeURIComponent(appointmentId)}/reschedule`, {
+            token,
+            datetime
+        });
+
+        if (!result) {
+            setButtonLoading(button, false, 'Reschedule');
+            return;
+        }
+
+        renderAppointment(panel, appointmentId, token, result.data);
+        showNotification(`Your appointment has been moved to ${formatSalonTime(result.data.scheduled_datetime, result.data.time_zone)}.`, 'success');
+
+    } catch (error) {
+        console.error('Appointment reschedule error:', error);
+        showNotification(describeApiError(error), 'error');
+        setButtonLoading(button, false, 'Reschedule');
+    }
+}
+
+/* ======================
+   WAITLIST
+   ====================== */
+function renderLeaveWaitlist(panel, entryId, token) {
+    panel.innerHTML = `
+        <h2 class="form-section-title"><i class="fas fa-list"></i> Leave the waitlist</h2>
+        <p>If you no longer need an appointment, leave the waitlist so openings go to the next person.</p>
+        <div class="link-actions">
+            <button type="button" class="btn-submit" id="leaveWaitlistBtn">Leave the waitlist</button>
+        </div>
+    `;
+
+    const button = document.getElementById('leaveWaitlistBtn');
+
+    button.addEventListener('click', async () => {
+        setButtonLoading(button, true, 'Leave the waitlist');
+
+        try {
+            const { message } = await customerApiRequest(`/waitlist/${encodeURIComponent(entryId)}/leave`, {
+                method: 'POST',
+                body: { token }
+            });
+
+            renderLinkMessage(panel, 'You have left the waitlist', message, 'success');
+
+        } catch (error) {
+            console.error('Waitlist leave error:', error);
+            showNotification(describeApiError(error), 'error');
+            setButtonLoading(button, false, 'Leave the waitlist');
+        }
+    });
+}
+
+function renderWaitlistOffer(panel, offerId, token) {
+    panel.innerHTML = `
+        <h2 class="form-section-title"><i class="fas fa-star"></i> A time has opened up</h2>
+        <p>Claim the time from your email to book it, or pass so it goes to the next person. You stay on the waitlist if you pass.</p>
+        <div class="link-actions">
+            <button type="button" class="btn-submit" id="claimOfferBtn">Claim this time</button>
+            <button type="button" class="btn-outline" id="declineOfferBtn">Pass</button>
+        </div>
+    `;
+
+    const claimButton = document.getElementById('claimOfferBtn');
+    const declineButton = document.getElementById('declineOfferBtn');
+
+    claimButton.addEventListener('click', async () => {
+        setButtonLoading(claimButton, true, 'Claim this time');
+        declineButton.disabled = true;
+
+        try {
+            const { data } = await customerApiRequest(`/waitlist/offers/${encodeURIComponent(offerId)}/claim`, {
+                method: 'POST',
+                body: { token }
+            });
+
+            renderLinkMessage(
+                panel,
+                'Appointment confirmed',
+                `You're booked for ${data.service_name} on ${formatSalonTime(data.scheduled_datetime, data.time_zone)}. A confirmation email is on its way.`,
+                'success'
+            );
+
+        } catch (error) {
+            console.error('Waitlist claim error:', error);
+            renderLinkMessage(panel, 'Unable to claim this time', describeApiError(error), 'warning');
+        }
+    });
+
+    declineButton.addEventListener('click', async () => {
+        setButtonLoading(declineButton, true, 'Pass');
+        claimButton.disabled = true;
+
+        try {
+            const { message } = await customerApiRequest(`/waitlist/offers/${encodeURIComponent(offerId)}/decline`, {
+                method: 'POST',
+                body: { token }
+            });
+
+            renderLinkMessage(panel, 'Offer passed on', message, 'success');
+
+        } catch (error) {
+            console.error('Waitlist decline error:', error);
+            renderLinkMessage(panel, 'Unable to pass on this time', describeApiError(error), 'warning');
+        }
+    });
+}